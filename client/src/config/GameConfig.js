@@ -121,6 +121,584 @@ export const GameConfig = Object.freeze({
     }
   },
   
+  /**
+   * Rewind energy configuration
+   * 
+   * Limits how much time the player can reverse. Levels may override
+   * `capacity`, `rechargeRate` and `rechargeDelay` through a top-level
+   * `rewind` block in their JSON.
+   * 
+   * @type {Object}
+   */
+  rewind: {
+    /**
+     * Maximum rewind time stored in the meter (in seconds)
+     * 
+     * @type {number}
+     */
+    capacity: 5,
+    
+    /**
+     * Seconds of rewind regained per second of normal play
+     * 
+     * @type {number}
+     */
+    rechargeRate: 0.5,
+    
+    /**
+     * Delay after a rewind ends before recharging starts (in milliseconds)
+     * 
+     * @type {number}
+     */
+    rechargeDelay: 1000,
+    
+    /**
+     * How far back snapshots are kept (in seconds); sizes TimeManager's ring buffer
+     * 
+     * @type {number}
+     */
+    horizon: 10,
+    
+    /**
+     * Store a full snapshot every N recorded frames; frames in between only
+     * store what changed (20 frames = 1 s at the 50 ms record interval)
+     * 
+     * @type {number}
+     */
+    keyframeInterval: 20,
+    
+    /**
+     * Seconds restored by a rewind pickup that does not specify its own amount
+     * 
+     * @type {number}
+     */
+    pickupAmount: 2,
+
+    /**
+     * Opacity of the time echo that replays the future abandoned by a rewind
+     *
+     * @type {number}
+     */
+    echoAlpha: 0.45,
+
+    /**
+     * Maximum number of time echoes replaying at once; the oldest ends first
+     *
+     * @type {number}
+     */
+    maxEchoes: 2
+  },
+
+  /**
+   * Time-slow field configuration
+   *
+   * A bubble around the player in which enemies and moving platforms run
+   * at a fraction of normal speed.
+   *
+   * @type {Object}
+   */
+  timeSlow: {
+    /**
+     * Time between activations (in milliseconds), measured from activation
+     *
+     * @type {number}
+     */
+    cooldown: 6000,
+
+    /**
+     * How long the field stays up (in milliseconds)
+     *
+     * @type {number}
+     */
+    duration: 4000,
+
+    /**
+     * Radius of the field around the player (in pixels, before level scaling)
+     *
+     * @type {number}
+     */
+    range: 250,
+
+    /**
+     * Time scale applied to entities inside the field (1 = normal speed)
+     *
+     * @type {number}
+     */
+    slowFactor: 0.35
+  },
+
+  /**
+   * Jump assist configuration
+   *
+   * Coyote time and jump buffering make jumps forgiving at ledges and on
+   * landing.
+   *
+   * @type {Object}
+   */
+  jump: {
+    /**
+     * How long after leaving the ground a jump is still allowed (in milliseconds)
+     *
+     * @type {number}
+     */
+    coyoteTime: 100,
+
+    /**
+     * How long a jump press is remembered before landing (in milliseconds)
+     *
+     * @type {number}
+     */
+    bufferTime: 120
+  },
+
+  /**
+   * Wall slide and wall jump configuration
+   *
+   * Falling against a wall slides down it slowly; jumping from a slide pushes
+   * the player away from the wall.
+   *
+   * @type {Object}
+   */
+  wall: {
+    /**
+     * Fastest descent while sliding (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    slideSpeed: 150,
+
+    /**
+     * Horizontal speed away from the wall on a wall jump (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    jumpVelocityX: 360,
+
+    /**
+     * Upward speed of a wall jump (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    jumpVelocityY: 720,
+
+    /**
+     * How long horizontal input is ignored after a wall jump (in milliseconds)
+     *
+     * @type {number}
+     */
+    inputLockout: 180
+  },
+
+  /**
+   * Climbing configuration
+   *
+   * Holding up on a ladder, rope or chain climbs it; stepping or jumping off
+   * sideways lets go.
+   *
+   * @type {Object}
+   */
+  climb: {
+    /**
+     * Climbing speed up and down (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    speed: 200,
+
+    /**
+     * How long after letting go the player cannot grab a climbable again (in milliseconds)
+     *
+     * @type {number}
+     */
+    regrabDelay: 250
+  },
+
+  /**
+   * Water and swimming configuration
+   *
+   * Inside a water volume the player swims: gravity is weakened by buoyancy,
+   * drag slows every movement and a breath meter drains while the head is
+   * under water.
+   *
+   * @type {Object}
+   */
+  water: {
+    /**
+     * Fraction of world gravity pulling the player down in water
+     *
+     * @type {number}
+     */
+    gravityScale: 0.35,
+
+    /**
+     * Fraction of world gravity pushing the player up in water
+     *
+     * @type {number}
+     */
+    buoyancy: 0.25,
+
+    /**
+     * How quickly velocity settles towards the swim input (per second)
+     *
+     * @type {number}
+     */
+    drag: 4,
+
+    /**
+     * Swimming speed in every direction (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    swimSpeed: 220,
+
+    /**
+     * Upward speed of a swim stroke on a jump press (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    strokeVelocity: 380,
+
+    /**
+     * Fraction of the falling speed kept when entering water
+     *
+     * @type {number}
+     */
+    entrySpeedFactor: 0.4,
+
+    /**
+     * Slowest vertical speed that makes a splash on entering or leaving (in pixels per second, before level scaling)
+     *
+     * @type {number}
+     */
+    splashMinSpeed: 150,
+
+    /**
+     * How long the player can stay under water (in milliseconds)
+     *
+     * @type {number}
+     */
+    breathDuration: 8000,
+
+    /**
+     * How much faster breath refills than it drains
+     *
+     * @type {number}
+     */
+    breathRefillRate: 4,
+
+    /**
+     * Damage taken each time invulnerability ends while out of breath
+     *
+     * @type {number}
+     */
+    drowningDamage: 20,
+
+    /**
+     * Default tint drawn over a water volume
+     *
+     * @type {number}
+     */
+    tint: 0x2e86de,
+
+    /**
+     * Opacity of the tint (0-1)
+     *
+     * @type {number}
+     */
+    tintAlpha: 0.35
+  },
+
+  /**
+   * Hazard configuration
+   *
+   * Default rules per hazard kind. Each rule set has `damage`, `instantKill`,
+   * `knockback` (in pixels per second, before level scaling) and `invulnerability`
+   * (in milliseconds after a hit); level JSON can override any of them per
+   * hazard.
+   *
+   * @type {Object}
+   */
+  hazards: {
+    spikes: { damage: 20, instantKill: false, knockback: 350, invulnerability: 1000 },
+    lava: { damage: 0, instantKill: true, knockback: 0, invulnerability: 0 },
+    saw: { damage: 35, instantKill: false, knockback: 450, invulnerability: 1200 }
+  },
+
+  /**
+   * Lives configuration
+   *
+   * Dying costs a life and respawns the player; the game is over when the
+   * last life is lost. `hearts` in level JSON heal the player, and the rare
+   * `extraLife` ones add a life.
+   *
+   * @type {Object}
+   */
+  lives: {
+    /**
+     * Lives at the start of a level; level JSON `lives` overrides it
+     *
+     * @type {number}
+     */
+    initial: 3,
+
+    /**
+     * Most lives the player can hold
+     *
+     * @type {number}
+     */
+    max: 9,
+
+    /**
+     * Health a heart restores unless its level JSON entry sets `heal`
+     *
+     * @type {number}
+     */
+    heartHeal: 25
+  },
+
+  /**
+   * Ability upgrade configuration
+   *
+   * Ability pickups in level JSON unlock upgrades that are saved per save
+   * slot; air jumps and air dashes are charges refilled on landing.
+   *
+   * @type {Object}
+   */
+  abilities: {
+    /**
+     * localStorage key prefix; the save slot name is appended
+     *
+     * @type {string}
+     */
+    storagePrefix: 'time-oddity:abilities:',
+
+    /**
+     * Save slot used when GameScene is started without `saveSlot` data
+     *
+     * @type {string}
+     */
+    defaultSlot: 'slot1',
+
+    /**
+     * Double jump: extra jumps in the air per level
+     *
+     * @type {Object}
+     */
+    doubleJump: { maxLevel: 1, airJumpsPerLevel: 1, tileKey: 'gem_green' },
+
+    /**
+     * Air dash: dashes allowed in the air without the upgrade, plus extra charges per level
+     *
+     * @type {Object}
+     */
+    airDash: { maxLevel: 2, baseCharges: 1, chargesPerLevel: 1, tileKey: 'gem_red' },
+
+    /**
+     * Long dash: dash duration multiplier once unlocked
+     *
+     * @type {Object}
+     */
+    longDash: { maxLevel: 1, durationMultiplier: 1.5, tileKey: 'gem_yellow' }
+  },
+
+  /**
+   * Fixed-timestep simulation configuration
+   *
+   * GameScene advances gameplay and arcade physics in fixed ticks, independent
+   * of the display refresh rate.
+   *
+   * @type {Object}
+   */
+  simulation: {
+    /**
+     * Simulation ticks per second; also the arcade physics step rate
+     *
+     * @type {number}
+     */
+    tickRate: 60,
+
+    /**
+     * Most ticks run in one rendered frame; a longer stall is dropped instead of replayed
+     *
+     * @type {number}
+     */
+    maxTicksPerFrame: 5
+  },
+
+  /**
+   * Best-run ghost configuration
+   *
+   * Completing a level saves the run as a ghost that races later attempts.
+   *
+   * @type {Object}
+   */
+  ghost: {
+    /**
+     * World time between recorded ghost positions (in milliseconds)
+     *
+     * @type {number}
+     */
+    sampleInterval: 50,
+
+    /**
+     * Opacity of the ghost runner
+     *
+     * @type {number}
+     */
+    alpha: 0.35,
+
+    /**
+     * Prefix of the browser storage key; the level key is appended
+     *
+     * @type {string}
+     */
+    storagePrefix: 'time-oddity:ghost:'
+  },
+
+  /**
+   * Gamepad configuration
+   *
+   * Button indices follow the W3C standard gamepad layout (0 = A, 1 = B, 2 = X, 3 = Y,
+   * 4/5 = bumpers, 6/7 = triggers, 8 = select, 9 = start, 10/11 = stick presses,
+   * 12–15 = d-pad up/down/left/right).
+   *
+   * @type {Object}
+   */
+  gamepad: {
+    /**
+     * Left stick deflection (0–1) ignored around the center
+     *
+     * @type {number}
+     */
+    deadzone: 0.25,
+
+    /**
+     * Analog trigger travel (0–1) that counts as pressed
+     *
+     * @type {number}
+     */
+    triggerThreshold: 0.5,
+
+    /**
+     * Pad buttons for each action; the left stick also drives left, right, navUp and down
+     *
+     * @type {Object<string, Array<number>>}
+     */
+    buttons: {
+      left: [14],
+      right: [15],
+      up: [0, 12],
+      down: [13],
+      dash: [2],
+      chronoPulse: [3],
+      timeSlow: [4],
+      scrub: [5],
+      rewind: [7],
+      pause: [9],
+      map: [8],
+      mute: [10],
+      navUp: [12],
+      confirm: [0],
+      back: [1]
+    }
+  },
+
+  /**
+   * Keyboard control profile
+   *
+   * Default key bindings per action, by Phaser key name. Players can rebind them in
+   * ControlsScene; the edited profile is saved under `storageKey`.
+   *
+   * @type {Object}
+   */
+  controls: {
+    /**
+     * localStorage key of the saved profile
+     *
+     * @type {string}
+     */
+    storageKey: 'time-oddity:controls',
+
+    /**
+     * Keys bound to each action; an action can have several keys, a key belongs to one action
+     *
+     * @type {Object<string, Array<string>>}
+     */
+    bindings: {
+      left: ['LEFT', 'A'],
+      right: ['RIGHT', 'D'],
+      up: ['UP', 'W', 'SPACE'],
+      down: ['DOWN', 'S'],
+      dash: ['SHIFT'],
+      chronoPulse: ['E'],
+      timeSlow: ['Q'],
+      rewind: ['R'],
+      scrub: ['F'],
+      pause: ['P'],
+      mute: ['M'],
+      map: ['T']
+    }
+  },
+
+  /**
+   * On-screen touch controls (UIScene)
+   *
+   * A virtual joystick for movement and buttons for the main actions, in 1280×720 screen
+   * coordinates for the default right-handed layout.
+   *
+   * @type {Object}
+   */
+  touch: {
+    /**
+     * 'auto' shows the controls on touch devices only; 'on' and 'off' force them
+     *
+     * @type {string}
+     */
+    mode: 'auto',
+
+    /**
+     * localStorage key of the player's touch settings (mode, opacity, layout)
+     *
+     * @type {string}
+     */
+    storageKey: 'time-oddity:touch',
+
+    /**
+     * Default opacity, and the steps the pause menu cycles through
+     *
+     * @type {number}
+     */
+    opacity: 0.5,
+    opacitySteps: [0.25, 0.5, 0.75, 1],
+
+    /**
+     * Touch pointers Phaser tracks at once (multi-touch)
+     *
+     * @type {number}
+     */
+    pointers: 4,
+
+    /**
+     * Joystick base; stick travel inside `deadzone` (0–1) is ignored
+     *
+     * @type {Object}
+     */
+    joystick: { x: 170, y: 560, radius: 90, deadzone: 0.3 },
+
+    /**
+     * Buttons and the InputManager action each one holds
+     *
+     * @type {Array<Object>}
+     */
+    buttons: [
+      { action: 'up', label: 'Jump', x: 1160, y: 600, radius: 62 },
+      { action: 'dash', label: 'Dash', x: 1025, y: 640, radius: 46 },
+      { action: 'chronoPulse', label: 'Pulse', x: 1045, y: 510, radius: 46 },
+      { action: 'rewind', label: 'Rewind', x: 1170, y: 455, radius: 46 },
+      { action: 'pause', label: 'II', x: 1120, y: 50, radius: 28 }
+    ]
+  },
+
   /**
    * Game configuration constants
    * 
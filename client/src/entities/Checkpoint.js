@@ -0,0 +1,59 @@
+/**
+ * A checkpoint flag; touching it saves where the player respawns after dying.
+ * Invariants: see `agent_docs/invariants.md` §47.
+ * Registered with TimeManager, so rewinding past the touch lowers the flag again.
+ */
+export default class Checkpoint {
+  static COLORS = ['blue', 'green', 'red', 'yellow'];
+
+  /**
+   * @param {Phaser.Physics.Arcade.Sprite} sprite The flag sprite, created by SceneFactory.
+   * @param {number} index Position of the checkpoint in the level's `checkpoints` array.
+   * @param {string} [color='green'] One of Checkpoint.COLORS; the colour the flag is raised in.
+   */
+  constructor(sprite, index, color = 'green') {
+    this.sprite = sprite;
+    this.index = index;
+    this.color = color;
+    this.isActivated = false;
+    // Respawn where the flag stands, in the same coordinates as the level's playerSpawn
+    this.spawnPoint = { x: sprite.x, y: sprite.y };
+    sprite.parentCheckpoint = this;
+  }
+
+  /**
+   * Raises the flag.
+   * @returns {boolean} True if the checkpoint was activated now.
+   */
+  activate() {
+    if (this.isActivated) return false;
+    this.isActivated = true;
+    this.applyActivated();
+    return true;
+  }
+
+  /**
+   * Shows the lowered `flag_off` frame, or the waving flag once activated.
+   */
+  applyActivated() {
+    const sprite = this.sprite;
+    if (!this.isActivated) {
+      if (sprite.anims && typeof sprite.anims.stop === 'function') sprite.anims.stop();
+      if (typeof sprite.setFrame === 'function') sprite.setFrame('flag_off');
+    } else if (typeof sprite.play === 'function') {
+      sprite.play(`flag-${this.color}`, true);
+    } else if (typeof sprite.setFrame === 'function') {
+      sprite.setFrame(`flag_${this.color}_a`);
+    }
+  }
+
+  getStateForRecording() {
+    return { isActivated: this.isActivated };
+  }
+
+  setStateFromRecording(state) {
+    if (!state || typeof state.isActivated !== 'boolean' || state.isActivated === this.isActivated) return;
+    this.isActivated = state.isActivated;
+    this.applyActivated();
+  }
+}
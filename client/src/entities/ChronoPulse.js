@@ -1,4 +1,5 @@
 import Entity from './Entity.js';
+import TimeDilation from '../systems/TimeDilation.js';
 
 /**
  * ChronoPulse - Time manipulation ability that emits a shockwave
@@ -49,7 +50,7 @@ export default class ChronoPulse extends Entity {
     }
 
     // Update activation time
-    this.lastActivationTime = this.scene.time.now;
+    this.lastActivationTime = TimeDilation.now(this.scene);
     this.isActive = true;
     
     // Create shockwave visual effect
@@ -67,7 +68,7 @@ export default class ChronoPulse extends Entity {
    */
   canActivate() {
     if (this.cooldown === 0) return true;
-    const currentTime = this.scene.time.now;
+    const currentTime = TimeDilation.now(this.scene);
     return currentTime - this.lastActivationTime >= this.cooldown;
   }
 
@@ -248,7 +249,7 @@ export default class ChronoPulse extends Entity {
    * @returns {Object} - Object with remaining cooldown time and percentage
    */
   getCooldownStatus() {
-    const currentTime = this.scene.time.now;
+    const currentTime = TimeDilation.now(this.scene);
     const timeSinceActivation = currentTime - this.lastActivationTime;
     const remainingCooldown = Math.max(0, this.cooldown - timeSinceActivation);
     const cooldownPercentage = (remainingCooldown / this.cooldown) * 100;
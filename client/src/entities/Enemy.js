@@ -1,5 +1,6 @@
 import Entity from './Entity.js';
 import StateMachine from '../systems/StateMachine.js';
+import TimeDilation from '../systems/TimeDilation.js';
 import { LEVEL_SCALE } from '../config/GameConfig.js';
 
 /**
@@ -48,6 +49,7 @@ import { LEVEL_SCALE } from '../config/GameConfig.js';
  * @property {number} moveSpeed - Current movement speed (affected by status)
  * @property {number} direction - Movement direction (1: right, -1: left)
  * @property {boolean} isFrozen - Whether the enemy is currently frozen
+ * @property {number} timeScale - Speed multiplier set by TimeSlowField (1 = normal speed)
  */
 export class Enemy extends Entity {
   /**
@@ -83,6 +85,9 @@ export class Enemy extends Entity {
     this._frozenUntil = null;
     this._freezeTimer = null;
     
+    // Local time scale (TimeSlowField)
+    this.timeScale = 1;
+    
     // Initialize state machine for AI behavior
     this.stateMachine = new StateMachine();
     
@@ -170,6 +175,20 @@ export class Enemy extends Entity {
       this.scene.events.emit('enemyDefeated', this);
     }
 
+    // Rewinding past the death lets the enemy die again; listeners hear `enemyDefeatUndone`
+    if (this.scene && this.scene.timeManager && typeof this.scene.timeManager.recordEvent === 'function') {
+      this.scene.timeManager.recordEvent('enemyDefeated', {
+        data: this,
+        undo: () => {
+          this._deathHandled = false;
+          if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+            this.scene.events.emit('enemyDefeatUndone', this);
+          }
+        },
+        redo: () => { this._deathHandled = true; }
+      });
+    }
+
     // IMPORTANT: Avoid hard-destroy so TimeManager can bring the enemy back during rewind.
     // We only soft-deactivate (invisible & inactive) to preserve reference for state recording.
     // Destruction is now handled by GC when scene shuts down.
@@ -194,7 +213,17 @@ export class Enemy extends Entity {
   move() {
     if (this.isDead() || !this.body) return;
     
-    this.body.setVelocity(this.speed * this.direction, this.body.velocity.y);
+    this.body.setVelocity(this.speed * this.direction * this.timeScale, this.body.velocity.y);
+  }
+
+  /**
+   * Scale how fast this enemy runs. Horizontal movement and the state machine
+   * delta are multiplied by the scale; gravity is left to the physics world.
+   * 
+   * @param {number} scale - Time scale (1 = normal speed)
+   */
+  setTimeScale(scale) {
+    this.timeScale = (typeof scale === 'number' && scale >= 0 && Number.isFinite(scale)) ? scale : 1;
   }
 
   /**
@@ -281,7 +310,7 @@ export class Enemy extends Entity {
     
     // Update state machine only if not frozen
     if (this.stateMachine && !this.isFrozen) {
-      this.stateMachine.update(time, delta);
+      this.stateMachine.update(time, delta * this.timeScale);
     }
   }
 
@@ -322,7 +351,7 @@ export class Enemy extends Entity {
     
     // If already frozen, only extend the duration if the new duration is longer
     if (this.isFrozen && this._frozenUntil) {
-      const newFrozenUntil = (this.scene?.time?.now || Date.now()) + duration;
+      const newFrozenUntil = (TimeDilation.now(this.scene) || Date.now()) + duration;
       if (newFrozenUntil > this._frozenUntil) {
         this._frozenUntil = newFrozenUntil;
       }
@@ -331,7 +360,7 @@ export class Enemy extends Entity {
     
     // Set freeze state
     this.isFrozen = true;
-    this._frozenUntil = (this.scene?.time?.now || Date.now()) + duration;
+    this._frozenUntil = (TimeDilation.now(this.scene) || Date.now()) + duration;
     
     // Stop movement and animation
     this.stop();
@@ -403,7 +432,6 @@ export class Enemy extends Entity {
       this.active = true;
       this.setVisible(true);
       this.visible = true;
-      this._deathHandled = false; // Allow future deaths
     } else {
       this.setActive(false);
       this.setVisible(false);
@@ -0,0 +1,101 @@
+import { LEVEL_SCALE, GameConfig } from '../config/GameConfig.js';
+
+/**
+ * GhostRunner - Translucent runner that replays the best completed run of a level.
+ *
+ * Invariants: see `agent_docs/invariants.md` §35.
+ *
+ * - Plays ghost data saved by GhostRecorder/GhostStore against world time since the level started
+ * - Uses the player's `characters` atlas animations; only reads recorded state
+ * - Plain sprite without a physics body: it never collides or overlaps anything
+ * - Not registered with TimeManager; the recorded run already contains its own rewinds
+ * - Stays at its final position once the recorded run ends
+ */
+export default class GhostRunner {
+  /**
+   * @param {Phaser.Scene} scene The scene the ghost lives in.
+   * @param {Object} ghost Ghost data (see GhostRecorder).
+   * @param {number} [startTime=0] World time the level started at.
+   */
+  constructor(scene, ghost, startTime = 0) {
+    this.scene = scene;
+    this.ghost = ghost;
+    this.startTime = startTime;
+    this.isFinished = false;
+    this.sprite = null;
+    this._segment = 0;
+
+    const first = ghost && Array.isArray(ghost.frames) ? ghost.frames[0] : null;
+    if (!first || !scene.add || typeof scene.add.sprite !== 'function') return;
+
+    const sprite = scene.add.sprite(first[1], first[2], 'characters', 'character_beige_idle');
+    this.sprite = sprite;
+    if (typeof sprite.setOrigin === 'function') sprite.setOrigin(0.5, 1);
+    if (typeof sprite.setScale === 'function') sprite.setScale(LEVEL_SCALE);
+    if (typeof sprite.setAlpha === 'function') sprite.setAlpha(GameConfig.ghost?.alpha ?? 0.35);
+    this.applyFrame(first);
+  }
+
+  /**
+   * @returns {number} Duration of the recorded run in ms.
+   */
+  get duration() {
+    return this.ghost ? this.ghost.duration : 0;
+  }
+
+  /**
+   * Moves the ghost to where the recorded run was at this world time.
+   * @param {number} time - World time.
+   */
+  update(time) {
+    if (!this.sprite || this.isFinished) return;
+    const frames = this.ghost.frames;
+    const elapsed = time - this.startTime;
+    const last = frames[frames.length - 1];
+    if (elapsed >= last[0]) {
+      this.applyFrame(last);
+      this.isFinished = true;
+      return;
+    }
+
+    while (this._segment < frames.length - 2 && frames[this._segment + 1][0] <= elapsed) {
+      this._segment++;
+    }
+    const from = frames[this._segment];
+    const to = frames[this._segment + 1] || from;
+    const span = to[0] - from[0];
+    const t = span > 0 ? Math.max(0, (elapsed - from[0]) / span) : 1;
+    this.applyFrame([
+      elapsed,
+      from[1] + (to[1] - from[1]) * t,
+      from[2] + (to[2] - from[2]) * t,
+      from[3],
+      from[4]
+    ]);
+  }
+
+  /**
+   * @param {Array<number>} frame `[t, x, y, flipX, animation]`.
+   */
+  applyFrame(frame) {
+    const sprite = this.sprite;
+    if (typeof sprite.setPosition === 'function') {
+      sprite.setPosition(frame[1], frame[2]);
+    } else {
+      sprite.x = frame[1];
+      sprite.y = frame[2];
+    }
+    if (typeof sprite.setFlipX === 'function') sprite.setFlipX(frame[3] === 1);
+    const animation = frame[4] >= 0 ? this.ghost.animations[frame[4]] : null;
+    if (animation && sprite.anims && typeof sprite.anims.play === 'function') {
+      sprite.anims.play(animation, true);
+    }
+  }
+
+  destroy() {
+    if (this.sprite && typeof this.sprite.destroy === 'function') {
+      this.sprite.destroy();
+    }
+    this.sprite = null;
+  }
+}
@@ -0,0 +1,71 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * The rules a hazard tile or saw hurts the player with.
+ * Invariants: see `agent_docs/invariants.md` §46.
+ * SceneFactory attaches one to each hazard sprite as `sprite.hazard`; Player.hitByHazard() applies it.
+ *
+ * - 'spikes': `spikes` (hurts on the lower half of the tile) and `block_spikes` (solid)
+ * - 'lava': `lava`, `lava_top`, `lava_top_low`
+ * - 'saw': `saw`, optionally moving like a MovingPlatform
+ */
+export default class Hazard {
+  static KINDS = ['spikes', 'lava', 'saw'];
+
+  /** Hazard kind of each atlas tile */
+  static TILE_KINDS = {
+    spikes: 'spikes',
+    block_spikes: 'spikes',
+    lava: 'lava',
+    lava_top: 'lava',
+    lava_top_low: 'lava',
+    saw: 'saw'
+  };
+
+  /** Tiles the player stands on instead of passing through */
+  static SOLID_TILES = ['block_spikes'];
+
+  /**
+   * Hurting part of each tile, in frame pixels from the tile's top edge
+   * (the rest of the frame is empty or, for lava, splashes above the surface)
+   */
+  static HITBOXES = {
+    spikes: { top: 32, height: 32 },
+    lava_top: { top: 16, height: 48 },
+    lava_top_low: { top: 32, height: 32 },
+    saw: { top: 8, height: 48, left: 8, width: 48 }
+  };
+
+  /**
+   * @param {string} kind One of Hazard.KINDS.
+   * @param {Object} [overrides] Level JSON fields replacing the `GameConfig.hazards[kind]` defaults.
+   * @param {number} [overrides.damage]
+   * @param {boolean} [overrides.instantKill]
+   * @param {number} [overrides.knockback]
+   * @param {number} [overrides.invulnerability]
+   * @param {boolean} [solid=false] Whether the tile also blocks the player.
+   * @throws {Error} If `kind` is not a hazard kind.
+   */
+  constructor(kind, overrides = {}, solid = false) {
+    if (!Hazard.KINDS.includes(kind)) {
+      throw new Error(`Hazard: unknown hazard kind '${kind}'`);
+    }
+    const defaults = GameConfig.hazards[kind];
+    const pick = (field, type) => (typeof overrides[field] === type ? overrides[field] : defaults[field]);
+
+    this.kind = kind;
+    this.damage = pick('damage', 'number');
+    this.instantKill = pick('instantKill', 'boolean');
+    this.knockback = pick('knockback', 'number');
+    this.invulnerability = pick('invulnerability', 'number');
+    this.solid = solid;
+  }
+
+  /**
+   * @param {string} tileKey
+   * @returns {string|null} The hazard kind of an atlas tile, or null if it is not a hazard tile.
+   */
+  static kindForTile(tileKey) {
+    return Hazard.TILE_KINDS[tileKey] || null;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * A heart lying in the level. Collecting it heals the player, or for a rare extra-life heart
+ * adds a life to the LivesCounter. Registered with TimeManager, so rewinding past the pickup
+ * puts the heart back.
+ * Invariants: see `agent_docs/invariants.md` §48.
+ */
+export default class HeartPickup {
+  /** Tint marking extra-life hearts */
+  static EXTRA_LIFE_TINT = 0xffd700;
+
+  /**
+   * @param {Phaser.Physics.Arcade.Sprite} sprite The heart sprite, created by SceneFactory.
+   * @param {Object} [options]
+   * @param {number} [options.heal=0] Health restored.
+   * @param {boolean} [options.extraLife=false] Whether the heart grants a life instead of healing.
+   */
+  constructor(sprite, { heal = 0, extraLife = false } = {}) {
+    this.sprite = sprite;
+    this.heal = heal;
+    this.extraLife = extraLife;
+    this.isCollected = false;
+    sprite.parentHeart = this;
+  }
+
+  /**
+   * Heals `player` or adds a life to `livesCounter`, then hides the heart.
+   * An extra-life heart at the most lives heals instead, so it is never wasted.
+   * @param {Player} player
+   * @param {LivesCounter} [livesCounter]
+   * @returns {boolean} True if the heart was collected now.
+   */
+  collect(player, livesCounter) {
+    if (this.isCollected) return false;
+    const gainedLife = this.extraLife && livesCounter ? livesCounter.gain() : false;
+    if (!gainedLife && typeof player.heal === 'function') {
+      player.heal(this.heal);
+    }
+    this.isCollected = true;
+    this.applyCollected();
+    return true;
+  }
+
+  /**
+   * Shows the heart and its body only while it is not collected.
+   */
+  applyCollected() {
+    const present = !this.isCollected;
+    if (typeof this.sprite.setVisible === 'function') this.sprite.setVisible(present);
+    if (typeof this.sprite.setActive === 'function') this.sprite.setActive(present);
+    if (this.sprite.body) this.sprite.body.enable = present;
+  }
+
+  getStateForRecording() {
+    return { isCollected: this.isCollected };
+  }
+
+  setStateFromRecording(state) {
+    if (!state || typeof state.isCollected !== 'boolean' || state.isCollected === this.isCollected) return;
+    this.isCollected = state.isCollected;
+    this.applyCollected();
+  }
+}
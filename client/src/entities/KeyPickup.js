@@ -0,0 +1,50 @@
+/**
+ * A coloured key lying in the level; collecting it adds it to the KeyInventory.
+ * Registered with TimeManager, so rewinding past the pickup puts the key back.
+ * Invariants: see `agent_docs/invariants.md` §44.
+ */
+export default class KeyPickup {
+  /**
+   * @param {Phaser.Physics.Arcade.Sprite} sprite The key sprite, created by SceneFactory.
+   * @param {string} color One of KeyInventory.COLORS.
+   */
+  constructor(sprite, color) {
+    this.sprite = sprite;
+    this.color = color;
+    this.isCollected = false;
+    sprite.parentKey = this;
+  }
+
+  /**
+   * Adds the key to `inventory` and hides it.
+   * @param {KeyInventory} inventory
+   * @returns {boolean} True if the key was collected now.
+   */
+  collect(inventory) {
+    if (this.isCollected) return false;
+    inventory.add(this.color);
+    this.isCollected = true;
+    this.applyCollected();
+    return true;
+  }
+
+  /**
+   * Shows the key and its body only while it is not collected.
+   */
+  applyCollected() {
+    const present = !this.isCollected;
+    if (typeof this.sprite.setVisible === 'function') this.sprite.setVisible(present);
+    if (typeof this.sprite.setActive === 'function') this.sprite.setActive(present);
+    if (this.sprite.body) this.sprite.body.enable = present;
+  }
+
+  getStateForRecording() {
+    return { isCollected: this.isCollected };
+  }
+
+  setStateFromRecording(state) {
+    if (!state || typeof state.isCollected !== 'boolean' || state.isCollected === this.isCollected) return;
+    this.isCollected = state.isCollected;
+    this.applyCollected();
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * A solid lock block or door that a key of its colour opens.
+ * Registered with TimeManager, so rewinding past the unlock closes it again.
+ * Invariants: see `agent_docs/invariants.md` §44.
+ *
+ * - 'lock': one `lock_<color>` tile that disappears when opened
+ * - 'door': `door_closed` with `door_closed_top` above it, tinted with the key colour;
+ *   opening swaps to the `door_open` frames and turns the bodies off
+ */
+export default class LockBlock {
+  static KINDS = ['lock', 'door'];
+
+  /**
+   * @param {Array<Phaser.Physics.Arcade.Sprite>} sprites The block's tiles, created by SceneFactory.
+   *   Each may carry `closedFrame` / `openFrame`; tiles without an `openFrame` are hidden when open.
+   * @param {string|null} color One of KeyInventory.COLORS, or null for a door only a trigger opens.
+   * @param {string} [kind='lock'] One of LockBlock.KINDS.
+   */
+  constructor(sprites, color, kind = 'lock') {
+    this.sprites = sprites;
+    this.color = color;
+    this.kind = kind;
+    this.isUnlocked = false;
+    sprites.forEach(sprite => {
+      sprite.parentLock = this;
+    });
+  }
+
+  /**
+   * Opens the block.
+   * @returns {boolean} True if it was locked.
+   */
+  unlock() {
+    return this.setUnlocked(true);
+  }
+
+  /**
+   * Opens or closes the block; trigger-driven doors close again.
+   * @param {boolean} isUnlocked
+   * @returns {boolean} True if the state changed.
+   */
+  setUnlocked(isUnlocked) {
+    if (isUnlocked === this.isUnlocked) return false;
+    this.isUnlocked = isUnlocked;
+    this.applyUnlocked();
+    return true;
+  }
+
+  /**
+   * Sets each tile's frame, visibility and body for the current lock state.
+   */
+  applyUnlocked() {
+    const open = this.isUnlocked;
+    this.sprites.forEach(sprite => {
+      const frame = open ? sprite.openFrame : sprite.closedFrame;
+      if (frame && typeof sprite.setFrame === 'function') sprite.setFrame(frame);
+      const visible = !open || Boolean(sprite.openFrame);
+      if (typeof sprite.setVisible === 'function') sprite.setVisible(visible);
+      if (sprite.body) sprite.body.enable = !open;
+    });
+  }
+
+  getStateForRecording() {
+    return { isUnlocked: this.isUnlocked };
+  }
+
+  setStateFromRecording(state) {
+    if (!state || typeof state.isUnlocked !== 'boolean' || state.isUnlocked === this.isUnlocked) return;
+    this.isUnlocked = state.isUnlocked;
+    this.applyUnlocked();
+  }
+}
@@ -14,6 +14,11 @@ import { LEVEL_SCALE } from '../config/GameConfig.js';
  * - Implements getStateForRecording/setStateFromRecording for TimeManager
  * - All movement calculations are deterministic for perfect time reversal
  * 
+ * Time Scale:
+ * - setTimeScale(scale) is driven by TimeSlowField
+ * - Movement is velocity-based, so the scale multiplies the target velocity and
+ *   the delta used for circular motion; it is not part of the recorded state
+ * 
  * Movement Types:
  * - linear: Move between two points with bounce or loop behavior
  * - circular: Move in circular paths with configurable radius and center
@@ -138,6 +143,7 @@ export default class MovingPlatform extends Entity {
     this.isMoving = false;
     this.direction = 1; // 1 = forward, -1 = backward
     this.autoStart = movementConfig.autoStart || false;
+    this.timeScale = 1; // Local time scale (TimeSlowField)
     
     // Linear movement properties
     this.startX = movementConfig.startX !== undefined ? movementConfig.startX : x;
@@ -290,8 +296,8 @@ export default class MovingPlatform extends Entity {
     const distance = Math.sqrt(dx * dx + dy * dy);
     
     if (distance > 0) {
-      const velocityX = (dx / distance) * this.speed;
-      const velocityY = (dy / distance) * this.speed;
+      const velocityX = (dx / distance) * this.speed * this.timeScale;
+      const velocityY = (dy / distance) * this.speed * this.timeScale;
       
       if (this.body) {
         // Check if this is purely horizontal or vertical movement
@@ -313,6 +319,20 @@ export default class MovingPlatform extends Entity {
     }
   }
   
+  /**
+   * Scale how fast the platform moves (1 = normal speed).
+   * A platform travelling to a target is re-aimed so its velocity picks up the new scale.
+   * @param {number} scale - Time scale
+   */
+  setTimeScale(scale) {
+    const next = (typeof scale === 'number' && scale >= 0 && Number.isFinite(scale)) ? scale : 1;
+    if (next === this.timeScale) return;
+    this.timeScale = next;
+    if (this.isMoving && this.isMovingToTarget) {
+      this.moveToTarget(this.targetX, this.targetY);
+    }
+  }
+  
   /**
    * Alias for moveToTarget to maintain backward compatibility
    * @param {number} x - Target X coordinate
@@ -587,7 +607,7 @@ export default class MovingPlatform extends Entity {
       const oldY = this.y;
       
       // Execute movement using the existing updateMovement method for compatibility
-      this.updateMovement(delta);
+      this.updateMovement(delta * this.timeScale);
     }
     
     // Calculate frame delta (current frame's movement only)
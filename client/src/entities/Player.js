@@ -5,10 +5,17 @@ import RunState from './states/RunState.js';
 import JumpState from './states/JumpState.js';
 import FallState from './states/FallState.js';
 import DashState from './states/DashState.js';
+import WallSlideState from './states/WallSlideState.js';
+import WallJumpState from './states/WallJumpState.js';
+import ClimbState from './states/ClimbState.js';
+import SwimState from './states/SwimState.js';
 import ObjectPool from '../systems/ObjectPool.js';
+import TimeDilation from '../systems/TimeDilation.js';
+import PlayerAbilities from '../systems/PlayerAbilities.js';
 import ChronoPulse from './ChronoPulse.js';
+import TimeSlowField from './TimeSlowField.js';
 import gsap from 'gsap';
-import { LEVEL_SCALE } from '../config/GameConfig.js';
+import { LEVEL_SCALE, GameConfig } from '../config/GameConfig.js';
 
 /**
  * Player entity.
@@ -53,8 +60,39 @@ import { LEVEL_SCALE } from '../config/GameConfig.js';
  *   • Updates position with player movement
  *   • Managed by TimeManager for rewind
  *   • Interacts with CollisionManager for enemy detection
+ * 
+ * TimeSlowField Ability:
+ * - Configuration: GameConfig.timeSlow (cooldown, duration, range, slowFactor)
+ * - Activated with Q; slows enemies and moving platforms near the player
+ * - Follows the player and is updated from Player.update()
+ * - Registered with TimeManager by GameScene
+ *
+ * Wall Slide / Wall Jump:
+ * - Configuration: GameConfig.wall (slideSpeed, jumpVelocityX, jumpVelocityY, inputLockout)
+ * - FallState enters 'wallSlide' while body.blocked.left/right; jumping from it enters 'wallJump'
+ * - The state name, wallSide and the time left on the wall-jump lockout are recorded for rewind
+ *
+ * Coyote Time / Jump Buffer:
+ * - Configuration: GameConfig.jump (coyoteTime, bufferTime)
+ * - updateJumpAssist() runs before the state machine each tick
+ *
+ * Abilities:
+ * - this.abilities (PlayerAbilities): double jump, air-dash charges and long dash
+ * - Air charges refill on landing and are recorded for rewind
+ *
+ * Climbing:
+ * - Configuration: GameConfig.climb (speed, regrabDelay)
+ * - Holding up over a tile in scene.climbables enters 'climb' from idle, jump or fall
+ *
+ * Swimming:
+ * - Configuration: GameConfig.water (buoyancy, drag, breath, ...)
+ * - updateWater() runs before the state machine: it enters 'swim' inside scene.waterVolumes,
+ *   plays splashes and drains or refills breath, which is recorded for rewind
  */
 export default class Player extends Entity {
+  /** States kept through the end of a rewind instead of being reset to idle/run */
+  static WALL_STATES = ['wallSlide', 'wallJump'];
+
   constructor(scene, x, y, texture, frame, health = 100, mockScene = null) {
     super(scene, x, y, texture, frame, health, mockScene);
     
@@ -85,6 +123,25 @@ export default class Player extends Entity {
     this.dashTimer = 0;
     this.canDash = true;
     this.isDashing = false;
+    this.baseDashDuration = this.dashDuration;
+
+    // Unlocked upgrades and their air charges; GameScene loads the save slot's abilities
+    this.abilities = new PlayerAbilities();
+
+    // Wall slide / wall jump (GameConfig.wall)
+    this.wallSide = 0; // -1 = wall on the left, 1 = on the right, 0 = none
+    this.wallJumpLockUntil = 0; // absolute time when horizontal input is read again
+
+    // Climbing (GameConfig.climb)
+    this.climbLockUntil = 0; // absolute time when a climbable can be grabbed again
+
+    // Swimming (GameConfig.water)
+    this.inWater = false; // body centre inside a water volume as of the last updateWater()
+    this.breath = GameConfig.water.breathDuration; // ms of breath left
+
+    // Coyote time / jump buffer (GameConfig.jump)
+    this.lastGroundedTime = -Infinity; // world time the player was last on the floor
+    this.jumpBufferedUntil = -Infinity; // world time until which a jump press still counts
 
     // Ghost trail properties
     this.ghostPool = null;
@@ -93,6 +150,15 @@ export default class Player extends Entity {
     // Create ChronoPulse ability with expanded range for testing
     this.chronoPulse = new ChronoPulse(scene, x, y, { cooldown: 3000, range: 300 * LEVEL_SCALE, duration: 2000 }, gsap);
 
+    // Create the time-slow field ability
+    const timeSlowConfig = GameConfig.timeSlow;
+    this.timeSlowField = new TimeSlowField(scene, x, y, {
+      cooldown: timeSlowConfig.cooldown,
+      duration: timeSlowConfig.duration,
+      range: timeSlowConfig.range * LEVEL_SCALE,
+      slowFactor: timeSlowConfig.slowFactor
+    }, gsap);
+
     // State Machine Setup
     this.stateMachine = new StateMachine();
     this.stateMachine
@@ -100,7 +166,11 @@ export default class Player extends Entity {
       .addState('run', new RunState(this))
       .addState('jump', new JumpState(this))
       .addState('fall', new FallState(this))
-      .addState('dash', new DashState(this));
+      .addState('dash', new DashState(this))
+      .addState('wallSlide', new WallSlideState(this))
+      .addState('wallJump', new WallJumpState(this))
+      .addState('climb', new ClimbState(this))
+      .addState('swim', new SwimState(this));
       
     this.stateMachine.setState('idle');
 
@@ -213,10 +283,10 @@ export default class Player extends Entity {
     let justEndedRewind = false;
     if (this._wasRewinding && !isRewinding) {
       justEndedRewind = true;
-      if (this.inputManager) {
-        const left = this.inputManager.left && this.inputManager.left.isDown;
-        const right = this.inputManager.right && this.inputManager.right.isDown;
-        if (left || right) {
+      // A wall state restored by the rewind carries on
+      if (this.inputManager && !Player.WALL_STATES.includes(this.stateMachine.currentStateName)) {
+        // Read through the getters so replays see the recorded input
+        if (this.inputManager.isLeftPressed || this.inputManager.isRightPressed) {
           this.stateMachine.setState('run');
         } else {
           this.stateMachine.setState('idle');
@@ -239,12 +309,14 @@ export default class Player extends Entity {
     }
 
     // Update invulnerability timer
-    if (this.isInvulnerable && this.scene.time && this.scene.time.now >= this.invulnerabilityTimer) {
+    if (this.isInvulnerable && this.scene.time && TimeDilation.now(this.scene) >= this.invulnerabilityTimer) {
       this.isInvulnerable = false;
       this.stopBlinkingEffect();
     }
 
     if (this.inputManager) {
+      this.updateJumpAssist();
+      this.updateWater(delta);
       this.stateMachine.update(time, delta);
       
       // Update ChronoPulse position to follow player
@@ -258,18 +330,224 @@ export default class Player extends Entity {
         const activated = this.chronoPulse.activate();
         console.log('[Player] Chrono Pulse activation result:', activated);
       }
+
+      // Time-slow field follows the player and refreshes which targets it slows
+      if (this.timeSlowField) {
+        if (typeof this.timeSlowField.setPosition === 'function') {
+          this.timeSlowField.setPosition(this.x, this.y);
+        } else {
+          this.timeSlowField.x = this.x;
+          this.timeSlowField.y = this.y;
+        }
+        if (this.inputManager.isTimeSlowJustPressed) {
+          this.timeSlowField.activate();
+        }
+        this.timeSlowField.update(time, delta);
+      }
     }
   }
 
   // Testing helper method to simulate DashState.execute() cooldown logic
   simulateDashStateExecute() {
-    const now = this.scene.time.now;
+    const now = TimeDilation.now(this.scene);
     // Cooldown check: allow dash again after timer expires
     if (now >= this.dashTimer) {
       this.canDash = true;
     }
   }
 
+  /**
+   * @returns {number} -1 if a wall blocks the body on the left, 1 on the right, 0 otherwise.
+   */
+  getWallSide() {
+    const blocked = this.body && this.body.blocked;
+    if (!blocked) return 0;
+    if (blocked.left) return -1;
+    if (blocked.right) return 1;
+    return 0;
+  }
+
+  /**
+   * @returns {boolean} True while horizontal input is ignored after a wall jump.
+   */
+  isWallJumpLocked() {
+    return TimeDilation.now(this.scene) < this.wallJumpLockUntil;
+  }
+
+  /**
+   * @returns {Phaser.GameObjects.Sprite|null} The climbable tile under the body centre, if any.
+   */
+  getClimbable() {
+    const climbables = this.scene && this.scene.climbables;
+    if (!climbables || typeof climbables.getChildren !== 'function' || !this.body || !this.body.center) {
+      return null;
+    }
+    const { x, y } = this.body.center;
+    return climbables.getChildren().find(tile => tile.active !== false &&
+      x >= tile.x && x < tile.x + tile.displayWidth &&
+      y >= tile.y && y < tile.y + tile.displayHeight) || null;
+  }
+
+  /**
+   * @param {Phaser.GameObjects.Sprite} climbable - A tile in scene.climbables.
+   * @returns {Phaser.GameObjects.Sprite} The top tile of the column `climbable` belongs to.
+   */
+  getClimbableTop(climbable) {
+    const tiles = this.scene.climbables.getChildren();
+    let top = climbable;
+    let above = null;
+    do {
+      const current = top;
+      above = tiles.find(tile => tile.active !== false && tile.x === current.x &&
+        Math.abs(tile.y + tile.displayHeight - current.y) < 1);
+      if (above) top = above;
+    } while (above);
+    return top;
+  }
+
+  /**
+   * @returns {boolean} True while the player just let go of a climbable and cannot grab one.
+   */
+  isClimbLocked() {
+    return TimeDilation.now(this.scene) < this.climbLockUntil;
+  }
+
+  /**
+   * Up held with no horizontal input over a climbable grabs it.
+   * @returns {boolean} True if the player should enter the climb state.
+   */
+  canStartClimb() {
+    const input = this.inputManager;
+    if (!input || !input.isUpPressed || input.isLeftPressed || input.isRightPressed) return false;
+    return !this.isClimbLocked() && this.getClimbable() !== null;
+  }
+
+  /**
+   * @param {number} x - World x.
+   * @param {number} y - World y.
+   * @returns {Object|null} The water volume in scene.waterVolumes containing the point, if any.
+   */
+  getWaterVolumeAt(x, y) {
+    const volumes = this.scene && this.scene.waterVolumes;
+    if (!Array.isArray(volumes)) return null;
+    return volumes.find(volume => x >= volume.x && x < volume.x + volume.width &&
+      y >= volume.y && y < volume.y + volume.height) || null;
+  }
+
+  /**
+   * @returns {boolean} True if the body centre is in water.
+   */
+  isInWater() {
+    if (!this.body || !this.body.center) return false;
+    return this.getWaterVolumeAt(this.body.center.x, this.body.center.y) !== null;
+  }
+
+  /**
+   * @returns {boolean} True if the top of the body is in water, so breath drains.
+   */
+  isHeadUnderwater() {
+    if (!this.body || !this.body.center) return false;
+    return this.getWaterVolumeAt(this.body.center.x, this.body.y) !== null;
+  }
+
+  /**
+   * Enters the swim state in water, splashes on crossing the surface and drains or
+   * refills breath. Runs every tick before the state machine.
+   * @param {number} delta - World delta in ms.
+   */
+  updateWater(delta) {
+    const water = GameConfig.water;
+    const inWater = this.isInWater();
+    if (inWater !== this.inWater) {
+      this.inWater = inWater;
+      const speed = this.body && this.body.velocity ? Math.abs(this.body.velocity.y) : 0;
+      if (speed >= water.splashMinSpeed * LEVEL_SCALE && this.scene.audioManager) {
+        this.scene.audioManager.playSfx('splash');
+      }
+    }
+    if (inWater && this.stateMachine.currentStateName !== 'swim' && !this.isDashing) {
+      this.stateMachine.setState('swim');
+    }
+
+    const elapsed = typeof delta === 'number' ? delta : 0;
+    if (inWater && this.isHeadUnderwater()) {
+      this.breath = Math.max(0, this.breath - elapsed);
+      // Drowning damage lands each time invulnerability runs out
+      if (this.breath === 0 && !this.isInvulnerable) {
+        this.takeDamage(water.drowningDamage);
+      }
+    } else {
+      this.breath = Math.min(water.breathDuration, this.breath + elapsed * water.breathRefillRate);
+    }
+  }
+
+  /**
+   * Records when the player was last on the floor and buffers jump presses.
+   * Runs every tick before the state machine.
+   */
+  updateJumpAssist() {
+    const now = TimeDilation.now(this.scene);
+    // isOnFloorEnhanced() also counts moving platforms, so stepping off one starts coyote time too
+    if (this.isOnFloorEnhanced()) {
+      this.lastGroundedTime = now;
+      if (this.abilities) this.abilities.refill();
+    }
+    if (this.inputManager && this.inputManager.isJumpJustPressed) {
+      this.jumpBufferedUntil = now + GameConfig.jump.bufferTime;
+    }
+  }
+
+  /**
+   * @returns {boolean} True while a jump is still allowed after leaving the ground.
+   */
+  canCoyoteJump() {
+    return TimeDilation.now(this.scene) - this.lastGroundedTime <= GameConfig.jump.coyoteTime;
+  }
+
+  /**
+   * Reports and clears a buffered jump press.
+   * @returns {boolean} True if jump was pressed within the last `GameConfig.jump.bufferTime` ms.
+   */
+  consumeJumpBuffer() {
+    if (TimeDilation.now(this.scene) > this.jumpBufferedUntil) return false;
+    this.jumpBufferedUntil = -Infinity;
+    return true;
+  }
+
+  /**
+   * Replaces the unlocked abilities (e.g. with a loaded save slot) and applies them.
+   * @param {PlayerAbilities} abilities
+   */
+  setAbilities(abilities) {
+    this.abilities = abilities;
+    this.applyAbilities();
+  }
+
+  /**
+   * Applies passive upgrades; call after unlocking an ability.
+   */
+  applyAbilities() {
+    this.dashDuration = this.baseDashDuration * (this.abilities ? this.abilities.dashDurationMultiplier : 1);
+  }
+
+  /**
+   * Spends a buffered jump press and an air jump charge, if both are available.
+   * @returns {boolean} True if the player should jump again in mid-air.
+   */
+  tryAirJump() {
+    if (!this.abilities || this.abilities.airJumps <= 0 || !this.consumeJumpBuffer()) return false;
+    return this.abilities.spendAirJump();
+  }
+
+  /**
+   * Dashing on the ground is free; in the air it spends an air dash charge.
+   * @returns {boolean} True if the dash may start.
+   */
+  spendAirDash() {
+    if (!this.abilities || this.isOnFloorEnhanced()) return true;
+    return this.abilities.spendAirDash();
+  }
+
   /**
    * Enhanced floor detection for moving platform stability.
    * This method provides more reliable floor detection when standing on moving platforms
@@ -308,7 +586,7 @@ export default class Player extends Entity {
     // Check if player is invulnerable
     if (this.isInvulnerable) {
       // Reset invulnerability timer even when damage is ignored
-      this.invulnerabilityTimer = (this.scene.time?.now || 0) + this.invulnerabilityDuration;
+      this.invulnerabilityTimer = TimeDilation.now(this.scene) + this.invulnerabilityDuration;
       // Restart blinking effect
       this.stopBlinkingEffect();
       this.startBlinkingEffect();
@@ -320,7 +598,7 @@ export default class Player extends Entity {
       this.heal(-amount);
       // Still set invulnerability even for healing
       this.isInvulnerable = true;
-      this.invulnerabilityTimer = (this.scene.time?.now || 0) + this.invulnerabilityDuration;
+      this.invulnerabilityTimer = TimeDilation.now(this.scene) + this.invulnerabilityDuration;
       this.stopBlinkingEffect();
       this.startBlinkingEffect();
       return false;
@@ -331,7 +609,7 @@ export default class Player extends Entity {
 
     // Set invulnerability state
     this.isInvulnerable = true;
-    this.invulnerabilityTimer = (this.scene.time?.now || 0) + this.invulnerabilityDuration;
+    this.invulnerabilityTimer = TimeDilation.now(this.scene) + this.invulnerabilityDuration;
     this.stopBlinkingEffect();
     this.startBlinkingEffect();
 
@@ -350,6 +628,13 @@ export default class Player extends Entity {
       if (!isRewinding && !this._deathEventEmitted) {
         this.scene.events.emit('playerDied', { player: this });
         this._deathEventEmitted = true;
+        // Rewinding past the death lets the player die again
+        if (this.scene.timeManager && typeof this.scene.timeManager.recordEvent === 'function') {
+          this.scene.timeManager.recordEvent('playerDied', {
+            undo: () => { this._deathEventEmitted = false; },
+            redo: () => { this._deathEventEmitted = true; }
+          });
+        }
       }
     }
 
@@ -374,6 +659,68 @@ export default class Player extends Entity {
     return isDead;
   }
 
+  /**
+   * Applies a hazard's rules. Instant kills ignore invulnerability;
+   * other hazards do nothing while invulnerable, so standing on spikes does not keep
+   * extending the invulnerability window the way repeated takeDamage() calls would.
+   * @param {Hazard} hazard - Rules from the hazard sprite.
+   * @param {Phaser.GameObjects.Sprite} [source] - The hazard sprite; knockback pushes away from it.
+   * @returns {boolean} True if the hazard hurt the player.
+   */
+  hitByHazard(hazard, source = null) {
+    if (!hazard || this.health <= 0) return false;
+
+    if (hazard.instantKill) {
+      this.isInvulnerable = false;
+      this.takeDamage(this.health);
+      return true;
+    }
+    if (this.isInvulnerable) return false;
+
+    this.takeDamage(hazard.damage);
+    this.invulnerabilityTimer = TimeDilation.now(this.scene) + hazard.invulnerability;
+
+    if (hazard.knockback > 0 && this.body && this.health > 0) {
+      const sourceX = source && source.body && source.body.center ? source.body.center.x : this.x;
+      const playerX = this.body.center ? this.body.center.x : this.x;
+      const direction = playerX < sourceX ? -1 : 1;
+      const speed = hazard.knockback * LEVEL_SCALE;
+      this.body.setVelocity(direction * speed, -speed);
+      // Knockback interrupts climbing and dashing; swimming handles its own motion
+      if (this.stateMachine && this.stateMachine.currentStateName !== 'swim') {
+        this.stateMachine.setState('fall');
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Brings the player back to life at a checkpoint, standing still,
+   * with `health` and a fresh invulnerability window.
+   * @param {number} x - Respawn x position.
+   * @param {number} y - Respawn y position.
+   * @param {number} health - Health saved at the checkpoint.
+   */
+  respawn(x, y, health) {
+    this.x = x;
+    this.y = y;
+    if (this.body && typeof this.body.setVelocity === 'function') {
+      this.body.setVelocity(0, 0);
+    }
+    this.health = Math.max(1, Math.min(this.maxHealth, health));
+    this.active = true;
+    this.visible = true;
+    this._deathEventEmitted = false;
+
+    this.isInvulnerable = true;
+    this.invulnerabilityTimer = TimeDilation.now(this.scene) + this.invulnerabilityDuration;
+    this.stopBlinkingEffect();
+    this.startBlinkingEffect();
+    if (this.stateMachine) {
+      this.stateMachine.setState('idle');
+    }
+  }
+
   /**
    * Custom state recording for TimeManager (invulnerability compatibility)
    */
@@ -389,7 +736,14 @@ export default class Player extends Entity {
       health: this.health,
       isInvulnerable: this.isInvulnerable,
       invulnerabilityTimer: this.invulnerabilityTimer,
-      _deathEventEmitted: this._deathEventEmitted
+      stateName: this.stateMachine?.currentStateName || null,
+      wallSide: this.wallSide,
+      // Relative, like TimeSlowField: the clock keeps running while the timeline is rewound
+      wallJumpLockRemaining: Math.max(0, this.wallJumpLockUntil - TimeDilation.now(this.scene)),
+      airJumps: this.abilities ? this.abilities.airJumps : 0,
+      airDashes: this.abilities ? this.abilities.airDashes : 0,
+      inWater: this.inWater,
+      breath: this.breath
     };
   }
 
@@ -406,16 +760,37 @@ export default class Player extends Entity {
     this.active = state.isAlive;
     this.visible = state.isVisible;
     if (state.health !== undefined) {
-      // If health is restored above 0, reset death event emission flag
-      if (this.health <= 0 && state.health > 0) {
-        this._deathEventEmitted = false;
-      }
       this.health = Math.max(0, state.health);
     }
     this.isInvulnerable = state.isInvulnerable;
     this.invulnerabilityTimer = state.invulnerabilityTimer;
-    if (typeof state._deathEventEmitted !== 'undefined') {
-      this._deathEventEmitted = state._deathEventEmitted;
+    if (this.abilities && state.airJumps !== undefined) {
+      this.abilities.setCharges(state);
+    }
+    if (state.breath !== undefined) {
+      this.breath = state.breath;
+      this.inWater = state.inWater;
+    }
+    if (state.wallSide !== undefined) {
+      this.wallSide = state.wallSide;
+      this.wallJumpLockUntil = TimeDilation.now(this.scene) + (state.wallJumpLockRemaining || 0);
+    }
+    // Wall states are restored without enter(), which would start a new slide or jump;
+    // rewinding out of one leaves the player falling until the rewind ends
+    const stateMachine = this.stateMachine;
+    if (stateMachine && stateMachine.states) {
+      const isWallState = Player.WALL_STATES.includes(state.stateName);
+      if (isWallState || Player.WALL_STATES.includes(stateMachine.currentStateName)) {
+        const name = isWallState ? state.stateName : 'fall';
+        const next = stateMachine.states.get(name);
+        // exit() still runs, so leaving a climb turns gravity back on
+        const previous = stateMachine.currentState;
+        if (previous && previous !== next && typeof previous.exit === 'function') {
+          previous.exit();
+        }
+        stateMachine.currentState = next;
+        stateMachine.currentStateName = name;
+      }
     }
   }
 
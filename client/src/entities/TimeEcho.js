@@ -0,0 +1,178 @@
+import { LEVEL_SCALE, GameConfig } from '../config/GameConfig.js';
+
+/**
+ * TimeEcho - Translucent copy of the player that replays the future abandoned by a rewind.
+ *
+ * Invariants: see `agent_docs/invariants.md` §27.
+ *
+ * Lifecycle:
+ * - GameScene creates an echo from the frames in a `timelineAbandoned` event
+ * - The echo borrows a sprite from the player's dash ghost `ObjectPool` and replays the
+ *   recorded `Player.getStateForRecording()` positions at their original pace
+ * - The echo has an arcade body so it can overlap enemies and pressure switches
+ * - It ends when the recording runs out, when the recorded player died, or when an enemy hits it;
+ *   the sprite is then returned to the pool
+ * - Echoes are not registered with TimeManager and hold still while rewinding
+ */
+export default class TimeEcho {
+  /**
+   * Extracts the player's recorded states from full TimeManager frames.
+   * The track stops at the first frame where the recorded player is no longer alive.
+   * @param {Array<Object>} frames Full frames, oldest first.
+   * @param {Object} player The recorded target.
+   * @returns {Array<{timestamp:number, state:Object}>}
+   */
+  static trackFromFrames(frames, player) {
+    const track = [];
+    if (!Array.isArray(frames)) return track;
+    for (const frame of frames) {
+      const record = frame && Array.isArray(frame.states) ? frame.states.find(r => r.target === player) : null;
+      if (!record || !record.state) continue;
+      track.push({ timestamp: frame.timestamp, state: record.state });
+      if (record.state.isAlive === false) break;
+    }
+    return track;
+  }
+
+  /**
+   * @param {Phaser.Scene} scene The scene the echo lives in.
+   * @param {Player} player The player whose ghost pool and texture are used.
+   * @param {Array<{timestamp:number, state:Object}>} track Recorded states, oldest first (see trackFromFrames).
+   * @param {Phaser.Physics.Arcade.Group} [group=null] Physics group the echo sprite joins while replaying.
+   */
+  constructor(scene, player, track, group = null) {
+    this.scene = scene;
+    this.player = player;
+    this.track = Array.isArray(track) ? track : [];
+    this.group = group;
+    this.elapsed = 0;
+    this.duration = this.track.length > 1 ? this.track[this.track.length - 1].timestamp - this.track[0].timestamp : 0;
+    this.isActive = false;
+    this.sprite = null;
+    this._segment = 0;
+
+    if (this.track.length === 0 || !player || !player.ghostPool) return;
+
+    const sprite = player.ghostPool.get();
+    if (!sprite) return;
+    this.sprite = sprite;
+    this.isActive = true;
+
+    if (player.texture && typeof sprite.setTexture === 'function') sprite.setTexture(player.texture.key);
+    if (typeof sprite.setOrigin === 'function') sprite.setOrigin(0.5, 1);
+    if (typeof sprite.setScale === 'function') sprite.setScale(LEVEL_SCALE);
+    if (typeof sprite.setAlpha === 'function') sprite.setAlpha(GameConfig.rewind?.echoAlpha ?? 0.45);
+    if (typeof sprite.setTint === 'function') sprite.setTint(0x88ccff);
+    sprite.timeEcho = this;
+
+    // Physics body so enemies and switches can detect the echo
+    if (group && typeof group.add === 'function') {
+      group.add(sprite);
+    } else if (!sprite.body && scene.physics && scene.physics.add && typeof scene.physics.add.existing === 'function') {
+      scene.physics.add.existing(sprite);
+    }
+    if (sprite.body) {
+      if (sprite.body.enable === false && scene.physics && scene.physics.world && typeof scene.physics.world.enableBody === 'function') {
+        scene.physics.world.enableBody(sprite);
+      }
+      if (typeof sprite.body.setAllowGravity === 'function') sprite.body.setAllowGravity(false);
+      if (typeof sprite.body.setSize === 'function') sprite.body.setSize(sprite.width * 0.5, sprite.height * 0.7);
+      if (typeof sprite.body.setOffset === 'function') sprite.body.setOffset(sprite.width * 0.25, sprite.height * 0.3);
+    }
+
+    this.applyState(this.track[0].state);
+    this._emit('timeEchoStarted');
+  }
+
+  /**
+   * Advances the replay. Does nothing while the scene is rewinding.
+   * @param {number} time - The current time.
+   * @param {number} delta - The delta time in ms since the last frame.
+   */
+  update(time, delta) {
+    if (!this.isActive) return;
+    if (this.scene.timeManager && this.scene.timeManager.isRewinding) return;
+
+    this.elapsed += delta;
+    if (this.elapsed >= this.duration) {
+      this.applyState(this.track[this.track.length - 1].state);
+      this.finish('completed');
+      return;
+    }
+
+    const target = this.track[0].timestamp + this.elapsed;
+    while (this._segment < this.track.length - 2 && this.track[this._segment + 1].timestamp <= target) {
+      this._segment++;
+    }
+    const from = this.track[this._segment];
+    const to = this.track[this._segment + 1];
+    const span = to.timestamp - from.timestamp;
+    const t = span > 0 ? (target - from.timestamp) / span : 1;
+    this.applyState({
+      ...from.state,
+      x: from.state.x + (to.state.x - from.state.x) * t,
+      y: from.state.y + (to.state.y - from.state.y) * t
+    });
+  }
+
+  /**
+   * Moves the echo sprite to a recorded player state.
+   * @param {Object} state A `Player.getStateForRecording()` state.
+   */
+  applyState(state) {
+    const sprite = this.sprite;
+    if (!sprite || !state) return;
+    if (typeof sprite.setPosition === 'function') {
+      sprite.setPosition(state.x, state.y);
+    } else {
+      sprite.x = state.x;
+      sprite.y = state.y;
+    }
+    if (state.velocityX && typeof sprite.setFlipX === 'function') {
+      sprite.setFlipX(state.velocityX < 0);
+    }
+    if (state.animation && sprite.anims && typeof sprite.anims.play === 'function') {
+      sprite.anims.play(state.animation, true);
+    }
+  }
+
+  /**
+   * Called when an unfrozen enemy touches the echo. The echo absorbs the hit and ends.
+   * @param {Enemy} enemy The enemy that hit the echo.
+   */
+  takeHit(enemy) {
+    if (!this.isActive) return;
+    this._emit('timeEchoHit', { echo: this, enemy });
+    this.finish('hit');
+  }
+
+  /**
+   * Ends the replay and returns the sprite to the ghost pool.
+   * @param {string} [reason='completed'] 'completed', 'hit' or 'replaced'.
+   */
+  finish(reason = 'completed') {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    const sprite = this.sprite;
+    if (sprite) {
+      if (this.group && typeof this.group.remove === 'function') {
+        this.group.remove(sprite);
+      }
+      if (sprite.body) sprite.body.enable = false;
+      if (typeof sprite.clearTint === 'function') sprite.clearTint();
+      if (sprite.anims && typeof sprite.anims.stop === 'function') sprite.anims.stop();
+      sprite.timeEcho = null;
+      if (this.player && this.player.ghostPool) {
+        this.player.ghostPool.release(sprite);
+      }
+    }
+    this._emit('timeEchoEnded', { echo: this, reason });
+  }
+
+  _emit(eventName, payload = { echo: this }) {
+    if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit(eventName, payload);
+    }
+  }
+}
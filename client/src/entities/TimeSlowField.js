@@ -0,0 +1,293 @@
+import Entity from './Entity.js';
+import TimeDilation from '../systems/TimeDilation.js';
+
+/**
+ * TimeSlowField - Time manipulation ability that slows everything near the player
+ * Extends Entity to provide common functionality and physics integration
+ *
+ * Unlike ChronoPulse, which freezes enemies outright, the field keeps a bubble
+ * around the player for `duration` ms. Every frame, targets inside the bubble get
+ * `setTimeScale(slowFactor)` and targets that left it get `setTimeScale(1)`.
+ * Targets are the children of `scene.enemies`, `scene.platforms` and `scene.hazards`
+ * (moving saws) that implement `setTimeScale()`; each target scales its own movement
+ * and update delta.
+ *
+ * Time-slow field ability.
+ * Invariants: see `agent_docs/invariants.md` §29.
+ */
+export default class TimeSlowField extends Entity {
+  constructor(scene, x, y, config = {}, gsapLib) {
+    // Use a placeholder texture for the entity base
+    super(scene, x, y, 'placeholder', 0, 100);
+
+    // Make the entity invisible since it's just a container for the ability
+    this.setVisible(false);
+    // The field follows the player; it must not fall on its own
+    if (this.body && typeof this.body.setAllowGravity === 'function') {
+      this.body.setAllowGravity(false);
+    }
+
+    // Ability configuration with defaults
+    this.cooldown = config.cooldown !== undefined ? config.cooldown : 6000;
+    this.range = config.range || 125; // Radius in pixels
+    this.duration = config.duration || 4000;
+    this.slowFactor = config.slowFactor || 0.35;
+
+    // Cooldown and lifetime tracking (absolute world times)
+    this.lastActivationTime = -Infinity;
+    this.activeUntil = 0;
+    this.isSlowing = false;
+
+    // Targets currently slowed by this field
+    this.affectedTargets = new Set();
+
+    // Bubble graphics and its pulsing tween
+    this.bubbleGraphics = null;
+    this.bubbleTween = null;
+
+    this.gsapLib = gsapLib || null;
+  }
+
+  /**
+   * Activate the time-slow field
+   * @returns {boolean} - True if the field was raised, false if on cooldown or already up
+   */
+  activate() {
+    if (this.isSlowing || !this.canActivate()) {
+      return false;
+    }
+
+    const now = TimeDilation.now(this.scene);
+    this.lastActivationTime = now;
+    this.activeUntil = now + this.duration;
+    this.isSlowing = true;
+
+    this.createBubbleEffect();
+    this.applySlowEffect();
+
+    if (this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit('timeSlowStarted', this);
+    }
+    console.log('[TimeSlowField] Field raised at position:', this.x, this.y);
+    return true;
+  }
+
+  /**
+   * Check if the ability can be activated (not on cooldown)
+   * @returns {boolean} - True if ability can be activated
+   */
+  canActivate() {
+    if (this.cooldown === 0) return true;
+    return TimeDilation.now(this.scene) - this.lastActivationTime >= this.cooldown;
+  }
+
+  /**
+   * Keep the field centred on its position and refresh which targets are slowed.
+   * Called by Player.update() after the field has been moved to the player.
+   * @param {number} time - Current scene time
+   * @param {number} delta - Time since last frame
+   */
+  update(time, delta) {
+    if (!this.isSlowing) return;
+
+    if (time >= this.activeUntil) {
+      this.expire();
+      return;
+    }
+
+    if (this.bubbleGraphics) {
+      this.bubbleGraphics.setPosition(this.x, this.y);
+    }
+    this.applySlowEffect();
+  }
+
+  /**
+   * Slow targets inside the field and release targets that left it
+   */
+  applySlowEffect() {
+    const inRange = new Set(this.detectTargets(this.getTargets()));
+
+    this.affectedTargets.forEach(target => {
+      if (!inRange.has(target)) {
+        target.setTimeScale(1);
+        this.affectedTargets.delete(target);
+      }
+    });
+
+    inRange.forEach(target => {
+      target.setTimeScale(this.slowFactor);
+      this.affectedTargets.add(target);
+    });
+  }
+
+  /**
+   * Collect every scene object the field can slow
+   * @returns {Array} - Objects implementing setTimeScale()
+   */
+  getTargets() {
+    const targets = [];
+    ['enemies', 'platforms', 'hazards'].forEach(key => {
+      const group = this.scene[key];
+      let children = [];
+      if (group && typeof group.getChildren === 'function') {
+        children = group.getChildren();
+      } else if (Array.isArray(group)) {
+        children = group;
+      }
+      children.forEach(child => {
+        if (child && typeof child.setTimeScale === 'function') {
+          targets.push(child);
+        }
+      });
+    });
+    return targets;
+  }
+
+  /**
+   * Filter targets to those inside the field
+   * @param {Array} targets - Candidate objects
+   * @returns {Array} - Active targets within range
+   */
+  detectTargets(targets) {
+    return targets.filter(target => {
+      if (target.active === false) return false;
+      const dx = this.x - target.x;
+      const dy = this.y - target.y;
+      return Math.sqrt(dx * dx + dy * dy) <= this.range;
+    });
+  }
+
+  /**
+   * Drop the field and return every slowed target to normal speed
+   */
+  expire() {
+    if (!this.isSlowing) return;
+    this.isSlowing = false;
+    this.releaseTargets();
+    this.cleanupAnimation();
+
+    if (this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit('timeSlowEnded', this);
+    }
+  }
+
+  /**
+   * Return every slowed target to normal speed
+   */
+  releaseTargets() {
+    this.affectedTargets.forEach(target => target.setTimeScale(1));
+    this.affectedTargets.clear();
+  }
+
+  /**
+   * Create the translucent bubble that shows the field's extent
+   */
+  createBubbleEffect() {
+    this.cleanupAnimation();
+
+    if (!this.scene.add || typeof this.scene.add.graphics !== 'function') return;
+    this.bubbleGraphics = this.scene.add.graphics();
+    this.bubbleGraphics.setPosition(this.x, this.y);
+    this.bubbleGraphics.lineStyle(2, 0x9966ff, 0.8);
+    this.bubbleGraphics.strokeCircle(0, 0, this.range);
+    this.bubbleGraphics.fillStyle(0x9966ff, 0.15);
+    this.bubbleGraphics.fillCircle(0, 0, this.range);
+
+    if (this.gsapLib && typeof this.gsapLib.to === 'function') {
+      this.bubbleTween = this.gsapLib.to(this.bubbleGraphics, {
+        alpha: 0.6,
+        duration: 0.5,
+        yoyo: true,
+        repeat: -1,
+        ease: 'sine.inOut'
+      });
+    }
+  }
+
+  /**
+   * Clean up animation resources
+   */
+  cleanupAnimation() {
+    if (this.bubbleTween) {
+      this.bubbleTween.kill();
+      this.bubbleTween = null;
+    }
+    if (this.bubbleGraphics) {
+      this.bubbleGraphics.destroy();
+      this.bubbleGraphics = null;
+    }
+  }
+
+  /**
+   * Get the current cooldown status
+   * @returns {Object} - Object with remaining cooldown time and percentage
+   */
+  getCooldownStatus() {
+    const timeSinceActivation = TimeDilation.now(this.scene) - this.lastActivationTime;
+    const remainingCooldown = Math.max(0, this.cooldown - timeSinceActivation);
+    const cooldownPercentage = this.cooldown > 0 ? (remainingCooldown / this.cooldown) * 100 : 0;
+
+    return {
+      remaining: remainingCooldown,
+      percentage: cooldownPercentage,
+      canActivate: remainingCooldown === 0,
+      isSlowing: this.isSlowing
+    };
+  }
+
+  /**
+   * Record the field for TimeManager.
+   * Times are stored relative to world time (`TimeDilation.now`) because the clock keeps
+   * running forward while the timeline is rewound.
+   * @returns {Object} Serializable state
+   */
+  getStateForRecording() {
+    const now = TimeDilation.now(this.scene);
+    return {
+      x: this.x,
+      y: this.y,
+      velocityX: 0,
+      velocityY: 0,
+      isSlowing: this.isSlowing,
+      remaining: this.isSlowing ? Math.max(0, this.activeUntil - now) : 0,
+      sinceActivation: Math.min(now - this.lastActivationTime, this.cooldown)
+    };
+  }
+
+  /**
+   * Restore the field from a TimeManager snapshot.
+   * Slowed targets are re-evaluated on the next update; a restored inactive field
+   * releases everything it was slowing.
+   * @param {Object} state - Snapshot created by getStateForRecording()
+   */
+  setStateFromRecording(state) {
+    if (!state) return;
+    const now = TimeDilation.now(this.scene);
+    if (state.x !== undefined) this.x = state.x;
+    if (state.y !== undefined) this.y = state.y;
+    if (state.sinceActivation !== undefined) {
+      this.lastActivationTime = now - state.sinceActivation;
+    }
+
+    if (state.isSlowing) {
+      this.activeUntil = now + state.remaining;
+      if (!this.isSlowing) {
+        this.isSlowing = true;
+        this.createBubbleEffect();
+      }
+    } else if (this.isSlowing) {
+      this.isSlowing = false;
+      this.releaseTargets();
+      this.cleanupAnimation();
+    }
+  }
+
+  /**
+   * Override destroy method to clean up resources
+   */
+  destroy() {
+    this.releaseTargets();
+    this.cleanupAnimation();
+    super.destroy();
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * A cause in the level's trigger/target wiring.
+ * Invariants: see `agent_docs/invariants.md` §45.
+ * TriggerSystem evaluates every trigger once per tick; a trigger is either active or not,
+ * and each target it names is active while any of its triggers is.
+ *
+ * - 'switch': a `switch_<color>` tile pressed while the player, a time echo or an enemy stands on it
+ * - 'lever': a `lever` tile the player flips by pressing up while touching it
+ * - 'coins': active once `count` coins are collected
+ * - 'enemyKilled': active while the enemy with id `enemy` is dead
+ * - 'area': active while the player is inside `{ x, y, width, height }`
+ *
+ * Switches and areas with `latch: true` stay active once triggered.
+ * Registered with TimeManager, so rewinding restores the trigger's state and frame.
+ */
+export default class Trigger {
+  static KINDS = ['switch', 'lever', 'coins', 'enemyKilled', 'area'];
+
+  /**
+   * @param {Object} config Trigger entry from the level's `triggers` array.
+   * @param {string} config.id
+   * @param {string} config.type One of Trigger.KINDS.
+   * @param {Array<string>} config.targets Ids of the TriggerTargets it drives.
+   * @param {Object} [parts] Objects resolved by SceneFactory.
+   * @param {Phaser.Physics.Arcade.Sprite} [parts.sprite] The switch or lever tile.
+   * @param {Object} [parts.area] World-space `{ x, y, width, height }` for 'area'.
+   * @param {Enemy} [parts.enemy] The watched enemy for 'enemyKilled'.
+   */
+  constructor(config, { sprite = null, area = null, enemy = null } = {}) {
+    this.id = config.id;
+    this.kind = config.type;
+    this.targetIds = Array.isArray(config.targets) ? config.targets : [];
+    this.latch = config.latch === true;
+    this.count = typeof config.count === 'number' ? config.count : 0;
+    this.sprite = sprite;
+    this.area = area;
+    this.enemy = enemy;
+    this.isActive = false;
+    if (sprite) {
+      sprite.parentTrigger = this;
+    }
+  }
+
+  /**
+   * Works out whether the trigger is active this tick.
+   * @param {Object} context Built by TriggerSystem.update().
+   * @param {Object|null} context.player Player body rectangle.
+   * @param {Array<Object>} context.pressers Body rectangles that press switches.
+   * @param {number} context.coins Coins collected.
+   * @param {boolean} context.interact True on the tick up is pressed.
+   * @returns {boolean} True if the state changed.
+   */
+  evaluate({ player, pressers, coins, interact }) {
+    let active = this.isActive;
+    switch (this.kind) {
+      case 'switch':
+        active = pressers.some(rect => Trigger.overlaps(rect, this.getBounds()));
+        break;
+      case 'lever':
+        if (interact && Trigger.overlaps(player, this.getBounds())) active = !this.isActive;
+        break;
+      case 'coins':
+        active = coins >= this.count;
+        break;
+      case 'enemyKilled':
+        active = Boolean(this.enemy) && typeof this.enemy.isDead === 'function' && this.enemy.isDead();
+        break;
+      case 'area':
+        active = Boolean(player) && Trigger.overlaps(player, this.area);
+        break;
+    }
+    if (this.latch && this.isActive) active = true;
+    return this.setActive(active);
+  }
+
+  /**
+   * @param {boolean} active
+   * @returns {boolean} True if the state changed.
+   */
+  setActive(active) {
+    if (active === this.isActive) return false;
+    this.isActive = active;
+    this.applyFrame();
+    return true;
+  }
+
+  /**
+   * Shows a switch pressed or a lever flipped while active.
+   */
+  applyFrame() {
+    if (!this.sprite || typeof this.sprite.setFrame !== 'function') return;
+    const frame = this.isActive ? this.sprite.activeFrame : this.sprite.idleFrame;
+    if (frame) this.sprite.setFrame(frame);
+  }
+
+  /**
+   * @returns {Object|null} The tile's world-space rectangle.
+   */
+  getBounds() {
+    const body = this.sprite && this.sprite.body;
+    return body ? { x: body.x, y: body.y, width: body.width, height: body.height } : null;
+  }
+
+  /**
+   * @param {Object|null} a `{ x, y, width, height }`
+   * @param {Object|null} b `{ x, y, width, height }`
+   * @returns {boolean}
+   */
+  static overlaps(a, b) {
+    if (!a || !b) return false;
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+  }
+
+  getStateForRecording() {
+    return { isActive: this.isActive };
+  }
+
+  setStateFromRecording(state) {
+    if (!state || typeof state.isActive !== 'boolean') return;
+    this.setActive(state.isActive);
+  }
+}
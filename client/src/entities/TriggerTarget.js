@@ -0,0 +1,121 @@
+/**
+ * An effect in the level's trigger/target wiring.
+ * Invariants: see `agent_docs/invariants.md` §45.
+ * TriggerSystem sets a target active while any trigger naming it is active.
+ *
+ * - 'door': opens the `LockBlock` with id `door` while active and closes it again after
+ * - 'platform': starts the `MovingPlatform` with id `platform` while active (`action: 'stop'` stops it instead)
+ * - 'spawn': wakes the dormant enemies listed in `enemies` the first time it becomes active
+ * - 'blocks': `block_exclamation` tiles that turn solid (or vanish, with `solid: true`) while active
+ *
+ * Registered with TimeManager. Doors, platforms and enemies record their own state;
+ * the target records whether it is active, whether it has fired and re-applies its blocks.
+ */
+export default class TriggerTarget {
+  static KINDS = ['door', 'platform', 'spawn', 'blocks'];
+
+  /**
+   * @param {Object} config Target entry from the level's `targets` array.
+   * @param {string} config.id
+   * @param {string} config.type One of TriggerTarget.KINDS.
+   * @param {Object} parts Objects resolved by SceneFactory.
+   * @param {LockBlock} [parts.door]
+   * @param {MovingPlatform} [parts.platform]
+   * @param {Array<Enemy>} [parts.enemies]
+   * @param {Array<Phaser.Physics.Arcade.Sprite>} [parts.blocks]
+   */
+  constructor(config, { door = null, platform = null, enemies = [], blocks = [] } = {}) {
+    this.id = config.id;
+    this.kind = config.type;
+    this.action = config.action === 'stop' ? 'stop' : 'start';
+    this.startsSolid = config.solid === true;
+    this.door = door;
+    this.platform = platform;
+    this.enemies = enemies;
+    this.blocks = blocks;
+    this.isActive = false;
+    this.hasFired = false;
+
+    if (this.kind === 'spawn') {
+      this.enemies.forEach(enemy => TriggerTarget.setEnemyAwake(enemy, false));
+    }
+    this.applyBlocks();
+  }
+
+  /**
+   * Applies the effect for `active`.
+   * @param {boolean} active
+   * @returns {boolean} True if the state changed.
+   */
+  setActive(active) {
+    if (active === this.isActive) return false;
+    this.isActive = active;
+
+    switch (this.kind) {
+      case 'door':
+        if (this.door) this.door.setUnlocked(active);
+        break;
+      case 'platform':
+        if (this.platform) {
+          if (active === (this.action === 'start')) {
+            this.platform.startMovement();
+          } else {
+            this.platform.stopMovement();
+          }
+        }
+        break;
+      case 'spawn':
+        if (active && !this.hasFired) {
+          this.hasFired = true;
+          this.enemies.forEach(enemy => TriggerTarget.setEnemyAwake(enemy, true));
+        }
+        break;
+      case 'blocks':
+        this.applyBlocks();
+        break;
+    }
+    return true;
+  }
+
+  /**
+   * Shows each block solid or as a faint outline with its body off.
+   */
+  applyBlocks() {
+    const solid = this.startsSolid !== this.isActive;
+    this.blocks.forEach(block => {
+      if (typeof block.setFrame === 'function') block.setFrame(solid ? 'block_exclamation' : 'block_exclamation_active');
+      if (typeof block.setAlpha === 'function') block.setAlpha(solid ? 1 : 0.35);
+      if (block.body) block.body.enable = solid;
+    });
+  }
+
+  /**
+   * Shows or hides an enemy and its body; dormant enemies do not collide or hurt.
+   * @param {Enemy} enemy
+   * @param {boolean} awake
+   */
+  static setEnemyAwake(enemy, awake) {
+    if (!enemy) return;
+    if (typeof enemy.setActive === 'function') enemy.setActive(awake);
+    if (typeof enemy.setVisible === 'function') enemy.setVisible(awake);
+    if (enemy.body) enemy.body.enable = awake;
+  }
+
+  getStateForRecording() {
+    return { isActive: this.isActive, hasFired: this.hasFired };
+  }
+
+  setStateFromRecording(state) {
+    if (!state) return;
+    if (typeof state.hasFired === 'boolean') this.hasFired = state.hasFired;
+    // Enemy.setStateFromRecording() wakes every enemy with health left; enemies are registered
+    // before targets, so this runs after them and puts the ones not spawned yet back to sleep
+    if (this.kind === 'spawn' && !this.hasFired) {
+      this.enemies.forEach(enemy => TriggerTarget.setEnemyAwake(enemy, false));
+    }
+    if (typeof state.isActive === 'boolean' && state.isActive !== this.isActive) {
+      this.isActive = state.isActive;
+      this.applyBlocks();
+    }
+  }
+}
@@ -119,7 +119,7 @@ export class LoopHound extends Enemy {
     
     // Only update state machine if not frozen
     if (this.stateMachine && this.stateMachine.update && !this.isFrozen) {
-      this.stateMachine.update(time, delta);
+      this.stateMachine.update(time, delta * this.timeScale);
     }
   }
   
@@ -0,0 +1,87 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+import { GameConfig, LEVEL_SCALE } from '../../config/GameConfig.js';
+
+/**
+ * Player Climb State.
+ * Entered by holding up on a ladder, rope or chain.
+ * Invariants: see `agent_docs/invariants.md` §42.
+ * Up and down climb, left or right steps off, and up with left or right jumps off.
+ */
+export default class ClimbState {
+  constructor(player) {
+    this.player = player;
+  }
+
+  enter() {
+    const player = this.player;
+    player.body.setAllowGravity(false);
+    player.body.setVelocityX(0);
+    player.body.setVelocityY(0);
+    // Hang in the middle of the column
+    const climbable = player.getClimbable();
+    if (climbable) {
+      player.x = climbable.x + climbable.displayWidth / 2;
+    }
+    player.anims.play('player-climb', true);
+  }
+
+  execute() {
+    const player = this.player;
+    const { inputManager, body, stateMachine, dashTimer } = player;
+    const now = TimeDilation.now(player.scene);
+
+    // Dash cooldown invariant: allow dash again after cooldown
+    if (now >= dashTimer) {
+      player.canDash = true;
+    }
+
+    // PRIORITIZE DASH
+    if (inputManager && inputManager.isDashJustPressed && player.canDash) {
+      stateMachine.setState('dash');
+      return;
+    }
+
+    // Up presses climb; they must not fire as a buffered jump after letting go
+    player.jumpBufferedUntil = -Infinity;
+
+    // Left or right lets go: up held jumps off, otherwise the player steps off
+    const direction = inputManager && inputManager.isLeftPressed ? -1 : (inputManager && inputManager.isRightPressed ? 1 : 0);
+    if (direction !== 0) {
+      player.climbLockUntil = now + GameConfig.climb.regrabDelay;
+      player.flipX = direction < 0;
+      body.setVelocityX(direction * player.speed);
+      stateMachine.setState(inputManager.isUpPressed ? 'jump' : 'fall');
+      return;
+    }
+
+    const climbable = player.getClimbable();
+    if (!climbable) {
+      stateMachine.setState('fall');
+      return;
+    }
+
+    const isUp = inputManager && inputManager.isUpPressed;
+    const isDown = inputManager && inputManager.isDownPressed;
+    const isOnFloor = player.isOnFloorEnhanced ? player.isOnFloorEnhanced() : body.onFloor();
+    if (!isUp && isOnFloor) {
+      stateMachine.setState('idle');
+      return;
+    }
+
+    const climbSpeed = GameConfig.climb.speed * LEVEL_SCALE;
+    body.setVelocityX(0);
+    if (isUp) {
+      // The body centre stops at the top of the column
+      const top = player.getClimbableTop(climbable);
+      body.setVelocityY(body.center.y > top.y ? -climbSpeed : 0);
+    } else if (isDown) {
+      body.setVelocityY(climbSpeed);
+    } else {
+      body.setVelocityY(0);
+    }
+  }
+
+  exit() {
+    this.player.body.setAllowGravity(true);
+  }
+}
@@ -1,5 +1,6 @@
 import { gsap } from 'gsap';
 import { LEVEL_SCALE } from '../../config/GameConfig.js';
+import TimeDilation from '../../systems/TimeDilation.js';
 
 export default class DashState {
   constructor(player) {
@@ -17,11 +18,16 @@ export default class DashState {
       this.player.stateMachine.setState('idle');
       return;
     }
+    // Dashing in the air spends a charge
+    if (typeof this.player.spendAirDash === 'function' && !this.player.spendAirDash()) {
+      this.player.stateMachine.setState('fall');
+      return;
+    }
     
     const direction = this.player.flipX ? -1 : 1;
     this.player.body.setAllowGravity(false);
     this.player.body.setVelocityY(0); // Prevent vertical movement during dash
-    this.dashStartTime = this.player.scene.time.now;
+    this.dashStartTime = TimeDilation.now(this.player.scene);
     this.player.canDash = false;
     this.hasDashed = true;
     this.player.isDashing = true;
@@ -71,7 +77,7 @@ export default class DashState {
   }
 
   execute() {
-    const now = this.player.scene.time.now;
+    const now = TimeDilation.now(this.player.scene);
     const direction = this.player.flipX ? -1 : 1;
     const elapsed = now - this.dashStartTime;
     const dashDuration = this.player.dashDuration;
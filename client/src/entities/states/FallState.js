@@ -1,3 +1,5 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+
 /**
  * Player Fall State.
  * See Section 7.2 "Player State Machine Definition" in the comprehensive documentation.
@@ -13,7 +15,7 @@ export default class FallState {
 
   execute() {
     const { inputManager, body, speed, stateMachine, dashTimer } = this.player;
-    const now = this.player.scene.time.now;
+    const now = TimeDilation.now(this.player.scene);
 
     // PRIORITIZE DASH
     if (inputManager && inputManager.isDashJustPressed && this.player.canDash) {
@@ -21,16 +23,45 @@ export default class FallState {
       return;
     }
 
+    // Holding up over a ladder, rope or chain grabs it
+    if (typeof this.player.canStartClimb === 'function' && this.player.canStartClimb()) {
+      stateMachine.setState('climb');
+      return;
+    }
+
     // Transition to IdleState when on the ground
     // Use enhanced floor detection for moving platform stability
     const isOnFloor = this.player.isOnFloorEnhanced ? this.player.isOnFloorEnhanced() : body.onFloor();
+    // A jump pressed just before landing fires on touchdown
+    const hasJumpAssist = typeof this.player.consumeJumpBuffer === 'function';
     if (isOnFloor) {
-      stateMachine.setState('idle');
+      stateMachine.setState(hasJumpAssist && this.player.consumeJumpBuffer() ? 'jump' : 'idle');
+      return;
+    }
+
+    // Coyote time: jumping shortly after walking off a ledge still works
+    if (hasJumpAssist && this.player.canCoyoteJump() && this.player.consumeJumpBuffer()) {
+      stateMachine.setState('jump');
+      return;
+    }
+
+    // Double jump spends an air jump charge
+    if (typeof this.player.tryAirJump === 'function' && this.player.tryAirJump()) {
+      stateMachine.setState('jump');
+      return;
+    }
+
+    // Falling against a wall starts a wall slide, unless pressing away from it
+    const wallSide = typeof this.player.getWallSide === 'function' ? this.player.getWallSide() : 0;
+    const pressingAway = inputManager && (wallSide < 0 ? inputManager.isRightPressed : inputManager.isLeftPressed);
+    if (wallSide !== 0 && body.velocity.y > 0 && !pressingAway) {
+      stateMachine.setState('wallSlide');
       return;
     }
 
-    // Handle horizontal movement
-    if (!this.player.isDashing) {
+    // Handle horizontal movement (held off briefly after a wall jump)
+    const isWallJumpLocked = typeof this.player.isWallJumpLocked === 'function' && this.player.isWallJumpLocked();
+    if (!this.player.isDashing && !isWallJumpLocked) {
       if (inputManager && inputManager.isLeftPressed) {
         body.setVelocityX(-speed);
         this.player.flipX = true;
@@ -1,3 +1,5 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+
 /**
  * Player Idle State.
  * See Section 7.2 "Player State Machine Definition" in the comprehensive documentation.
@@ -16,7 +18,7 @@ export default class IdleState {
 
   execute() {
     const { inputManager, body, dashTimer } = this.player;
-    const now = this.player.scene.time.now;
+    const now = TimeDilation.now(this.player.scene);
 
     // Dash cooldown invariant: allow dash again after cooldown
     if (now >= dashTimer) {
@@ -37,8 +39,15 @@ export default class IdleState {
       return;
     }
 
-    // Transition to JumpState if jump is pressed
-    if (inputManager && inputManager.isUpPressed) {
+    // Up on a ladder, rope or chain climbs instead of jumping
+    if (typeof this.player.canStartClimb === 'function' && this.player.canStartClimb()) {
+      this.player.stateMachine.setState('climb');
+      return;
+    }
+
+    // Transition to JumpState if jump is held, or was pressed just before landing
+    const hasBufferedJump = typeof this.player.consumeJumpBuffer === 'function' && this.player.consumeJumpBuffer();
+    if ((inputManager && inputManager.isUpPressed) || hasBufferedJump) {
       this.player.stateMachine.setState('jump');
       return;
     }
@@ -1,3 +1,5 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+
 /**
  * Player Jump State.
  * See Section 7.2 "Player State Machine Definition" in the comprehensive documentation.
@@ -10,6 +12,9 @@ export default class JumpState {
   enter() {
     this.player.anims.play('player-jump', true);
     this.player.body.setVelocityY(-this.player.jumpPower);
+    // This jump uses up the buffered press and the coyote time
+    this.player.jumpBufferedUntil = -Infinity;
+    this.player.lastGroundedTime = -Infinity;
     
     // Task 06.02.2: Play jump sound effect
     if (this.player.scene.audioManager) {
@@ -19,7 +24,7 @@ export default class JumpState {
 
   execute() {
     const { inputManager, body, speed, stateMachine, dashTimer } = this.player;
-    const now = this.player.scene.time.now;
+    const now = TimeDilation.now(this.player.scene);
 
     // Dash cooldown invariant: allow dash again after cooldown
     if (now >= dashTimer) {
@@ -32,6 +37,18 @@ export default class JumpState {
       return;
     }
 
+    // Holding up over a ladder, rope or chain grabs it
+    if (typeof this.player.canStartClimb === 'function' && this.player.canStartClimb()) {
+      stateMachine.setState('climb');
+      return;
+    }
+
+    // Double jump spends an air jump charge
+    if (typeof this.player.tryAirJump === 'function' && this.player.tryAirJump()) {
+      stateMachine.setState('jump');
+      return;
+    }
+
     // Transition to FallState when moving downwards
     if (body.velocity.y >= 0) {
       stateMachine.setState('fall');
@@ -1,3 +1,5 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+
 /**
  * Player Run State.
  * See Section 7.2 "Player State Machine Definition" in the comprehensive documentation.
@@ -13,7 +15,7 @@ export default class RunState {
 
   execute() {
     const { inputManager, body, dashTimer } = this.player;
-    const now = this.player.scene.time.now;
+    const now = TimeDilation.now(this.player.scene);
 
     // Dash cooldown invariant: allow dash again after cooldown
     if (now >= dashTimer) {
@@ -40,8 +42,9 @@ export default class RunState {
       return;
     }
 
-    // Transition to JumpState if jump is pressed
-    if (inputManager && inputManager.isUpPressed) {
+    // Transition to JumpState if jump is held, or was pressed just before landing
+    const hasBufferedJump = typeof this.player.consumeJumpBuffer === 'function' && this.player.consumeJumpBuffer();
+    if ((inputManager && inputManager.isUpPressed) || hasBufferedJump) {
       this.player.stateMachine.setState('jump');
       return;
     }
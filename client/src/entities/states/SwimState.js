@@ -0,0 +1,79 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+import { GameConfig, LEVEL_SCALE } from '../../config/GameConfig.js';
+
+/**
+ * Player Swim State.
+ * Entered by Player.updateWater() inside a water volume.
+ * Invariants: see `agent_docs/invariants.md` §43.
+ * Gravity is off and applied here, weakened by buoyancy and slowed by drag.
+ */
+export default class SwimState {
+  constructor(player) {
+    this.player = player;
+  }
+
+  enter() {
+    const { body } = this.player;
+    body.setAllowGravity(false);
+    // The water breaks the fall
+    body.setVelocityY(body.velocity.y * GameConfig.water.entrySpeedFactor);
+    this.player.anims.play('player-swim', true);
+  }
+
+  execute(time, delta) {
+    const player = this.player;
+    const { inputManager, body, stateMachine, dashTimer } = player;
+    const now = TimeDilation.now(player.scene);
+    const water = GameConfig.water;
+
+    // Dash cooldown invariant: allow dash again after cooldown
+    if (now >= dashTimer) {
+      player.canDash = true;
+    }
+
+    // PRIORITIZE DASH
+    if (inputManager && inputManager.isDashJustPressed && player.canDash) {
+      stateMachine.setState('dash');
+      return;
+    }
+
+    // Leaving the water while holding up jumps out of it
+    if (!player.isInWater()) {
+      stateMachine.setState(inputManager && inputManager.isUpPressed ? 'jump' : 'fall');
+      return;
+    }
+
+    const dt = (typeof delta === 'number' ? delta : 1000 / 60) / 1000;
+    const gravity = player.scene.physics && player.scene.physics.world
+      ? player.scene.physics.world.gravity.y
+      : player.gravity;
+    const swimSpeed = water.swimSpeed * LEVEL_SCALE;
+    const settle = Math.min(1, water.drag * dt);
+
+    let velocityY = body.velocity.y + gravity * (water.gravityScale - water.buoyancy) * dt;
+    if (player.consumeJumpBuffer()) {
+      velocityY = -water.strokeVelocity * LEVEL_SCALE;
+    }
+    let targetY = 0;
+    if (inputManager && inputManager.isUpPressed) {
+      targetY = -swimSpeed;
+    } else if (inputManager && inputManager.isDownPressed) {
+      targetY = swimSpeed;
+    }
+    body.setVelocityY(velocityY + (targetY - velocityY) * settle);
+
+    let targetX = 0;
+    if (!player.isDashing && inputManager && inputManager.isLeftPressed) {
+      targetX = -swimSpeed;
+      player.flipX = true;
+    } else if (!player.isDashing && inputManager && inputManager.isRightPressed) {
+      targetX = swimSpeed;
+      player.flipX = false;
+    }
+    body.setVelocityX(body.velocity.x + (targetX - body.velocity.x) * settle);
+  }
+
+  exit() {
+    this.player.body.setAllowGravity(true);
+  }
+}
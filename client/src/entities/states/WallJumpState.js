@@ -0,0 +1,82 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+import { GameConfig, LEVEL_SCALE } from '../../config/GameConfig.js';
+
+/**
+ * Player Wall Jump State.
+ * Jumps away from the wall the player was sliding on.
+ * Invariants: see `agent_docs/invariants.md` §39.
+ */
+export default class WallJumpState {
+  constructor(player) {
+    this.player = player;
+  }
+
+  enter() {
+    const player = this.player;
+    const { jumpVelocityX, jumpVelocityY, inputLockout } = GameConfig.wall;
+    // Away from the wall; without one, in the direction the player faces
+    const direction = player.wallSide !== 0 ? -player.wallSide : (player.flipX ? -1 : 1);
+
+    player.body.setVelocityX(direction * jumpVelocityX * LEVEL_SCALE);
+    player.body.setVelocityY(-jumpVelocityY * LEVEL_SCALE);
+    player.flipX = direction < 0;
+    player.wallSide = 0;
+    player.wallJumpLockUntil = TimeDilation.now(player.scene) + inputLockout;
+    player.jumpBufferedUntil = -Infinity;
+    player.anims.play('player-jump', true);
+
+    if (player.scene.audioManager) {
+      player.scene.audioManager.playSfx('jump');
+    }
+  }
+
+  execute() {
+    const player = this.player;
+    const { inputManager, body, speed, stateMachine, dashTimer } = player;
+    const now = TimeDilation.now(player.scene);
+
+    // Dash cooldown invariant: allow dash again after cooldown
+    if (now >= dashTimer) {
+      player.canDash = true;
+    }
+
+    // PRIORITIZE DASH
+    if (inputManager && inputManager.isDashJustPressed && player.canDash) {
+      stateMachine.setState('dash');
+      return;
+    }
+
+    // Double jump spends an air jump charge
+    if (typeof player.tryAirJump === 'function' && player.tryAirJump()) {
+      stateMachine.setState('jump');
+      return;
+    }
+
+    // Transition to FallState when moving downwards
+    if (body.velocity.y >= 0) {
+      stateMachine.setState('fall');
+      return;
+    }
+
+    // Allow variable jump height by cutting velocity on jump key release
+    if (inputManager && inputManager.isJumpJustReleased && body.velocity.y < 0) {
+      body.setVelocityY(body.velocity.y * 0.5);
+    }
+
+    // Keep the push away from the wall until the lockout ends, then steer as in JumpState
+    if (player.isDashing || player.isWallJumpLocked()) {
+      return;
+    }
+    if (inputManager && inputManager.isLeftPressed) {
+      body.setVelocityX(-speed);
+      player.flipX = true;
+    } else if (inputManager && inputManager.isRightPressed) {
+      body.setVelocityX(speed);
+      player.flipX = false;
+    } else {
+      body.setVelocityX(0);
+    }
+  }
+
+  exit() {}
+}
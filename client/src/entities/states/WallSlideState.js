@@ -0,0 +1,67 @@
+import TimeDilation from '../../systems/TimeDilation.js';
+import { GameConfig, LEVEL_SCALE } from '../../config/GameConfig.js';
+
+/**
+ * Player Wall Slide State.
+ * Entered from FallState while the body is blocked by a wall.
+ * Invariants: see `agent_docs/invariants.md` §39.
+ */
+export default class WallSlideState {
+  constructor(player) {
+    this.player = player;
+  }
+
+  enter() {
+    const player = this.player;
+    player.wallSide = player.getWallSide();
+    // Face away from the wall, the way a wall jump will go
+    player.flipX = player.wallSide > 0;
+    player.anims.play('player-wall-slide', true);
+  }
+
+  execute() {
+    const player = this.player;
+    const { inputManager, body, stateMachine, dashTimer } = player;
+    const now = TimeDilation.now(player.scene);
+
+    // Dash cooldown invariant: allow dash again after cooldown
+    if (now >= dashTimer) {
+      player.canDash = true;
+    }
+
+    // PRIORITIZE DASH
+    if (inputManager && inputManager.isDashJustPressed && player.canDash) {
+      stateMachine.setState('dash');
+      return;
+    }
+
+    const isOnFloor = player.isOnFloorEnhanced ? player.isOnFloorEnhanced() : body.onFloor();
+    if (isOnFloor) {
+      stateMachine.setState('idle');
+      return;
+    }
+
+    // Jump presses are buffered by Player.updateJumpAssist(), so one just before touching the wall counts
+    if (player.consumeJumpBuffer()) {
+      stateMachine.setState('wallJump');
+      return;
+    }
+
+    // Pressing away from the wall, or sliding past its end, lets go
+    const pressingAway = inputManager && (player.wallSide < 0 ? inputManager.isRightPressed : inputManager.isLeftPressed);
+    if (pressingAway || player.getWallSide() !== player.wallSide) {
+      body.setVelocityX(pressingAway ? -player.wallSide * player.speed : 0);
+      stateMachine.setState('fall');
+      return;
+    }
+
+    // Keep pushing into the wall so arcade physics keeps reporting the contact
+    body.setVelocityX(player.wallSide * player.speed);
+    const maxSlideSpeed = GameConfig.wall.slideSpeed * LEVEL_SCALE;
+    if (body.velocity.y > maxSlideSpeed) {
+      body.setVelocityY(maxSlideSpeed);
+    }
+  }
+
+  exit() {}
+}
@@ -4,6 +4,7 @@ import MenuScene from './scenes/MenuScene.js';
 import GameScene from './scenes/GameScene.js';
 import UIScene from './scenes/UIScene.js';
 import GameOverScene from './scenes/GameOverScene.js';
+import ControlsScene from './scenes/ControlsScene.js';
 import { LEVEL_SCALE } from './config/GameConfig.js';
 
 /**
@@ -21,11 +22,14 @@ const config = {
   height: 720,
   parent: 'game-container',
   backgroundColor: '#000000',
-  scene: [BootScene, MenuScene, GameScene, UIScene, GameOverScene],
+  scene: [BootScene, MenuScene, GameScene, UIScene, GameOverScene, ControlsScene],
   scale: {
     mode: Phaser.Scale.FIT,
     autoCenter: Phaser.Scale.CENTER_BOTH
   },
+  input: {
+    gamepad: true // Enables scene.input.gamepad for GamepadInput
+  },
   physics: {
     default: 'arcade',
     arcade: {
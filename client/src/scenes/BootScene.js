@@ -70,6 +70,36 @@ export default class BootScene extends BaseScene {
       frameRate: 10,
       repeat: -1
     });
+
+    // Create wall slide animation
+    this.anims.create({
+      key: 'player-wall-slide',
+      frames: [{ key: 'characters', frame: 'character_beige_climb_a' }],
+      frameRate: 10,
+      repeat: -1
+    });
+
+    // Create swim animation
+    this.anims.create({
+      key: 'player-swim',
+      frames: [
+        { key: 'characters', frame: 'character_beige_walk_a' },
+        { key: 'characters', frame: 'character_beige_walk_b' }
+      ],
+      frameRate: 5,
+      repeat: -1
+    });
+
+    // Create climb animation
+    this.anims.create({
+      key: 'player-climb',
+      frames: [
+        { key: 'characters', frame: 'character_beige_climb_a' },
+        { key: 'characters', frame: 'character_beige_climb_b' }
+      ],
+      frameRate: 8,
+      repeat: -1
+    });
   }
 
   createTileAnimations() {
@@ -94,6 +124,19 @@ export default class BootScene extends BaseScene {
       frameRate: 8,
       repeat: -1
     });
+
+    // Waving flag animations for activated checkpoints
+    ['blue', 'green', 'red', 'yellow'].forEach(color => {
+      this.anims.create({
+        key: `flag-${color}`,
+        frames: [
+          { key: 'tiles', frame: `flag_${color}_a` },
+          { key: 'tiles', frame: `flag_${color}_b` }
+        ],
+        frameRate: 4,
+        repeat: -1
+      });
+    });
   }
 
   createEnemyAnimations() {
@@ -0,0 +1,212 @@
+import Phaser from 'phaser';
+import BaseScene from './BaseScene.js';
+import InputManager from '../systems/InputManager.js';
+import ControlProfile from '../systems/ControlProfile.js';
+import MenuNavigator from '../ui/MenuNavigator.js';
+
+// Patch: Use globalThis.Phaser if available for testability
+const PhaserLib = (typeof globalThis !== 'undefined' && globalThis.Phaser) ? globalThis.Phaser : Phaser;
+
+/**
+ * ControlsScene - Lists every action with its keys and lets players rebind them.
+ * Invariants: see `agent_docs/invariants.md` §37.
+ *
+ * Selecting an action waits for the next key: a key already bound to the action is removed,
+ * any other key is added (and taken from the action it had). ESC cancels, or closes the screen.
+ * Every change is saved immediately. MenuScene starts this scene; the pause menu launches it
+ * over the paused UIScene, which is resumed on close.
+ */
+export default class ControlsScene extends BaseScene {
+  constructor(mockScene = null) {
+    super('ControlsScene', mockScene);
+    this.returnTo = 'MenuScene';
+    this.capturingAction = null;
+  }
+
+  init(data) {
+    this.returnTo = data && data.returnTo ? data.returnTo : 'MenuScene';
+  }
+
+  create(data) {
+    this.profile = ControlProfile.load();
+    this.capturingAction = null;
+
+    // Opaque backdrop, so the screen also reads well over the paused game
+    const backdrop = this.add.graphics();
+    backdrop.fillStyle(0x000000, 0.85);
+    backdrop.fillRect(0, 0, 1280, 720);
+
+    const title = this.add.text(640, 50, 'Controls', {
+      font: '40px Arial',
+      fill: '#ffffff'
+    });
+    title.setOrigin(0.5);
+
+    this.rows = ControlProfile.ACTIONS.map((action, index) => {
+      const y = 110 + index * 38;
+      const label = this.add.text(580, y, ControlProfile.LABELS[action], {
+        font: '22px Arial',
+        fill: '#cccccc'
+      });
+      label.setOrigin(1, 0.5);
+      const button = this.createButton(640, y, '', () => this.startCapture(action));
+      button.setOrigin(0, 0.5);
+      return { action, button };
+    });
+
+    this.statusText = this.add.text(640, 580, '', {
+      font: '20px Arial',
+      fill: '#ffcc00'
+    });
+    this.statusText.setOrigin(0.5);
+
+    const resetButton = this.createButton(540, 650, 'Reset Defaults', () => this.resetBindings());
+    const backButton = this.createButton(740, 650, 'Back', () => this.close());
+
+    this.refreshRows();
+    this.setStatus('Select an action, then press a key to add or remove it');
+
+    // Menu keys and gamepad move through the rows; key presses are captured from keydown events
+    if (this.input && this.input.keyboard && typeof this.input.keyboard.addKey === 'function') {
+      this.inputManager = new InputManager(this, this.profile);
+      this.menuNavigator = new MenuNavigator([...this.rows.map(row => row.button), resetButton, backButton]);
+    }
+    if (this.input && this.input.keyboard && typeof this.input.keyboard.on === 'function') {
+      this.input.keyboard.on('keydown', this.handleKeyDown, this);
+    }
+  }
+
+  createButton(x, y, label, onSelect) {
+    const button = this.add.text(x, y, label, {
+      font: '22px Arial',
+      fill: '#ffffff',
+      backgroundColor: '#333333',
+      padding: { x: 12, y: 4 }
+    });
+    button.setOrigin(0.5);
+    button.setInteractive({ useHandCursor: true });
+    button.on('pointerdown', onSelect);
+    return button;
+  }
+
+  update(time, delta) {
+    if (this.capturingAction || !this.inputManager) return;
+    if (this.inputManager.isMenuBackJustPressed) {
+      this.close();
+      return;
+    }
+    if (this.menuNavigator) {
+      this.menuNavigator.update(this.inputManager);
+    }
+  }
+
+  /**
+   * Waits for the next key press to add it to, or remove it from, `action`.
+   * @param {string} action
+   */
+  startCapture(action) {
+    this.capturingAction = action;
+    this.setStatus(`Press a key for ${ControlProfile.LABELS[action]} (ESC to cancel)`);
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    const keyName = ControlsScene.keyNameFor(event && event.keyCode);
+    if (!keyName) return;
+    if (this.capturingAction) {
+      this.captureKey(keyName);
+    } else if (keyName === 'ESC') {
+      this.close();
+    }
+  }
+
+  /**
+   * Applies a captured key to the action being rebound.
+   * @param {string} keyName - Phaser key name.
+   * @returns {boolean} True if the bindings changed.
+   */
+  captureKey(keyName) {
+    const action = this.capturingAction;
+    if (!action) return false;
+    this.capturingAction = null;
+    this.clearMenuInput();
+
+    // ESC is reserved for cancelling
+    if (keyName === 'ESC') {
+      this.setStatus('Cancelled');
+      return false;
+    }
+
+    const label = ControlProfile.keyLabel(keyName);
+    let changed;
+    if (this.profile.getBindings(action).includes(keyName)) {
+      changed = this.profile.unbind(action, keyName);
+      this.setStatus(changed ? `Removed ${label}` : 'Every action needs at least one key');
+    } else {
+      const previous = this.profile.actionFor(keyName);
+      changed = this.profile.bind(action, keyName);
+      this.setStatus(changed
+        ? `Added ${label}`
+        : `${label} is the only key for ${ControlProfile.LABELS[previous]}`);
+    }
+    if (changed) this.saveProfile();
+    return changed;
+  }
+
+  resetBindings() {
+    this.capturingAction = null;
+    this.profile.reset();
+    this.saveProfile();
+    this.setStatus('Default controls restored');
+  }
+
+  saveProfile() {
+    this.profile.save();
+    if (this.inputManager) {
+      this.inputManager.applyProfile(this.profile);
+    }
+    this.refreshRows();
+  }
+
+  refreshRows() {
+    this.rows.forEach(({ action, button }) => {
+      button.setText(this.profile.describe(action));
+    });
+  }
+
+  setStatus(message) {
+    if (this.statusText) this.statusText.setText(message);
+  }
+
+  // The captured key also set Phaser's JustDown flag; drop it so it does not move the menu focus
+  clearMenuInput() {
+    if (!this.inputManager) return;
+    Object.values(this.inputManager.keys).forEach(key => {
+      if (key) PhaserLib.Input.Keyboard.JustDown(key);
+    });
+  }
+
+  close() {
+    if (this.input && this.input.keyboard && typeof this.input.keyboard.off === 'function') {
+      this.input.keyboard.off('keydown', this.handleKeyDown, this);
+    }
+    if (this.returnTo === 'UIScene') {
+      // Launched over the pause menu
+      this.scene.stop();
+      this.scene.resume('UIScene', { controlsChanged: true });
+    } else {
+      this.scene.start(this.returnTo);
+    }
+  }
+
+  /**
+   * @param {number} keyCode - `KeyboardEvent.keyCode`.
+   * @returns {string|null} The Phaser key name (`Phaser.Input.Keyboard.KeyCodes`), or null if unknown.
+   */
+  static keyNameFor(keyCode) {
+    const codes = PhaserLib.Input.Keyboard.KeyCodes || {};
+    return Object.keys(codes).find(name => codes[name] === keyCode) || null;
+  }
+}
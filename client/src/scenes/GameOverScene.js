@@ -1,10 +1,12 @@
 import BaseScene from './BaseScene.js';
+import GamepadInput from '../systems/GamepadInput.js';
 
 export default class GameOverScene extends BaseScene {
   constructor() {
     super('GameOverScene');
     this.rKey = null;
     this.mKey = null;
+    this.cKey = null;
     this.player = null;
   }
 
@@ -19,6 +21,7 @@ export default class GameOverScene extends BaseScene {
   create(data) {
     // Get reference to the player from GameScene
     const gameScene = this.scene && this.scene.get ? this.scene.get('GameScene') : null;
+    this.gameScene = gameScene;
     if (gameScene && gameScene.player) {
       this.player = gameScene.player;
       this.disablePlayerInputs();
@@ -45,6 +48,18 @@ export default class GameOverScene extends BaseScene {
     title.setDepth(1002);
     overlay.add(title);
 
+    // Offer respawning at the last checkpoint alongside the restart
+    this.canRespawn = Boolean(gameScene && gameScene.checkpointState);
+    if (this.canRespawn) {
+      const hint = this.add.text(640, 430, 'C / A: respawn at checkpoint   R / START: restart   M / B: menu', {
+        font: '24px Arial',
+        fill: '#ffffff'
+      });
+      hint.setOrigin(0.5);
+      hint.setDepth(1002);
+      overlay.add(hint);
+    }
+
     // Store overlay reference
     this.gameOverOverlay = overlay;
     this.gameOverActive = true;
@@ -68,6 +83,19 @@ export default class GameOverScene extends BaseScene {
         });
       }
     }
+
+    // Add keyboard input for respawning at the last checkpoint (C key)
+    if (this.canRespawn && this.input && this.input.keyboard) {
+      this.cKey = this.input.keyboard.addKey('C');
+      if (this.cKey && this.cKey.on) {
+        this.cKey.on('down', () => {
+          this.respawnAtCheckpoint();
+        });
+      }
+    }
+
+    // Gamepad: A or START restarts (A respawns at a checkpoint if there is one), B returns to the menu
+    this.gamepad = new GamepadInput(this);
   }
 
   /**
@@ -91,47 +119,62 @@ export default class GameOverScene extends BaseScene {
   }
 
   update(time, delta) {
-    // Update game over scene if needed
+    if (!this.gameOverActive || !this.gamepad) return;
+    if (this.canRespawn && this.gamepad.justPressed('confirm')) {
+      this.respawnAtCheckpoint();
+    } else if (this.gamepad.justPressed('confirm') || this.gamepad.justPressed('pause')) {
+      this.restartGame();
+    } else if (this.gamepad.justPressed('back')) {
+      this.returnToMenu();
+    }
+  }
+
+  /**
+   * Hands control back and closes the overlay: restores player inputs, stops this
+   * scene, destroys the overlay and resets `gameOverActive`.
+   */
+  dismiss() {
+    this.restorePlayerInputs();
+    this.scene.stop('GameOverScene');
+    this.destroyOverlay();
+    this.gameOverActive = false;
+  }
+
+  /**
+   * Destroys the overlay container, if there is one
+   */
+  destroyOverlay() {
+    if (this.gameOverOverlay) {
+      if (typeof this.gameOverOverlay.destroy === 'function') {
+        this.gameOverOverlay.destroy();
+      }
+      this.gameOverOverlay = null;
+    }
   }
 
   restartGame() {
     if (this.gameOverActive) {
-      // Restore player inputs before restarting
-      this.restorePlayerInputs();
-      
-      // Stop the GameOverScene overlay
-      this.scene.stop('GameOverScene');
-      
-      // Restart the GameScene
+      this.dismiss();
       this.scene.restart('GameScene');
-      
-      // Clean up overlay and reset flag
-      if (this.gameOverOverlay) {
-        this.gameOverOverlay.destroy();
-        this.gameOverOverlay = null;
-      }
-      this.gameOverActive = false;
     }
   }
 
+  /**
+   * Dismisses the overlay and brings the player back at the last checkpoint
+   * through GameScene.respawnAtCheckpoint(), keeping the level running.
+   */
+  respawnAtCheckpoint() {
+    if (!this.gameOverActive || !this.gameScene || typeof this.gameScene.respawnAtCheckpoint !== 'function') return;
+
+    this.dismiss();
+    this.gameScene.respawnAtCheckpoint();
+  }
+
   returnToMenu() {
     if (this.gameOverActive) {
-      // Restore player inputs before going to menu
-      this.restorePlayerInputs();
-      
-      // Stop both GameOverScene and GameScene
-      this.scene.stop('GameOverScene');
+      this.dismiss();
       this.scene.stop('GameScene');
-      
-      // Start MenuScene
       this.scene.start('MenuScene');
-      
-      // Clean up overlay and reset flag
-      if (this.gameOverOverlay) {
-        this.gameOverOverlay.destroy();
-        this.gameOverOverlay = null;
-      }
-      this.gameOverActive = false;
     }
   }
 
@@ -141,28 +184,11 @@ export default class GameOverScene extends BaseScene {
    */
   handleRewindDismissal() {
     if (this.gameOverActive) {
-      // Restore player inputs
-      this.restorePlayerInputs();
-      // Stop the GameOverScene
-      this.scene.stop('GameOverScene');
-      // Clean up overlay
-      if (this.gameOverOverlay) {
-        if (typeof this.gameOverOverlay.destroy === 'function') {
-          this.gameOverOverlay.destroy();
-        }
-        this.gameOverOverlay = null;
-      }
-      // Reset active flag
-      this.gameOverActive = false;
+      this.dismiss();
     } else {
       // Even if not active, ensure overlay is cleaned up and input is restored
       this.restorePlayerInputs();
-      if (this.gameOverOverlay) {
-        if (typeof this.gameOverOverlay.destroy === 'function') {
-          this.gameOverOverlay.destroy();
-        }
-        this.gameOverOverlay = null;
-      }
+      this.destroyOverlay();
     }
   }
 
@@ -179,10 +205,11 @@ export default class GameOverScene extends BaseScene {
       this.mKey.off('down');
     }
 
-    // Clean up overlay
-    if (this.gameOverOverlay) {
-      this.gameOverOverlay.destroy();
-      this.gameOverOverlay = null;
+    if (this.cKey && this.cKey.off) {
+      this.cKey.off('down');
     }
+
+    // Clean up overlay
+    this.destroyOverlay();
   }
 } 
\ No newline at end of file
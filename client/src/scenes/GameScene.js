@@ -3,10 +3,21 @@ import Player from '../entities/Player.js';
 import InputManager from '../systems/InputManager.js';
 import CollisionManager from '../systems/CollisionManager.js';
 import Coin from '../entities/Coin.js';
+import TimeEcho from '../entities/TimeEcho.js';
+import GhostRunner from '../entities/GhostRunner.js';
 import TimeManager from '../systems/TimeManager.js';
+import TimeDilation from '../systems/TimeDilation.js';
+import FixedTimestep from '../systems/FixedTimestep.js';
+import InputReplay from '../systems/InputReplay.js';
+import GhostRecorder from '../systems/GhostRecorder.js';
+import GhostStore from '../systems/GhostStore.js';
+import PlayerAbilities from '../systems/PlayerAbilities.js';
 import { LoopHound } from '../entities/enemies/LoopHound.js';
 import { SceneFactory } from '../systems/SceneFactory.js';
 import AudioManager from '../systems/AudioManager.js';
+import KeyInventory from '../systems/KeyInventory.js';
+import LivesCounter from '../systems/LivesCounter.js';
+import TriggerSystem from '../systems/TriggerSystem.js';
 import testLevelConfig from '../config/test-cave.json';
 import { GITHUB_PAGES, LEVEL_SCALE } from '../config/GameConfig.js';
 import { ViewportCullingManager } from '../systems/ViewportCullingManager.js';
@@ -74,6 +85,24 @@ export default class GameScene extends BaseScene {
       this.enemies = this.physics.add.group();
       this.coins = this.physics.add.group();
       this.goalTiles = this.physics.add.group();
+      this.rewindPickups = this.physics.add.group();
+      this.abilityPickups = this.physics.add.group();
+      // Keys, and the lock blocks and doors they open
+      this.keyPickups = this.physics.add.group({ allowGravity: false });
+      this.lockBlocks = this.physics.add.group({ allowGravity: false, immovable: true });
+      // Switch and lever tiles, and the blocks trigger targets toggle
+      this.triggerTiles = this.physics.add.group({ allowGravity: false });
+      this.triggerBlocks = this.physics.add.group({ allowGravity: false, immovable: true });
+      // Spikes, lava and saws; every sprite carries its Hazard rules
+      this.hazards = this.physics.add.group({ allowGravity: false, immovable: true });
+      // Checkpoint flags the player respawns at after dying
+      this.checkpoints = this.physics.add.group({ allowGravity: false, immovable: true });
+      // Hearts that heal or add a life
+      this.hearts = this.physics.add.group({ allowGravity: false });
+      // Ladders, ropes and chains: overlap-only, read by Player.getClimbable()
+      this.climbables = this.physics.add.group({ allowGravity: false });
+      // Echo sprites replaying abandoned timelines (see createTimeEcho)
+      this.timeEchoes = this.physics.add.group({ allowGravity: false });
       // Create separate group for decorative tiles (no collision)
       this.decorativeTiles = this.physics.add.group();
     }
@@ -131,10 +160,40 @@ export default class GameScene extends BaseScene {
 
     this.collisionManager = new CollisionManager(this, this._mockScene);
     this.timeManager = new TimeManager(this, this._mockScene);
+    // Levels may override rewind capacity and recharge
+    if (levelConfig.rewind && typeof this.timeManager.configureRewindEnergy === 'function') {
+      this.timeManager.configureRewindEnergy(levelConfig.rewind);
+    }
+    // Gameplay and arcade physics advance in fixed ticks
+    const simulation = GameConfig.simulation || {};
+    this.fixedTimestep = new FixedTimestep({
+      tickRate: simulation.tickRate,
+      maxTicksPerFrame: simulation.maxTicksPerFrame
+    });
+    this._manualPhysics = this.enableManualPhysics(simulation.tickRate);
+    if (this.timeManager && typeof this.timeManager.setFixedStep === 'function') {
+      this.timeManager.setFixedStep(this.fixedTimestep.step);
+    }
+    // World time scale for bullet-time / fast-forward.
+    // With manual physics the scale changes how many ticks run, so physics itself stays unscaled.
+    this.timeDilation = new TimeDilation(this, { scalesPhysics: !this._manualPhysics });
+    this.timeDilation.syncTo(this.fixedTimestep.time);
 
     // Task 06.01.3: Initialize AudioManager and start background music
     this.audioManager = new AudioManager();
     this.audioManager.playMusic('background');
+    // Rewinding past a sound effect cuts it off
+    if (typeof this.audioManager.setSfxListener === 'function') {
+      this.audioManager.setSfxListener((key, sound) => {
+        if (!this.timeManager || typeof this.timeManager.recordEvent !== 'function') return;
+        this.timeManager.recordEvent('sfx', {
+          data: key,
+          undo: () => {
+            if (sound && typeof sound.stop === 'function') sound.stop();
+          }
+        });
+      });
+    }
 
     // Task 04.01.3: Initialize coin registry counter
     if (this.registry && typeof this.registry.set === 'function') {
@@ -145,12 +204,33 @@ export default class GameScene extends BaseScene {
     // Create platforms using SceneFactory
     this.createPlatformsWithFactory();
 
+    // Create ladders, ropes and chains using SceneFactory
+    this.createClimbablesWithFactory();
+
+    // Create water volumes using SceneFactory
+    this.createWaterVolumesWithFactory();
+
+    // Create keys, lock blocks and doors using SceneFactory
+    this.createKeysAndLocksWithFactory();
+
+    // Create spikes, lava and saws using SceneFactory
+    this.createHazardsWithFactory();
+
     // Create coins using SceneFactory
     this.createCoinsWithFactory();
 
     // Create goal tiles using SceneFactory
     this.createGoalsWithFactory();
 
+    // Create rewind energy pickups using SceneFactory
+    this.createRewindPickupsWithFactory();
+
+    // Create checkpoint flags using SceneFactory
+    this.createCheckpointsWithFactory();
+
+    // Create hearts using SceneFactory
+    this.createHeartPickupsWithFactory();
+
     // === Camera world bounds based on level configuration ===
     if (this.cameras && this.cameras.main && typeof this.cameras.main.setBounds === 'function') {
       this.cameras.main.setBounds(0, 0, this.levelWidth, this.levelHeight);
@@ -175,7 +255,17 @@ export default class GameScene extends BaseScene {
       }
     }
     this.player = new Player(this, spawnX, spawnY, 'characters', 'character_beige_idle', 100, this._mockScene);
+    // Losing a life without a checkpoint respawns the player here
+    this.playerSpawn = { x: spawnX, y: spawnY };
     this.player.inputManager = new InputManager(this);
+    // Unlocked abilities belong to the save slot
+    this.saveSlot = data && typeof data.saveSlot === 'string' ? data.saveSlot : GameConfig.abilities.defaultSlot;
+    if (typeof this.player.setAbilities === 'function') {
+      this.player.setAbilities(PlayerAbilities.load(this.saveSlot));
+      this.createAbilityPickupsWithFactory();
+    }
+    // Record this run's input, or feed back a replay passed as scene data
+    this.setupInputReplay(levelConfig, data);
     
     // Add player to physics group
     if (this.players && this.players.add) {
@@ -185,8 +275,15 @@ export default class GameScene extends BaseScene {
     // Register player with TimeManager
     if (this.timeManager && this.player) {
         this.timeManager.register(this.player);
+        // The time-slow field records its remaining lifetime and cooldown
+        if (this.player.timeSlowField) {
+            this.timeManager.register(this.player.timeSlowField);
+        }
     }
 
+    // Lives, recorded so rewinding past a death gives the life back
+    this.createLivesCounter();
+
     /* =========================
        Camera – Task 03.01
        Set world bounds (already set earlier), then follow player with smooth lerp and dead-zone.
@@ -218,12 +315,42 @@ export default class GameScene extends BaseScene {
       this.collisionManager.addCollider(this.player, this.platforms);
       this.collisionManager.addOverlap(this.player, this.coins, this.handlePlayerCoinOverlap, null, this);
     }
+    if (this.collisionManager && this.player && this.rewindPickups) {
+      this.collisionManager.addOverlap(this.player, this.rewindPickups, this.handlePlayerRewindPickupOverlap, null, this);
+    }
+    if (this.collisionManager && this.player && this.abilityPickups) {
+      this.collisionManager.addOverlap(this.player, this.abilityPickups, this.handlePlayerAbilityPickupOverlap, null, this);
+    }
+    if (this.collisionManager && this.player && this.keyPickups && this.lockBlocks) {
+      this.collisionManager.addOverlap(this.player, this.keyPickups, this.handlePlayerKeyOverlap, null, this);
+      this.collisionManager.addCollider(this.player, this.lockBlocks, this.handlePlayerLockCollision, null, this);
+    }
+    if (this.collisionManager && this.enemies && this.lockBlocks) {
+      this.collisionManager.addCollider(this.enemies, this.lockBlocks);
+    }
+    if (this.collisionManager && this.player && this.hazards) {
+      // Solid hazards (block_spikes) also hurt when bumped into
+      this.collisionManager.addCollider(this.player, this.hazards, this.handlePlayerHazardOverlap, (player, hazardSprite) => Boolean(hazardSprite.hazard && hazardSprite.hazard.solid), this);
+      this.collisionManager.addOverlap(this.player, this.hazards, this.handlePlayerHazardOverlap, null, this);
+    }
+    if (this.collisionManager && this.player && this.checkpoints) {
+      this.collisionManager.addOverlap(this.player, this.checkpoints, this.handlePlayerCheckpointOverlap, null, this);
+    }
+    if (this.collisionManager && this.player && this.hearts) {
+      this.collisionManager.addOverlap(this.player, this.hearts, this.handlePlayerHeartOverlap, null, this);
+    }
     
     // Set up enemy-platform collision (CRITICAL: prevents enemies falling through floor)
     // This collider ensures enemies can stand on platforms and don't fall through the world
     if (this.collisionManager && this.platforms && this.enemies) {
       this.collisionManager.addCollider(this.enemies, this.platforms);
     }
+
+    // Time echoes absorb enemy hits
+    this.activeEchoes = [];
+    if (this.collisionManager && this.timeEchoes && this.enemies) {
+      this.collisionManager.addOverlap(this.timeEchoes, this.enemies, this.handleTimeEchoEnemyOverlap, null, this);
+    }
     
     // --- Task 05.01.3: GoalTile overlap detection ---
     if (this.players && this.goalTiles && this.physics && this.physics.add) {
@@ -234,12 +361,13 @@ export default class GameScene extends BaseScene {
         this.goalTiles,
         () => {
           if (!this._levelCompletedEmitted) {
-            this._levelCompletedEmitted = true;
-            if (this.physics.world && typeof this.physics.world.pause === 'function') {
-              this.physics.world.pause();
-            }
-            if (this.events && typeof this.events.emit === 'function') {
-              this.events.emit('levelCompleted');
+            this.completeLevel();
+            // Rewinding past the goal reopens the level
+            if (this.timeManager && typeof this.timeManager.recordEvent === 'function') {
+              this.timeManager.recordEvent('levelCompleted', {
+                undo: () => this.undoLevelCompleted(),
+                redo: () => this.completeLevel()
+              });
             }
           }
         },
@@ -265,6 +393,9 @@ export default class GameScene extends BaseScene {
     // Create enemies using SceneFactory from JSON configuration
     this.createEnemiesWithFactory();
 
+    // Wire triggers to doors, platforms and enemies created above
+    this.createTriggersWithFactory();
+
     // Launch UIScene overlay for HUD elements
     if (this.scene && typeof this.scene.launch === 'function') {
       this.scene.launch('UIScene');
@@ -279,21 +410,16 @@ export default class GameScene extends BaseScene {
 
     // Listen for player death event and transition to GameOverScene
     this._gameOverTriggered = false;
-    this._deathTimestamp = null;
-    this.events.on('playerDied', () => {
-      // Always track death timestamp, but only launch GameOverScene if not rewinding and not already triggered
-      this._deathTimestamp = this.time?.now || 0;
-      if (!this._gameOverTriggered) {
-        this._gameOverTriggered = true;
-        if (!this.timeManager?.isRewinding && this.scene && typeof this.scene.launch === 'function') {
-          // Only launch if GameOverScene is not already active
-          const gameOverSceneInstance = this.scene.get && this.scene.get('GameOverScene');
-          if (!gameOverSceneInstance || !gameOverSceneInstance.gameOverActive) {
-            this.scene.launch('GameOverScene');
-          }
-        }
-      }
-    });
+    this.events.on('playerDied', this.handlePlayerDied, this);
+
+    // Rewinding hands the abandoned future to a TimeEcho
+    this.events.on('timelineAbandoned', this.handleTimelineAbandoned, this);
+
+    // Deaths, damage and coin pickups are marked on the rewind timeline
+    this.registerTimelineMarkers();
+
+    // Record this attempt and race the best completed run
+    this.setupBestRunGhost(levelConfig);
 
     // Initialize culling manager
     if (this.cameras && this.cameras.main) {
@@ -321,6 +447,149 @@ export default class GameScene extends BaseScene {
     }
   }
 
+  /**
+   * Creates climbable tiles (ladders, ropes, chains) using SceneFactory
+   */
+  createClimbablesWithFactory() {
+    if (!this.climbables || !this.sceneFactory) return;
+
+    const createdClimbables = this.sceneFactory.createClimbablesFromConfig(this.climbables);
+    if (createdClimbables.length > 0) {
+      console.log(`[GameScene] Created ${createdClimbables.length} climbable tiles using SceneFactory`);
+    }
+  }
+
+  /**
+   * Creates water volumes using SceneFactory; Player.updateWater() reads `this.waterVolumes`
+   */
+  createWaterVolumesWithFactory() {
+    this.waterVolumes = [];
+    if (!this.sceneFactory) return;
+
+    this.waterVolumes = this.sceneFactory.createWaterVolumesFromConfig(this.decorativeTiles);
+    if (this.waterVolumes.length > 0) {
+      console.log(`[GameScene] Created ${this.waterVolumes.length} water volumes using SceneFactory`);
+    }
+  }
+
+  /**
+   * Creates hazards using SceneFactory; moving saws are registered with TimeManager
+   * like moving platforms and updated every tick by stepSimulation()
+   */
+  createHazardsWithFactory() {
+    if (!this.hazards || !this.sceneFactory) return;
+
+    const createdHazards = this.sceneFactory.createHazardsFromConfig(this.hazards);
+    this.registerMovingPlatformsWithTimeManager(createdHazards);
+    if (createdHazards.length > 0) {
+      console.log(`[GameScene] Created ${createdHazards.length} hazards using SceneFactory`);
+    }
+  }
+
+  /**
+   * Handles the player touching a hazard: applies its rules through Player.hitByHazard().
+   * Ignored while rewinding.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} hazardSprite - The hazard tile or saw
+   */
+  handlePlayerHazardOverlap(player, hazardSprite) {
+    const hazard = hazardSprite && hazardSprite.hazard;
+    if (!hazard || !this.player || typeof this.player.hitByHazard !== 'function') return;
+    if (this.timeManager && this.timeManager.isRewinding) return;
+
+    if (this.player.hitByHazard(hazard, hazardSprite)) {
+      this.events.emit('playerHazardHit', { kind: hazard.kind, damage: hazard.instantKill ? null : hazard.damage });
+    }
+  }
+
+  /**
+   * Creates the key inventory, key pickups, lock blocks and doors, and registers them
+   * with TimeManager so rewinding restores which keys are carried and what is open
+   */
+  createKeysAndLocksWithFactory() {
+    this.keyInventory = new KeyInventory();
+    if (this.timeManager) {
+      this.timeManager.register(this.keyInventory);
+    }
+    if (!this.sceneFactory) return;
+
+    const keys = this.keyPickups
+      ? this.sceneFactory.createKeyPickupsFromConfig(this.levelConfig.keys, this.keyPickups)
+      : [];
+    const locks = this.lockBlocks ? this.sceneFactory.createLocksFromConfig(this.lockBlocks) : [];
+    // Kept for checkpoints, which save which keys are carried and what is open
+    this.gameKeys = keys;
+    this.gameLocks = locks;
+    if (this.timeManager) {
+      [...keys, ...locks].forEach(object => this.timeManager.register(object));
+    }
+    if (keys.length > 0 || locks.length > 0) {
+      console.log(`[GameScene] Created ${keys.length} keys and ${locks.length} locks/doors using SceneFactory`);
+    }
+  }
+
+  /**
+   * Handles player overlap with a key: adds it to the inventory. Ignored while rewinding.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} keySprite - The key sprite
+   */
+  handlePlayerKeyOverlap(player, keySprite) {
+    const key = keySprite && keySprite.parentKey;
+    if (!key || !this.keyInventory || (this.timeManager && this.timeManager.isRewinding)) return;
+
+    if (key.collect(this.keyInventory)) {
+      if (this.audioManager && typeof this.audioManager.playSfx === 'function') {
+        this.audioManager.playSfx('key');
+      }
+      this.events.emit('keyCollected', { color: key.color, count: this.keyInventory.count(key.color) });
+    }
+  }
+
+  /**
+   * Handles the player bumping a lock block or door: opens it with a key of its colour.
+   * Ignored while rewinding.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} lockSprite - One of the lock's tiles
+   */
+  handlePlayerLockCollision(player, lockSprite) {
+    const lock = lockSprite && lockSprite.parentLock;
+    if (!lock || lock.isUnlocked || !this.keyInventory || (this.timeManager && this.timeManager.isRewinding)) return;
+
+    if (this.keyInventory.use(lock.color)) {
+      lock.unlock();
+      if (this.audioManager && typeof this.audioManager.playSfx === 'function') {
+        this.audioManager.playSfx('unlock');
+      }
+      this.events.emit('lockOpened', { color: lock.color, kind: lock.kind });
+    }
+  }
+
+  /**
+   * Creates the level's triggers and targets using SceneFactory, registers them with TimeManager
+   * and hands them to a TriggerSystem, updated every tick by stepSimulation()
+   */
+  createTriggersWithFactory() {
+    if (!this.sceneFactory) return;
+
+    const { triggers, targets } = this.sceneFactory.createTriggersFromConfig(this.triggerTiles, this.triggerBlocks);
+    if (this.timeManager) {
+      [...triggers, ...targets].forEach(object => this.timeManager.register(object));
+    }
+    this.triggerSystem = new TriggerSystem(this, triggers, targets);
+
+    if (this.collisionManager && this.triggerBlocks) {
+      if (this.player) {
+        this.collisionManager.addCollider(this.player, this.triggerBlocks);
+      }
+      if (this.enemies) {
+        this.collisionManager.addCollider(this.enemies, this.triggerBlocks);
+      }
+    }
+    if (triggers.length > 0 || targets.length > 0) {
+      console.log(`[GameScene] Created ${triggers.length} triggers and ${targets.length} targets using SceneFactory`);
+    }
+  }
+
   /**
    * Creates coins using SceneFactory instead of hardcoded creation
    */
@@ -347,6 +616,298 @@ export default class GameScene extends BaseScene {
     }
   }
 
+  /**
+   * Creates checkpoint flags using SceneFactory from the level's `checkpoints` array and
+   * registers them with TimeManager, so rewinding past a touch lowers the flag again
+   */
+  createCheckpointsWithFactory() {
+    this.checkpointState = null;
+    if (!this.checkpoints || !this.sceneFactory) return;
+
+    this.gameCheckpoints = this.sceneFactory.createCheckpointsFromConfig(this.levelConfig.checkpoints, this.checkpoints);
+    if (this.timeManager) {
+      this.gameCheckpoints.forEach(checkpoint => this.timeManager.register(checkpoint));
+    }
+    if (this.gameCheckpoints.length > 0) {
+      console.log(`[GameScene] Created ${this.gameCheckpoints.length} checkpoints using SceneFactory`);
+    }
+  }
+
+  /**
+   * Handles the player touching a checkpoint flag: raises it and saves the respawn state.
+   * Ignored while rewinding, for flags already raised and once the player is dead.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} flagSprite - The checkpoint's flag sprite
+   */
+  handlePlayerCheckpointOverlap(player, flagSprite) {
+    const checkpoint = flagSprite && flagSprite.parentCheckpoint;
+    if (!checkpoint || checkpoint.isActivated || !this.player || this.player.health <= 0) return;
+    if (this.timeManager && this.timeManager.isRewinding) return;
+
+    this.saveCheckpoint(checkpoint);
+  }
+
+  /**
+   * Raises `checkpoint`, saves the player's position, health, coins and keys as
+   * `checkpointState` and emits `checkpointReached`. Journaled, so rewinding past
+   * the touch restores the previous checkpoint.
+   * @param {Checkpoint} checkpoint
+   */
+  saveCheckpoint(checkpoint) {
+    if (!checkpoint.activate()) return;
+
+    const previousState = this.checkpointState || null;
+    const savedState = this.captureCheckpointState(checkpoint);
+    this.checkpointState = savedState;
+    if (this.timeManager && typeof this.timeManager.recordEvent === 'function') {
+      this.timeManager.recordEvent('checkpoint', {
+        data: checkpoint.index,
+        undo: () => { this.checkpointState = previousState; },
+        redo: () => { this.checkpointState = savedState; }
+      });
+    }
+    if (this.audioManager && typeof this.audioManager.playSfx === 'function') {
+      this.audioManager.playSfx('checkpoint');
+    }
+    this.events.emit('checkpointReached', { index: checkpoint.index });
+  }
+
+  /**
+   * @param {Checkpoint} checkpoint
+   * @returns {Object} What respawnAtCheckpoint() restores: the spawn point, health, coin
+   *   count, and the recorded states of coins, keys, locks and the key inventory.
+   */
+  captureCheckpointState(checkpoint) {
+    const capture = objects => objects.map(object => ({ object, state: object.getStateForRecording() }));
+    // Doors without a colour belong to trigger targets, which keep driving them after a respawn
+    const keyLocks = (this.gameLocks || []).filter(lock => lock.color);
+    return {
+      index: checkpoint.index,
+      x: checkpoint.spawnPoint.x,
+      y: checkpoint.spawnPoint.y,
+      health: this.player.health,
+      coinsCollected: this.registry && typeof this.registry.get === 'function'
+        ? this.registry.get('coinsCollected') || 0
+        : 0,
+      objects: capture([...(this.gameCoins || []), ...(this.gameKeys || []), ...keyLocks, this.keyInventory].filter(Boolean))
+    };
+  }
+
+  /**
+   * Brings the dead player back at the last checkpoint with the coins, keys and health
+   * saved there, instead of restarting the level. Respawning starts a new timeline:
+   * rewind cannot reach back past it. Unlike loseLife(), which keeps the timeline and
+   * everything in it, this loads the save because the history is gone.
+   * @returns {boolean} True if there was a checkpoint to respawn at.
+   */
+  respawnAtCheckpoint() {
+    const saved = this.checkpointState;
+    if (!saved || !this.player) return false;
+
+    saved.objects.forEach(({ object, state }) => object.setStateFromRecording({ ...state }));
+    if (this.registry && typeof this.registry.set === 'function') {
+      this.registry.set('coinsCollected', saved.coinsCollected);
+    }
+    // Lives are not part of the save: game over left none, so the player continues with one
+    if (this.livesCounter && this.livesCounter.lives < 1) {
+      this.livesCounter.lives = 1;
+    }
+    this.player.respawn(saved.x, saved.y, saved.health);
+    this._gameOverTriggered = false;
+    if (this.timeManager && typeof this.timeManager.clearHistory === 'function') {
+      this.timeManager.clearHistory();
+    }
+    this.events.emit('playerRespawned', { index: saved.index });
+    return true;
+  }
+
+  /**
+   * Creates the LivesCounter from the level's `lives` and registers it with TimeManager.
+   * An invalid count is a warning, not a crash: the level starts with the default.
+   */
+  createLivesCounter() {
+    const lives = this.levelConfig ? this.levelConfig.lives : undefined;
+    let startingLives = GameConfig.lives.initial;
+    if (lives !== undefined) {
+      if (LivesCounter.isValidCount(lives)) {
+        startingLives = lives;
+      } else {
+        console.warn(`[GameScene] Invalid lives in level configuration, using ${startingLives}:`, lives);
+      }
+    }
+    this.livesCounter = new LivesCounter(startingLives);
+    this._lifeLostPending = false;
+    if (this.timeManager) {
+      this.timeManager.register(this.livesCounter);
+    }
+  }
+
+  /**
+   * Creates hearts using SceneFactory from the level's `hearts` array and registers them
+   * with TimeManager, so rewinding past a pickup puts the heart back
+   */
+  createHeartPickupsWithFactory() {
+    if (!this.hearts || !this.sceneFactory) return;
+
+    const hearts = this.sceneFactory.createHeartPickupsFromConfig(this.levelConfig.hearts, this.hearts);
+    if (this.timeManager) {
+      hearts.forEach(heart => this.timeManager.register(heart));
+    }
+    if (hearts.length > 0) {
+      console.log(`[GameScene] Created ${hearts.length} hearts using SceneFactory`);
+    }
+  }
+
+  /**
+   * Handles player overlap with a heart: heals the player or adds a life. Ignored while rewinding.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} heartSprite - The heart sprite
+   */
+  handlePlayerHeartOverlap(player, heartSprite) {
+    const heart = heartSprite && heartSprite.parentHeart;
+    if (!heart || !this.player || this.player.health <= 0) return;
+    if (this.timeManager && this.timeManager.isRewinding) return;
+
+    const lives = this.livesCounter ? this.livesCounter.lives : 0;
+    if (heart.collect(this.player, this.livesCounter)) {
+      const gainedLife = Boolean(this.livesCounter) && this.livesCounter.lives > lives;
+      if (this.audioManager && typeof this.audioManager.playSfx === 'function') {
+        this.audioManager.playSfx(gainedLife ? 'extraLife' : 'heart');
+      }
+      this.events.emit('heartCollected', { extraLife: gainedLife, health: this.player.health, lives: this.livesCounter ? this.livesCounter.lives : null });
+    }
+  }
+
+  /**
+   * Creates rewind energy pickups using SceneFactory from the level's `rewindPickups` array
+   */
+  createRewindPickupsWithFactory() {
+    if (!this.rewindPickups || !this.sceneFactory) return;
+
+    if (Array.isArray(this.levelConfig.rewindPickups)) {
+      const createdPickups = this.sceneFactory.createRewindPickupsFromConfig(this.levelConfig.rewindPickups, this.rewindPickups);
+      console.log(`[GameScene] Created ${createdPickups.length} rewind pickups using SceneFactory`);
+    }
+  }
+
+  /**
+   * Handles player overlap with a rewind pickup: refills the meter and removes the pickup.
+   * Ignored while rewinding so pickups are only consumed on the live timeline.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} pickup - The pickup sprite
+   */
+  handlePlayerRewindPickupOverlap(player, pickup) {
+    if (!pickup || !pickup.active || !this.timeManager || this.timeManager.isRewinding) return;
+
+    this.timeManager.addRewindEnergy(pickup.rewindSeconds);
+    if (this.audioManager && typeof this.audioManager.playSfx === 'function') {
+      this.audioManager.playSfx('coin');
+    }
+    pickup.destroy();
+  }
+
+  /**
+   * Creates the level's `abilityPickups` that this save slot has not collected yet.
+   * Pickup ids are `<levelKey>:<id>`, where `id` defaults to the pickup's index.
+   */
+  createAbilityPickupsWithFactory() {
+    if (!this.abilityPickups || !this.sceneFactory || !this.player || !this.player.abilities) return;
+    if (!Array.isArray(this.levelConfig.abilityPickups)) return;
+
+    const levelKey = GhostStore.levelKeyFor(this.levelConfig);
+    const pickupConfigs = this.levelConfig.abilityPickups
+      .map((pickup, index) => ({ ...pickup, id: `${levelKey}:${pickup.id !== undefined ? pickup.id : index}` }))
+      .filter(pickup => !this.player.abilities.hasCollected(pickup.id));
+    const createdPickups = this.sceneFactory.createAbilityPickupsFromConfig(pickupConfigs, this.abilityPickups);
+    console.log(`[GameScene] Created ${createdPickups.length} ability pickups using SceneFactory`);
+  }
+
+  /**
+   * Handles player overlap with an ability pickup: unlocks the ability, saves the slot
+   * and removes the pickup. Ignored while rewinding, like rewind pickups.
+   * @param {Phaser.GameObjects.Sprite} player - The player sprite
+   * @param {Phaser.GameObjects.Sprite} pickup - The pickup sprite
+   */
+  handlePlayerAbilityPickupOverlap(player, pickup) {
+    if (!pickup || !pickup.active || (this.timeManager && this.timeManager.isRewinding)) return;
+    const abilities = this.player && this.player.abilities;
+    if (!abilities) return;
+
+    if (abilities.grant(pickup.ability, pickup.pickupId)) {
+      this.player.applyAbilities();
+      this.events.emit('abilityUnlocked', { ability: pickup.ability, level: abilities.levels[pickup.ability] });
+    }
+    abilities.save(this.saveSlot);
+    if (this.audioManager && typeof this.audioManager.playSfx === 'function') {
+      this.audioManager.playSfx('coin');
+    }
+    pickup.destroy();
+  }
+
+  /**
+   * Feeds the rewind scrub timeline from existing game events.
+   */
+  registerTimelineMarkers() {
+    const addMarker = type => {
+      if (this.timeManager && typeof this.timeManager.addTimelineMarker === 'function') {
+        this.timeManager.addTimelineMarker(type, TimeDilation.now(this));
+      }
+    };
+    this.events.on('playerDied', () => addMarker('death'));
+    this.events.on('playerHealthChanged', event => {
+      if (event && event.damage > 0) addMarker('damage');
+    });
+    // The registry outlives the scene, so this listener is removed in onShutdown()
+    if (this.registry && this.registry.events && typeof this.registry.events.on === 'function') {
+      this._coinMarkerListener = (parent, value, previous) => {
+        if (typeof value === 'number' && value > (previous || 0)) addMarker('coin');
+      };
+      this.registry.events.on('changedata-coinsCollected', this._coinMarkerListener);
+    }
+  }
+
+  /**
+   * Turns the future discarded by a rewind into a TimeEcho of the player.
+   * @param {Object} event - `timelineAbandoned` payload from TimeManager
+   * @param {Array<Object>} event.frames - Discarded frames, oldest first
+   */
+  handleTimelineAbandoned(event) {
+    if (!this.player || !event) return;
+    const track = TimeEcho.trackFromFrames(event.frames, this.player);
+    if (track.length < 2) return;
+    this.createTimeEcho(track);
+  }
+
+  /**
+   * Starts a TimeEcho replaying `track`, ending the oldest echo when
+   * `GameConfig.rewind.maxEchoes` are already active.
+   * @param {Array<{timestamp:number, state:Object}>} track - Recorded player states
+   * @returns {TimeEcho|null} The new echo, or null if no ghost sprite was available
+   */
+  createTimeEcho(track) {
+    const maxEchoes = GameConfig.rewind?.maxEchoes ?? 2;
+    this.activeEchoes = (this.activeEchoes || []).filter(echo => echo.isActive);
+    while (this.activeEchoes.length >= maxEchoes) {
+      this.activeEchoes.shift().finish('replaced');
+    }
+
+    const echo = new TimeEcho(this, this.player, track, this.timeEchoes);
+    if (!echo.isActive) return null;
+    this.activeEchoes.push(echo);
+    return echo;
+  }
+
+  /**
+   * Handles enemy overlap with a time echo. Frozen enemies are harmless.
+   * @param {Phaser.GameObjects.Sprite} echoSprite - The echo's pooled sprite
+   * @param {Enemy} enemy - The enemy
+   */
+  handleTimeEchoEnemyOverlap(echoSprite, enemy) {
+    if (!echoSprite || !echoSprite.timeEcho || !enemy || enemy.isFrozen) return;
+    if (this.timeManager && this.timeManager.isRewinding) return;
+    echoSprite.timeEcho.takeHit(enemy);
+  }
+
   /**
    * Registers coin sprites with TimeManager for time reversal support
    * @param {Array} coins - Array of coin sprites
@@ -587,35 +1148,396 @@ export default class GameScene extends BaseScene {
   }
 
   /**
-   * Handle death state during rewind
-   * Dismisses GameOverScene and resets death state when rewinding past death
+   * `playerDied` listener. With a life to spare the player respawns on the next tick
+   * (loseLife()); losing the last life ends the game once and journals it, so rewinding
+   * past the death dismisses GameOverScene.
    */
-  handleRewindDeath() {
-    // Check if we're rewinding and have a death timestamp
-    if (!this.timeManager?.isRewinding || !this._deathTimestamp) {
-      return;
+  handlePlayerDied() {
+    if (this._gameOverTriggered) return;
+    if (this.livesCounter) {
+      if (this.livesCounter.lives > 1) {
+        this._lifeLostPending = true;
+        return;
+      }
+      this.livesCounter.lose();
+    }
+    this.triggerGameOver();
+    if (this.timeManager && typeof this.timeManager.recordEvent === 'function') {
+      this.timeManager.recordEvent('gameOver', {
+        undo: () => this.undoGameOver(),
+        redo: () => this.triggerGameOver()
+      });
+    }
+  }
+
+  /**
+   * Takes a life and respawns the player at full health at the last checkpoint, or at the
+   * level's spawn point without one. Coins, keys and locks stay as they are: the timeline
+   * goes on, so rewind can still undo the death. Emits `lifeLost`. Journaled so that
+   * scrubbing over the death and respawn keeps Player's death flag in step.
+   */
+  loseLife() {
+    const lives = this.livesCounter.lose();
+    const spawn = this.checkpointState || this.playerSpawn;
+    this.player.respawn(spawn.x, spawn.y, this.player.maxHealth);
+    if (this.timeManager && typeof this.timeManager.recordEvent === 'function') {
+      this.timeManager.recordEvent('lifeLost', {
+        data: lives,
+        undo: () => { this.player._deathEventEmitted = true; },
+        redo: () => { this.player._deathEventEmitted = false; }
+      });
+    }
+    this.events.emit('lifeLost', { lives });
+  }
+
+  /**
+   * Marks the game as over and shows GameOverScene.
+   * Also the redo handler when scrubbing forward over a journaled death.
+   */
+  triggerGameOver() {
+    this._gameOverTriggered = true;
+    if (this.scene && typeof this.scene.launch === 'function') {
+      // Only launch if GameOverScene is not already active
+      const gameOverSceneInstance = this.scene.get && this.scene.get('GameOverScene');
+      if (!gameOverSceneInstance || !gameOverSceneInstance.gameOverActive) {
+        this.scene.launch('GameOverScene');
+      }
+    }
+  }
+
+  /**
+   * Undo handler for a journaled death: dismisses GameOverScene and resets death state.
+   */
+  undoGameOver() {
+    this._gameOverTriggered = false;
+    if (this.scene) {
+      const gameOverSceneInstance = this.scene.get && this.scene.get('GameOverScene');
+      if (gameOverSceneInstance && typeof gameOverSceneInstance.handleRewindDismissal === 'function') {
+        gameOverSceneInstance.handleRewindDismissal();
+      } else if (typeof this.scene.stop === 'function') {
+        this.scene.stop('GameOverScene');
+      }
+    }
+  }
+
+  /**
+   * Ends the level: pauses physics and emits `levelCompleted` once.
+   * Also the redo handler when scrubbing forward over a journaled completion.
+   */
+  completeLevel() {
+    this._levelCompletedEmitted = true;
+    if (this.physics && this.physics.world && typeof this.physics.world.pause === 'function') {
+      this.physics.world.pause();
+    }
+    if (this.events && typeof this.events.emit === 'function') {
+      this.events.emit('levelCompleted');
+    }
+  }
+
+  /**
+   * Undo handler for a journaled level completion: resumes physics and tells
+   * UIScene to drop its overlay via `levelCompletionUndone`.
+   */
+  undoLevelCompleted() {
+    this._levelCompletedEmitted = false;
+    if (this.physics && this.physics.world && typeof this.physics.world.resume === 'function') {
+      this.physics.world.resume();
+    }
+    if (this.events && typeof this.events.emit === 'function') {
+      this.events.emit('levelCompletionUndone');
+    }
+  }
+
+  /**
+   * Advances gameplay by one step: arcade physics (when stepped manually), the player,
+   * platforms, enemies, TimeManager with its rewind input, and time echoes.
+   * Called once per fixed tick by update().
+   * @param {number} worldTime - World time of this step.
+   * @param {number} worldDelta - World milliseconds covered by this step.
+   */
+  stepSimulation(worldTime, worldDelta) {
+    // Gameplay input is sampled (or replayed) once per step so every system sees the same tick
+    if (this.player && this.player.inputManager && typeof this.player.inputManager.sampleTick === 'function') {
+      this.player.inputManager.sampleTick();
+    }
+    // Gameplay reads world time through TimeDilation.now(); pin it to this step
+    if (this.fixedTimestep && this.timeDilation) {
+      this.timeDilation.syncTo(worldTime);
+    }
+    if (this._manualPhysics) {
+      this.physics.world.singleStep();
+    }
+
+    // A death with lives to spare respawns the player here, after the death has been journaled
+    if (this._lifeLostPending && !(this.timeManager && this.timeManager.isRewinding)) {
+      this._lifeLostPending = false;
+      if (this.player && this.player.health <= 0) {
+        this.loseLife();
+      }
+    }
+
+    // Update game objects
+    if (this.player) {
+      this.player.update(worldTime, worldDelta);
+    }
+    
+    // Update all platforms (including moving platforms)
+    if (this.platforms && this.platforms.getChildren) {
+      this.platforms.getChildren().forEach((platform, index) => {
+        if (platform && typeof platform.update === 'function') {
+          platform.update(worldTime, worldDelta);
+        }
+      });
+    }
+    
+    // Move saws along their movement configuration
+    if (this.hazards && this.hazards.getChildren) {
+      this.hazards.getChildren().forEach(hazard => {
+        if (hazard && typeof hazard.update === 'function') {
+          hazard.update(worldTime, worldDelta);
+        }
+      });
     }
 
-    // Check if we've rewound past the death timestamp
-    const currentRewindTime = this.timeManager.playbackTimestamp;
-    if (currentRewindTime < this._deathTimestamp) {
-      // We've rewound past death, dismiss GameOverScene and reset state
-      this._gameOverTriggered = false;
-      this._deathTimestamp = null;
-      // Reset player's _deathEventEmitted flag if player exists
-      if (this.player && typeof this.player._deathEventEmitted !== 'undefined') {
-        this.player._deathEventEmitted = false;
-      }
-      // Dismiss GameOverScene if it's active
-      if (this.scene) {
-        const gameOverSceneInstance = this.scene.get && this.scene.get('GameOverScene');
-        if (gameOverSceneInstance && typeof gameOverSceneInstance.handleRewindDismissal === 'function') {
-          gameOverSceneInstance.handleRewindDismissal();
-        } else if (typeof this.scene.stop === 'function') {
-          this.scene.stop('GameOverScene');
+    // Handle player carrying by moving platforms
+    if (this.player && this.player.body && this.platforms && this.platforms.getChildren) {
+      this.platforms.getChildren().forEach((platform, index) => {
+        // Check if this is a MovingPlatform that can carry players
+        if (platform && typeof platform.carryPlayerIfStanding === 'function') {
+          platform.carryPlayerIfStanding(this.player.body);
         }
+      });
+    } else {
+      // Skip carrying if requirements missing
+    }
+    
+    // Update all enemies
+    if (this.enemies && this.enemies.getChildren) {
+      this.enemies.getChildren().forEach(enemy => {
+        if (enemy && typeof enemy.update === 'function') {
+          enemy.update(worldTime, worldDelta);
+        }
+      });
+    }
+
+    // Switches, levers and the rest drive their targets before this tick is recorded
+    if (this.triggerSystem) {
+      this.triggerSystem.update();
+    }
+    if (this.timeManager) {
+        this.timeManager.update(worldTime, worldDelta);
+        const inputManager = this.player.inputManager;
+        const isRewindActive = inputManager.isRewindPressed;
+        if (this.timeManager.isScrubbing) {
+            // Scrub mode: F commits, LEFT/RIGHT move through the timeline
+            if (inputManager.isScrubToggleJustPressed) {
+                this.timeManager.commitScrub();
+            } else if (typeof this.timeManager.setScrubDirection === 'function') {
+                this.timeManager.setScrubDirection((inputManager.isScrubForwardPressed ? 1 : 0) - (inputManager.isScrubBackPressed ? 1 : 0));
+            }
+        } else if (this.timeManager.isRewinding && inputManager.isScrubToggleJustPressed && typeof this.timeManager.startScrubbing === 'function') {
+            this.timeManager.startScrubbing();
+        } else if (isRewindActive !== this.timeManager.isRewinding) {
+            // Toggle rewind based on input
+            this.timeManager.toggleRewind(isRewindActive);
+        }
+        // An exhausted meter stays locked until R is released
+        if (!isRewindActive && typeof this.timeManager.releaseRewindLock === 'function') {
+            this.timeManager.releaseRewindLock();
+        }
+    }
+
+    // Advance time echoes; finished echoes have already returned their sprite to the pool
+    if (this.activeEchoes && this.activeEchoes.length > 0) {
+      this.activeEchoes.forEach(echo => echo.update(worldTime, worldDelta));
+      this.activeEchoes = this.activeEchoes.filter(echo => echo.isActive);
+    }
+
+    // Best-run ghost: record this attempt and move the stored runner
+    if (this.ghostRecorder && this.player) {
+      this.ghostRecorder.sample(worldTime, this.player);
+    }
+    if (this.ghostRunner) {
+      this.ghostRunner.update(worldTime);
+    }
+  }
+
+  /**
+   * Starts replaying `data.replay` through the player's InputManager, or, when
+   * `data.recordReplay` is set, starts recording this run so it can be exported with
+   * exportReplay(). Recording keeps every tick of the run in memory, so it is opt-in.
+   * @param {Object} levelConfig - Level being played; hashed with GameConfig to detect mismatched replays.
+   * @param {Object} [data] - Scene data; `data.replay` is replay JSON text or object,
+   *   `data.recordReplay` turns recording on.
+   */
+  setupInputReplay(levelConfig, data) {
+    const inputManager = this.player && this.player.inputManager;
+    if (!inputManager || typeof inputManager.startRecording !== 'function') return;
+
+    const configHash = InputReplay.hashConfig({ level: levelConfig, game: GameConfig });
+    const tickRate = this.fixedTimestep ? Math.round(1000 / this.fixedTimestep.step) : 60;
+    if (data && data.replay) {
+      try {
+        const replay = inputManager.startReplay(data.replay);
+        if (replay.configHash && replay.configHash !== configHash) {
+          console.warn('[GameScene] Replay was recorded with a different level or config; it may not reproduce the run');
+        }
+        if (replay.tickRate !== tickRate) {
+          console.warn(`[GameScene] Replay was recorded at ${replay.tickRate} ticks/s, simulation runs at ${tickRate}`);
+        }
+        console.log(`[GameScene] Replaying ${replay.ticks.length} recorded ticks`);
+        return;
+      } catch (error) {
+        console.warn('[GameScene] Ignoring invalid replay:', error.message);
+      }
+    }
+    if (!data || data.recordReplay !== true) return;
+    inputManager.startRecording({
+      seed: levelConfig && levelConfig.seed !== undefined ? levelConfig.seed : null,
+      configHash,
+      tickRate
+    });
+  }
+
+  /**
+   * @returns {string|null} The input recorded so far as replay JSON, or null if nothing is being recorded.
+   */
+  exportReplay() {
+    const inputManager = this.player && this.player.inputManager;
+    if (!inputManager || typeof inputManager.exportReplay !== 'function') return null;
+    const replay = inputManager.exportReplay();
+    return replay ? JSON.stringify(replay) : null;
+  }
+
+  /**
+   * Saves exportReplay() as a JSON file through the browser, e.g. to attach to a bug report.
+   * @param {string} [filename='time-oddity-replay.json']
+   * @returns {boolean} True if a download was started.
+   */
+  downloadReplay(filename = 'time-oddity-replay.json') {
+    return this.downloadJson(this.exportReplay(), filename);
+  }
+
+  /**
+   * Starts recording this attempt for the best-run ghost and shows the stored best run, if any.
+   * @param {Object} levelConfig - Level being played; identifies the stored ghost.
+   */
+  setupBestRunGhost(levelConfig) {
+    this.levelKey = GhostStore.levelKeyFor(levelConfig);
+    this._levelStartTime = this.fixedTimestep ? this.fixedTimestep.time : 0;
+    this.ghostRecorder = new GhostRecorder({
+      levelKey: this.levelKey,
+      sampleInterval: GameConfig.ghost?.sampleInterval
+    });
+    this.ghostRecorder.start(this._levelStartTime);
+
+    const best = GhostStore.load(this.levelKey);
+    this.ghostRunner = best ? new GhostRunner(this, best, this._levelStartTime) : null;
+
+    this.events.on('levelCompleted', this.handleBestRunCompleted, this);
+    this.events.on('levelCompletionUndone', () => this.ghostRecorder.resume());
+  }
+
+  /**
+   * `levelCompleted` listener: stores this attempt if it beats the stored ghost.
+   * @returns {boolean} True if this attempt is the new best run.
+   */
+  handleBestRunCompleted() {
+    if (!this.ghostRecorder || this.ghostRecorder.isFinished) return false;
+    const ghost = this.ghostRecorder.finish(TimeDilation.now(this), this.player);
+    if (!ghost || !GhostStore.saveIfBest(ghost)) return false;
+    console.log(`[GameScene] New best run on '${this.levelKey}': ${ghost.duration}ms`);
+    this.events.emit('bestRunSaved', { levelKey: this.levelKey, duration: ghost.duration });
+    return true;
+  }
+
+  /**
+   * @returns {string|null} This level's stored ghost as JSON, or null if there is none.
+   */
+  exportBestRunGhost() {
+    return GhostStore.exportGhost(this.levelKey);
+  }
+
+  /**
+   * Stores a ghost shared as JSON and races it from now on.
+   * @param {string|Object} json - Ghost JSON text or object.
+   * @returns {boolean} True if the ghost was imported.
+   */
+  importBestRunGhost(json) {
+    let ghost;
+    try {
+      ghost = GhostStore.importGhost(json, this.levelKey);
+    } catch (error) {
+      console.warn('[GameScene] Ignoring invalid ghost:', error.message);
+      return false;
+    }
+    if (this.ghostRunner) this.ghostRunner.destroy();
+    this.ghostRunner = new GhostRunner(this, ghost, this._levelStartTime || 0);
+    this.events.emit('bestRunImported', { levelKey: this.levelKey, duration: ghost.duration });
+    return true;
+  }
+
+  /**
+   * Saves exportBestRunGhost() as a JSON file through the browser.
+   * @returns {boolean} True if a download was started.
+   */
+  downloadBestRunGhost() {
+    return this.downloadJson(this.exportBestRunGhost(), `time-oddity-ghost-${this.levelKey}.json`);
+  }
+
+  /**
+   * Opens the browser file picker and imports the chosen ghost file.
+   * @returns {boolean} True if the picker was opened.
+   */
+  promptBestRunGhostImport() {
+    if (typeof document === 'undefined') return false;
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (file) {
+        file.text().then(text => this.importBestRunGhost(text));
       }
+    });
+    input.click();
+    return true;
+  }
+
+  /**
+   * Offers `json` as a file download through the browser.
+   * @param {string|null} json
+   * @param {string} filename
+   * @returns {boolean} True if a download was started.
+   */
+  downloadJson(json, filename) {
+    if (!json || typeof document === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+      return false;
+    }
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  /**
+   * Hands arcade physics stepping to stepSimulation() so physics advances exactly once per tick.
+   * @param {number} tickRate - Ticks per second; physics steps at the same rate.
+   * @returns {boolean} True if physics is now stepped manually.
+   */
+  enableManualPhysics(tickRate) {
+    const physics = this.physics;
+    if (!physics || typeof physics.disableUpdate !== 'function' || !physics.world || typeof physics.world.singleStep !== 'function') {
+      return false;
+    }
+    if (typeof physics.world.setFPS === 'function' && typeof tickRate === 'number' && tickRate > 0) {
+      physics.world.setFPS(tickRate);
     }
+    physics.disableUpdate();
+    return true;
   }
 
   update(time, delta) {
@@ -645,15 +1567,34 @@ export default class GameScene extends BaseScene {
       }
     }
 
-    // Update game objects
-    if (this.player) {
-      this.player.update(time, delta);
-      
-      // Update registry with current player health for UI
-      if (this.registry && this.player) {
-        this.registry.set('playerHealth', this.player.health);
-        this.registry.set('dashTimer', this.player.dashTimer);
+    // Advance the simulation; everything in stepSimulation() runs on world time
+    let worldDelta = delta;
+    if (this.fixedTimestep) {
+      const frameDelta = this.timeDilation ? this.timeDilation.scaleDelta(delta) : delta;
+      const ticks = this.fixedTimestep.advance(frameDelta, (tickTime, step) => this.stepSimulation(tickTime, step));
+      worldDelta = ticks * this.fixedTimestep.step;
+    } else {
+      // Scenes without create() (unit tests) run one variable step per frame
+      let worldTime = time;
+      if (this.timeDilation) {
+        this.timeDilation.tick(time, delta);
+        worldTime = this.timeDilation.toWorldTime(time);
+        worldDelta = this.timeDilation.scaleDelta(delta);
       }
+      this.stepSimulation(worldTime, worldDelta);
+    }
+
+    // Update registry with current player health for UI
+    if (this.registry && this.player) {
+      this.registry.set('playerHealth', this.player.health);
+      this.registry.set('dashTimer', this.player.dashTimer);
+      this.registry.set('playerBreath', this.player.breath);
+    }
+    if (this.registry && this.keyInventory) {
+      this.registry.set('keyInventory', this.keyInventory.counts);
+    }
+    if (this.registry && this.livesCounter) {
+      this.registry.set('lives', this.livesCounter.lives);
     }
     
     // Update parallax background movement for all layers
@@ -664,59 +1605,33 @@ export default class GameScene extends BaseScene {
       this.backgroundLayers.forEach(background => {
         const scrollSpeed = background.getData ? background.getData('scrollSpeed') : 0.0;
         if (scrollSpeed > 0.0) {
-          background.tilePositionX -= playerVelocityX * scrollSpeed * (delta / 1000);
+          background.tilePositionX -= playerVelocityX * scrollSpeed * (worldDelta / 1000);
         }
       });
     }
-    
-    // Update all platforms (including moving platforms)
-    if (this.platforms && this.platforms.getChildren) {
-      this.platforms.getChildren().forEach((platform, index) => {
-        if (platform && typeof platform.update === 'function') {
-          platform.update(time, delta);
-        }
-      });
-    }
-    
-    // Handle player carrying by moving platforms
-    if (this.player && this.player.body && this.platforms && this.platforms.getChildren) {
-      this.platforms.getChildren().forEach((platform, index) => {
-        // Check if this is a MovingPlatform that can carry players
-        if (platform && typeof platform.carryPlayerIfStanding === 'function') {
-          platform.carryPlayerIfStanding(this.player.body);
-        }
-      });
-    } else {
-      // Skip carrying if requirements missing
-    }
-    
-    // Update all enemies
-    if (this.enemies && this.enemies.getChildren) {
-      this.enemies.getChildren().forEach(enemy => {
-        if (enemy && typeof enemy.update === 'function') {
-          enemy.update(time, delta);
-        }
-      });
+
+    // Update registry with rewind energy for the UIScene meter
+    if (this.registry && this.timeManager && typeof this.timeManager.rewindEnergy === 'number') {
+      this.registry.set('rewindEnergy', this.timeManager.rewindEnergy);
+      this.registry.set('rewindEnergyMax', this.timeManager.rewindCapacity);
     }
-    if (this.timeManager) {
-        this.timeManager.update(time, delta);
-        // Toggle rewind based on input
-        const isRewindActive = this.player.inputManager.isRewindPressed;
-        if (isRewindActive !== this.timeManager.isRewinding) {
-            this.timeManager.toggleRewind(isRewindActive);
-        }
-        
-        // Handle death state during rewind
-        if (this.timeManager.isRewinding) {
-            this.handleRewindDeath();
-        }
+
+    // Update registry with the rewind timeline for the UIScene scrub bar
+    if (this.registry && this.timeManager && typeof this.timeManager.getTimeline === 'function') {
+      this.registry.set('rewindTimeline', this.timeManager.isRewinding ? this.timeManager.getTimeline() : null);
     }
-    
+
     // Update registry with chrono pulse cooldown data
     if (this.registry && this.player && this.player.chronoPulse) {
       this.registry.set('chronoPulseLastActivation', this.player.chronoPulse.lastActivationTime);
     }
 
+    // Update registry with time-slow field cooldown data
+    if (this.registry && this.player && this.player.timeSlowField) {
+      this.registry.set('timeSlowLastActivation', this.player.timeSlowField.lastActivationTime);
+      this.registry.set('timeSlowActive', this.player.timeSlowField.isSlowing);
+    }
+
     if (this.viewportCullingManager) {
       if (this.platforms) this.viewportCullingManager.updateCulling(this.platforms);
       if (this.decorativeTiles) this.viewportCullingManager.updateCulling(this.decorativeTiles);
@@ -732,6 +1647,21 @@ export default class GameScene extends BaseScene {
 
   // Cleanup resources on shutdown
   onShutdown() {
+    if (this.timeDilation) {
+      this.timeDilation.destroy();
+    }
+    if (this._coinMarkerListener && this.registry && this.registry.events) {
+      this.registry.events.off('changedata-coinsCollected', this._coinMarkerListener);
+      this._coinMarkerListener = null;
+    }
+    if (this.activeEchoes) {
+      this.activeEchoes.forEach(echo => echo.finish('replaced'));
+      this.activeEchoes = [];
+    }
+    if (this.ghostRunner) {
+      this.ghostRunner.destroy();
+      this.ghostRunner = null;
+    }
     if (this._menuButton) {
       this._menuButton.off('pointerdown');
       this._menuButton.destroy();
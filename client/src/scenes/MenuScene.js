@@ -1,4 +1,7 @@
 import BaseScene from './BaseScene.js';
+import InputManager from '../systems/InputManager.js';
+import MenuNavigator from '../ui/MenuNavigator.js';
+import ControlProfile from '../systems/ControlProfile.js';
 
 export default class MenuScene extends BaseScene {
   constructor() {
@@ -25,11 +28,9 @@ export default class MenuScene extends BaseScene {
     });
     if (title.setOrigin) title.setOrigin(0.5, 0.5);
 
-    // Create keymap/instructions text
-    const keymapText = 
-      'Arrows: Move    Shift: Dash    E: Chrono Pulse\n' +
-      'Hold R: Time Reversal (once)    T: Toggle Map';
-    const keymap = this.add.text(640, 300, keymapText, {
+    // Create keymap/instructions text from the player's key bindings
+    const profile = ControlProfile.load();
+    const keymap = this.add.text(640, 290, MenuScene.keymapText(profile), {
       fontFamily: 'Arial',
       fontSize: '24px',
       color: '#cccccc',
@@ -41,7 +42,7 @@ export default class MenuScene extends BaseScene {
     if (keymap.setOrigin) keymap.setOrigin(0.5, 0.5);
 
     // Create start button
-    const startButton = this.add.text(640, 400, 'Start', {
+    const startButton = this.add.text(640, 420, 'Start', {
       fontFamily: 'Arial',
       fontSize: '40px',
       color: '#ffcc00',
@@ -58,9 +59,50 @@ export default class MenuScene extends BaseScene {
         this.scene.start('GameScene');
       });
     }
+
+    // Create controls button (key rebinding)
+    const controlsButton = this.add.text(640, 500, 'Controls', {
+      fontFamily: 'Arial',
+      fontSize: '28px',
+      color: '#ffffff',
+      backgroundColor: '#222',
+      padding: { x: 16, y: 8 },
+      align: 'center',
+      stroke: '#000',
+      strokeThickness: 3
+    });
+    if (controlsButton.setOrigin) controlsButton.setOrigin(0.5, 0.5);
+    if (controlsButton.setInteractive) controlsButton.setInteractive({ useHandCursor: true });
+    if (controlsButton.on) {
+      controlsButton.on('pointerdown', () => {
+        this.scene.start('ControlsScene', { returnTo: 'MenuScene' });
+      });
+    }
+
+    // Keyboard and gamepad menu navigation
+    if (this.input && this.input.keyboard && typeof this.input.keyboard.addKey === 'function') {
+      this.inputManager = new InputManager(this, profile);
+      this.menuNavigator = new MenuNavigator([startButton, controlsButton]);
+    }
+  }
+
+  /**
+   * @param {ControlProfile} profile
+   * @returns {string} Keymap instructions for the menu, one line per group of actions.
+   */
+  static keymapText(profile) {
+    const keys = action => profile.describe(action);
+    return [
+      `${keys('left')} / ${keys('right')}: Move    ${keys('up')}: Jump    ${keys('dash')}: Dash`,
+      `${keys('chronoPulse')}: Chrono Pulse    ${keys('timeSlow')}: Time Slow    Hold ${keys('rewind')}: Time Reversal (once)`,
+      `${keys('pause')}: Pause    ${keys('mute')}: Mute    ${keys('map')}: Toggle Map`,
+      'Gamepad: A Jump    X Dash    Y Chrono Pulse    RT Time Reversal'
+    ].join('\n');
   }
 
   update(time, delta) {
-    // Update menu if needed
+    if (this.menuNavigator) {
+      this.menuNavigator.update(this.inputManager);
+    }
   }
 } 
\ No newline at end of file
@@ -1,6 +1,12 @@
 import BaseScene from './BaseScene.js';
 import InputManager from '../systems/InputManager.js';
 import MapOverlay from '../ui/MapOverlay.js';
+import MenuNavigator from '../ui/MenuNavigator.js';
+import ControlProfile from '../systems/ControlProfile.js';
+import TouchControls from '../ui/TouchControls.js';
+import { GameConfig } from '../config/GameConfig.js';
+import TimeDilation from '../systems/TimeDilation.js';
+import KeyInventory from '../systems/KeyInventory.js';
 
 export default class UIScene extends BaseScene {
   constructor(mockScene = null) {
@@ -69,8 +75,12 @@ export default class UIScene extends BaseScene {
     dashText.setOrigin(0, 0);
     const pulseText = this.add.text(100, 50, 'Pulse', { font: '16px Arial', fill: '#333333' });
     pulseText.setOrigin(0, 0);
+    const slowText = this.add.text(280, 50, 'Slow', { font: '16px Arial', fill: '#333333' });
+    if (slowText && typeof slowText.setOrigin === 'function') {
+      slowText.setOrigin(0, 0);
+    }
 
-    this.cooldownIcons = { dashText, pulseText };
+    this.cooldownIcons = { dashText, pulseText, slowText };
 
     // Task 04.03: Coin counter display
     const coinCounter = this.add.text(180, 50, 'Coins: 0', { font: '16px Arial', fill: '#333333' });
@@ -90,6 +100,13 @@ export default class UIScene extends BaseScene {
       });
     }
 
+    // On-screen joystick and buttons on touch devices
+    this.touchControls = new TouchControls(this);
+    this.touchControls.create();
+    if (this.events && typeof this.events.once === 'function') {
+      this.events.once('shutdown', () => this.touchControls.destroy());
+    }
+
     // Create pause menu if needed
     if (this.isPaused) {
       this.createPauseMenu();
@@ -127,10 +144,29 @@ export default class UIScene extends BaseScene {
       }
     }
 
+    // Rewind energy meter – drawn under the ability indicators
+    this.rewindMeterBounds = { x: 20, y: 75, width: 200, height: 8 };
+    this.rewindMeter = this.add.graphics();
+    this.updateRewindMeter(1);
+
+    // Breath meter – next to the health bar, only drawn while breath is short
+    this.breathMeterBounds = { x: 230, y: 26, width: 100, height: 8 };
+    this.breathMeter = this.add.graphics();
+
+    // Rewind scrub timeline – only drawn while rewinding
+    this.rewindTimelineBounds = { x: 20, y: 90, width: 400, height: 10 };
+    this.rewindTimelineBar = this.add.graphics();
+    this.rewindTimelineLabel = this.add.text(20, 106, '', { font: '14px Arial', fill: '#ffffff' });
+    if (this.rewindTimelineLabel && typeof this.rewindTimelineLabel.setVisible === 'function') {
+      this.rewindTimelineLabel.setVisible(false);
+    }
+
     // Listen for levelCompleted event from GameScene
     const gameSceneForLevelComplete = this.scene && this.scene.get ? this.scene.get('GameScene') : null;
     if (gameSceneForLevelComplete && gameSceneForLevelComplete.events && typeof gameSceneForLevelComplete.events.on === 'function') {
       gameSceneForLevelComplete.events.on('levelCompleted', this.onLevelCompleted, this);
+      // Rewinding past the goal takes the completion back
+      gameSceneForLevelComplete.events.on('levelCompletionUndone', this.onLevelCompletionUndone, this);
     }
   }
 
@@ -152,6 +188,93 @@ export default class UIScene extends BaseScene {
     this.resumeButton.on('pointerdown', () => {
       this.resumeGame();
     });
+
+    // Share the best-run ghost with friends
+    const gameScene = this.scene && typeof this.scene.get === 'function' ? this.scene.get('GameScene') : null;
+    this.ghostButtons = [
+      { label: 'Export Ghost', y: 430, action: 'downloadBestRunGhost' },
+      { label: 'Import Ghost', y: 490, action: 'promptBestRunGhostImport' }
+    ].map(({ label, y, action }) => {
+      const button = this.add.text(640, y, label, {
+        font: '24px Arial',
+        fill: '#ffffff',
+        backgroundColor: '#333333',
+        padding: { x: 16, y: 8 }
+      });
+      button.setOrigin(0.5);
+      button.setInteractive({ useHandCursor: true });
+      button.on('pointerdown', () => {
+        if (gameScene && typeof gameScene[action] === 'function') {
+          gameScene[action]();
+        }
+      });
+      return button;
+    });
+
+    // Key rebinding opens over the paused game
+    this.controlsButton = this.add.text(640, 550, 'Controls', {
+      font: '24px Arial',
+      fill: '#ffffff',
+      backgroundColor: '#333333',
+      padding: { x: 16, y: 8 }
+    });
+    this.controlsButton.setOrigin(0.5);
+    this.controlsButton.setInteractive({ useHandCursor: true });
+    this.controlsButton.on('pointerdown', () => {
+      this.openControls();
+    });
+    if (this.events && typeof this.events.on === 'function' && typeof this.events.once === 'function') {
+      this.events.on('resume', this.applyControlProfile, this);
+      this.events.once('shutdown', () => this.events.off('resume', this.applyControlProfile, this));
+    }
+
+    // Touch control settings, only while the touch controls are shown
+    const touchControls = this.touchControls && this.touchControls.isVisible ? this.touchControls : null;
+    const opacityLabel = () => `Touch Opacity: ${Math.round(touchControls.settings.opacity * 100)}%`;
+    const layoutLabel = () => `Touch Layout: ${touchControls.settings.layout === 'left' ? 'Left' : 'Right'}-handed`;
+    this.touchButtons = !touchControls ? [] : [
+      { y: 610, label: opacityLabel, action: () => touchControls.cycleOpacity() },
+      { y: 670, label: layoutLabel, action: () => touchControls.toggleLayout() }
+    ].map(({ y, label, action }) => {
+      const button = this.add.text(640, y, label(), {
+        font: '24px Arial',
+        fill: '#ffffff',
+        backgroundColor: '#333333',
+        padding: { x: 16, y: 8 }
+      });
+      button.setOrigin(0.5);
+      button.setInteractive({ useHandCursor: true });
+      button.on('pointerdown', () => {
+        action();
+        button.setText(label());
+      });
+      return button;
+    });
+
+    // Keyboard and gamepad navigation through the pause menu
+    this.pauseMenuNavigator = new MenuNavigator([
+      this.resumeButton, ...this.ghostButtons, this.controlsButton, ...this.touchButtons
+    ]);
+  }
+
+  openControls() {
+    this.scene.launch('ControlsScene', { returnTo: 'UIScene' });
+    this.scene.pause();
+  }
+
+  /**
+   * Reloads the saved key bindings into this scene's and GameScene's InputManager
+   * after ControlsScene closes.
+   */
+  applyControlProfile() {
+    const profile = ControlProfile.load();
+    if (this.inputManager) {
+      this.inputManager.applyProfile(profile);
+    }
+    const gameScene = this.scene && typeof this.scene.get === 'function' ? this.scene.get('GameScene') : null;
+    if (gameScene && gameScene.player && gameScene.player.inputManager) {
+      gameScene.player.inputManager.applyProfile(profile);
+    }
   }
 
   resumeGame() {
@@ -165,6 +288,15 @@ export default class UIScene extends BaseScene {
     if (this.resumeButton) {
       this.resumeButton.setVisible(false);
     }
+    if (this.ghostButtons) {
+      this.ghostButtons.forEach(button => button.setVisible(false));
+    }
+    if (this.controlsButton) {
+      this.controlsButton.setVisible(false);
+    }
+    if (this.touchButtons) {
+      this.touchButtons.forEach(button => button.setVisible(false));
+    }
     
     // Reset pause state
     this.isPaused = false;
@@ -184,12 +316,143 @@ export default class UIScene extends BaseScene {
     }
   }
 
+  /**
+   * Redraws the rewind energy meter
+   * @param {number} ratio - Remaining energy as a 0–1 fraction of capacity
+   */
+  updateRewindMeter(ratio) {
+    if (!this.rewindMeter || typeof this.rewindMeter.clear !== 'function') return;
+    const { x, y, width, height } = this.rewindMeterBounds;
+    const clampedRatio = Math.max(0, Math.min(1, ratio));
+    this.rewindMeter.clear();
+    this.rewindMeter.fillStyle(0x222244, 1);
+    this.rewindMeter.fillRect(x, y, width, height);
+    // Cyan while usable, dim red once the meter is empty
+    this.rewindMeter.fillStyle(clampedRatio > 0 ? 0x33ccff : 0x661111, 1);
+    this.rewindMeter.fillRect(x, y, Math.floor(clampedRatio * width), height);
+  }
+
+  /**
+   * Shows a HUD key icon for each colour carried, with a count when more than one.
+   * Icons are created the first time a colour is carried.
+   * @param {Object<string, number>} counts - KeyInventory counts per colour
+   */
+  updateKeyDisplay(counts) {
+    if (!counts) return;
+    this.keyIcons = this.keyIcons || {};
+    KeyInventory.COLORS.forEach((color, index) => {
+      const count = counts[color] || 0;
+      let entry = this.keyIcons[color];
+      if (!entry && count > 0) {
+        const x = 350 + index * 48;
+        const icon = this.add.image(x, 30, 'tiles', `hud_key_${color}`);
+        if (icon && typeof icon.setScale === 'function') icon.setScale(0.5);
+        const label = this.add.text(x + 12, 34, '', { font: '14px Arial', fill: '#ffffff' });
+        entry = this.keyIcons[color] = { icon, label };
+      }
+      if (!entry) return;
+      if (entry.icon && typeof entry.icon.setVisible === 'function') entry.icon.setVisible(count > 0);
+      if (entry.label && typeof entry.label.setText === 'function') entry.label.setText(count > 1 ? `x${count}` : '');
+    });
+  }
+
+  /**
+   * Shows the player's portrait with one HUD heart per life, up to five, and the rest as a count.
+   * Icons are created the first time lives are shown.
+   * @param {number} lives - Lives left (LivesCounter)
+   */
+  updateLivesDisplay(lives) {
+    if (typeof lives !== 'number') return;
+    const maxHearts = 5;
+    if (!this.livesDisplay) {
+      const portrait = this.add.image(560, 30, 'tiles', 'hud_player_beige');
+      if (portrait && typeof portrait.setScale === 'function') portrait.setScale(0.5);
+      const hearts = [];
+      for (let i = 0; i < maxHearts; i++) {
+        const heart = this.add.image(592 + i * 26, 30, 'tiles', 'hud_heart');
+        if (heart && typeof heart.setScale === 'function') heart.setScale(0.4);
+        hearts.push(heart);
+      }
+      const label = this.add.text(592 + maxHearts * 26, 22, '', { font: '14px Arial', fill: '#ffffff' });
+      this.livesDisplay = { portrait, hearts, label };
+    }
+    this.livesDisplay.hearts.forEach((heart, index) => {
+      if (heart && typeof heart.setVisible === 'function') heart.setVisible(index < lives);
+    });
+    const { label } = this.livesDisplay;
+    if (label && typeof label.setText === 'function') label.setText(lives > maxHearts ? `+${lives - maxHearts}` : '');
+  }
+
+  /**
+   * Redraws the breath meter, or hides it when breath is full
+   * @param {number} ratio - Breath left, 0-1
+   */
+  updateBreathMeter(ratio) {
+    if (!this.breathMeter || typeof this.breathMeter.clear !== 'function') return;
+    this.breathMeter.clear();
+    if (!(ratio < 1)) return;
+    const { x, y, width, height } = this.breathMeterBounds;
+    const clampedRatio = Math.max(0, Math.min(1, ratio));
+    this.breathMeter.fillStyle(0x222244, 1);
+    this.breathMeter.fillRect(x, y, width, height);
+    // Light blue, turning red when nearly out of breath
+    this.breathMeter.fillStyle(clampedRatio > 0.25 ? 0x99ddff : 0xff4444, 1);
+    this.breathMeter.fillRect(x, y, Math.floor(clampedRatio * width), height);
+  }
+
+  /**
+   * Redraws the rewind scrub timeline, or hides it when not rewinding
+   * @param {Object|null} timeline - TimeManager.getTimeline() snapshot
+   */
+  updateRewindTimeline(timeline) {
+    if (!this.rewindTimelineBar || typeof this.rewindTimelineBar.clear !== 'function') return;
+    this.rewindTimelineBar.clear();
+
+    const visible = !!timeline && typeof timeline === 'object' && timeline.end > timeline.start;
+    const label = this.rewindTimelineLabel;
+    if (label && typeof label.setVisible === 'function') {
+      label.setVisible(visible);
+    }
+    if (!visible) return;
+
+    const { x, y, width, height } = this.rewindTimelineBounds;
+    const { start, end, playback, earliest, markers } = timeline;
+    const toX = timestamp => x + Math.round(((Math.max(start, Math.min(end, timestamp)) - start) / (end - start)) * width);
+    const bar = this.rewindTimelineBar;
+
+    bar.fillStyle(0x222244, 1);
+    bar.fillRect(x, y, width, height);
+    // Out of reach with the energy this rewind started with
+    bar.fillStyle(0x111111, 1);
+    bar.fillRect(x, y, toX(earliest) - x, height);
+    // Rewound so far
+    bar.fillStyle(0x553366, 1);
+    bar.fillRect(toX(playback), y, toX(end) - toX(playback), height);
+
+    const markerColors = { death: 0xff3333, damage: 0xff9933, coin: 0xffdd33 };
+    (markers || []).forEach(marker => {
+      bar.fillStyle(markerColors[marker.type] || 0xffffff, 1);
+      bar.fillRect(toX(marker.timestamp) - 1, y - 3, 2, height + 6);
+    });
+
+    // Playhead
+    bar.fillStyle(0xffffff, 1);
+    bar.fillRect(toX(playback) - 1, y - 5, 3, height + 10);
+
+    if (label && typeof label.setText === 'function') {
+      label.setText(timeline.isScrubbing ? '\u2190/\u2192 scrub   F: resume here' : 'F: pause rewind');
+    }
+  }
+
   update(time, delta) {
     // Handle pause key while paused
     if (this.isPaused && this.inputManager && this.inputManager.isPauseJustPressed) {
       this.resumeGame();
       return;
     }
+    if (this.isPaused && this.pauseMenuNavigator) {
+      this.pauseMenuNavigator.update(this.inputManager);
+    }
 
     // Update health bar based on player health
     if (this.healthBarForeground) {
@@ -209,9 +472,42 @@ export default class UIScene extends BaseScene {
       this.healthBarForeground.fillRect(20, 20, currentWidth, 20);
     }
 
+    // Update rewind energy meter from registry
+    if (this.rewindMeter && this.registry) {
+      const rewindEnergy = this.registry.get('rewindEnergy');
+      const rewindEnergyMax = this.registry.get('rewindEnergyMax');
+      if (typeof rewindEnergy === 'number' && rewindEnergyMax > 0) {
+        this.updateRewindMeter(rewindEnergy / rewindEnergyMax);
+      }
+    }
+
+    // Update carried keys from registry
+    if (this.registry && this.add && typeof this.add.image === 'function') {
+      this.updateKeyDisplay(this.registry.get('keyInventory'));
+      // Lives from registry
+      this.updateLivesDisplay(this.registry.get('lives'));
+    }
+
+    // Update breath meter from registry
+    if (this.breathMeter && this.registry) {
+      const breath = this.registry.get('playerBreath');
+      if (typeof breath === 'number') {
+        this.updateBreathMeter(breath / GameConfig.water.breathDuration);
+      }
+    }
+
+    // Update rewind scrub timeline from registry
+    if (this.rewindTimelineBar && this.registry) {
+      this.updateRewindTimeline(this.registry.get('rewindTimeline'));
+    }
+
     // Update cooldown indicators
     if (this.cooldownIcons && this.cooldownIcons.dashText && this.cooldownIcons.pulseText) {
-      const currentTime = this.time ? this.time.now : 0;
+      // Cooldowns are stored in world time
+      const gameSceneForTime = this.scene && typeof this.scene.get === 'function' ? this.scene.get('GameScene') : null;
+      const currentTime = gameSceneForTime && gameSceneForTime.timeDilation
+        ? TimeDilation.now(gameSceneForTime)
+        : (this.time ? this.time.now : 0);
       
       // Update dash cooldown indicator
       const dashTimer = this.registry ? this.registry.get('dashTimer') : 0;
@@ -238,6 +534,26 @@ export default class UIScene extends BaseScene {
         this.cooldownIcons.pulseText.setTint(0xffffff); // White
         this.cooldownIcons.pulseText.setAlpha(1.0);
       }
+
+      // Update time-slow field indicator
+      const slowText = this.cooldownIcons.slowText;
+      if (slowText && typeof slowText.setTint === 'function') {
+        const timeSlowLastActivation = this.registry ? this.registry.get('timeSlowLastActivation') : undefined;
+        const isSlowActive = this.registry ? this.registry.get('timeSlowActive') === true : false;
+        const isSlowOnCooldown = typeof timeSlowLastActivation === 'number' &&
+                                 (currentTime - timeSlowLastActivation) < GameConfig.timeSlow.cooldown;
+
+        if (isSlowActive) {
+          slowText.setTint(0x9966ff); // Purple while the field is up
+          slowText.setAlpha(1.0);
+        } else if (isSlowOnCooldown) {
+          slowText.setTint(0x888888); // Grey
+          slowText.setAlpha(0.5);
+        } else {
+          slowText.setTint(0xffffff); // White
+          slowText.setAlpha(1.0);
+        }
+      }
     }
 
     // Task 04.03: Update coin counter display
@@ -288,6 +604,14 @@ export default class UIScene extends BaseScene {
     this.levelCompleteActive = true;
   }
 
+  onLevelCompletionUndone() {
+    if (this.levelCompleteOverlay) {
+      this.levelCompleteOverlay.destroy();
+      this.levelCompleteOverlay = null;
+    }
+    this.levelCompleteActive = false;
+  }
+
   // --- Task 05.02.2: Handle SPACE key to return to menu ---
   handleLevelCompleteInput() {
     if (this.levelCompleteActive && this.inputManager && this.inputManager.isJumpJustPressed) {
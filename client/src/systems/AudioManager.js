@@ -36,6 +36,16 @@ export default class AudioManager {
       this._rewindEndSound = null;
     }
     this._isRewindAudioPlaying = false;
+    this._sfxListener = null;
+  }
+
+  /**
+   * Set a callback run with (key, sound) after each sound effect starts.
+   * GameScene uses it to journal sounds so rewinding past them cuts them off.
+   * @param {Function|null} listener - Callback, or null to remove it
+   */
+  setSfxListener(listener) {
+    this._sfxListener = typeof listener === 'function' ? listener : null;
   }
 
   /**
@@ -72,6 +82,7 @@ export default class AudioManager {
   /**
    * Play a sound effect
    * @param {string} key - The sound effect key to play
+   * @returns {Howl|null} The playing sound, or null for unknown keys
    */
   playSfx(key) {
     let prefix;
@@ -92,14 +103,50 @@ export default class AudioManager {
       playerHurt: {
         src: [`${prefix}/src/assets/audio/sfx_hurt.ogg`],
         volume: 0.4
+      },
+      // Picking up a key and opening a lock or door
+      key: {
+        src: [`${prefix}/src/assets/audio/sfx_gem.ogg`],
+        volume: 0.6
+      },
+      unlock: {
+        src: [`${prefix}/src/assets/audio/sfx_select.ogg`],
+        volume: 0.6
+      },
+      // A switch or lever changing state
+      switch: {
+        src: [`${prefix}/src/assets/audio/sfx_bump.ogg`],
+        volume: 0.6
+      },
+      // Raising a checkpoint flag
+      checkpoint: {
+        src: [`${prefix}/src/assets/audio/sfx_magic.ogg`],
+        volume: 0.6
+      },
+      // Picking up a heart, or an extra-life heart
+      heart: {
+        src: [`${prefix}/src/assets/audio/sfx_gem.ogg`],
+        volume: 0.6
+      },
+      extraLife: {
+        src: [`${prefix}/src/assets/audio/sfx_jump-high.ogg`],
+        volume: 0.6
+      },
+      // Entering or leaving water fast
+      splash: {
+        src: [`${prefix}/src/assets/audio/sfx_disappear.ogg`],
+        volume: 0.5
       }
     };
 
     const config = sfxConfig[key];
-    if (config) {
-      const sound = new Howl(config);
-      sound.play();
+    if (!config) return null;
+    const sound = new Howl(config);
+    sound.play();
+    if (this._sfxListener) {
+      this._sfxListener(key, sound);
     }
+    return sound;
   }
 
   /**
@@ -0,0 +1,236 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * ControlProfile - Keyboard bindings per action, persisted in browser storage.
+ * Invariants: see `agent_docs/invariants.md` §37.
+ *
+ * - Actions are InputManager's gameplay buttons plus the pause, mute and map UI controls
+ * - Bindings are Phaser key names (`'LEFT'`, `'SPACE'`, `'E'`); an action can have several keys,
+ *   a key belongs to at most one action, and every action keeps at least one key
+ * - Stored as JSON under `GameConfig.controls.storageKey`; storage methods take an optional
+ *   Storage-like object and fall back to `localStorage`, like GhostStore
+ */
+export default class ControlProfile {
+  static VERSION = 1;
+
+  static ACTIONS = Object.freeze([
+    'left', 'right', 'up', 'down', 'dash', 'chronoPulse', 'timeSlow', 'rewind', 'scrub', 'pause', 'mute', 'map'
+  ]);
+
+  static LABELS = Object.freeze({
+    left: 'Move Left',
+    right: 'Move Right',
+    up: 'Jump',
+    down: 'Down',
+    dash: 'Dash',
+    chronoPulse: 'Chrono Pulse',
+    timeSlow: 'Time Slow',
+    rewind: 'Rewind',
+    scrub: 'Rewind Scrub',
+    pause: 'Pause',
+    mute: 'Mute',
+    map: 'Map'
+  });
+
+  // Short names for keys whose Phaser name reads poorly on screen
+  static KEY_LABELS = Object.freeze({
+    LEFT: '←',
+    RIGHT: '→',
+    UP: '↑',
+    DOWN: '↓',
+    SHIFT: 'Shift',
+    SPACE: 'Space',
+    CTRL: 'Ctrl',
+    ALT: 'Alt',
+    ENTER: 'Enter',
+    BACKSPACE: 'Backspace',
+    TAB: 'Tab'
+  });
+
+  /**
+   * @param {Object<string, Array<string>>} [bindings] Keys per action; missing actions use the defaults.
+   */
+  constructor(bindings = {}) {
+    const defaults = GameConfig.controls.bindings;
+    this.bindings = {};
+    for (const action of ControlProfile.ACTIONS) {
+      const keys = Array.isArray(bindings[action]) && bindings[action].length > 0 ? bindings[action] : defaults[action];
+      this.bindings[action] = [...keys];
+    }
+  }
+
+  /**
+   * @param {Storage} [storage]
+   * @returns {ControlProfile} The saved profile, or the defaults if none is saved (or it is invalid).
+   */
+  static load(storage = ControlProfile.defaultStorage()) {
+    if (!storage) return new ControlProfile();
+    try {
+      const json = storage.getItem(GameConfig.controls.storageKey);
+      return json ? ControlProfile.parse(json) : new ControlProfile();
+    } catch (error) {
+      console.warn('[ControlProfile] Ignoring saved controls:', error.message);
+      return new ControlProfile();
+    }
+  }
+
+  /**
+   * @param {string|Object} data Profile JSON text or object.
+   * @returns {ControlProfile}
+   * @throws {Error} If the profile is malformed or from an unsupported version.
+   */
+  static parse(data) {
+    const profile = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!profile || typeof profile !== 'object') {
+      throw new Error('ControlProfile: profile must be an object');
+    }
+    if (profile.version !== ControlProfile.VERSION) {
+      throw new Error(`ControlProfile: unsupported profile version ${profile.version}`);
+    }
+    const bindings = profile.bindings;
+    if (!bindings || typeof bindings !== 'object') {
+      throw new Error('ControlProfile: profile needs bindings');
+    }
+    for (const [action, keys] of Object.entries(bindings)) {
+      if (!ControlProfile.ACTIONS.includes(action)) {
+        throw new Error(`ControlProfile: unknown action '${action}'`);
+      }
+      if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string' && key)) {
+        throw new Error(`ControlProfile: bindings of '${action}' must be key names`);
+      }
+    }
+    return new ControlProfile(bindings);
+  }
+
+  /**
+   * @param {string} action
+   * @returns {Array<string>} Key names bound to the action.
+   */
+  getBindings(action) {
+    return this.bindings[action] || [];
+  }
+
+  /**
+   * @returns {Array<string>} Every bound key name, without duplicates.
+   */
+  allKeys() {
+    return [...new Set(Object.values(this.bindings).flat())];
+  }
+
+  /**
+   * @param {string} key Key name.
+   * @returns {string|null} The action the key is bound to.
+   */
+  actionFor(key) {
+    return ControlProfile.ACTIONS.find(action => this.bindings[action].includes(key)) || null;
+  }
+
+  /**
+   * Adds a key to an action, taking it away from the action it was bound to before.
+   * A key that is the only binding of another action is not moved.
+   * @param {string} action
+   * @param {string} key Key name.
+   * @returns {boolean} True if the key is now bound to the action.
+   */
+  bind(action, key) {
+    this._assertAction(action);
+    const previous = this.actionFor(key);
+    if (previous === action) return true;
+    if (previous) {
+      if (this.bindings[previous].length === 1) return false;
+      this.bindings[previous] = this.bindings[previous].filter(bound => bound !== key);
+    }
+    this.bindings[action].push(key);
+    return true;
+  }
+
+  /**
+   * Removes a key from an action, unless it is the action's only key.
+   * @param {string} action
+   * @param {string} key Key name.
+   * @returns {boolean} True if the key was removed.
+   */
+  unbind(action, key) {
+    this._assertAction(action);
+    const keys = this.bindings[action];
+    if (!keys.includes(key) || keys.length === 1) return false;
+    this.bindings[action] = keys.filter(bound => bound !== key);
+    return true;
+  }
+
+  /**
+   * Restores the default bindings of one action, or of every action.
+   * Keys the restored defaults use are taken away from other actions that still have another key.
+   * @param {string} [action]
+   */
+  reset(action) {
+    if (action === undefined) {
+      Object.assign(this, new ControlProfile());
+      return;
+    }
+    this._assertAction(action);
+    const current = this.bindings[action];
+    this.bindings[action] = [];
+    for (const key of GameConfig.controls.bindings[action]) {
+      const previous = this.actionFor(key);
+      if (previous && this.bindings[previous].length > 1) {
+        this.bindings[previous] = this.bindings[previous].filter(bound => bound !== key);
+      }
+      if (!this.actionFor(key)) this.bindings[action].push(key);
+    }
+    if (this.bindings[action].length === 0) {
+      // Every default key is another action's only key
+      this.bindings[action] = current;
+    }
+  }
+
+  /**
+   * @param {string} action
+   * @returns {string} The action's keys for display, e.g. `'← / A'`.
+   */
+  describe(action) {
+    return this.getBindings(action).map(ControlProfile.keyLabel).join(' / ');
+  }
+
+  /**
+   * @param {string} key Key name.
+   * @returns {string}
+   */
+  static keyLabel(key) {
+    return ControlProfile.KEY_LABELS[key] || key;
+  }
+
+  /**
+   * @param {Storage} [storage]
+   * @returns {boolean} True if saved.
+   */
+  save(storage = ControlProfile.defaultStorage()) {
+    if (!storage) return false;
+    try {
+      storage.setItem(GameConfig.controls.storageKey, JSON.stringify(this));
+      return true;
+    } catch (error) {
+      console.warn('[ControlProfile] Failed to save controls:', error.message);
+      return false;
+    }
+  }
+
+  toJSON() {
+    return { version: ControlProfile.VERSION, bindings: this.bindings };
+  }
+
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is blocked
+      return null;
+    }
+  }
+
+  _assertAction(action) {
+    if (!ControlProfile.ACTIONS.includes(action)) {
+      throw new Error(`ControlProfile: unknown action '${action}'`);
+    }
+  }
+}
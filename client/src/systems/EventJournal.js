@@ -0,0 +1,131 @@
+/**
+ * EventJournal – reversible game events kept alongside TimeManager's snapshot buffer.
+ *
+ * Invariants are recorded in `agent_docs/invariants.md` §32.
+ *  • Snapshots restore per-object state; the journal covers one-off events that no snapshot
+ *    can express (a sound already played, a game-over overlay, a flag set once per level).
+ *  • Entries are `{ type, timestamp, data, undo, redo }`, kept oldest → newest.
+ *  • Moving back past an entry runs its `undo(entry)` once; moving forward again over an undone
+ *    entry runs its optional `redo(entry)`. Undo runs newest first, redo oldest first.
+ *  • When a rewind ends, undone entries belong to the abandoned future and are discarded.
+ *  • An entry at exactly the playback timestamp has happened: the frame recorded at that
+ *    time already reflects it.
+ */
+export default class EventJournal {
+  constructor() {
+    // Entries that have happened, oldest first
+    this.entries = [];
+    // Entries undone during the current rewind, newest first
+    this.undone = [];
+  }
+
+  /**
+   * @returns {number} Number of entries that have happened.
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Appends an event. Timestamps must not decrease.
+   * @param {string} type Event name, e.g. 'gameOver'.
+   * @param {number} timestamp World time of the event.
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.undo] Called with the entry when playback moves back past it.
+   * @param {Function} [handlers.redo] Called with the entry when playback moves forward over it again.
+   * @param {*} [handlers.data] Payload kept on the entry.
+   * @returns {Object} The stored entry.
+   */
+  append(type, timestamp, handlers = {}) {
+    const last = this.entries[this.entries.length - 1];
+    const entry = {
+      type,
+      // Keep entries ordered even if a caller reports a slightly stale time
+      timestamp: last && timestamp < last.timestamp ? last.timestamp : timestamp,
+      data: handlers.data,
+      undo: typeof handlers.undo === 'function' ? handlers.undo : null,
+      redo: typeof handlers.redo === 'function' ? handlers.redo : null
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Undoes every entry newer than `timestamp`, newest first.
+   * @param {number} timestamp Playback timestamp.
+   * @returns {Array<Object>} Entries undone by this call.
+   */
+  undoAfter(timestamp) {
+    const undone = [];
+    while (this.entries.length > 0 && this.entries[this.entries.length - 1].timestamp > timestamp) {
+      const entry = this.entries.pop();
+      this._run(entry, 'undo');
+      this.undone.unshift(entry);
+      undone.push(entry);
+    }
+    return undone;
+  }
+
+  /**
+   * Re-applies undone entries up to and including `timestamp`, oldest first.
+   * @param {number} timestamp Playback timestamp.
+   * @returns {Array<Object>} Entries redone by this call.
+   */
+  redoUpTo(timestamp) {
+    const redone = [];
+    while (this.undone.length > 0 && this.undone[0].timestamp <= timestamp) {
+      const entry = this.undone.shift();
+      this._run(entry, 'redo');
+      this.entries.push(entry);
+      redone.push(entry);
+    }
+    return redone;
+  }
+
+  /**
+   * Moves the journal to `timestamp`, undoing or redoing entries as needed.
+   * @param {number} timestamp Playback timestamp.
+   */
+  seek(timestamp) {
+    this.undoAfter(timestamp);
+    this.redoUpTo(timestamp);
+  }
+
+  /**
+   * Drops the undone entries once the timeline they belong to has been abandoned.
+   * @returns {Array<Object>} The discarded entries, oldest first.
+   */
+  discardUndone() {
+    const discarded = this.undone;
+    this.undone = [];
+    return discarded;
+  }
+
+  /**
+   * Forgets entries older than `timestamp`; rewind can no longer reach them.
+   * @param {number} timestamp Oldest reachable timestamp.
+   */
+  prune(timestamp) {
+    let count = 0;
+    while (count < this.entries.length && this.entries[count].timestamp < timestamp) {
+      count++;
+    }
+    if (count > 0) {
+      this.entries.splice(0, count);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this.undone = [];
+  }
+
+  _run(entry, handler) {
+    if (!entry[handler]) return;
+    try {
+      entry[handler](entry);
+    } catch (error) {
+      console.warn(`[EventJournal] Error running ${handler} for '${entry.type}':`, error);
+    }
+  }
+}
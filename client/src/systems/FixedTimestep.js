@@ -0,0 +1,82 @@
+/**
+ * FixedTimestep - Accumulator that turns variable frame deltas into fixed simulation ticks.
+ * Invariants: see `agent_docs/invariants.md` §33.
+ *
+ * GameScene feeds it the (dilated) frame delta once per rendered frame and runs one
+ * gameplay tick per whole `step` accumulated. Tick times are `startTime + tickCount * step`,
+ * so a run with the same inputs produces the same ticks on any display.
+ */
+export default class FixedTimestep {
+  // Tolerance for accumulated deltas that equal a whole number of steps
+  static EPSILON = 1e-6;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.tickRate=60] Ticks per second.
+   * @param {number} [options.maxTicksPerFrame=5] Ticks run at most per advance(); the rest is dropped.
+   * @param {number} [options.startTime=0] Simulation time before the first tick.
+   */
+  constructor(options = {}) {
+    const tickRate = typeof options.tickRate === 'number' && options.tickRate > 0 ? options.tickRate : 60;
+    this.step = 1000 / tickRate;
+    this.maxTicksPerFrame = Number.isInteger(options.maxTicksPerFrame) && options.maxTicksPerFrame > 0
+      ? options.maxTicksPerFrame
+      : 5;
+    this.reset(typeof options.startTime === 'number' ? options.startTime : 0);
+  }
+
+  /**
+   * Clears the accumulator and restarts the tick count.
+   * @param {number} [startTime=0] Simulation time before the first tick.
+   */
+  reset(startTime = 0) {
+    this.startTime = startTime;
+    this.tickCount = 0;
+    this.accumulator = 0;
+    // Milliseconds skipped because a frame needed more than maxTicksPerFrame ticks
+    this.droppedTime = 0;
+  }
+
+  /**
+   * @returns {number} Simulation time of the latest tick.
+   */
+  get time() {
+    return this.startTime + this.tickCount * this.step;
+  }
+
+  /**
+   * @returns {number} Fraction of a step left in the accumulator (0–1), for render interpolation.
+   */
+  get alpha() {
+    return this.accumulator / this.step;
+  }
+
+  /**
+   * Accumulates a frame delta and runs every whole tick it covers.
+   * @param {number} delta - Milliseconds since the last frame.
+   * @param {Function} onTick - Called as onTick(time, step) once per tick, oldest first.
+   * @returns {number} Number of ticks run.
+   */
+  advance(delta, onTick) {
+    if (typeof delta === 'number' && delta > 0 && Number.isFinite(delta)) {
+      this.accumulator += delta;
+    }
+
+    const due = Math.floor((this.accumulator + FixedTimestep.EPSILON) / this.step);
+    this.accumulator = Math.max(0, this.accumulator - due * this.step);
+    let ticks = due;
+    if (ticks > this.maxTicksPerFrame) {
+      // Spiral-of-death guard: drop the backlog rather than trying to catch up
+      this.droppedTime += (ticks - this.maxTicksPerFrame) * this.step;
+      ticks = this.maxTicksPerFrame;
+    }
+
+    for (let i = 0; i < ticks; i++) {
+      this.tickCount++;
+      if (typeof onTick === 'function') {
+        onTick(this.time, this.step);
+      }
+    }
+    return ticks;
+  }
+}
@@ -0,0 +1,180 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * GamepadInput - Reads Phaser's gamepad plugin as named actions for InputManager and menus.
+ * Invariants: see `agent_docs/invariants.md` §36.
+ *
+ * - Follows the most recently connected pad; pads can be plugged and unplugged at any time
+ * - Actions come from `GameConfig.gamepad.buttons`; the left stick adds left/right/navUp/down
+ *   outside a radial deadzone, and analog buttons (triggers) count once past `triggerThreshold`
+ * - Presses and releases are latched on every poll and stay pending until consumed,
+ *   like Phaser's `JustDown`/`JustUp` for keys
+ * - Without a gamepad plugin (gamepad disabled, unit tests) every action reads as released
+ */
+export default class GamepadInput {
+  static STICK_ACTIONS = ['left', 'right', 'navUp', 'down'];
+
+  /**
+   * @param {Phaser.Scene} scene Scene whose `input.gamepad` plugin is read.
+   * @param {Object} [config=GameConfig.gamepad] Deadzone, trigger threshold and button map.
+   */
+  constructor(scene, config = GameConfig.gamepad || {}) {
+    this.scene = scene;
+    this.deadzone = typeof config.deadzone === 'number' ? config.deadzone : 0.25;
+    this.triggerThreshold = typeof config.triggerThreshold === 'number' ? config.triggerThreshold : 0.5;
+    this.buttons = config.buttons || {};
+    this.actions = [...new Set([...Object.keys(this.buttons), ...GamepadInput.STICK_ACTIONS])];
+
+    this.pad = null;
+    this._held = new Set();
+    this._pressed = new Set();
+    this._released = new Set();
+
+    this.plugin = scene && scene.input && scene.input.gamepad ? scene.input.gamepad : null;
+    if (!this.plugin) return;
+
+    const pads = typeof this.plugin.getAll === 'function' ? this.plugin.getAll() : [];
+    this.pad = pads.find(pad => pad && pad.connected !== false) || null;
+    this._syncHeld();
+    if (typeof this.plugin.on === 'function') {
+      this.plugin.on('connected', this.handleConnected, this);
+      this.plugin.on('disconnected', this.handleDisconnected, this);
+    }
+  }
+
+  get isConnected() {
+    return this.pad !== null;
+  }
+
+  /**
+   * Hot-plug: a newly connected pad becomes the active one.
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  handleConnected(pad) {
+    this.pad = pad;
+    this._syncHeld();
+    console.log(`[GamepadInput] Gamepad connected: ${pad && pad.id}`);
+    this._emit('gamepadConnected', pad);
+  }
+
+  /**
+   * Hot-plug: losing the active pad releases everything it held, then falls back to another pad.
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  handleDisconnected(pad) {
+    if (pad !== this.pad) return;
+    const pads = this.plugin && typeof this.plugin.getAll === 'function' ? this.plugin.getAll() : [];
+    this.pad = pads.find(other => other && other !== pad && other.connected !== false) || null;
+    this._pressed.clear();
+    this._released.clear();
+    this._syncHeld();
+    console.log(`[GamepadInput] Gamepad disconnected: ${pad && pad.id}`);
+    this._emit('gamepadDisconnected', pad);
+  }
+
+  /**
+   * Reads the active pad and latches presses and releases since the previous poll.
+   */
+  poll() {
+    const held = new Set(this.actions.filter(action => this._read(action)));
+    for (const action of held) {
+      if (!this._held.has(action)) this._pressed.add(action);
+    }
+    for (const action of this._held) {
+      if (!held.has(action)) this._released.add(action);
+    }
+    this._held = held;
+  }
+
+  /**
+   * @param {string} action
+   * @returns {boolean} Whether the action is held right now.
+   */
+  isDown(action) {
+    return this._read(action);
+  }
+
+  /**
+   * Polls, then reports and clears a pending press of `action`.
+   * @param {string} action
+   * @returns {boolean}
+   */
+  justPressed(action) {
+    this.poll();
+    return this.consumePressed(action);
+  }
+
+  /**
+   * Polls, then reports and clears a pending release of `action`.
+   * @param {string} action
+   * @returns {boolean}
+   */
+  justReleased(action) {
+    this.poll();
+    return this.consumeReleased(action);
+  }
+
+  /**
+   * Reports and clears a press latched by an earlier poll().
+   * @param {string} action
+   * @returns {boolean}
+   */
+  consumePressed(action) {
+    return this._pressed.delete(action);
+  }
+
+  /**
+   * Reports and clears a release latched by an earlier poll().
+   * @param {string} action
+   * @returns {boolean}
+   */
+  consumeReleased(action) {
+    return this._released.delete(action);
+  }
+
+  destroy() {
+    if (this.plugin && typeof this.plugin.off === 'function') {
+      this.plugin.off('connected', this.handleConnected, this);
+      this.plugin.off('disconnected', this.handleDisconnected, this);
+    }
+    this.pad = null;
+  }
+
+  // Buttons already held when a pad (or this reader) appears are not new presses
+  _syncHeld() {
+    this._held = new Set(this.actions.filter(action => this._read(action)));
+  }
+
+  _read(action) {
+    const pad = this.pad;
+    if (!pad) return false;
+    const indices = this.buttons[action] || [];
+    for (const index of indices) {
+      const button = pad.buttons && pad.buttons[index];
+      if (button && (button.pressed || button.value >= this.triggerThreshold)) return true;
+    }
+    if (!GamepadInput.STICK_ACTIONS.includes(action)) return false;
+
+    const x = this._axis(0);
+    const y = this._axis(1);
+    if (Math.hypot(x, y) < this.deadzone) return false;
+    switch (action) {
+      case 'left': return x <= -this.deadzone;
+      case 'right': return x >= this.deadzone;
+      case 'navUp': return y <= -this.deadzone;
+      case 'down': return y >= this.deadzone;
+      default: return false;
+    }
+  }
+
+  _axis(index) {
+    const axis = this.pad.axes && this.pad.axes[index];
+    return axis && typeof axis.value === 'number' ? axis.value : 0;
+  }
+
+  _emit(eventName, pad) {
+    if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit(eventName, pad);
+    }
+  }
+}
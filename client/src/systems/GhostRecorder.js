@@ -0,0 +1,101 @@
+/**
+ * GhostRecorder - Samples the player's trajectory for the best-run ghost.
+ * Invariants: see `agent_docs/invariants.md` §35.
+ *
+ * GameScene samples once per simulation tick; a position is kept every `sampleInterval`
+ * milliseconds of world time. The run includes the player's own rewinds, so a ghost
+ * replays exactly what the player did against the level clock.
+ *
+ * Ghost data (JSON-compatible, see GhostStore):
+ *   {
+ *     version: 1,
+ *     levelKey: 'test-cave',
+ *     duration: 48250,                      // World ms from level start to completion
+ *     animations: ['player-idle', ...],     // Animation keys referenced by frames
+ *     frames: [[t, x, y, flipX, animation]] // t in ms since start; flipX 0/1; animation index or -1
+ *   }
+ */
+export default class GhostRecorder {
+  static VERSION = 1;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.levelKey=null] Level the run belongs to (GhostStore.levelKeyFor()).
+   * @param {number} [options.sampleInterval=50] World ms between kept samples.
+   */
+  constructor(options = {}) {
+    this.levelKey = options.levelKey || null;
+    this.sampleInterval = typeof options.sampleInterval === 'number' && options.sampleInterval > 0 ? options.sampleInterval : 50;
+    this.start(0);
+  }
+
+  /**
+   * Starts a new run.
+   * @param {number} time World time the level started at.
+   */
+  start(time) {
+    this.startTime = time;
+    this.frames = [];
+    this.animations = [];
+    this.isFinished = false;
+    this._lastSampleTime = -Infinity;
+  }
+
+  /**
+   * Records the player if a sample is due.
+   * @param {number} time World time of this tick.
+   * @param {Player} player
+   */
+  sample(time, player) {
+    if (this.isFinished || !player) return;
+    if (time - this._lastSampleTime < this.sampleInterval) return;
+    this._push(time, player);
+  }
+
+  /**
+   * Ends the run with a final sample at `time`.
+   * @param {number} time World time of completion.
+   * @param {Player} player
+   * @returns {Object|null} Ghost data, or null if nothing was recorded.
+   */
+  finish(time, player) {
+    if (this.isFinished) return null;
+    if (player) this._push(time, player);
+    this.isFinished = true;
+    if (this.frames.length === 0) return null;
+    return {
+      version: GhostRecorder.VERSION,
+      levelKey: this.levelKey,
+      duration: Math.round(time - this.startTime),
+      animations: [...this.animations],
+      frames: this.frames.map(frame => [...frame])
+    };
+  }
+
+  /**
+   * Continues recording after a completion was undone by rewinding past it.
+   */
+  resume() {
+    this.isFinished = false;
+  }
+
+  _push(time, player) {
+    const animation = player.anims && player.anims.currentAnim ? player.anims.currentAnim.key : null;
+    let animationIndex = -1;
+    if (animation) {
+      animationIndex = this.animations.indexOf(animation);
+      if (animationIndex === -1) {
+        animationIndex = this.animations.push(animation) - 1;
+      }
+    }
+    const round = value => Math.round(value * 10) / 10;
+    const frame = [Math.round(time - this.startTime), round(player.x), round(player.y), player.flipX ? 1 : 0, animationIndex];
+    const last = this.frames[this.frames.length - 1];
+    if (last && last[0] === frame[0]) {
+      this.frames[this.frames.length - 1] = frame;
+    } else {
+      this.frames.push(frame);
+    }
+    this._lastSampleTime = time;
+  }
+}
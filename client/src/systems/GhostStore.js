@@ -0,0 +1,138 @@
+import { GameConfig } from '../config/GameConfig.js';
+import GhostRecorder from './GhostRecorder.js';
+import InputReplay from './InputReplay.js';
+
+/**
+ * GhostStore - Per-level best-run ghosts in browser storage, plus JSON import/export.
+ * Invariants: see `agent_docs/invariants.md` §35.
+ *
+ * Ghosts are stored as JSON under `GameConfig.ghost.storagePrefix + levelKey`.
+ * Every method takes an optional Storage-like object (`getItem`/`setItem`/`removeItem`)
+ * and falls back to `localStorage`; without storage, loads return null and saves fail.
+ */
+export default class GhostStore {
+  /**
+   * Identifies a level for ghost storage: its `id` or `name` if set, otherwise a hash of its config.
+   * @param {Object} levelConfig
+   * @returns {string}
+   */
+  static levelKeyFor(levelConfig) {
+    if (levelConfig && typeof levelConfig.id === 'string' && levelConfig.id) return levelConfig.id;
+    if (levelConfig && typeof levelConfig.name === 'string' && levelConfig.name) return levelConfig.name;
+    return InputReplay.hashConfig(levelConfig || null);
+  }
+
+  /**
+   * @param {string} levelKey
+   * @param {Storage} [storage]
+   * @returns {Object|null} The stored ghost, or null if none (or the stored data is invalid).
+   */
+  static load(levelKey, storage = GhostStore.defaultStorage()) {
+    if (!storage) return null;
+    try {
+      const json = storage.getItem(GhostStore.storageKey(levelKey));
+      return json ? GhostStore.parse(json) : null;
+    } catch (error) {
+      console.warn(`[GhostStore] Ignoring stored ghost for '${levelKey}':`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a ghost, replacing any ghost of the same level.
+   * @param {Object} ghost Ghost data (see GhostRecorder).
+   * @param {Storage} [storage]
+   * @returns {boolean} True if stored.
+   */
+  static save(ghost, storage = GhostStore.defaultStorage()) {
+    if (!storage || !ghost || !ghost.levelKey) return false;
+    try {
+      storage.setItem(GhostStore.storageKey(ghost.levelKey), JSON.stringify(ghost));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled
+      console.warn('[GhostStore] Failed to store ghost:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Stores a ghost only if it beats the stored one for its level.
+   * @param {Object} ghost
+   * @param {Storage} [storage]
+   * @returns {boolean} True if the ghost is the new best run.
+   */
+  static saveIfBest(ghost, storage = GhostStore.defaultStorage()) {
+    if (!ghost) return false;
+    const best = GhostStore.load(ghost.levelKey, storage);
+    if (best && best.duration <= ghost.duration) return false;
+    return GhostStore.save(ghost, storage);
+  }
+
+  /**
+   * @param {string} levelKey
+   * @param {Storage} [storage]
+   * @returns {string|null} The stored ghost as JSON, or null if there is none.
+   */
+  static exportGhost(levelKey, storage = GhostStore.defaultStorage()) {
+    const ghost = GhostStore.load(levelKey, storage);
+    return ghost ? JSON.stringify(ghost) : null;
+  }
+
+  /**
+   * Validates ghost JSON (e.g. from a friend) and stores it as the ghost of `levelKey`,
+   * whether or not it is faster.
+   * @param {string|Object} data Ghost JSON text or object.
+   * @param {string} levelKey Level the ghost is imported into; must match the ghost's level.
+   * @param {Storage} [storage]
+   * @returns {Object} The imported ghost.
+   * @throws {Error} If the ghost is malformed or belongs to another level.
+   */
+  static importGhost(data, levelKey, storage = GhostStore.defaultStorage()) {
+    const ghost = GhostStore.parse(data);
+    if (ghost.levelKey !== levelKey) {
+      throw new Error(`GhostStore: ghost was recorded on level '${ghost.levelKey}', not '${levelKey}'`);
+    }
+    GhostStore.save(ghost, storage);
+    return ghost;
+  }
+
+  /**
+   * @param {string|Object} data Ghost JSON text or object.
+   * @returns {Object} The ghost.
+   * @throws {Error} If the ghost is malformed or from an unsupported version.
+   */
+  static parse(data) {
+    const ghost = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!ghost || typeof ghost !== 'object') {
+      throw new Error('GhostStore: ghost must be an object');
+    }
+    if (ghost.version !== GhostRecorder.VERSION) {
+      throw new Error(`GhostStore: unsupported ghost version ${ghost.version}`);
+    }
+    if (typeof ghost.levelKey !== 'string' || typeof ghost.duration !== 'number' || !Array.isArray(ghost.animations)) {
+      throw new Error('GhostStore: ghost needs levelKey, duration and animations');
+    }
+    const validFrame = frame => Array.isArray(frame) && frame.length === 5 &&
+      frame.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+      frame[4] < ghost.animations.length;
+    if (!Array.isArray(ghost.frames) || ghost.frames.length === 0 || !ghost.frames.every(validFrame)) {
+      throw new Error('GhostStore: frames must be [t, x, y, flipX, animation] number arrays');
+    }
+    return ghost;
+  }
+
+  static storageKey(levelKey) {
+    const prefix = GameConfig.ghost?.storagePrefix ?? 'time-oddity:ghost:';
+    return `${prefix}${levelKey}`;
+  }
+
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is blocked
+      return null;
+    }
+  }
+}
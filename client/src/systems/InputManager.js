@@ -1,4 +1,8 @@
 import Phaser from 'phaser';
+import InputReplay from './InputReplay.js';
+import GamepadInput from './GamepadInput.js';
+import ControlProfile from './ControlProfile.js';
+import TouchInput from './TouchInput.js';
 
 // Patch: Use globalThis.Phaser if available for testability
 const PhaserLib = (typeof globalThis !== 'undefined' && globalThis.Phaser) ? globalThis.Phaser : Phaser;
@@ -6,46 +10,241 @@ const PhaserLib = (typeof globalThis !== 'undefined' && globalThis.Phaser) ? glo
 /**
  * Centralized input handling system.
  * See Section 1.5 "Input Handling" in the comprehensive documentation.
+ *
+ * Once GameScene starts calling sampleTick() (once per simulation tick), gameplay getters
+ * read the sampled tick instead of live keys. Each tick is packed into one integer so it
+ * can be recorded and replayed exactly:
+ *   bits 0–8   held buttons (InputManager.BUTTONS)
+ *   bits 9–17  buttons pressed since the previous tick
+ *   bits 18–26 buttons released since the previous tick
+ *   bit 27     inputsDisabled
+ * Pause, mute and map keys are UI controls and always read live keys.
+ *
+ * Every getter merges the keyboard with the active gamepad (GamepadInput)
+ * and the on-screen touch controls (TouchInput).
+ * Keys come from a ControlProfile, so players can rebind them; the
+ * ticks record logical buttons, not keys, so replays do not depend on the bindings.
  */
 export default class InputManager {
-  constructor(scene) {
+  // Logical gameplay buttons, one bit each
+  static BUTTONS = Object.freeze({
+    left: 1 << 0,
+    right: 1 << 1,
+    up: 1 << 2,
+    down: 1 << 3,
+    dash: 1 << 4,
+    chronoPulse: 1 << 5,
+    timeSlow: 1 << 6,
+    rewind: 1 << 7,
+    scrub: 1 << 8
+  });
+  static BUTTON_BITS = 9;
+  static DISABLED_BIT = 1 << 27;
+
+  // Menu navigation keys are always registered, so a profile can never lock players out of menus
+  static MENU_KEYS = Object.freeze(['UP', 'DOWN', 'W', 'S', 'SPACE', 'ENTER']);
+
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {ControlProfile} [profile] Key bindings; defaults to the saved profile.
+   */
+  constructor(scene, profile = ControlProfile.load()) {
     this.scene = scene;
-    
-    // Initialize keyboard input keys
-    this.left = scene.input.keyboard.addKey('LEFT');
-    this.right = scene.input.keyboard.addKey('RIGHT');
-    this.up = scene.input.keyboard.addKey('UP');
-    this.down = scene.input.keyboard.addKey('DOWN');
-    
-    // Alternative keys (WASD)
-    this.a = scene.input.keyboard.addKey('A');
-    this.d = scene.input.keyboard.addKey('D');
-    this.w = scene.input.keyboard.addKey('W');
-    this.s = scene.input.keyboard.addKey('S');
-    
-    // Space key for jumping
-    this.space = scene.input.keyboard.addKey('SPACE');
-    
-    // R key for rewinding
-    this.r = scene.input.keyboard.addKey('R');
-
-    // Shift key for dash
-    this.shift = scene.input.keyboard.addKey(PhaserLib.Input.Keyboard.KeyCodes.SHIFT);
-    
-    // E key for Chrono Pulse ability
-    this.e = scene.input.keyboard.addKey('E');
-
-    // P key for pause
-    this.p = scene.input.keyboard.addKey('P');
-
-    // M key for mute toggle
-    this.m = scene.input.keyboard.addKey('M');
-
-    // T key for map toggle
-    this.t = scene.input.keyboard.addKey('T');
+
+    // Phaser Key objects by key name, e.g. this.keys.LEFT (also reachable as this.left)
+    this.keys = {};
+    InputManager.MENU_KEYS.forEach(name => this._addKey(name));
+    this.applyProfile(profile);
+
+    // Gamepad and on-screen touch controls are merged into every getter
+    this.gamepad = new GamepadInput(scene);
+    this.touch = new TouchInput(scene);
+    this.devices = [this.gamepad, this.touch];
 
     // Flag to disable inputs (used during game over)
     this.inputsDisabled = false;
+
+    // Sampled tick state; null until the first sampleTick()
+    this._tick = null;
+    // Recording in progress: { ticks, seed, configHash, tickRate }
+    this._recording = null;
+    // Replay being fed back instead of the keyboard: parsed InputReplay plus read index
+    this._replay = null;
+    this._replayIndex = 0;
+  }
+
+  /**
+   * Switches to new key bindings, registering any key the profile uses for the first time.
+   * @param {ControlProfile} profile
+   */
+  applyProfile(profile) {
+    this.profile = profile;
+    profile.allKeys().forEach(name => this._addKey(name));
+  }
+
+  _addKey(name) {
+    if (!this.keys[name]) {
+      this.keys[name] = this.scene.input.keyboard.addKey(name);
+    }
+  }
+
+  /**
+   * @param {string} action - ControlProfile action.
+   * @returns {Array<Phaser.Input.Keyboard.Key>} Keys currently bound to the action.
+   */
+  _keysFor(action) {
+    return this.profile.getBindings(action).map(name => this.keys[name]).filter(Boolean);
+  }
+
+  _isActionDown(action) {
+    return this._keysFor(action).some(key => key.isDown);
+  }
+
+  _isActionJustDown(action) {
+    return this._keysFor(action).some(key => PhaserLib.Input.Keyboard.JustDown(key));
+  }
+
+  _isActionJustUp(action) {
+    return this._keysFor(action).some(key => PhaserLib.Input.Keyboard.JustUp(key));
+  }
+
+  _deviceDown(action) {
+    return this.devices.some(device => device.isDown(action));
+  }
+
+  _deviceJustPressed(action) {
+    return this.devices.some(device => device.justPressed(action));
+  }
+
+  _deviceJustReleased(action) {
+    return this.devices.some(device => device.justReleased(action));
+  }
+
+  /**
+   * Samples gameplay input for one simulation tick. Called by GameScene at the start of
+   * every tick; while replaying, the next recorded tick is used instead of the keyboard.
+   * Presses and releases stay pending until a getter reads them, like Phaser's JustDown.
+   * @returns {number} The packed tick value.
+   */
+  sampleTick() {
+    let value;
+    if (this._replay) {
+      value = this._replay.ticks[this._replayIndex++];
+      if (this._replayIndex >= this._replay.ticks.length) {
+        // Hand control back to the keyboard once the recording runs out
+        this._replay = null;
+        console.log('[InputManager] Replay finished');
+        if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+          this.scene.events.emit('replayFinished');
+        }
+      }
+    } else {
+      value = this._readDeviceTick();
+      if (this._recording) {
+        this._recording.ticks.push(value);
+      }
+    }
+
+    const mask = (1 << InputManager.BUTTON_BITS) - 1;
+    const previous = this._tick || { pressed: 0, released: 0 };
+    this._tick = {
+      held: value & mask,
+      pressed: previous.pressed | ((value >> InputManager.BUTTON_BITS) & mask),
+      released: previous.released | ((value >> (2 * InputManager.BUTTON_BITS)) & mask),
+      disabled: (value & InputManager.DISABLED_BIT) !== 0
+    };
+    return value;
+  }
+
+  /**
+   * Starts recording sampled ticks for a replay file.
+   * @param {Object} [meta]
+   * @param {number|null} [meta.seed=null] Level seed.
+   * @param {string|null} [meta.configHash=null] InputReplay.hashConfig() of the level and game config.
+   * @param {number} [meta.tickRate=60] Simulation ticks per second.
+   */
+  startRecording({ seed = null, configHash = null, tickRate = 60 } = {}) {
+    this._recording = { ticks: [], seed, configHash, tickRate };
+  }
+
+  stopRecording() {
+    this._recording = null;
+  }
+
+  get isRecording() {
+    return this._recording !== null;
+  }
+
+  /**
+   * @returns {Object|null} The recording so far in the InputReplay file format, or null if not recording.
+   */
+  exportReplay() {
+    if (!this._recording) return null;
+    return InputReplay.create(this._recording);
+  }
+
+  /**
+   * Feeds a recorded input stream back instead of keyboard state, one tick per sampleTick().
+   * Recording stops: a replay is not re-recorded.
+   * @param {string|Object} replay - Replay JSON text or object.
+   * @returns {Object} The parsed replay (see InputReplay.parse).
+   * @throws {Error} If the replay is malformed.
+   */
+  startReplay(replay) {
+    const parsed = InputReplay.parse(replay);
+    this._recording = null;
+    this._replay = parsed.ticks.length > 0 ? parsed : null;
+    this._replayIndex = 0;
+    return parsed;
+  }
+
+  get isReplaying() {
+    return this._replay !== null;
+  }
+
+  /**
+   * Reads the keyboard, gamepad and touch controls into a packed tick value, consuming
+   * Phaser's JustDown/JustUp flags and the devices' latched presses.
+   * @returns {number}
+   */
+  _readDeviceTick() {
+    const Keyboard = PhaserLib.Input.Keyboard;
+    let held = 0;
+    let pressed = 0;
+    let released = 0;
+    for (const [name, bit] of Object.entries(InputManager.BUTTONS)) {
+      for (const key of this._keysFor(name)) {
+        if (key.isDown) held |= bit;
+        // Read every key so no stale JustDown/JustUp flag survives into a later tick
+        if (Keyboard.JustDown(key)) pressed |= bit;
+        if (Keyboard.JustUp(key)) released |= bit;
+      }
+    }
+    for (const device of this.devices) {
+      device.poll();
+      for (const [name, bit] of Object.entries(InputManager.BUTTONS)) {
+        if (device.isDown(name)) held |= bit;
+        if (device.consumePressed(name)) pressed |= bit;
+        if (device.consumeReleased(name)) released |= bit;
+      }
+    }
+    return held |
+      (pressed << InputManager.BUTTON_BITS) |
+      (released << (2 * InputManager.BUTTON_BITS)) |
+      (this.inputsDisabled ? InputManager.DISABLED_BIT : 0);
+  }
+
+  _isHeld(button, ignoreDisabled = false) {
+    if (this._tick.disabled && !ignoreDisabled) return false;
+    return (this._tick.held & InputManager.BUTTONS[button]) !== 0;
+  }
+
+  _consumeEdge(edge, button, ignoreDisabled = false) {
+    if (this._tick.disabled && !ignoreDisabled) return false;
+    const bit = InputManager.BUTTONS[button];
+    const hit = (this._tick[edge] & bit) !== 0;
+    this._tick[edge] &= ~bit;
+    return hit;
   }
 
   /**
@@ -57,55 +256,57 @@ export default class InputManager {
   }
 
   /**
-   * Check if left movement is active (LEFT arrow or A key)
+   * Check if left movement is active (default: LEFT arrow or A key)
    */
   get isLeftPressed() {
+    if (this._tick) return this._isHeld('left');
     if (this.inputsDisabled) return false;
-    return this.left.isDown || this.a.isDown;
+    return this._isActionDown('left') || this._deviceDown('left');
   }
 
   /**
-   * Check if right movement is active (RIGHT arrow or D key)
+   * Check if right movement is active (default: RIGHT arrow or D key)
    */
   get isRightPressed() {
+    if (this._tick) return this._isHeld('right');
     if (this.inputsDisabled) return false;
-    return this.right.isDown || this.d.isDown;
+    return this._isActionDown('right') || this._deviceDown('right');
   }
 
   /**
-   * Check if up/jump is active (UP arrow, W key, or SPACE)
+   * Check if up/jump is active (default: UP arrow, W key, or SPACE)
    */
   get isUpPressed() {
+    if (this._tick) return this._isHeld('up');
     if (this.inputsDisabled) return false;
-    return this.up.isDown || this.w.isDown || this.space.isDown;
+    return this._isActionDown('up') || this._deviceDown('up');
   }
 
   /**
-   * Check if down is active (DOWN arrow or S key)
+   * Check if down is active (default: DOWN arrow or S key)
    */
   get isDownPressed() {
+    if (this._tick) return this._isHeld('down');
     if (this.inputsDisabled) return false;
-    return this.down.isDown || this.s.isDown;
+    return this._isActionDown('down') || this._deviceDown('down');
   }
 
   /**
    * Check if the jump key was just released.
    */
   get isJumpJustReleased() {
+    if (this._tick) return this._consumeEdge('released', 'up');
     if (this.inputsDisabled) return false;
-    return PhaserLib.Input.Keyboard.JustUp(this.up) || 
-           PhaserLib.Input.Keyboard.JustUp(this.w) || 
-           PhaserLib.Input.Keyboard.JustUp(this.space);
+    return this._isActionJustUp('up') || this._deviceJustReleased('up');
   }
 
   /**
-   * Check if the jump key was just pressed (SPACE, UP, or W)
+   * Check if the jump key was just pressed (default: SPACE, UP, or W)
    */
   get isJumpJustPressed() {
+    if (this._tick) return this._consumeEdge('pressed', 'up');
     if (this.inputsDisabled) return false;
-    return PhaserLib.Input.Keyboard.JustDown(this.up) || 
-           PhaserLib.Input.Keyboard.JustDown(this.w) || 
-           PhaserLib.Input.Keyboard.JustDown(this.space);
+    return this._isActionJustDown('up') || this._deviceJustPressed('up');
   }
 
   /**
@@ -113,81 +314,171 @@ export default class InputManager {
    */
   get isRewindPressed() {
     // Time reversal is always enabled, even when other inputs are disabled
-    return this.r.isDown;
+    if (this._tick) return this._isHeld('rewind', true);
+    return this._isActionDown('rewind') || this._deviceDown('rewind');
+  }
+
+  /**
+   * Check if the scrub key was just pressed (default: F)
+   * Like rewind, scrubbing stays available when other inputs are disabled.
+   */
+  get isScrubToggleJustPressed() {
+    if (this._tick) return this._consumeEdge('pressed', 'scrub', true);
+    return this._isActionJustDown('scrub') || this._deviceJustPressed('scrub');
   }
 
   /**
-   * Check if the dash key is pressed (SHIFT)
+   * Check if scrubbing back in time is held (default: LEFT arrow or A key)
+   */
+  get isScrubBackPressed() {
+    if (this._tick) return this._isHeld('left', true);
+    return this._isActionDown('left') || this._deviceDown('left');
+  }
+
+  /**
+   * Check if scrubbing forward in time is held (default: RIGHT arrow or D key)
+   */
+  get isScrubForwardPressed() {
+    if (this._tick) return this._isHeld('right', true);
+    return this._isActionDown('right') || this._deviceDown('right');
+  }
+
+  /**
+   * Check if the dash key is pressed (default: SHIFT)
    */
   get isDashPressed() {
+    if (this._tick) return this._isHeld('dash');
     if (this.inputsDisabled) return false;
-    const pressed = this.shift.isDown;
+    const pressed = this._isActionDown('dash') || this._deviceDown('dash');
     if (pressed) console.log('[InputManager] Dash key pressed');
     return pressed;
   }
 
   /**
-   * Check if the dash key was just pressed (SHIFT)
+   * Check if the dash key was just pressed (default: SHIFT)
    */
   get isDashJustPressed() {
+    if (this._tick) return this._consumeEdge('pressed', 'dash');
     if (this.inputsDisabled) return false;
-    return PhaserLib.Input.Keyboard.JustDown(this.shift);
+    return this._isActionJustDown('dash') || this._deviceJustPressed('dash');
   }
 
   /**
-   * Check if the Chrono Pulse key is pressed (E)
+   * Check if the Chrono Pulse key is pressed (default: E)
    */
   get isChronoPulsePressed() {
+    if (this._tick) return this._isHeld('chronoPulse');
     if (this.inputsDisabled) return false;
-    const pressed = this.e.isDown;
+    const pressed = this._isActionDown('chronoPulse') || this._deviceDown('chronoPulse');
     if (pressed) console.log('[InputManager] Chrono Pulse key pressed');
     return pressed;
   }
 
   /**
-   * Check if the Chrono Pulse key was just pressed (E)
+   * Check if the Chrono Pulse key was just pressed (default: E)
    */
   get isChronoPulseJustPressed() {
+    if (this._tick) return this._consumeEdge('pressed', 'chronoPulse');
     if (this.inputsDisabled) return false;
-    const justPressed = PhaserLib.Input.Keyboard.JustDown(this.e);
+    const justPressed = this._isActionJustDown('chronoPulse') || this._deviceJustPressed('chronoPulse');
     if (justPressed) {
-      console.log('[InputManager] Chrono Pulse key just pressed (E)');
+      console.log('[InputManager] Chrono Pulse key just pressed');
     }
     return justPressed;
   }
 
   /**
-   * Check if the pause key is pressed (P)
+   * Check if the time-slow key was just pressed (default: Q)
+   */
+  get isTimeSlowJustPressed() {
+    if (this._tick) return this._consumeEdge('pressed', 'timeSlow');
+    if (this.inputsDisabled) return false;
+    return this._isActionJustDown('timeSlow') || this._deviceJustPressed('timeSlow');
+  }
+
+  /**
+   * Check if the pause key is pressed (default: P)
    */
   get isPausePressed() {
-    return this.p.isDown;
+    return this._isActionDown('pause') || this._deviceDown('pause');
   }
 
   /**
-   * Check if the pause key was just pressed (P)
+   * Check if the pause key was just pressed (default: P)
    */
   get isPauseJustPressed() {
-    return PhaserLib.Input.Keyboard.JustDown(this.p);
+    return this._isActionJustDown('pause') || this._deviceJustPressed('pause');
   }
 
   /**
-   * Check if the mute key is pressed (M)
+   * Check if the mute key is pressed (default: M)
    */
   get isMutePressed() {
-    return this.m.isDown;
+    return this._isActionDown('mute') || this._deviceDown('mute');
   }
 
   /**
-   * Check if the map toggle key is pressed (T)
+   * Check if the map toggle key is pressed (default: T)
    */
   get isMapTogglePressed() {
-    return this.t.isDown;
+    return this._isActionDown('map') || this._deviceDown('map');
   }
 
   /**
-   * Check if the map toggle key was just pressed (T)
+   * Check if the map toggle key was just pressed (default: T)
    */
   get isMapToggleJustPressed() {
-    return PhaserLib.Input.Keyboard.JustDown(this.t);
+    return this._isActionJustDown('map') || this._deviceJustPressed('map');
+  }
+
+  /**
+   * Check if menu focus should move up (UP arrow, W key, d-pad or stick up)
+   */
+  get isMenuUpJustPressed() {
+    return PhaserLib.Input.Keyboard.JustDown(this.up) ||
+           PhaserLib.Input.Keyboard.JustDown(this.w) ||
+           this._deviceJustPressed('navUp');
+  }
+
+  /**
+   * Check if menu focus should move down (DOWN arrow, S key, d-pad or stick down)
+   */
+  get isMenuDownJustPressed() {
+    return PhaserLib.Input.Keyboard.JustDown(this.down) ||
+           PhaserLib.Input.Keyboard.JustDown(this.s) ||
+           this._deviceJustPressed('down');
+  }
+
+  /**
+   * Check if the focused menu entry should be activated (ENTER, SPACE, pad A)
+   */
+  get isMenuConfirmJustPressed() {
+    return PhaserLib.Input.Keyboard.JustDown(this.enter) ||
+           PhaserLib.Input.Keyboard.JustDown(this.space) ||
+           this._deviceJustPressed('confirm');
+  }
+
+  /**
+   * Check if the menu back button was just pressed (pad B)
+   */
+  get isMenuBackJustPressed() {
+    return this._deviceJustPressed('back');
   }
-} 
\ No newline at end of file
+} 
+
+// Key objects by their default-binding names (this.left, this.space, this.shift, ...), from before
+// bindings were configurable. They read and replace entries of `keys`, so a swapped key object
+// is used by whichever action the profile binds that key to.
+const KEY_ALIASES = {
+  left: 'LEFT', right: 'RIGHT', up: 'UP', down: 'DOWN',
+  a: 'A', d: 'D', w: 'W', s: 'S', space: 'SPACE',
+  r: 'R', f: 'F', shift: 'SHIFT', e: 'E', q: 'Q',
+  p: 'P', m: 'M', t: 'T', enter: 'ENTER'
+};
+for (const [alias, name] of Object.entries(KEY_ALIASES)) {
+  Object.defineProperty(InputManager.prototype, alias, {
+    get() { return this.keys[name]; },
+    set(key) { this.keys[name] = key; },
+    configurable: true
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * InputReplay - Compact JSON replay files for recorded input streams.
+ * Invariants: see `agent_docs/invariants.md` §34.
+ *
+ * InputManager records one integer per simulation tick (held buttons, press/release
+ * edges and the inputs-disabled flag, see InputManager.BUTTONS). Replays store that
+ * stream run-length encoded next to what is needed to reproduce the run:
+ *
+ *   {
+ *     version: 1,
+ *     seed: 1234,              // Level seed, or null for hand-made levels
+ *     configHash: '9f3a61c2',  // InputReplay.hashConfig() of the level and game config
+ *     tickRate: 60,            // Simulation ticks per second the stream was recorded at
+ *     ticks: 5400,             // Total ticks in the stream
+ *     inputs: [[0, 120], [2, 45], [6, 1], ...]  // [tick value, repeat count] runs
+ *   }
+ */
+export default class InputReplay {
+  static VERSION = 1;
+
+  /**
+   * Hashes a JSON-compatible value (FNV-1a over a key-sorted serialization).
+   * @param {*} value - Level config, game config, or an object holding both
+   * @returns {string} 8-digit hex hash
+   */
+  static hashConfig(value) {
+    const text = InputReplay._stableStringify(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Run-length encodes a per-tick input stream.
+   * @param {Array<number>} ticks - One input value per tick
+   * @returns {Array<Array<number>>} `[value, count]` runs
+   */
+  static encode(ticks) {
+    const runs = [];
+    for (const value of ticks) {
+      const last = runs[runs.length - 1];
+      if (last && last[0] === value) {
+        last[1]++;
+      } else {
+        runs.push([value, 1]);
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Expands `[value, count]` runs back into one value per tick.
+   * @param {Array<Array<number>>} runs
+   * @returns {Array<number>}
+   */
+  static decode(runs) {
+    const ticks = [];
+    for (const [value, count] of runs) {
+      for (let i = 0; i < count; i++) ticks.push(value);
+    }
+    return ticks;
+  }
+
+  /**
+   * Builds a replay object ready for JSON.stringify().
+   * @param {Object} recording
+   * @param {Array<number>} recording.ticks - One input value per tick
+   * @param {number|null} [recording.seed=null]
+   * @param {string|null} [recording.configHash=null]
+   * @param {number} [recording.tickRate=60]
+   * @returns {Object} Replay in the file format above
+   */
+  static create({ ticks, seed = null, configHash = null, tickRate = 60 }) {
+    return {
+      version: InputReplay.VERSION,
+      seed,
+      configHash,
+      tickRate,
+      ticks: ticks.length,
+      inputs: InputReplay.encode(ticks)
+    };
+  }
+
+  /**
+   * Validates a replay file and expands its input stream.
+   * @param {string|Object} data - Replay JSON text or an already parsed replay
+   * @returns {Object} `{ seed, configHash, tickRate, ticks }` with `ticks` expanded to one value per tick
+   * @throws {Error} If the replay is malformed or from an unsupported version
+   */
+  static parse(data) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!replay || typeof replay !== 'object') {
+      throw new Error('InputReplay: replay must be an object');
+    }
+    if (replay.version !== InputReplay.VERSION) {
+      throw new Error(`InputReplay: unsupported replay version ${replay.version}`);
+    }
+    const validRun = run => Array.isArray(run) && run.length === 2 &&
+      Number.isInteger(run[0]) && run[0] >= 0 && Number.isInteger(run[1]) && run[1] > 0;
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every(validRun)) {
+      throw new Error('InputReplay: inputs must be [value, count] runs of non-negative integers');
+    }
+    const ticks = InputReplay.decode(replay.inputs);
+    if (typeof replay.ticks === 'number' && replay.ticks !== ticks.length) {
+      throw new Error(`InputReplay: expected ${replay.ticks} ticks, inputs decode to ${ticks.length}`);
+    }
+    return {
+      seed: replay.seed === undefined ? null : replay.seed,
+      configHash: typeof replay.configHash === 'string' ? replay.configHash : null,
+      tickRate: typeof replay.tickRate === 'number' && replay.tickRate > 0 ? replay.tickRate : 60,
+      ticks
+    };
+  }
+
+  static _stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => InputReplay._stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${InputReplay._stableStringify(value[key])}`).join(',')}}`;
+    }
+    const text = JSON.stringify(value);
+    return text === undefined ? 'null' : text;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * KeyInventory - The coloured keys the player carries.
+ * Invariants: see `agent_docs/invariants.md` §44.
+ *
+ * - Keys are picked up from `KeyPickup`s and spent opening a `LockBlock` (lock or door) of the same colour
+ * - GameScene registers the inventory with TimeManager, so the counts are part of every recorded frame:
+ *   rewinding past a pickup takes the key back, rewinding past an unlock returns it
+ */
+export default class KeyInventory {
+  static COLORS = ['blue', 'green', 'red', 'yellow'];
+
+  /** Tints marking which key opens a door (door frames are not coloured) */
+  static TINTS = { blue: 0x7fb2ff, green: 0x8fe388, red: 0xff8a8a, yellow: 0xffe27a };
+
+  constructor() {
+    this.counts = {};
+    KeyInventory.COLORS.forEach(color => {
+      this.counts[color] = 0;
+    });
+  }
+
+  /**
+   * @param {string} color
+   * @returns {boolean} True if `color` is one of `KeyInventory.COLORS`.
+   */
+  static isColor(color) {
+    return KeyInventory.COLORS.includes(color);
+  }
+
+  /**
+   * @param {string} color
+   * @returns {number} Keys of `color` carried.
+   */
+  count(color) {
+    return this.counts[color] || 0;
+  }
+
+  /**
+   * @param {string} color
+   * @returns {boolean}
+   */
+  has(color) {
+    return this.count(color) > 0;
+  }
+
+  /**
+   * Adds one key.
+   * @param {string} color - One of `KeyInventory.COLORS`.
+   * @throws {Error} If `color` is not a key colour.
+   */
+  add(color) {
+    if (!KeyInventory.isColor(color)) {
+      throw new Error(`KeyInventory: unknown key colour '${color}'`);
+    }
+    this.counts[color] += 1;
+  }
+
+  /**
+   * Spends one key.
+   * @param {string} color
+   * @returns {boolean} True if a key of `color` was carried and is now spent.
+   */
+  use(color) {
+    if (!this.has(color)) return false;
+    this.counts[color] -= 1;
+    return true;
+  }
+
+  /**
+   * @returns {Object<string, number>} A copy of the counts, one flat key per colour.
+   */
+  getStateForRecording() {
+    return { ...this.counts };
+  }
+
+  /**
+   * @param {Object<string, number>} state - Counts recorded by getStateForRecording().
+   */
+  setStateFromRecording(state) {
+    if (!state) return;
+    KeyInventory.COLORS.forEach(color => {
+      if (typeof state[color] === 'number') {
+        this.counts[color] = state[color];
+      }
+    });
+  }
+}
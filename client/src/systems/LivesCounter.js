@@ -0,0 +1,62 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * LivesCounter - The player's remaining lives.
+ * Invariants: see `agent_docs/invariants.md` §48.
+ *
+ * - Dying with more than one life left costs a life and respawns the player; losing the last one is game over
+ * - Extra-life hearts add a life, up to `max`
+ * - GameScene registers the counter with TimeManager, so rewinding past a death gives the life back
+ */
+export default class LivesCounter {
+  /**
+   * @param {number} [lives=GameConfig.lives.initial] - Lives at the start of the level.
+   * @param {number} [max=GameConfig.lives.max] - Most lives the player can hold.
+   * @throws {Error} If `lives` is not a whole number from 1 to `max`.
+   */
+  constructor(lives = GameConfig.lives.initial, max = GameConfig.lives.max) {
+    if (!LivesCounter.isValidCount(lives, max)) {
+      throw new Error(`LivesCounter: lives must be a whole number from 1 to ${max}, got '${lives}'`);
+    }
+    this.lives = lives;
+    this.max = max;
+  }
+
+  /**
+   * Whether `lives` can start a level: a whole number from 1 to `max`.
+   * @param {*} lives
+   * @param {number} [max=GameConfig.lives.max]
+   * @returns {boolean}
+   */
+  static isValidCount(lives, max = GameConfig.lives.max) {
+    return Number.isInteger(lives) && lives >= 1 && lives <= max;
+  }
+
+  /**
+   * Takes one life.
+   * @returns {number} Lives left.
+   */
+  lose() {
+    this.lives = Math.max(0, this.lives - 1);
+    return this.lives;
+  }
+
+  /**
+   * Adds one life.
+   * @returns {boolean} True if a life was added; false at `max`.
+   */
+  gain() {
+    if (this.lives >= this.max) return false;
+    this.lives += 1;
+    return true;
+  }
+
+  getStateForRecording() {
+    return { lives: this.lives };
+  }
+
+  setStateFromRecording(state) {
+    if (!state || typeof state.lives !== 'number') return;
+    this.lives = state.lives;
+  }
+}
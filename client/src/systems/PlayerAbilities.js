@@ -0,0 +1,193 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * PlayerAbilities - Upgrades the player has unlocked, and the air charges they grant.
+ * Invariants: see `agent_docs/invariants.md` §41.
+ *
+ * - Abilities (`doubleJump`, `airDash`, `longDash`) are unlocked by ability pickups placed in
+ *   level JSON. Each pickup grants once per save slot; unlocks are saved under
+ *   `GameConfig.abilities.storagePrefix + slot`
+ * - Air jumps and air dashes are charges: spent in the air and refilled on landing
+ * - Player records the charges for TimeManager, so rewinding restores spent charges
+ */
+export default class PlayerAbilities {
+  static VERSION = 1;
+  static TYPES = ['doubleJump', 'airDash', 'longDash'];
+
+  /**
+   * @param {Object} [saved]
+   * @param {Object<string, number>} [saved.levels] - Unlocked level per ability.
+   * @param {Array<string>} [saved.collected] - Ids of the pickups already collected.
+   */
+  constructor({ levels = {}, collected = [] } = {}) {
+    this.levels = {};
+    PlayerAbilities.TYPES.forEach(type => {
+      const level = levels[type];
+      this.levels[type] = Number.isInteger(level) && level > 0 ? Math.min(level, GameConfig.abilities[type].maxLevel) : 0;
+    });
+    this.collected = new Set(collected);
+    this.refill();
+  }
+
+  /**
+   * @param {string} type
+   * @returns {boolean} Whether at least one level of `type` is unlocked.
+   */
+  has(type) {
+    return this.levels[type] > 0;
+  }
+
+  get maxAirJumps() {
+    return this.levels.doubleJump * GameConfig.abilities.doubleJump.airJumpsPerLevel;
+  }
+
+  get maxAirDashes() {
+    const { baseCharges, chargesPerLevel } = GameConfig.abilities.airDash;
+    return baseCharges + this.levels.airDash * chargesPerLevel;
+  }
+
+  get dashDurationMultiplier() {
+    return this.has('longDash') ? GameConfig.abilities.longDash.durationMultiplier : 1;
+  }
+
+  /**
+   * Unlocks one more level of `type`.
+   * @param {string} type - One of `PlayerAbilities.TYPES`.
+   * @param {string|null} [pickupId] - The pickup granting it; a pickup grants only once.
+   * @returns {boolean} True if the ability gained a level.
+   * @throws {Error} If `type` is not an ability.
+   */
+  grant(type, pickupId = null) {
+    if (!PlayerAbilities.TYPES.includes(type)) {
+      throw new Error(`PlayerAbilities: unknown ability '${type}'`);
+    }
+    if (pickupId !== null) {
+      if (this.collected.has(pickupId)) return false;
+      this.collected.add(pickupId);
+    }
+    if (this.levels[type] >= GameConfig.abilities[type].maxLevel) return false;
+    this.levels[type] += 1;
+    this.refill();
+    return true;
+  }
+
+  /**
+   * @param {string} pickupId
+   * @returns {boolean}
+   */
+  hasCollected(pickupId) {
+    return this.collected.has(pickupId);
+  }
+
+  /**
+   * @returns {boolean} True if an air jump charge was available and is now spent.
+   */
+  spendAirJump() {
+    if (this.airJumps <= 0) return false;
+    this.airJumps -= 1;
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if an air dash charge was available and is now spent.
+   */
+  spendAirDash() {
+    if (this.airDashes <= 0) return false;
+    this.airDashes -= 1;
+    return true;
+  }
+
+  /**
+   * Restores every air charge; called on landing.
+   */
+  refill() {
+    this.airJumps = this.maxAirJumps;
+    this.airDashes = this.maxAirDashes;
+  }
+
+  /**
+   * Restores recorded charges, clamped to the unlocked maximum.
+   * @param {{airJumps: number, airDashes: number}} charges
+   */
+  setCharges({ airJumps, airDashes }) {
+    const clamp = (value, max) => (typeof value === 'number' ? Math.max(0, Math.min(value, max)) : max);
+    this.airJumps = clamp(airJumps, this.maxAirJumps);
+    this.airDashes = clamp(airDashes, this.maxAirDashes);
+  }
+
+  toJSON() {
+    return {
+      version: PlayerAbilities.VERSION,
+      levels: { ...this.levels },
+      collected: [...this.collected]
+    };
+  }
+
+  /**
+   * @param {string|Object} data - Saved abilities, as JSON text or object.
+   * @returns {PlayerAbilities}
+   * @throws {Error} If the data is malformed or from an unsupported version.
+   */
+  static parse(data) {
+    const saved = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!saved || typeof saved !== 'object') {
+      throw new Error('PlayerAbilities: saved abilities must be an object');
+    }
+    if (saved.version !== PlayerAbilities.VERSION) {
+      throw new Error(`PlayerAbilities: unsupported save version ${saved.version}`);
+    }
+    return new PlayerAbilities({
+      levels: saved.levels && typeof saved.levels === 'object' ? saved.levels : {},
+      collected: Array.isArray(saved.collected) ? saved.collected.filter(id => typeof id === 'string') : []
+    });
+  }
+
+  /**
+   * @param {string} slot
+   * @returns {string}
+   */
+  static storageKey(slot) {
+    return GameConfig.abilities.storagePrefix + slot;
+  }
+
+  /**
+   * @param {string} [slot=GameConfig.abilities.defaultSlot]
+   * @param {Storage} [storage]
+   * @returns {PlayerAbilities} The saved abilities, or none unlocked if nothing valid is saved.
+   */
+  static load(slot = GameConfig.abilities.defaultSlot, storage = PlayerAbilities.defaultStorage()) {
+    if (!storage) return new PlayerAbilities();
+    try {
+      const json = storage.getItem(PlayerAbilities.storageKey(slot));
+      return json ? PlayerAbilities.parse(json) : new PlayerAbilities();
+    } catch (error) {
+      console.warn(`[PlayerAbilities] Ignoring saved abilities for '${slot}':`, error.message);
+      return new PlayerAbilities();
+    }
+  }
+
+  /**
+   * @param {string} [slot=GameConfig.abilities.defaultSlot]
+   * @param {Storage} [storage]
+   * @returns {boolean} True if saved.
+   */
+  save(slot = GameConfig.abilities.defaultSlot, storage = PlayerAbilities.defaultStorage()) {
+    if (!storage) return false;
+    try {
+      storage.setItem(PlayerAbilities.storageKey(slot), JSON.stringify(this));
+      return true;
+    } catch (error) {
+      console.warn('[PlayerAbilities] Failed to save abilities:', error.message);
+      return false;
+    }
+  }
+
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is blocked
+      return null;
+    }
+  }
+}
@@ -9,20 +9,53 @@
  * - ground: Looping ground tiles across a specified width
  * - floating: Single floating platform tiles
  * - moving: MovingPlatform entities with configurable movement patterns
+ * - climbable: Ladder, rope or chain columns the player can climb (no collision)
  * 
  * Supported Collectible Types:
  * - coin: Collectible coins with configurable value
+ * - rewindPickup: Gems that refill the rewind energy meter
+ * - abilityPickup: Gems that unlock a player ability (PlayerAbilities)
+ * - key: Coloured keys added to the KeyInventory
+ * - heart: Hearts that heal the player, or add a life when `extraLife` is set
+ * 
+ * Keys, Locks and Doors:
+ * - Top-level `keys`, `locks` and `doors` arrays; a lock block or door opens with a key of its colour
+ *
+ * Triggers and Targets:
+ * - Top-level `triggers` (switches, levers, coin counts, enemy kills, areas) and `targets`
+ *   (doors, moving platforms, enemy spawns, toggle blocks), wired by id
+ * 
+ * Water Volumes:
+ * - Top-level `water` regions and `map_matrix` cells of type 'water' the player swims in
+ *
+ * Hazards:
+ * - Top-level `hazards` (spikes, lava, saws that may move) and `map_matrix` cells of type 'hazard'
+ *
+ * Checkpoints:
+ * - Top-level `checkpoints` array of flags the player respawns at after dying
  * 
  * Supported Background Types:
  * - layer: Background layers with parallax scrolling support
+ *
+ * Coins, enemies, moving platforms and the goal accept an optional `temporalPolicy`
+ * that is attached to the created object for TimeManager.register().
  */
 
 import MovingPlatform from '../entities/MovingPlatform.js';
 import Coin from '../entities/Coin.js';
 import GoalTile from '../entities/GoalTile.js';
+import KeyPickup from '../entities/KeyPickup.js';
+import Checkpoint from '../entities/Checkpoint.js';
+import HeartPickup from '../entities/HeartPickup.js';
+import LockBlock from '../entities/LockBlock.js';
+import Hazard from '../entities/Hazard.js';
+import KeyInventory from './KeyInventory.js';
+import Trigger from '../entities/Trigger.js';
+import TriggerTarget from '../entities/TriggerTarget.js';
 import { LoopHound } from '../entities/enemies/LoopHound.js';
 import { TileSelector } from './TileSelector.js';
-import { LEVEL_SCALE } from '../config/GameConfig.js';
+import TemporalPolicy from './TemporalPolicy.js';
+import { LEVEL_SCALE, GameConfig } from '../config/GameConfig.js';
 
 export { LEVEL_SCALE };
 
@@ -34,6 +67,8 @@ export class SceneFactory {
   constructor(scene) {
     this.scene = scene;
     this.config = null;
+    // Doors, moving platforms and enemies with an `id`, for wiring targets
+    this.objectsById = new Map();
   }
 
   /**
@@ -473,6 +508,9 @@ export class SceneFactory {
 
     console.log(`[SceneFactory] Created MovingPlatform at (${platform.x}, ${platform.y}) - isMoving: ${platform.isMoving}, autoStart: ${platform.autoStart}, width: ${platform.width}, spriteCount: ${platform.spriteCount}`);
 
+    this.applyTemporalPolicy(platform, movingConfig);
+    this.registerObjectId(movingConfig.id, platform);
+
     // Add to platforms group
     platformsGroup.add(platform);
 
@@ -531,7 +569,7 @@ export class SceneFactory {
             platforms = movingPlatform ? [movingPlatform] : [];
             break;
           default:
-            // Skip invalid platform types
+            // Skip invalid platform types ('climbable' is created by createClimbablesFromConfig)
             continue;
         }
 
@@ -544,6 +582,469 @@ export class SceneFactory {
     return allPlatforms;
   }
 
+  // ========================================
+  // Climbable Creation Methods
+  // ========================================
+
+  /**
+   * Creates a climbable column of tiles, top to bottom
+   * @param {Object} climbableConfig - Climbable configuration
+   * @param {number} climbableConfig.x - X position (left edge)
+   * @param {number} climbableConfig.y - Y position (top edge)
+   * @param {number} climbableConfig.height - Height in pixels (one tile per 64px, rounded up)
+   * @param {string} [climbableConfig.style='ladder'] - 'ladder', 'rope' or 'chain'
+   * @param {Phaser.Physics.Arcade.Group} climbablesGroup - The physics group to add tiles to
+   * @returns {Array<Phaser.Physics.Arcade.Sprite>} - Created climbable tiles
+   */
+  createClimbable(climbableConfig, climbablesGroup) {
+    if (!climbableConfig || typeof climbableConfig.x !== 'number' || typeof climbableConfig.y !== 'number') {
+      return [];
+    }
+    if (typeof climbableConfig.height !== 'number' || climbableConfig.height <= 0) {
+      return [];
+    }
+    if (!climbablesGroup || !climbablesGroup.create) {
+      return [];
+    }
+
+    const style = climbableConfig.style || 'ladder';
+    if (!['ladder', 'rope', 'chain'].includes(style)) {
+      console.warn('[SceneFactory] Unknown climbable style:', style);
+      return [];
+    }
+
+    const tileHeight = 64;
+    const tileCount = Math.ceil(climbableConfig.height / tileHeight);
+    const tiles = [];
+
+    for (let i = 0; i < tileCount; i++) {
+      let tileKey = style;
+      if (style === 'ladder') {
+        tileKey = i === 0 ? 'ladder_top' : (i === tileCount - 1 ? 'ladder_bottom' : 'ladder_middle');
+      } else if (style === 'rope' && i === 0) {
+        tileKey = 'rop_attached';
+      }
+
+      const tile = this.createClimbableTile(
+        climbableConfig.x * LEVEL_SCALE,
+        (climbableConfig.y + i * tileHeight) * LEVEL_SCALE,
+        tileKey,
+        climbablesGroup
+      );
+      if (tile) {
+        tiles.push(tile);
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Creates one climbable tile at world coordinates
+   * @param {number} worldX - Left edge in world pixels
+   * @param {number} worldY - Top edge in world pixels
+   * @param {string} tileKey - Tile atlas key
+   * @param {Phaser.Physics.Arcade.Group} climbablesGroup - The physics group to add the tile to
+   * @returns {Phaser.Physics.Arcade.Sprite|null} - Created tile or null if creation failed
+   */
+  createClimbableTile(worldX, worldY, tileKey, climbablesGroup) {
+    // Create through the group first, then configure physics
+    const tile = climbablesGroup.create(worldX, worldY, 'tiles', tileKey);
+    if (!tile) return null;
+
+    if (typeof tile.setOrigin === 'function') {
+      tile.setOrigin(0, 0);
+    }
+    if (tile.body) {
+      tile.body.setAllowGravity(false);
+      tile.body.setImmovable(true);
+    }
+    if (typeof tile.setScale === 'function') {
+      tile.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+    tile.isClimbable = true;
+
+    return tile;
+  }
+
+  /**
+   * Creates all climbables from the loaded configuration.
+   * Follows the platform precedence: with a map_matrix, its 'climbable' tiles are used;
+   * otherwise the platforms array's 'climbable' entries are.
+   * @param {Phaser.Physics.Arcade.Group} climbablesGroup - The physics group to add tiles to
+   * @returns {Array} - Array of all created climbable tiles
+   */
+  createClimbablesFromConfig(climbablesGroup) {
+    if (!this.config || !climbablesGroup) {
+      return [];
+    }
+
+    const climbables = [];
+    const mapMatrix = this.config.map_matrix;
+
+    if (Array.isArray(mapMatrix) && mapMatrix.length > 0) {
+      for (let rowIndex = 0; rowIndex < mapMatrix.length; rowIndex++) {
+        const row = mapMatrix[rowIndex];
+        if (!Array.isArray(row)) continue;
+        for (let colIndex = 0; colIndex < row.length; colIndex++) {
+          const tileDict = row[colIndex];
+          if (!tileDict || tileDict.type !== 'climbable') continue;
+
+          const tile = this.createClimbableTile(
+            colIndex * 64 * LEVEL_SCALE,
+            rowIndex * 64 * LEVEL_SCALE,
+            tileDict.tileKey,
+            climbablesGroup
+          );
+          if (tile) {
+            climbables.push(tile);
+          }
+        }
+      }
+      return climbables;
+    }
+
+    if (Array.isArray(this.config.platforms)) {
+      for (const platformConfig of this.config.platforms) {
+        if (platformConfig && platformConfig.type === 'climbable') {
+          climbables.push(...this.createClimbable(platformConfig, climbablesGroup));
+        }
+      }
+    }
+
+    return climbables;
+  }
+
+  // ========================================
+  // Water Volume Creation Methods
+  // ========================================
+
+  /**
+   * Creates a water volume: its tiles, a tint drawn over it and the region Player swims in
+   * @param {Object} waterConfig - Water configuration
+   * @param {number} waterConfig.x - X position (left edge)
+   * @param {number} waterConfig.y - Y position (surface)
+   * @param {number} waterConfig.width - Width in pixels
+   * @param {number} waterConfig.height - Height in pixels
+   * @param {number} [waterConfig.tint] - Tint colour (defaults to GameConfig.water.tint)
+   * @param {Phaser.Physics.Arcade.Group} [tilesGroup] - Group for the water tiles; no tiles are drawn without one
+   * @returns {Object|null} - Volume {x, y, width, height, tint, overlay} in world coordinates, or null if invalid
+   */
+  createWaterVolume(waterConfig, tilesGroup = null) {
+    if (!waterConfig || typeof waterConfig.x !== 'number' || typeof waterConfig.y !== 'number') {
+      return null;
+    }
+    if (!(waterConfig.width > 0) || !(waterConfig.height > 0)) {
+      return null;
+    }
+
+    if (tilesGroup && tilesGroup.create) {
+      const tileSize = 64;
+      const columns = Math.ceil(waterConfig.width / tileSize);
+      const rows = Math.ceil(waterConfig.height / tileSize);
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          this.createWaterTile(
+            (waterConfig.x + column * tileSize) * LEVEL_SCALE,
+            (waterConfig.y + row * tileSize) * LEVEL_SCALE,
+            row === 0 ? 'water_top' : 'water',
+            tilesGroup
+          );
+        }
+      }
+    }
+
+    return this.createWaterRegion(
+      waterConfig.x * LEVEL_SCALE,
+      waterConfig.y * LEVEL_SCALE,
+      waterConfig.width * LEVEL_SCALE,
+      waterConfig.height * LEVEL_SCALE,
+      typeof waterConfig.tint === 'number' ? waterConfig.tint : GameConfig.water.tint
+    );
+  }
+
+  /**
+   * Creates one decorative water tile at world coordinates
+   * @param {number} worldX - Left edge in world pixels
+   * @param {number} worldY - Top edge in world pixels
+   * @param {string} tileKey - Tile atlas key
+   * @param {Phaser.Physics.Arcade.Group} tilesGroup - The group to add the tile to
+   * @returns {Phaser.Physics.Arcade.Sprite|null} - Created tile or null if creation failed
+   */
+  createWaterTile(worldX, worldY, tileKey, tilesGroup) {
+    const tile = tilesGroup.create(worldX, worldY, 'tiles', tileKey);
+    if (!tile) return null;
+
+    if (typeof tile.setOrigin === 'function') {
+      tile.setOrigin(0, 0);
+    }
+    if (tile.body) {
+      tile.body.setAllowGravity(false);
+    }
+    if (typeof tile.setScale === 'function') {
+      tile.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+    return tile;
+  }
+
+  /**
+   * Creates the swimmable region and its tint overlay
+   * @param {number} x - Left edge in world pixels
+   * @param {number} y - Top edge in world pixels
+   * @param {number} width - Width in world pixels
+   * @param {number} height - Height in world pixels
+   * @param {number} tint - Tint colour
+   * @returns {Object} - Volume {x, y, width, height, tint, overlay}
+   */
+  createWaterRegion(x, y, width, height, tint) {
+    let overlay = null;
+    if (this.scene && this.scene.add && typeof this.scene.add.rectangle === 'function') {
+      overlay = this.scene.add.rectangle(x + width / 2, y + height / 2, width, height, tint, GameConfig.water.tintAlpha);
+      // Drawn over the player, so a swimmer is tinted too
+      if (overlay && typeof overlay.setDepth === 'function') {
+        overlay.setDepth(10);
+      }
+    }
+    return { x, y, width, height, tint, overlay };
+  }
+
+  /**
+   * Creates all water volumes: the top-level `water` array and the map_matrix's 'water' cells.
+   * Each row's run of adjacent water cells becomes one volume.
+   * @param {Phaser.Physics.Arcade.Group} [tilesGroup] - Group for the water tiles
+   * @returns {Array<Object>} - Created volumes
+   */
+  createWaterVolumesFromConfig(tilesGroup = null) {
+    if (!this.config) {
+      return [];
+    }
+
+    const volumes = [];
+
+    if (Array.isArray(this.config.water)) {
+      for (const waterConfig of this.config.water) {
+        const volume = this.createWaterVolume(waterConfig, tilesGroup);
+        if (volume) {
+          volumes.push(volume);
+        }
+      }
+    }
+
+    const mapMatrix = this.config.map_matrix;
+    if (Array.isArray(mapMatrix)) {
+      const tileSize = 64 * LEVEL_SCALE;
+      for (let rowIndex = 0; rowIndex < mapMatrix.length; rowIndex++) {
+        const row = mapMatrix[rowIndex];
+        if (!Array.isArray(row)) continue;
+        let runStart = -1;
+        for (let colIndex = 0; colIndex <= row.length; colIndex++) {
+          const tileDict = row[colIndex];
+          const isWater = Boolean(tileDict && tileDict.type === 'water');
+          if (isWater && tilesGroup && tilesGroup.create) {
+            this.createWaterTile(colIndex * tileSize, rowIndex * tileSize, tileDict.tileKey, tilesGroup);
+          }
+          if (isWater && runStart < 0) {
+            runStart = colIndex;
+          } else if (!isWater && runStart >= 0) {
+            volumes.push(this.createWaterRegion(runStart * tileSize, rowIndex * tileSize, (colIndex - runStart) * tileSize, tileSize, GameConfig.water.tint));
+            runStart = -1;
+          }
+        }
+      }
+    }
+
+    return volumes;
+  }
+
+  // ========================================
+  // Hazard Creation Methods
+  // ========================================
+
+  /**
+   * Creates a hazard from configuration
+   * @param {Object} hazardConfig - Hazard configuration
+   * @param {string} hazardConfig.type - 'spikes', 'lava' or 'saw'
+   * @param {number} hazardConfig.x - X position (left edge; a moving saw's centre, like a moving platform)
+   * @param {number} hazardConfig.y - Y position (top edge; a moving saw's centre)
+   * @param {number} [hazardConfig.width=64] - Width in pixels, one tile per 64px (spikes, lava)
+   * @param {number} [hazardConfig.height=64] - Height in pixels; lava below the top row uses `lava` tiles
+   * @param {string} [hazardConfig.tileKey] - Tile of the same kind, e.g. 'block_spikes' for solid spikes
+   * @param {Object} [hazardConfig.movement] - MovingPlatform movement configuration (saw)
+   * @param {number} [hazardConfig.damage] - Overrides GameConfig.hazards[type].damage
+   * @param {boolean} [hazardConfig.instantKill] - Overrides GameConfig.hazards[type].instantKill
+   * @param {number} [hazardConfig.knockback] - Overrides GameConfig.hazards[type].knockback
+   * @param {number} [hazardConfig.invulnerability] - Overrides GameConfig.hazards[type].invulnerability
+   * @param {Phaser.Physics.Arcade.Group} hazardsGroup - The physics group to add hazards to
+   * @returns {Array} - Created hazard tiles, or the moving saw
+   */
+  createHazard(hazardConfig, hazardsGroup) {
+    if (!hazardConfig || !Hazard.KINDS.includes(hazardConfig.type)) {
+      console.warn('[SceneFactory] Unknown hazard type:', hazardConfig && hazardConfig.type);
+      return [];
+    }
+    if (typeof hazardConfig.x !== 'number' || typeof hazardConfig.y !== 'number' || !hazardsGroup) {
+      return [];
+    }
+
+    const kind = hazardConfig.type;
+    const defaultTiles = { spikes: 'spikes', lava: 'lava_top', saw: 'saw' };
+    const tileKey = Hazard.kindForTile(hazardConfig.tileKey) === kind ? hazardConfig.tileKey : defaultTiles[kind];
+    const hazard = new Hazard(kind, hazardConfig, Hazard.SOLID_TILES.includes(tileKey));
+
+    if (kind === 'saw' && hazardConfig.movement) {
+      const saw = this.createMovingSaw(hazardConfig, hazardsGroup, hazard);
+      return saw ? [saw] : [];
+    }
+    if (!hazardsGroup.create) {
+      return [];
+    }
+
+    const tileSize = 64;
+    const columns = kind === 'saw' ? 1 : Math.max(1, Math.ceil((hazardConfig.width || tileSize) / tileSize));
+    const rows = kind === 'lava' ? Math.max(1, Math.ceil((hazardConfig.height || tileSize) / tileSize)) : 1;
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const tile = this.createHazardTile(
+          (hazardConfig.x + column * tileSize) * LEVEL_SCALE,
+          (hazardConfig.y + row * tileSize) * LEVEL_SCALE,
+          row === 0 ? tileKey : 'lava',
+          hazardsGroup,
+          hazard
+        );
+        if (tile) {
+          tiles.push(tile);
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Creates a single hazard tile with its hurting hitbox (see Hazard.HITBOXES)
+   * @param {number} worldX - X position in world coordinates (left edge)
+   * @param {number} worldY - Y position in world coordinates (top edge)
+   * @param {string} tileKey - Hazard tile key from the tiles atlas
+   * @param {Phaser.Physics.Arcade.Group} hazardsGroup - The physics group to add the tile to
+   * @param {Hazard} hazard - Rules attached to the tile as `tile.hazard`
+   * @returns {Phaser.Physics.Arcade.Sprite|null} - Created tile or null if creation failed
+   */
+  createHazardTile(worldX, worldY, tileKey, hazardsGroup, hazard) {
+    if (!hazardsGroup || !hazardsGroup.create) {
+      return null;
+    }
+
+    // Create through the group first, then configure physics
+    const tile = hazardsGroup.create(worldX, worldY, 'tiles', tileKey);
+    if (!tile) return null;
+
+    if (typeof tile.setOrigin === 'function') {
+      tile.setOrigin(0, 0);
+    }
+    this.configurePlatform(tile, true);
+    const hitbox = Hazard.HITBOXES[tileKey];
+    if (hitbox && tile.body) {
+      tile.body.setSize(hitbox.width || tile.width, hitbox.height);
+      tile.body.setOffset(hitbox.left || 0, hitbox.top);
+    }
+    if (typeof tile.setScale === 'function') {
+      tile.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+    tile.hazard = hazard;
+
+    return tile;
+  }
+
+  /**
+   * Creates a saw that moves like a MovingPlatform; it hurts instead of carrying the player
+   * @param {Object} sawConfig - Hazard configuration with a `movement` block
+   * @param {Phaser.Physics.Arcade.Group} hazardsGroup - The physics group to add the saw to
+   * @param {Hazard} hazard - Rules attached to the saw as `saw.hazard`
+   * @returns {MovingPlatform|null} - Created saw or null if creation failed
+   */
+  createMovingSaw(sawConfig, hazardsGroup, hazard) {
+    if (!hazardsGroup.add || !this.validateMovementConfiguration(sawConfig.movement)) {
+      console.warn('[SceneFactory] Invalid saw movement configuration:', sawConfig.movement);
+      return null;
+    }
+
+    const saw = new MovingPlatform(
+      this.scene,
+      sawConfig.x * LEVEL_SCALE,
+      sawConfig.y * LEVEL_SCALE,
+      'tiles',
+      sawConfig.movement,
+      null,
+      null,
+      { tilePrefix: 'saw' }
+    );
+    this.applyTemporalPolicy(saw, sawConfig);
+
+    hazardsGroup.add(saw);
+    saw.configurePhysicsBody();
+    const hitbox = Hazard.HITBOXES.saw;
+    if (saw.body) {
+      saw.body.setSize(hitbox.width, hitbox.height);
+      saw.body.setOffset(hitbox.left, hitbox.top);
+    }
+    saw.hazard = hazard;
+
+    if (saw.autoStart) {
+      saw.initializeMovement();
+    }
+    return saw;
+  }
+
+  /**
+   * Creates all hazards: the top-level `hazards` array and the map_matrix's 'hazard' cells,
+   * whose kind follows their tileKey and whose rules are the GameConfig.hazards defaults
+   * @param {Phaser.Physics.Arcade.Group} hazardsGroup - The physics group to add hazards to
+   * @returns {Array} - Created hazard tiles and moving saws
+   */
+  createHazardsFromConfig(hazardsGroup) {
+    if (!this.config || !hazardsGroup) {
+      return [];
+    }
+
+    const hazards = [];
+
+    if (Array.isArray(this.config.hazards)) {
+      for (const hazardConfig of this.config.hazards) {
+        hazards.push(...this.createHazard(hazardConfig, hazardsGroup));
+      }
+    }
+
+    const mapMatrix = this.config.map_matrix;
+    if (Array.isArray(mapMatrix)) {
+      for (let rowIndex = 0; rowIndex < mapMatrix.length; rowIndex++) {
+        const row = mapMatrix[rowIndex];
+        if (!Array.isArray(row)) continue;
+        for (let colIndex = 0; colIndex < row.length; colIndex++) {
+          const tileDict = row[colIndex];
+          if (!tileDict || tileDict.type !== 'hazard') continue;
+
+          const kind = Hazard.kindForTile(tileDict.tileKey);
+          if (!kind) {
+            console.warn('[SceneFactory] Not a hazard tile:', tileDict.tileKey);
+            continue;
+          }
+          const tile = this.createHazardTile(
+            colIndex * 64 * LEVEL_SCALE,
+            rowIndex * 64 * LEVEL_SCALE,
+            tileDict.tileKey,
+            hazardsGroup,
+            new Hazard(kind, {}, Hazard.SOLID_TILES.includes(tileDict.tileKey))
+          );
+          if (tile) {
+            hazards.push(tile);
+          }
+        }
+      }
+    }
+
+    return hazards;
+  }
+
   // ========================================
   // Coin Creation Methods
   // ========================================
@@ -578,6 +1079,7 @@ export class SceneFactory {
       this.scene._mockScene // Pass mock scene for testing
     );
     this.scene.coins = prevCoinsGroup; // Restore previous value
+    this.applyTemporalPolicy(coin, coinConfig);
 
     // Return the coin sprite (not the coin object) for consistency with other create methods
     return coin.sprite;
@@ -606,6 +1108,563 @@ export class SceneFactory {
     return coins;
   }
 
+  // ========================================
+  // Rewind Pickup Creation Methods
+  // ========================================
+
+  /**
+   * Creates a single rewind energy pickup from configuration.
+   * Pickups are intentionally not registered with TimeManager: a collected
+   * pickup stays collected through rewinds so energy cannot be farmed.
+   * @param {Object} pickupConfig - Pickup configuration
+   * @param {number} pickupConfig.x - X position
+   * @param {number} pickupConfig.y - Y position
+   * @param {number} [pickupConfig.seconds] - Seconds of rewind restored (defaults to GameConfig.rewind.pickupAmount)
+   * @param {string} [pickupConfig.tileKey] - Frame from the tiles atlas (defaults to 'gem_blue')
+   * @param {Phaser.Physics.Arcade.Group} pickupsGroup - The physics group to create the pickup in
+   * @returns {Phaser.Physics.Arcade.Sprite|null} - Created pickup sprite or null if creation failed
+   */
+  createRewindPickup(pickupConfig, pickupsGroup) {
+    if (!pickupConfig || typeof pickupConfig.x !== 'number' || typeof pickupConfig.y !== 'number') {
+      return null;
+    }
+
+    if (!pickupsGroup || !pickupsGroup.create) {
+      return null;
+    }
+
+    const tileKey = typeof pickupConfig.tileKey === 'string' ? pickupConfig.tileKey : 'gem_blue';
+    const seconds = typeof pickupConfig.seconds === 'number' && pickupConfig.seconds > 0
+      ? pickupConfig.seconds
+      : GameConfig.rewind.pickupAmount;
+
+    // Create through the group first, then configure physics
+    const pickup = pickupsGroup.create(pickupConfig.x * LEVEL_SCALE, pickupConfig.y * LEVEL_SCALE, 'tiles', tileKey);
+    if (!pickup) return null;
+
+    if (pickup.body && typeof pickup.body.setAllowGravity === 'function') {
+      pickup.body.setAllowGravity(false);
+    }
+    if (typeof pickup.setScale === 'function') {
+      pickup.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+    pickup.rewindSeconds = seconds;
+
+    return pickup;
+  }
+
+  /**
+   * Creates multiple rewind pickups from configuration array
+   * @param {Array} pickupConfigs - Array of pickup configurations
+   * @param {Phaser.Physics.Arcade.Group} pickupsGroup - The physics group to create pickups in
+   * @returns {Array} - Array of created pickup sprites
+   */
+  createRewindPickupsFromConfig(pickupConfigs, pickupsGroup) {
+    if (!pickupConfigs || !Array.isArray(pickupConfigs) || !pickupsGroup) {
+      return [];
+    }
+
+    const pickups = [];
+
+    for (const pickupConfig of pickupConfigs) {
+      const pickup = this.createRewindPickup(pickupConfig, pickupsGroup);
+      if (pickup) {
+        pickups.push(pickup);
+      }
+    }
+
+    return pickups;
+  }
+
+  // ========================================
+  // Ability Pickup Creation Methods
+  // ========================================
+
+  /**
+   * Creates a single ability pickup from configuration.
+   * Like rewind pickups, ability pickups are not registered with TimeManager:
+   * an unlocked ability stays unlocked through rewinds.
+   * @param {Object} pickupConfig - Pickup configuration
+   * @param {number} pickupConfig.x - X position
+   * @param {number} pickupConfig.y - Y position
+   * @param {string} pickupConfig.ability - Ability unlocked ('doubleJump', 'airDash' or 'longDash')
+   * @param {string} pickupConfig.id - Save-file id of the pickup; each pickup unlocks once per save
+   * @param {string} [pickupConfig.tileKey] - Frame from the tiles atlas (defaults to the ability's tileKey)
+   * @param {Phaser.Physics.Arcade.Group} pickupsGroup - The physics group to create the pickup in
+   * @returns {Phaser.Physics.Arcade.Sprite|null} - Created pickup sprite or null if creation failed
+   */
+  createAbilityPickup(pickupConfig, pickupsGroup) {
+    if (!pickupConfig || typeof pickupConfig.x !== 'number' || typeof pickupConfig.y !== 'number') {
+      return null;
+    }
+
+    const abilityConfig = GameConfig.abilities[pickupConfig.ability];
+    if (!abilityConfig || typeof abilityConfig.maxLevel !== 'number') {
+      console.warn('[SceneFactory] Unknown ability for ability pickup:', pickupConfig.ability);
+      return null;
+    }
+
+    if (!pickupsGroup || !pickupsGroup.create) {
+      return null;
+    }
+
+    const tileKey = typeof pickupConfig.tileKey === 'string' ? pickupConfig.tileKey : abilityConfig.tileKey;
+
+    // Create through the group first, then configure physics
+    const pickup = pickupsGroup.create(pickupConfig.x * LEVEL_SCALE, pickupConfig.y * LEVEL_SCALE, 'tiles', tileKey);
+    if (!pickup) return null;
+
+    if (pickup.body && typeof pickup.body.setAllowGravity === 'function') {
+      pickup.body.setAllowGravity(false);
+    }
+    if (typeof pickup.setScale === 'function') {
+      pickup.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+    pickup.ability = pickupConfig.ability;
+    pickup.pickupId = typeof pickupConfig.id === 'string' ? pickupConfig.id : null;
+
+    return pickup;
+  }
+
+  /**
+   * Creates multiple ability pickups from configuration array
+   * @param {Array} pickupConfigs - Array of pickup configurations
+   * @param {Phaser.Physics.Arcade.Group} pickupsGroup - The physics group to create pickups in
+   * @returns {Array} - Array of created pickup sprites
+   */
+  createAbilityPickupsFromConfig(pickupConfigs, pickupsGroup) {
+    if (!pickupConfigs || !Array.isArray(pickupConfigs) || !pickupsGroup) {
+      return [];
+    }
+
+    const pickups = [];
+
+    for (const pickupConfig of pickupConfigs) {
+      const pickup = this.createAbilityPickup(pickupConfig, pickupsGroup);
+      if (pickup) {
+        pickups.push(pickup);
+      }
+    }
+
+    return pickups;
+  }
+
+  // ========================================
+  // Key, Lock and Door Creation Methods
+  // ========================================
+
+  /**
+   * Creates a key pickup from configuration
+   * @param {Object} keyConfig - Key configuration
+   * @param {number} keyConfig.x - X position
+   * @param {number} keyConfig.y - Y position
+   * @param {string} keyConfig.color - Key colour ('blue', 'green', 'red' or 'yellow')
+   * @param {Phaser.Physics.Arcade.Group} keysGroup - The physics group to create the key in
+   * @returns {KeyPickup|null} - Created key or null if creation failed
+   */
+  createKeyPickup(keyConfig, keysGroup) {
+    if (!keyConfig || typeof keyConfig.x !== 'number' || typeof keyConfig.y !== 'number') {
+      return null;
+    }
+    if (!KeyInventory.isColor(keyConfig.color)) {
+      console.warn('[SceneFactory] Unknown key colour:', keyConfig.color);
+      return null;
+    }
+    if (!keysGroup || !keysGroup.create) {
+      return null;
+    }
+
+    // Create through the group first, then configure physics
+    const sprite = keysGroup.create(keyConfig.x * LEVEL_SCALE, keyConfig.y * LEVEL_SCALE, 'tiles', `key_${keyConfig.color}`);
+    if (!sprite) return null;
+
+    if (sprite.body && typeof sprite.body.setAllowGravity === 'function') {
+      sprite.body.setAllowGravity(false);
+    }
+    if (typeof sprite.setScale === 'function') {
+      sprite.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+
+    return new KeyPickup(sprite, keyConfig.color);
+  }
+
+  /**
+   * Creates multiple key pickups from configuration array
+   * @param {Array} keyConfigs - Array of key configurations
+   * @param {Phaser.Physics.Arcade.Group} keysGroup - The physics group to create keys in
+   * @returns {Array<KeyPickup>} - Created keys
+   */
+  createKeyPickupsFromConfig(keyConfigs, keysGroup) {
+    if (!Array.isArray(keyConfigs) || !keysGroup) {
+      return [];
+    }
+    return keyConfigs.map(keyConfig => this.createKeyPickup(keyConfig, keysGroup)).filter(Boolean);
+  }
+
+  /**
+   * Creates a heart pickup from configuration
+   * @param {Object} heartConfig - Heart configuration
+   * @param {number} heartConfig.x - X position
+   * @param {number} heartConfig.y - Y position
+   * @param {number} [heartConfig.heal] - Health restored (default GameConfig.lives.heartHeal)
+   * @param {boolean} [heartConfig.extraLife=false] - Whether the heart adds a life instead of healing
+   * @param {Phaser.Physics.Arcade.Group} heartsGroup - The physics group to create the heart in
+   * @returns {HeartPickup|null} - Created heart or null if creation failed
+   */
+  createHeartPickup(heartConfig, heartsGroup) {
+    if (!heartConfig || typeof heartConfig.x !== 'number' || typeof heartConfig.y !== 'number') {
+      return null;
+    }
+    if (!heartsGroup || !heartsGroup.create) {
+      return null;
+    }
+
+    // Create through the group first, then configure physics
+    const sprite = heartsGroup.create(heartConfig.x * LEVEL_SCALE, heartConfig.y * LEVEL_SCALE, 'tiles', 'heart');
+    if (!sprite) return null;
+
+    if (sprite.body && typeof sprite.body.setAllowGravity === 'function') {
+      sprite.body.setAllowGravity(false);
+    }
+    if (typeof sprite.setScale === 'function') {
+      sprite.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+
+    const extraLife = heartConfig.extraLife === true;
+    if (extraLife && typeof sprite.setTint === 'function') {
+      sprite.setTint(HeartPickup.EXTRA_LIFE_TINT);
+    }
+    const heal = typeof heartConfig.heal === 'number' ? heartConfig.heal : GameConfig.lives.heartHeal;
+    return new HeartPickup(sprite, { heal, extraLife });
+  }
+
+  /**
+   * Creates multiple heart pickups from configuration array
+   * @param {Array} heartConfigs - Array of heart configurations
+   * @param {Phaser.Physics.Arcade.Group} heartsGroup - The physics group to create hearts in
+   * @returns {Array<HeartPickup>} - Created hearts
+   */
+  createHeartPickupsFromConfig(heartConfigs, heartsGroup) {
+    if (!Array.isArray(heartConfigs) || !heartsGroup) {
+      return [];
+    }
+    return heartConfigs.map(heartConfig => this.createHeartPickup(heartConfig, heartsGroup)).filter(Boolean);
+  }
+
+  /**
+   * Creates a checkpoint flag from configuration
+   * @param {Object} checkpointConfig - Checkpoint configuration
+   * @param {number} checkpointConfig.x - X position
+   * @param {number} checkpointConfig.y - Y position
+   * @param {string} [checkpointConfig.color='green'] - Colour the flag is raised in (Checkpoint.COLORS)
+   * @param {number} index - Position of the checkpoint in the `checkpoints` array
+   * @param {Phaser.Physics.Arcade.Group} checkpointsGroup - The physics group to create the flag in
+   * @returns {Checkpoint|null} - Created checkpoint or null if creation failed
+   */
+  createCheckpoint(checkpointConfig, index, checkpointsGroup) {
+    if (!checkpointConfig || typeof checkpointConfig.x !== 'number' || typeof checkpointConfig.y !== 'number') {
+      return null;
+    }
+    const color = checkpointConfig.color === undefined ? 'green' : checkpointConfig.color;
+    if (!Checkpoint.COLORS.includes(color)) {
+      console.warn('[SceneFactory] Unknown checkpoint colour:', checkpointConfig.color);
+      return null;
+    }
+    if (!checkpointsGroup || !checkpointsGroup.create) {
+      return null;
+    }
+
+    // Create through the group first, then configure physics
+    const sprite = checkpointsGroup.create(checkpointConfig.x * LEVEL_SCALE, checkpointConfig.y * LEVEL_SCALE, 'tiles', 'flag_off');
+    if (!sprite) return null;
+
+    if (sprite.body && typeof sprite.body.setAllowGravity === 'function') {
+      sprite.body.setAllowGravity(false);
+    }
+    if (typeof sprite.setScale === 'function') {
+      sprite.setScale(LEVEL_SCALE, LEVEL_SCALE);
+    }
+
+    return new Checkpoint(sprite, index, color);
+  }
+
+  /**
+   * Creates multiple checkpoints from configuration array
+   * @param {Array} checkpointConfigs - Array of checkpoint configurations
+   * @param {Phaser.Physics.Arcade.Group} checkpointsGroup - The physics group to create flags in
+   * @returns {Array<Checkpoint>} - Created checkpoints
+   */
+  createCheckpointsFromConfig(checkpointConfigs, checkpointsGroup) {
+    if (!Array.isArray(checkpointConfigs) || !checkpointsGroup) {
+      return [];
+    }
+    return checkpointConfigs
+      .map((checkpointConfig, index) => this.createCheckpoint(checkpointConfig, index, checkpointsGroup))
+      .filter(Boolean);
+  }
+
+  /**
+   * Creates a lock block or door from configuration
+   * @param {Object} lockConfig - Lock configuration
+   * @param {number} lockConfig.x - X position (left edge)
+   * @param {number} lockConfig.y - Y position (top edge; a door's top tile sits one tile above)
+   * @param {string} [lockConfig.color] - Colour of the key that opens it; a door with an `id` may
+   *   leave it out to be opened only by a trigger target
+   * @param {string} [lockConfig.id] - Id that trigger targets refer to
+   * @param {string} kind - 'lock' or 'door'
+   * @param {Phaser.Physics.Arcade.Group} locksGroup - The physics group to create the tiles in
+   * @returns {LockBlock|null} - Created lock or null if creation failed
+   */
+  createLockBlock(lockConfig, kind, locksGroup) {
+    if (!lockConfig || typeof lockConfig.x !== 'number' || typeof lockConfig.y !== 'number') {
+      return null;
+    }
+    const isTriggerDoor = kind === 'door' && lockConfig.color === undefined && typeof lockConfig.id === 'string';
+    if (!isTriggerDoor && !KeyInventory.isColor(lockConfig.color)) {
+      console.warn('[SceneFactory] Unknown lock colour:', lockConfig.color);
+      return null;
+    }
+    if (!LockBlock.KINDS.includes(kind) || !locksGroup || !locksGroup.create) {
+      return null;
+    }
+
+    const tileSize = 64;
+    const tiles = kind === 'door'
+      ? [
+        { dy: 0, closedFrame: 'door_closed', openFrame: 'door_open' },
+        { dy: -tileSize, closedFrame: 'door_closed_top', openFrame: 'door_open_top' }
+      ]
+      : [{ dy: 0, closedFrame: `lock_${lockConfig.color}`, openFrame: null }];
+
+    const sprites = [];
+    for (const tile of tiles) {
+      const sprite = locksGroup.create(lockConfig.x * LEVEL_SCALE, (lockConfig.y + tile.dy) * LEVEL_SCALE, 'tiles', tile.closedFrame);
+      if (!sprite) continue;
+      if (typeof sprite.setOrigin === 'function') {
+        sprite.setOrigin(0, 0);
+      }
+      this.configurePlatform(sprite, true);
+      if (typeof sprite.setScale === 'function') {
+        sprite.setScale(LEVEL_SCALE, LEVEL_SCALE);
+      }
+      if (kind === 'door' && !isTriggerDoor && typeof sprite.setTint === 'function') {
+        sprite.setTint(KeyInventory.TINTS[lockConfig.color]);
+      }
+      sprite.closedFrame = tile.closedFrame;
+      sprite.openFrame = tile.openFrame;
+      sprites.push(sprite);
+    }
+
+    if (sprites.length === 0) return null;
+    const lock = new LockBlock(sprites, isTriggerDoor ? null : lockConfig.color, kind);
+    this.registerObjectId(lockConfig.id, lock);
+    return lock;
+  }
+
+  /**
+   * Creates all lock blocks and doors from the loaded configuration's `locks` and `doors` arrays
+   * @param {Phaser.Physics.Arcade.Group} locksGroup - The physics group to create the tiles in
+   * @returns {Array<LockBlock>} - Created locks and doors
+   */
+  createLocksFromConfig(locksGroup) {
+    if (!this.config || !locksGroup) {
+      return [];
+    }
+
+    const locks = [];
+    [['locks', 'lock'], ['doors', 'door']].forEach(([key, kind]) => {
+      if (!Array.isArray(this.config[key])) return;
+      for (const lockConfig of this.config[key]) {
+        const lock = this.createLockBlock(lockConfig, kind, locksGroup);
+        if (lock) {
+          locks.push(lock);
+        }
+      }
+    });
+    return locks;
+  }
+
+  // ========================================
+  // Trigger and Target Creation Methods
+  // ========================================
+
+  /**
+   * Remembers an object created with an `id` so trigger targets can refer to it
+   * @param {string} [id] - The object's `id` from level JSON
+   * @param {Object} object - Created door, moving platform or enemy
+   */
+  registerObjectId(id, object) {
+    if (typeof id !== 'string' || !object) return;
+    if (this.objectsById.has(id)) {
+      console.warn('[SceneFactory] Duplicate object id:', id);
+      return;
+    }
+    this.objectsById.set(id, object);
+  }
+
+  /**
+   * Creates a trigger target from configuration
+   * @param {Object} targetConfig - Target configuration
+   * @param {string} targetConfig.id - Id that triggers refer to
+   * @param {string} targetConfig.type - 'door', 'platform', 'spawn' or 'blocks'
+   * @param {string} [targetConfig.door] - Id of a door ('door')
+   * @param {string} [targetConfig.platform] - Id of a moving platform ('platform')
+   * @param {string} [targetConfig.action='start'] - 'start' or 'stop' the platform while active ('platform')
+   * @param {Array<string>} [targetConfig.enemies] - Ids of enemies that stay dormant until spawned ('spawn')
+   * @param {Array<Object>} [targetConfig.tiles] - `{ x, y }` of each block ('blocks')
+   * @param {boolean} [targetConfig.solid=false] - Whether blocks start solid ('blocks')
+   * @param {Phaser.Physics.Arcade.Group} blocksGroup - The physics group to create blocks in
+   * @returns {TriggerTarget|null} - Created target or null if creation failed
+   */
+  createTriggerTarget(targetConfig, blocksGroup) {
+    if (!targetConfig || typeof targetConfig.id !== 'string' || !TriggerTarget.KINDS.includes(targetConfig.type)) {
+      console.warn('[SceneFactory] Invalid trigger target:', targetConfig);
+      return null;
+    }
+
+    const lookup = (id, isValid) => {
+      const object = this.objectsById.get(id);
+      if (object && isValid(object)) return object;
+      console.warn(`[SceneFactory] Target '${targetConfig.id}' refers to unknown id:`, id);
+      return null;
+    };
+
+    const parts = {};
+    switch (targetConfig.type) {
+      case 'door':
+        parts.door = lookup(targetConfig.door, object => object instanceof LockBlock);
+        if (!parts.door) return null;
+        break;
+      case 'platform':
+        parts.platform = lookup(targetConfig.platform, object => object instanceof MovingPlatform);
+        if (!parts.platform) return null;
+        break;
+      case 'spawn':
+        parts.enemies = (Array.isArray(targetConfig.enemies) ? targetConfig.enemies : [])
+          .map(id => lookup(id, object => typeof object.isDead === 'function'))
+          .filter(Boolean);
+        break;
+      case 'blocks':
+        parts.blocks = [];
+        if (blocksGroup && blocksGroup.create && Array.isArray(targetConfig.tiles)) {
+          for (const tile of targetConfig.tiles) {
+            if (!tile || typeof tile.x !== 'number' || typeof tile.y !== 'number') continue;
+            const block = blocksGroup.create(tile.x * LEVEL_SCALE, tile.y * LEVEL_SCALE, 'tiles', 'block_exclamation');
+            if (!block) continue;
+            if (typeof block.setOrigin === 'function') {
+              block.setOrigin(0, 0);
+            }
+            this.configurePlatform(block, true);
+            if (typeof block.setScale === 'function') {
+              block.setScale(LEVEL_SCALE, LEVEL_SCALE);
+            }
+            parts.blocks.push(block);
+          }
+        }
+        break;
+    }
+
+    return new TriggerTarget(targetConfig, parts);
+  }
+
+  /**
+   * Creates a trigger from configuration
+   * @param {Object} triggerConfig - Trigger configuration
+   * @param {string} triggerConfig.id - Trigger id
+   * @param {string} triggerConfig.type - 'switch', 'lever', 'coins', 'enemyKilled' or 'area'
+   * @param {Array<string>} triggerConfig.targets - Ids of the targets it drives
+   * @param {number} [triggerConfig.x] - X position ('switch', 'lever', 'area')
+   * @param {number} [triggerConfig.y] - Y position ('switch', 'lever', 'area')
+   * @param {number} [triggerConfig.width] - Width in pixels ('area')
+   * @param {number} [triggerConfig.height] - Height in pixels ('area')
+   * @param {string} [triggerConfig.color='blue'] - Switch colour ('switch')
+   * @param {number} [triggerConfig.count] - Coins needed ('coins')
+   * @param {string} [triggerConfig.enemy] - Id of the watched enemy ('enemyKilled')
+   * @param {boolean} [triggerConfig.latch=false] - Stay active once triggered
+   * @param {Phaser.Physics.Arcade.Group} triggersGroup - The physics group to create switch and lever tiles in
+   * @returns {Trigger|null} - Created trigger or null if creation failed
+   */
+  createTrigger(triggerConfig, triggersGroup) {
+    if (!triggerConfig || typeof triggerConfig.id !== 'string' || !Trigger.KINDS.includes(triggerConfig.type)) {
+      console.warn('[SceneFactory] Invalid trigger:', triggerConfig);
+      return null;
+    }
+    const hasPosition = typeof triggerConfig.x === 'number' && typeof triggerConfig.y === 'number';
+
+    const parts = {};
+    switch (triggerConfig.type) {
+      case 'switch':
+      case 'lever': {
+        if (!hasPosition || !triggersGroup || !triggersGroup.create) return null;
+        const color = KeyInventory.isColor(triggerConfig.color) ? triggerConfig.color : 'blue';
+        const [idleFrame, activeFrame] = triggerConfig.type === 'switch'
+          ? [`switch_${color}`, `switch_${color}_pressed`]
+          : ['lever_left', 'lever_right'];
+        const sprite = triggersGroup.create(triggerConfig.x * LEVEL_SCALE, triggerConfig.y * LEVEL_SCALE, 'tiles', idleFrame);
+        if (!sprite) return null;
+        if (typeof sprite.setOrigin === 'function') {
+          sprite.setOrigin(0, 0);
+        }
+        if (sprite.body && typeof sprite.body.setAllowGravity === 'function') {
+          sprite.body.setAllowGravity(false);
+        }
+        if (typeof sprite.setScale === 'function') {
+          sprite.setScale(LEVEL_SCALE, LEVEL_SCALE);
+        }
+        sprite.idleFrame = idleFrame;
+        sprite.activeFrame = activeFrame;
+        parts.sprite = sprite;
+        break;
+      }
+      case 'area':
+        if (!hasPosition || typeof triggerConfig.width !== 'number' || typeof triggerConfig.height !== 'number') return null;
+        parts.area = {
+          x: triggerConfig.x * LEVEL_SCALE,
+          y: triggerConfig.y * LEVEL_SCALE,
+          width: triggerConfig.width * LEVEL_SCALE,
+          height: triggerConfig.height * LEVEL_SCALE
+        };
+        break;
+      case 'enemyKilled':
+        parts.enemy = this.objectsById.get(triggerConfig.enemy) || null;
+        if (!parts.enemy) {
+          console.warn(`[SceneFactory] Trigger '${triggerConfig.id}' refers to unknown enemy:`, triggerConfig.enemy);
+          return null;
+        }
+        break;
+    }
+
+    return new Trigger(triggerConfig, parts);
+  }
+
+  /**
+   * Creates the loaded configuration's `targets` and `triggers` and checks the wiring.
+   * Must run after doors, moving platforms and enemies exist, since targets look them up by id.
+   * @param {Phaser.Physics.Arcade.Group} triggersGroup - The physics group for switch and lever tiles
+   * @param {Phaser.Physics.Arcade.Group} blocksGroup - The physics group for toggle blocks
+   * @returns {{triggers: Array<Trigger>, targets: Array<TriggerTarget>}} - Created triggers and targets
+   */
+  createTriggersFromConfig(triggersGroup, blocksGroup) {
+    if (!this.config) {
+      return { triggers: [], targets: [] };
+    }
+
+    const targets = (Array.isArray(this.config.targets) ? this.config.targets : [])
+      .map(targetConfig => this.createTriggerTarget(targetConfig, blocksGroup))
+      .filter(Boolean);
+    const triggers = (Array.isArray(this.config.triggers) ? this.config.triggers : [])
+      .map(triggerConfig => this.createTrigger(triggerConfig, triggersGroup))
+      .filter(Boolean);
+
+    const targetIds = new Set(targets.map(target => target.id));
+    triggers.forEach(trigger => {
+      trigger.targetIds.filter(id => !targetIds.has(id)).forEach(id => {
+        console.warn(`[SceneFactory] Trigger '${trigger.id}' refers to unknown target:`, id);
+      });
+    });
+    return { triggers, targets };
+  }
+
   // ========================================
   // Goal Tile Creation Methods
   // ========================================
@@ -684,7 +1743,20 @@ export class SceneFactory {
     // Handle isFullBlock configuration (defaults to true for goal tiles)
     const isFullBlock = goalConfig.isFullBlock !== undefined ? goalConfig.isFullBlock : true;
 
-    return this.createGoalTile(goalConfig.x * LEVEL_SCALE, goalConfig.y * LEVEL_SCALE, tileKey, goalTilesGroup, isFullBlock);
+    const goalTile = this.createGoalTile(goalConfig.x * LEVEL_SCALE, goalConfig.y * LEVEL_SCALE, tileKey, goalTilesGroup, isFullBlock);
+    this.applyTemporalPolicy(goalTile, goalConfig);
+    return goalTile;
+  }
+
+  /**
+   * Attaches a level JSON `temporalPolicy` to a created object so TimeManager.register()
+   * picks it up. Invalid policies are reported and fall back to rewindable.
+   * @param {Object} object - Created game object (the Coin instance for coins)
+   * @param {Object} config - The object's level configuration
+   */
+  applyTemporalPolicy(object, config) {
+    if (!object || !config || config.temporalPolicy === undefined) return;
+    object.temporalPolicy = TemporalPolicy.normalize(config.temporalPolicy);
   }
 
   // ========================================
@@ -1033,8 +2105,8 @@ export class SceneFactory {
           return false;
         }
 
-        // Validate type is either "ground" or "decorative"
-        if (tileDict.type !== 'ground' && tileDict.type !== 'decorative') {
+        // Validate type is "ground", "decorative", "climbable", "water" or "hazard"
+        if (!['ground', 'decorative', 'climbable', 'water', 'hazard'].includes(tileDict.type)) {
           return false;
         }
       }
@@ -1482,6 +2554,9 @@ export class SceneFactory {
         if (typeof enemyConfig.speed === 'number') {
           enemy.speed = enemyConfig.speed * LEVEL_SCALE;
         }
+
+        this.applyTemporalPolicy(enemy, enemyConfig);
+        this.registerObjectId(enemyConfig.id, enemy);
         
         // CRITICAL: Add to group BEFORE configuration (§13)
         if (this.scene.enemies && this.scene.enemies.add) {
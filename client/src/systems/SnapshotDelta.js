@@ -0,0 +1,148 @@
+/**
+ * SnapshotDelta - Delta encoding for TimeManager frames
+ *
+ * Converts full frames (`{ timestamp, states: [{ target, state }], ...meta }`) into
+ * deltas that only carry what changed since the previous frame, and rebuilds full
+ * frames from a keyframe plus a run of deltas.
+ * Invariants: see `agent_docs/invariants.md` §26.
+ *
+ * Delta frame shape:
+ *   { ...meta, changes: [{ target, set?, unset?, state? }], removed: [target] }
+ *   - `set`/`unset`: changed or deleted top-level keys of a plain-object state
+ *   - `state`: full replacement (new target, or a state that is not a plain object)
+ *
+ * Values are compared with Object.is, so nested objects count as changed whenever
+ * a new reference is recorded. State objects are never mutated.
+ */
+export class SnapshotDelta {
+  /**
+   * Builds a target → state map from a full frame.
+   * @param {Object} frame - Full frame with a `states` array
+   * @returns {Map<Object, Object>}
+   */
+  static statesToMap(frame) {
+    const map = new Map();
+    if (frame && Array.isArray(frame.states)) {
+      for (const record of frame.states) {
+        if (record) map.set(record.target, record.state);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Builds a full frame from frame metadata and a target → state map.
+   * @param {Object} meta - Frame fields other than `states` (timestamp, coinsCollected, ...)
+   * @param {Map<Object, Object>} stateMap
+   * @returns {Object} Full frame
+   */
+  static mapToFrame(meta, stateMap) {
+    const states = [];
+    for (const [target, state] of stateMap) {
+      states.push({ target, state });
+    }
+    return { ...meta, states };
+  }
+
+  /**
+   * Encodes a full frame as a delta against the previous frame's states.
+   * @param {Object} frame - Full frame to encode
+   * @param {Map<Object, Object>} previousStates - States of the previous frame
+   * @returns {Object} Delta frame
+   */
+  static encode(frame, previousStates) {
+    const { states, ...meta } = frame;
+    const changes = [];
+    const seen = new Set();
+
+    for (const record of (Array.isArray(states) ? states : [])) {
+      if (!record) continue;
+      seen.add(record.target);
+      const change = SnapshotDelta.diffState(previousStates.get(record.target), record.state, previousStates.has(record.target));
+      if (change) {
+        changes.push({ target: record.target, ...change });
+      }
+    }
+
+    const removed = [];
+    for (const target of previousStates.keys()) {
+      if (!seen.has(target)) removed.push(target);
+    }
+
+    return { ...meta, changes, removed };
+  }
+
+  /**
+   * Applies a delta frame to a target → state map in place.
+   * @param {Map<Object, Object>} stateMap - States of the previous frame (mutated)
+   * @param {Object} delta - Delta frame produced by encode()
+   * @returns {Map<Object, Object>} The same map, now describing the delta's frame
+   */
+  static apply(stateMap, delta) {
+    for (const change of delta.changes) {
+      if ('state' in change) {
+        stateMap.set(change.target, change.state);
+        continue;
+      }
+      const next = { ...stateMap.get(change.target), ...change.set };
+      if (change.unset) {
+        for (const key of change.unset) delete next[key];
+      }
+      stateMap.set(change.target, next);
+    }
+    for (const target of delta.removed) {
+      stateMap.delete(target);
+    }
+    return stateMap;
+  }
+
+  /**
+   * Splits a delta frame into its metadata (timestamp, coinsCollected, ...).
+   * @param {Object} delta
+   * @returns {Object}
+   */
+  static metaOf(delta) {
+    const { changes, removed, ...meta } = delta;
+    return meta;
+  }
+
+  /**
+   * Describes how `next` differs from `previous`.
+   * @param {*} previous - Previous state (undefined for new targets)
+   * @param {*} next - Current state
+   * @param {boolean} hadPrevious - Whether the target existed in the previous frame
+   * @returns {Object|null} `{ set, unset }`, `{ state }` or null when unchanged
+   */
+  static diffState(previous, next, hadPrevious = true) {
+    if (!hadPrevious || !SnapshotDelta.isPlainState(previous) || !SnapshotDelta.isPlainState(next)) {
+      return hadPrevious && Object.is(previous, next) ? null : { state: next };
+    }
+
+    let set = null;
+    let unset = null;
+    for (const key of Object.keys(next)) {
+      if (!Object.is(previous[key], next[key]) || !(key in previous)) {
+        (set || (set = {}))[key] = next[key];
+      }
+    }
+    for (const key of Object.keys(previous)) {
+      if (!(key in next)) {
+        (unset || (unset = [])).push(key);
+      }
+    }
+
+    if (!set && !unset) return null;
+    const change = {};
+    if (set) change.set = set;
+    if (unset) change.unset = unset;
+    return change;
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean} True for non-null, non-array objects.
+   */
+  static isPlainState(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -49,6 +49,7 @@ export default class StateMachine {
   constructor() {
     this.states = new Map();
     this.currentState = null;
+    this.currentStateName = null;
   }
 
   /**
@@ -75,6 +76,7 @@ export default class StateMachine {
     }
 
     this.currentState = this.states.get(name);
+    this.currentStateName = name;
 
     if (this.currentState && typeof this.currentState.enter === 'function') {
       this.currentState.enter();
@@ -0,0 +1,347 @@
+import { SnapshotDelta } from './SnapshotDelta.js';
+
+/**
+ * StateRingBuffer – fixed-capacity storage for TimeManager snapshots.
+ *
+ * Invariants are recorded in `agent_docs/invariants.md` §25 and §26.
+ *  • Frames are stored oldest → newest; pushing into a full buffer evicts the oldest frame in O(1).
+ *  • Frame timestamps are non-decreasing, so lookups use binary search (O(log n)).
+ *  • Every `keyframeInterval`-th frame is stored in full; frames in between are stored as
+ *    SnapshotDelta deltas and rebuilt on read. The oldest stored frame is always a keyframe.
+ *  • `get(i)` and iteration return full frames. There are no integer index reads; this is not an Array.
+ *
+ * Frames are the objects TimeManager records: `{ timestamp, states: [{ target, state }], ... }`.
+ */
+export default class StateRingBuffer {
+  // Rough per-object costs used by getMetrics()
+  static FRAME_OVERHEAD_BYTES = 64;
+  static RECORD_OVERHEAD_BYTES = 48;
+  static FIELD_BYTES = 8;
+
+  /**
+   * @param {number} capacity Maximum number of frames kept before the oldest is evicted.
+   * @param {Object} [options]
+   * @param {number} [options.keyframeInterval=1] Store a full frame every N frames (1 disables deltas).
+   */
+  constructor(capacity, options = {}) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`StateRingBuffer: capacity must be a positive integer, got ${capacity}`);
+    }
+    const keyframeInterval = options.keyframeInterval ?? 1;
+    if (!Number.isInteger(keyframeInterval) || keyframeInterval < 1) {
+      throw new Error(`StateRingBuffer: keyframeInterval must be a positive integer, got ${keyframeInterval}`);
+    }
+    this.capacity = capacity;
+    this.keyframeInterval = keyframeInterval;
+    // Slots hold { timestamp, frame } for keyframes or { timestamp, delta } for deltas
+    this._slots = new Array(capacity);
+    this._head = 0;
+    this._count = 0;
+
+    // Delta encoding state: states of the newest frame and frames since the last keyframe
+    this._lastStates = null;
+    this._sinceKeyframe = 0;
+    // Last decoded frame, so sequential forward reads apply a single delta
+    this._decodeCache = null;
+
+    // Per-slot sizes measured on push, plus running totals so getMetrics() stays O(1)
+    this._slotSizes = new Array(capacity);
+    this._recordCount = 0;
+    this._fieldCount = 0;
+    this.evictedFrames = 0;
+    this.keyframeCount = 0;
+  }
+
+  /**
+   * Number of frames currently stored.
+   * @type {number}
+   */
+  get length() {
+    return this._count;
+  }
+
+  /**
+   * Setting `length` keeps the oldest `n` frames, mirroring Array truncation.
+   * @param {number} n
+   */
+  set length(n) {
+    this.truncate(n);
+  }
+
+  /**
+   * Appends a frame, evicting the oldest one when the buffer is full.
+   * @param {...Object} frames Full frames to append, oldest first.
+   * @returns {number} The new length.
+   */
+  push(...frames) {
+    for (const frame of frames) {
+      if (this._count === this.capacity) {
+        this.discardOldest(1);
+        this.evictedFrames++;
+      }
+
+      if (this._lastStates === null && this._count > 0) {
+        this._lastStates = SnapshotDelta.statesToMap(this.get(this._count - 1));
+      }
+
+      let entry;
+      if (this._count === 0 || this._sinceKeyframe + 1 >= this.keyframeInterval) {
+        entry = { timestamp: frame.timestamp, frame };
+        this._sinceKeyframe = 0;
+      } else {
+        entry = { timestamp: frame.timestamp, delta: SnapshotDelta.encode(frame, this._lastStates) };
+        this._sinceKeyframe++;
+      }
+      this._lastStates = SnapshotDelta.statesToMap(frame);
+
+      const slot = (this._head + this._count) % this.capacity;
+      this._count++;
+      this._store(slot, entry);
+    }
+    return this._count;
+  }
+
+  /**
+   * @param {number} index Logical index, 0 = oldest. Negative values count from the newest.
+   * @returns {Object|undefined} The full frame at that index.
+   */
+  get(index) {
+    const i = index < 0 ? this._count + index : index;
+    if (!Number.isInteger(i) || i < 0 || i >= this._count) return undefined;
+
+    const entry = this._entry(i);
+    if (entry.frame) return entry.frame;
+
+    const cache = this._decodeCache;
+    if (cache && cache.entry === entry) return cache.frame;
+
+    let stateMap;
+    let start;
+    if (cache && i > 0 && cache.entry === this._entry(i - 1)) {
+      stateMap = new Map(cache.stateMap);
+      start = i;
+    } else {
+      let keyIndex = i;
+      while (!this._entry(keyIndex).frame) keyIndex--;
+      stateMap = SnapshotDelta.statesToMap(this._entry(keyIndex).frame);
+      start = keyIndex + 1;
+    }
+    for (let k = start; k <= i; k++) {
+      SnapshotDelta.apply(stateMap, this._entry(k).delta);
+    }
+
+    const frame = SnapshotDelta.mapToFrame(SnapshotDelta.metaOf(entry.delta), stateMap);
+    this._decodeCache = { entry, frame, stateMap };
+    return frame;
+  }
+
+  /**
+   * @returns {Object|undefined} The oldest frame.
+   */
+  first() {
+    return this.get(0);
+  }
+
+  /**
+   * @returns {Object|undefined} The newest frame.
+   */
+  last() {
+    return this.get(this._count - 1);
+  }
+
+  /**
+   * Binary search for the first frame whose timestamp is >= `timestamp`.
+   * Only stored timestamps are read; no frames are decoded.
+   * @param {number} timestamp
+   * @returns {number} Logical index, or -1 when every frame is older.
+   */
+  findIndexByTimestamp(timestamp) {
+    let low = 0;
+    let high = this._count;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this._entry(mid).timestamp < timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low < this._count ? low : -1;
+  }
+
+  /**
+   * Drops the `count` oldest frames. The new oldest frame is promoted to a keyframe.
+   * @param {number} count
+   */
+  discardOldest(count) {
+    const n = Math.max(0, Math.min(count, this._count));
+    if (n === 0) return;
+
+    // Rebuild the surviving head before the keyframe it depends on is dropped
+    const newHead = n < this._count && !this._entry(n).frame ? this.get(n) : null;
+
+    for (let i = 0; i < n; i++) {
+      this._release(this._head);
+      this._head = (this._head + 1) % this.capacity;
+    }
+    this._count -= n;
+
+    if (newHead) {
+      this._store(this._head, { timestamp: newHead.timestamp, frame: newHead });
+    }
+    if (this._count === 0) {
+      this._lastStates = null;
+      this._sinceKeyframe = 0;
+    }
+  }
+
+  /**
+   * Keeps the oldest `length` frames and drops the rest.
+   * @param {number} length
+   */
+  truncate(length) {
+    const keep = Math.max(0, Math.min(length, this._count));
+    if (keep === this._count) return;
+    for (let i = keep; i < this._count; i++) {
+      this._release((this._head + i) % this.capacity);
+    }
+    this._count = keep;
+
+    // The next push diffs against the new newest frame
+    this._lastStates = null;
+    this._sinceKeyframe = 0;
+    for (let i = keep - 1; i >= 0 && !this._entry(i).frame; i--) {
+      this._sinceKeyframe++;
+    }
+  }
+
+  /**
+   * Removes every frame newer than `timestamp` and returns them.
+   * @param {number} timestamp
+   * @returns {Array<Object>} The removed full frames, oldest first.
+   */
+  spliceAfter(timestamp) {
+    let keep = this.findIndexByTimestamp(timestamp);
+    if (keep === -1) return [];
+    while (keep < this._count && this._entry(keep).timestamp <= timestamp) keep++;
+
+    const removed = [];
+    for (let i = keep; i < this._count; i++) {
+      removed.push(this.get(i));
+    }
+    this.truncate(keep);
+    return removed;
+  }
+
+  /**
+   * Removes every frame and resets the metrics.
+   */
+  clear() {
+    this._slots = new Array(this.capacity);
+    this._slotSizes = new Array(this.capacity);
+    this._head = 0;
+    this._count = 0;
+    this._lastStates = null;
+    this._sinceKeyframe = 0;
+    this._decodeCache = null;
+    this._recordCount = 0;
+    this._fieldCount = 0;
+    this.keyframeCount = 0;
+  }
+
+  /**
+   * @returns {Array<Object>} Full frames oldest → newest as a plain array.
+   */
+  toArray() {
+    return [...this];
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this._count; i++) {
+      yield this.get(i);
+    }
+  }
+
+  /**
+   * Size and memory metrics for what is actually stored (keyframes plus deltas).
+   * `estimatedBytes` is a rough V8 estimate (frame/record object headers plus
+   * 8 bytes per stored field), intended for spotting growth rather than exact accounting.
+   * @returns {{frames:number, capacity:number, keyframes:number, records:number, fields:number, spanMs:number, evictedFrames:number, estimatedBytes:number}}
+   */
+  getMetrics() {
+    const spanMs = this._count > 1 ? this._entry(this._count - 1).timestamp - this._entry(0).timestamp : 0;
+    return {
+      frames: this._count,
+      capacity: this.capacity,
+      keyframes: this.keyframeCount,
+      records: this._recordCount,
+      fields: this._fieldCount,
+      spanMs,
+      evictedFrames: this.evictedFrames,
+      estimatedBytes: this._count * StateRingBuffer.FRAME_OVERHEAD_BYTES +
+        this._recordCount * StateRingBuffer.RECORD_OVERHEAD_BYTES +
+        this._fieldCount * StateRingBuffer.FIELD_BYTES
+    };
+  }
+
+  _entry(index) {
+    return this._slots[(this._head + index) % this.capacity];
+  }
+
+  _store(slot, entry) {
+    if (this._slots[slot]) this._release(slot);
+    const size = StateRingBuffer.measureEntry(entry);
+    this._slots[slot] = entry;
+    this._slotSizes[slot] = size;
+    this._recordCount += size.records;
+    this._fieldCount += size.fields;
+    if (entry.frame) this.keyframeCount++;
+  }
+
+  _release(slot) {
+    const entry = this._slots[slot];
+    const size = this._slotSizes[slot];
+    if (size) {
+      this._recordCount -= size.records;
+      this._fieldCount -= size.fields;
+    }
+    if (entry && entry.frame) this.keyframeCount--;
+    if (this._decodeCache && this._decodeCache.entry === entry) this._decodeCache = null;
+    this._slots[slot] = undefined;
+    this._slotSizes[slot] = undefined;
+  }
+
+  /**
+   * Counts stored state records and fields for a slot entry.
+   * @param {Object} entry
+   * @returns {{records:number, fields:number}}
+   */
+  static measureEntry(entry) {
+    if (entry.frame) return StateRingBuffer.measureFrame(entry.frame);
+    let fields = 0;
+    for (const change of entry.delta.changes) {
+      if ('state' in change) {
+        fields += SnapshotDelta.isPlainState(change.state) ? Object.keys(change.state).length : 1;
+      } else {
+        fields += (change.set ? Object.keys(change.set).length : 0) + (change.unset ? change.unset.length : 0);
+      }
+    }
+    return { records: entry.delta.changes.length + entry.delta.removed.length, fields };
+  }
+
+  /**
+   * Counts state records and fields in a full frame.
+   * @param {Object} frame
+   * @returns {{records:number, fields:number}}
+   */
+  static measureFrame(frame) {
+    if (!frame || !Array.isArray(frame.states)) return { records: 0, fields: 0 };
+    let fields = 0;
+    for (const record of frame.states) {
+      if (record && record.state && typeof record.state === 'object') {
+        fields += Object.keys(record.state).length;
+      }
+    }
+    return { records: frame.states.length, fields };
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * TemporalPolicy - How an object registered with TimeManager responds to rewind.
+ * Invariants: see `agent_docs/invariants.md` §28.
+ *
+ * Modes:
+ *  • rewindable (default): recorded and rewound together with the rest of the scene
+ *  • immune: never recorded or restored; keeps its gravity and keeps simulating while the scene rewinds
+ *  • scaled: recorded, but rewinds `rate` times as far as the scene (0.5 = half as far back, 2 = twice as far)
+ *
+ * Level JSON accepts either a mode string (`"temporalPolicy": "immune"`) or an object
+ * (`"temporalPolicy": { "mode": "scaled", "rate": 0.5 }`).
+ */
+export default class TemporalPolicy {
+  static REWINDABLE = 'rewindable';
+  static IMMUNE = 'immune';
+  static SCALED = 'scaled';
+
+  static MODES = [TemporalPolicy.REWINDABLE, TemporalPolicy.IMMUNE, TemporalPolicy.SCALED];
+  static DEFAULT = Object.freeze({ mode: TemporalPolicy.REWINDABLE, rate: 1 });
+
+  /**
+   * Normalizes a policy from code or level JSON into `{ mode, rate }`.
+   * Missing values mean rewindable; invalid values fall back to rewindable with a warning.
+   * @param {string|Object} [value] Mode string or `{ mode, rate }` object.
+   * @returns {{mode:string, rate:number}} Frozen policy.
+   */
+  static normalize(value) {
+    if (value === undefined || value === null) {
+      return TemporalPolicy.DEFAULT;
+    }
+
+    const mode = typeof value === 'string' ? value : value.mode;
+    if (!TemporalPolicy.MODES.includes(mode)) {
+      console.warn('[TemporalPolicy] Unknown temporal policy, defaulting to rewindable:', value);
+      return TemporalPolicy.DEFAULT;
+    }
+
+    if (mode !== TemporalPolicy.SCALED) {
+      return Object.freeze({ mode, rate: mode === TemporalPolicy.IMMUNE ? 0 : 1 });
+    }
+
+    const rate = typeof value === 'object' ? value.rate : undefined;
+    if (typeof rate !== 'number' || !(rate > 0) || !Number.isFinite(rate)) {
+      console.warn('[TemporalPolicy] Scaled temporal policy needs a positive rate, defaulting to rewindable:', value);
+      return TemporalPolicy.DEFAULT;
+    }
+    return Object.freeze({ mode, rate });
+  }
+}
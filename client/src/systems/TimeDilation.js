@@ -0,0 +1,146 @@
+/**
+ * TimeDilation - Central time-scale service for bullet-time and fast-forward.
+ * Invariants: see `agent_docs/invariants.md` §30.
+ *
+ * GameScene owns one instance as `scene.timeDilation` and ticks it at the start of
+ * every update. World time runs `scale` times as fast as the scene clock:
+ *  • `getTime()` / `TimeDilation.now(scene)` – world time, for cooldowns and timers
+ *  • `scaleDelta(delta)` – world delta, passed to entity updates and TimeManager
+ *  • the arcade physics world and the scene's Phaser tweens follow the scale
+ *
+ * At scale 1 world time equals `scene.time.now`, so code that still reads the
+ * scene clock behaves exactly as before.
+ *
+ * When GameScene runs on fixed ticks it pins world time to each tick with
+ * `syncTo()` and the scale only decides how many ticks run per frame; physics is
+ * stepped per tick, so it is not scaled here (`scalesPhysics: false`).
+ */
+export default class TimeDilation {
+  static MIN_SCALE = 0.05;
+  static MAX_SCALE = 4;
+
+  /**
+   * World time for a scene, falling back to the scene clock when the scene has no
+   * TimeDilation (tests, menus).
+   * @param {Phaser.Scene} scene
+   * @returns {number} Milliseconds.
+   */
+  static now(scene) {
+    if (scene && scene.timeDilation && typeof scene.timeDilation.getTime === 'function') {
+      return scene.timeDilation.getTime();
+    }
+    return (scene && scene.time && scene.time.now) || 0;
+  }
+
+  /**
+   * @param {Phaser.Scene} scene The scene whose world is dilated.
+   * @param {Object} [options]
+   * @param {boolean} [options.scalesPhysics=true] Whether setScale() drives the arcade physics time scale.
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.scale = 1;
+    // World time minus scene time; only changes while scale !== 1 or after syncTo()
+    this.offset = 0;
+    this.scalesPhysics = options.scalesPhysics !== false;
+  }
+
+  /**
+   * Sets how fast the world runs (0.5 = half speed, 2 = double speed).
+   * Values are clamped to [MIN_SCALE, MAX_SCALE]; invalid values are ignored.
+   * @param {number} scale
+   * @returns {number} The applied scale.
+   */
+  setScale(scale) {
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || scale <= 0) {
+      console.warn('[TimeDilation] Ignoring invalid time scale:', scale);
+      return this.scale;
+    }
+    const next = Math.max(TimeDilation.MIN_SCALE, Math.min(TimeDilation.MAX_SCALE, scale));
+    if (next === this.scale) return this.scale;
+
+    const previous = this.scale;
+    this.scale = next;
+    this.applyToScene();
+
+    if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit('timeScaleChanged', { scale: next, previous });
+    }
+    return next;
+  }
+
+  /**
+   * Returns the world to normal speed.
+   */
+  reset() {
+    this.setScale(1);
+  }
+
+  /**
+   * Pushes the scale into Phaser systems that keep their own clocks.
+   * Arcade physics uses an inverse factor (2 = half speed).
+   */
+  applyToScene() {
+    const scene = this.scene;
+    if (!scene) return;
+    if (this.scalesPhysics && scene.physics && scene.physics.world && typeof scene.physics.world === 'object') {
+      scene.physics.world.timeScale = 1 / this.scale;
+    }
+    if (scene.tweens && typeof scene.tweens === 'object') {
+      scene.tweens.timeScale = this.scale;
+    }
+  }
+
+  /**
+   * Advances world time by one frame. Call once per frame before reading world time.
+   * @param {number} time - Scene time of this frame.
+   * @param {number} delta - Real milliseconds since the last frame.
+   */
+  tick(time, delta) {
+    if (this.scale !== 1 && typeof delta === 'number') {
+      this.offset += delta * (this.scale - 1);
+    }
+  }
+
+  /**
+   * Pins world time to `worldTime` for the rest of this frame, e.g. the time of a fixed tick.
+   * @param {number} worldTime
+   */
+  syncTo(worldTime) {
+    if (typeof worldTime !== 'number' || !Number.isFinite(worldTime)) return;
+    const sceneNow = (this.scene && this.scene.time && this.scene.time.now) || 0;
+    this.offset = worldTime - sceneNow;
+  }
+
+  /**
+   * @param {number} delta - Real milliseconds.
+   * @returns {number} World milliseconds.
+   */
+  scaleDelta(delta) {
+    return delta * this.scale;
+  }
+
+  /**
+   * @param {number} time - A scene-clock timestamp from this frame.
+   * @returns {number} The matching world time.
+   */
+  toWorldTime(time) {
+    return time + this.offset;
+  }
+
+  /**
+   * @returns {number} Current world time.
+   */
+  getTime() {
+    const sceneNow = (this.scene && this.scene.time && this.scene.time.now) || 0;
+    return sceneNow + this.offset;
+  }
+
+  /**
+   * Returns Phaser systems to normal speed. Called on scene shutdown.
+   */
+  destroy() {
+    this.scale = 1;
+    this.applyToScene();
+  }
+}
@@ -1,5 +1,10 @@
 import TemporalState from './TemporalState.js';
 import { gsap } from 'gsap';
+import { GameConfig } from '../config/GameConfig.js';
+import StateRingBuffer from './StateRingBuffer.js';
+import TemporalPolicy from './TemporalPolicy.js';
+import TimeDilation from './TimeDilation.js';
+import EventJournal from './EventJournal.js';
 
 /**
  * TimeManager – centralised rewind/record system.
@@ -25,13 +30,44 @@ import { gsap } from 'gsap';
  * 
  * 3. State Buffer Management:
  *    - States are recorded every 50ms (recordInterval)
- *    - Buffer is truncated to current position when exiting rewind
+ *    - Frames live in a fixed-capacity StateRingBuffer covering `rewindHorizon` ms
+ *    - Timestamp lookups are binary searches over the ring buffer
+ *    - Only changes since the previous frame are stored between periodic keyframes;
+ *      reads always return full frames, so the get/setStateForRecording contract is unchanged
+ *    - Buffer is truncated to current position when exiting rewind; the discarded frames
+ *      are emitted as `timelineAbandoned` so GameScene can replay them as a TimeEcho
  *    - Interpolation is used for smooth playback between recorded states
  * 
  * 4. Gravity Management:
  *    - Original gravity states are preserved per object
  *    - Gravity is disabled during rewind
  *    - Original states are restored after rewind
+ *
+ * 5. Rewind Energy:
+ *    - Rewinding drains `rewindEnergy` (ms) one-for-one with elapsed real time
+ *    - Rewind cannot start while the meter is empty or locked after exhaustion
+ *    - Energy recharges after `rewindRechargeDelay` ms of normal play, or via addRewindEnergy()
+ *
+ * 6. Temporal Policies:
+ *    - Each managed object has a TemporalPolicy: rewindable (default), immune or scaled
+ *    - Immune objects are never recorded or restored and keep their gravity during rewind
+ *    - Scaled objects are restored from `rate` times as far back as the scene's playback point
+ *
+ * 7. Scrubbing:
+ *    - startScrubbing() pauses a running rewind; playback then only moves through
+ *      scrubBy()/stepScrub() or the held `scrubDirection`
+ *    - Scrubbing back spends rewind energy and scrubbing forward refunds it
+ *    - commitScrub() ends the rewind at the chosen point
+ *    - Timeline markers (deaths, damage, coin pickups) are kept for the recorded range
+ *
+ * 8. Event Journal:
+ *    - One-off events that snapshots cannot restore are appended with recordEvent() and an undo handler
+ *    - Playback moving back past an event runs its undo; scrubbing forward over it runs its redo
+ *    - Undone events are discarded with the abandoned future when the rewind ends
+ *
+ * 9. Fixed Timestep:
+ *    - GameScene calls update() once per fixed tick; after setFixedStep() a frame is recorded
+ *      every `recordInterval / fixedStep` ticks, counted in whole ticks so float drift never skips one
  */
 export default class TimeManager {
   /**
@@ -40,12 +76,20 @@ export default class TimeManager {
    */
   constructor(scene, mockScene = null) {
     this.scene = mockScene || scene;
-    this.stateBuffer = [];
     this.isRewinding = false;
     this.managedObjects = new Set();
+    // Per-object TemporalPolicy ({ mode, rate }); objects without an entry are rewindable
+    this.temporalPolicies = new Map();
     this.lastRecordTime = 0;
     this.recordInterval = 50; // Record state every 50ms for smoother playback
+    // Simulation tick length when driven by a fixed timestep; null for variable frames
+    this.fixedStep = null;
+    this.rewindHorizon = (GameConfig.rewind?.horizon ?? 10) * 1000;
+    this.keyframeInterval = GameConfig.rewind?.keyframeInterval ?? 1;
+    this.stateBuffer = this._createStateBuffer();
     this.playbackTimestamp = 0;
+    // Newest timestamp when the current rewind began; scaled objects measure from here
+    this.rewindStartTimestamp = 0;
 
     // Track original gravity states to restore after rewind
     this.originalGravityStates = new Map();
@@ -56,19 +100,184 @@ export default class TimeManager {
 
     // Pause state for recording
     this.isRecordingPaused = false;
+
+    // Rewind energy meter – all values in milliseconds of rewind time
+    this.rewindCapacity = 0;
+    this.rewindEnergy = 0;
+    this.rewindRechargeRate = 0;
+    this.rewindRechargeDelay = 0;
+    this._lastRewindEndTime = -Infinity;
+    this._rewindExhausted = false;
+    this.configureRewindEnergy(GameConfig.rewind);
+
+    // Scrub mode – playback paused mid-rewind and moved by the player
+    this.isScrubbing = false;
+    this.scrubDirection = 0;
+    this._rewindEnergyAtStart = 0;
+    this._scrubCommitLock = false;
+
+    // Timeline markers ({ type, timestamp }) in recording order
+    this.timelineMarkers = [];
+
+    // Reversible one-off events, kept for the same range as the snapshot buffer
+    this.eventJournal = new EventJournal();
+  }
+
+  /**
+   * Creates an empty snapshot buffer sized for `rewindHorizon` at `recordInterval`,
+   * storing a full keyframe every `keyframeInterval` frames and deltas in between.
+   * @returns {StateRingBuffer}
+   * @private
+   */
+  _createStateBuffer() {
+    const capacity = Math.max(2, Math.ceil(this.rewindHorizon / this.recordInterval) + 1);
+    return new StateRingBuffer(capacity, { keyframeInterval: this.keyframeInterval });
+  }
+
+  /**
+   * Changes how far back snapshots are kept. The newest frames that fit are preserved.
+   * @param {number} seconds Rewind horizon in seconds.
+   */
+  setRewindHorizon(seconds) {
+    if (typeof seconds !== 'number' || !(seconds > 0) || !Number.isFinite(seconds)) return;
+    this.rewindHorizon = seconds * 1000;
+    const resized = this._createStateBuffer();
+    for (const frame of this.stateBuffer) {
+      resized.push(frame);
+    }
+    this.stateBuffer = resized;
+  }
+
+  /**
+   * Switches recording to whole ticks of a fixed timestep.
+   * @param {number|null} step Tick length in ms, or null to record on variable frame times.
+   */
+  setFixedStep(step) {
+    this.fixedStep = typeof step === 'number' && step > 0 && Number.isFinite(step) ? step : null;
+  }
+
+  /**
+   * Whether a frame should be recorded at `timestamp`.
+   * @param {number} timestamp
+   * @returns {boolean}
+   * @private
+   */
+  _isRecordDue(timestamp) {
+    if (this.fixedStep) {
+      const ticksSinceRecord = Math.round((timestamp - this.lastRecordTime) / this.fixedStep);
+      return ticksSinceRecord >= Math.max(1, Math.round(this.recordInterval / this.fixedStep));
+    }
+    return timestamp - this.lastRecordTime >= this.recordInterval;
+  }
+
+  /**
+   * Snapshot storage metrics for profiling long sessions.
+   * @returns {Object} StateRingBuffer metrics plus the configured horizon and record interval.
+   */
+  getBufferMetrics() {
+    return {
+      ...this.stateBuffer.getMetrics(),
+      horizonMs: this.rewindHorizon,
+      recordInterval: this.recordInterval
+    };
+  }
+
+  /**
+   * Configures the rewind energy meter and refills it to capacity.
+   * Values are expressed in seconds to match the level JSON `rewind` block;
+   * missing or invalid fields fall back to GameConfig.rewind.
+   * @param {Object} [config]
+   * @param {number} [config.capacity] Maximum rewind time in seconds.
+   * @param {number} [config.rechargeRate] Seconds of rewind regained per second of play.
+   * @param {number} [config.rechargeDelay] Milliseconds after a rewind before recharging starts.
+   */
+  configureRewindEnergy(config = {}) {
+    const defaults = GameConfig.rewind || {};
+    const pick = (value, fallback) => (typeof value === 'number' && value >= 0 && Number.isFinite(value)) ? value : fallback;
+    const source = config || {};
+
+    this.rewindCapacity = pick(source.capacity, defaults.capacity) * 1000;
+    this.rewindRechargeRate = pick(source.rechargeRate, defaults.rechargeRate);
+    this.rewindRechargeDelay = pick(source.rechargeDelay, defaults.rechargeDelay);
+    this.rewindEnergy = this.rewindCapacity;
+    this._rewindExhausted = false;
+  }
+
+  /**
+   * Adds rewind energy, e.g. from a pickup. Clamped to capacity.
+   * @param {number} seconds Seconds of rewind to restore.
+   * @returns {number} Milliseconds actually added.
+   */
+  addRewindEnergy(seconds) {
+    if (typeof seconds !== 'number' || !(seconds > 0)) return 0;
+    const before = this.rewindEnergy;
+    this.rewindEnergy = Math.min(this.rewindCapacity, this.rewindEnergy + seconds * 1000);
+    return this.rewindEnergy - before;
+  }
+
+  /**
+   * @returns {number} Rewind energy as a 0–1 fraction of capacity.
+   */
+  getRewindEnergyRatio() {
+    return this.rewindCapacity > 0 ? this.rewindEnergy / this.rewindCapacity : 0;
+  }
+
+  /**
+   * Whether a new rewind may begin. False when the meter is empty, or after
+   * the meter ran dry until the rewind input has been released.
+   * @returns {boolean}
+   */
+  canStartRewind() {
+    return this.rewindEnergy > 0 && !this._rewindExhausted && !this._scrubCommitLock;
+  }
+
+  /**
+   * Clears the post-exhaustion lock. Called by the scene once the rewind
+   * input is released so holding R does not restart rewind every frame.
+   */
+  releaseRewindLock() {
+    this._rewindExhausted = false;
+    this._scrubCommitLock = false;
   }
 
   /**
    * Registers a game object to be tracked by the TimeManager.
    * @param {Phaser.GameObjects.GameObject} object The object to manage.
+   * @param {string|Object} [policy] TemporalPolicy mode or `{ mode, rate }`; defaults to `object.temporalPolicy`.
    */
-  register(object) {
+  register(object, policy) {
     if (!object) return;
     
     this.managedObjects.add(object);
-    
-    // Store the original gravity state when registering
-    if (object.body && typeof object.body.setAllowGravity === 'function') {
+
+    // Registering again without a policy keeps the one already assigned
+    const value = policy !== undefined ? policy : object.temporalPolicy;
+    if (value === undefined && this.temporalPolicies.has(object)) return;
+    this.setTemporalPolicy(object, value);
+  }
+
+  /**
+   * Changes how a managed object responds to rewind and updates its gravity bookkeeping.
+   * Immune objects have no entry in `originalGravityStates`, so rewind never touches their gravity.
+   * @param {Object} object A managed object.
+   * @param {string|Object} [policy] TemporalPolicy mode or `{ mode, rate }`.
+   */
+  setTemporalPolicy(object, policy) {
+    if (!object) return;
+    const normalized = TemporalPolicy.normalize(policy);
+    this.temporalPolicies.set(object, normalized);
+
+    if (normalized.mode === TemporalPolicy.IMMUNE) {
+      // Hand gravity back if the object becomes immune mid-rewind
+      if (this.isRewinding && this.originalGravityStates.has(object) && object.body && typeof object.body.setAllowGravity === 'function') {
+        object.body.setAllowGravity(this.originalGravityStates.get(object));
+      }
+      this.originalGravityStates.delete(object);
+      return;
+    }
+
+    // Store the original gravity state (mid-rewind the body's gravity is already disabled, so keep the stored one)
+    if (!(this.isRewinding && this.originalGravityStates.has(object)) && object.body && typeof object.body.setAllowGravity === 'function') {
       // Get current gravity state (default to true if not explicitly set)
       const currentGravityState = object.body.allowGravity !== false;
       this.originalGravityStates.set(object, currentGravityState);
@@ -76,12 +285,29 @@ export default class TimeManager {
     }
   }
 
+  /**
+   * @param {Object} object
+   * @returns {{mode:string, rate:number}} The object's TemporalPolicy (rewindable when unset).
+   */
+  getTemporalPolicy(object) {
+    return this.temporalPolicies.get(object) || TemporalPolicy.DEFAULT;
+  }
+
+  /**
+   * @param {Object} object
+   * @returns {boolean} True if the object ignores rewind entirely.
+   */
+  isImmune(object) {
+    return this.getTemporalPolicy(object).mode === TemporalPolicy.IMMUNE;
+  }
+
   /**
    * Toggles the rewind state.
    * @param {boolean} isRewinding Whether to enable or disable rewind.
    */
   toggleRewind(isRewinding) {
     if (this.isRewinding === isRewinding) return;
+    if (isRewinding && !this.canStartRewind()) return;
     
     this.isRewinding = isRewinding;
     
@@ -93,8 +319,11 @@ export default class TimeManager {
       if (audioManager && typeof audioManager.playRewindStart === 'function') {
         try { audioManager.playRewindStart(); } catch (e) {}
       }
-      this.playbackTimestamp = this.stateBuffer.length > 0 ? this.stateBuffer[this.stateBuffer.length - 1].timestamp : 0;
+      this.playbackTimestamp = this.stateBuffer.length > 0 ? this.stateBuffer.last().timestamp : 0;
+      this.rewindStartTimestamp = this.playbackTimestamp;
+      this._rewindEnergyAtStart = this.rewindEnergy;
       for (const object of this.managedObjects) {
+        if (this.isImmune(object)) continue;
         if (object.body && typeof object.body.setAllowGravity === 'function') {
           object.body.setAllowGravity(false);
         }
@@ -105,16 +334,23 @@ export default class TimeManager {
       if (audioManager && typeof audioManager.playRewindEnd === 'function') {
         try { audioManager.playRewindEnd(); } catch (e) {}
       }
-      // Truncate buffer to current position
+      this.isScrubbing = false;
+      this.scrubDirection = 0;
+      // Events undone by this rewind belong to the abandoned future
+      this.eventJournal.discardUndone();
+      // Truncate buffer to current position; the abandoned future becomes a time echo
       if (this.stateBuffer.length > 0) {
-        const currentIndex = this.stateBuffer.findIndex(record => record.timestamp >= this.playbackTimestamp);
-        if (currentIndex > 0) {
-          this.stateBuffer.splice(0, currentIndex);
+        const abandoned = this.stateBuffer.spliceAfter(this.playbackTimestamp);
+        if (abandoned.length > 0) {
+          this._emitTimelineAbandoned(abandoned);
         }
       }
+      // Markers from the abandoned future no longer happened
+      this.timelineMarkers = this.timelineMarkers.filter(marker => marker.timestamp <= this.playbackTimestamp);
       
       // Restore original gravity states instead of blindly enabling gravity
       for (const object of this.managedObjects) {
+        if (this.isImmune(object)) continue;
         if (object.body && typeof object.body.setAllowGravity === 'function') {
           const originalGravityState = this.originalGravityStates.get(object);
           if (originalGravityState !== undefined) {
@@ -127,6 +363,7 @@ export default class TimeManager {
           }
         }
       }
+      this._lastRewindEndTime = TimeDilation.now(this.scene);
       this._deactivateRewindVisuals();
     }
   }
@@ -138,11 +375,29 @@ export default class TimeManager {
    */
   update(time, delta) {
     if (this.isRewinding) {
-      this.handleRewind(delta);
+      if (this.isScrubbing) {
+        if (this.scrubDirection !== 0) {
+          this.scrubBy(this.scrubDirection * delta);
+        }
+      } else {
+        this.handleRewind(delta);
+      }
     } else {
+      this.rechargeRewindEnergy(time, delta);
       this.handleRecord(time);
     }
   }
+
+  /**
+   * Refills the rewind meter once `rewindRechargeDelay` has passed since the last rewind.
+   * @param {number} time - The current time.
+   * @param {number} delta - The delta time in ms since the last frame.
+   */
+  rechargeRewindEnergy(time, delta) {
+    if (this.isRecordingPaused || !(delta > 0)) return;
+    if (time - this._lastRewindEndTime < this.rewindRechargeDelay) return;
+    this.rewindEnergy = Math.min(this.rewindCapacity, this.rewindEnergy + delta * this.rewindRechargeRate);
+  }
   
   handleRewind(delta) {
     if (this.stateBuffer.length < 2) {
@@ -150,23 +405,213 @@ export default class TimeManager {
       return;
     }
 
-    this.playbackTimestamp -= delta;
+    // Spend rewind energy; playback never moves further back than the meter allows
+    const spend = Math.min(delta, this.rewindEnergy);
+    this.rewindEnergy -= spend;
+    this.playbackTimestamp -= spend;
 
-    const futureIndex = this.stateBuffer.findIndex(record => record.timestamp >= this.playbackTimestamp);
+    const futureIndex = this.stateBuffer.findIndexByTimestamp(this.playbackTimestamp);
 
     if (futureIndex <= 0) {
-      this.applyFrame(this.stateBuffer[0]);
-      this.stateBuffer.length = 1;
+      const oldest = this.stateBuffer.first();
+      this.applyFrame(oldest);
+      this.playbackTimestamp = oldest.timestamp;
+      this.applyScaledStates();
+      this.eventJournal.seek(this.playbackTimestamp);
       this.toggleRewind(false);
       return;
     }
 
-    const frameA = this.stateBuffer[futureIndex];
-    const frameB = this.stateBuffer[futureIndex - 1];
+    this._applyPlaybackAt(futureIndex);
+    this.eventJournal.seek(this.playbackTimestamp);
+
+    // Empty meter: stop cleanly at the position just applied
+    if (this.rewindEnergy <= 0) {
+      this._rewindExhausted = true;
+      this.toggleRewind(false);
+    }
+  }
+
+  /**
+   * Restores the scene at `playbackTimestamp`, interpolating between the frame before
+   * `futureIndex` and the frame at it.
+   * @param {number} futureIndex Index of the first frame at or after the playback point (>= 1).
+   * @private
+   */
+  _applyPlaybackAt(futureIndex) {
+    // Read the older frame first so the newer one is rebuilt from it with a single delta
+    const frameB = this.stateBuffer.get(futureIndex - 1);
+    const frameA = this.stateBuffer.get(futureIndex);
     
     const t = (this.playbackTimestamp - frameB.timestamp) / (frameA.timestamp - frameB.timestamp);
     
     this.interpolateFrame(frameA, frameB, t);
+    this.applyScaledStates();
+  }
+
+  /**
+   * Pauses a running rewind so the player can scrub and choose where to resume.
+   * @returns {boolean} True if scrub mode started.
+   */
+  startScrubbing() {
+    if (!this.isRewinding || this.isScrubbing) return false;
+    this.isScrubbing = true;
+    this.scrubDirection = 0;
+    this._emitScrubEvent('rewindScrubStarted');
+    return true;
+  }
+
+  /**
+   * Ends the rewind at the current scrub position. Rewind stays locked until
+   * the rewind input is released (see releaseRewindLock).
+   * @returns {boolean} True if a scrub was committed.
+   */
+  commitScrub() {
+    if (!this.isScrubbing) return false;
+    const timestamp = this.playbackTimestamp;
+    this.toggleRewind(false);
+    this._scrubCommitLock = true;
+    this._emitScrubEvent('rewindScrubCommitted', timestamp);
+    return true;
+  }
+
+  /**
+   * Sets the held scrub direction applied by update(): -1 back, 1 forward, 0 still.
+   * @param {number} direction
+   */
+  setScrubDirection(direction) {
+    this.scrubDirection = direction > 0 ? 1 : (direction < 0 ? -1 : 0);
+  }
+
+  /**
+   * Moves the scrub position by `ms` (negative = back in time).
+   * @param {number} ms
+   * @returns {number} The new playback timestamp.
+   */
+  scrubBy(ms) {
+    if (!this.isScrubbing || typeof ms !== 'number' || !Number.isFinite(ms)) return this.playbackTimestamp;
+    return this.seekPlayback(this.playbackTimestamp + ms);
+  }
+
+  /**
+   * Moves the scrub position by whole recorded frames (negative = back in time).
+   * From a position between two frames, one step lands on the nearer frame in that direction.
+   * @param {number} steps
+   * @returns {number} The new playback timestamp.
+   */
+  stepScrub(steps) {
+    if (!this.isScrubbing || this.stateBuffer.length === 0 || !Number.isInteger(steps) || steps === 0) {
+      return this.playbackTimestamp;
+    }
+    let index = this.stateBuffer.findIndexByTimestamp(this.playbackTimestamp);
+    if (index === -1) index = this.stateBuffer.length - 1;
+    const onFrame = this.stateBuffer.get(index).timestamp === this.playbackTimestamp;
+    // Between frames index points at the newer frame, which is already one step forward
+    const target = !onFrame && steps > 0 ? index + steps - 1 : index + steps;
+    const clamped = Math.max(0, Math.min(this.stateBuffer.length - 1, target));
+    return this.seekPlayback(this.stateBuffer.get(clamped).timestamp);
+  }
+
+  /**
+   * Restores the scene at `timestamp` while scrubbing. The position is clamped between the
+   * point where the rewind began and the furthest point the rewind energy at its start allows.
+   * Rewind energy always equals the energy at start minus the distance rewound.
+   * @param {number} timestamp
+   * @returns {number} The applied playback timestamp.
+   */
+  seekPlayback(timestamp) {
+    if (!this.isRewinding || this.stateBuffer.length === 0) return this.playbackTimestamp;
+    const earliest = Math.max(this.stateBuffer.first().timestamp, this.rewindStartTimestamp - this._rewindEnergyAtStart);
+    this.playbackTimestamp = Math.max(earliest, Math.min(this.rewindStartTimestamp, timestamp));
+    this.rewindEnergy = Math.max(0, this._rewindEnergyAtStart - (this.rewindStartTimestamp - this.playbackTimestamp));
+
+    const futureIndex = this.stateBuffer.findIndexByTimestamp(this.playbackTimestamp);
+    if (futureIndex <= 0) {
+      this.applyFrame(futureIndex === 0 ? this.stateBuffer.first() : this.stateBuffer.last());
+      this.applyScaledStates();
+    } else {
+      this._applyPlaybackAt(futureIndex);
+    }
+    this.eventJournal.seek(this.playbackTimestamp);
+    return this.playbackTimestamp;
+  }
+
+  /**
+   * Journals a one-off event so rewinding past it can take it back. Ignored while
+   * rewinding, because restoring a recorded frame must not add new history.
+   * @param {string} type Event name, e.g. 'gameOver'.
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.undo] Called with the entry when playback moves back past the event.
+   * @param {Function} [handlers.redo] Called with the entry when scrubbing forward over it again.
+   * @param {*} [handlers.data] Payload kept on the entry.
+   * @returns {Object|null} The journal entry.
+   */
+  recordEvent(type, handlers = {}) {
+    if (this.isRewinding || typeof type !== 'string') return null;
+    return this.eventJournal.append(type, TimeDilation.now(this.scene), handlers || {});
+  }
+
+  /**
+   * Records a notable moment for the rewind timeline. Ignored while rewinding, because
+   * restoring a recorded frame must not add new history.
+   * @param {string} type 'death', 'damage' or 'coin'.
+   * @param {number} [timestamp] Defaults to the current world time.
+   * @returns {Object|null} The stored `{ type, timestamp }` marker.
+   */
+  addTimelineMarker(type, timestamp) {
+    if (this.isRewinding || typeof type !== 'string') return null;
+    const marker = {
+      type,
+      timestamp: typeof timestamp === 'number' ? timestamp : TimeDilation.now(this.scene)
+    };
+    this.timelineMarkers.push(marker);
+    return marker;
+  }
+
+  /**
+   * Snapshot of the recorded range for the timeline bar.
+   * While rewinding the range ends where the rewind began, so the abandoned future stays visible.
+   * @returns {{start:number, end:number, playback:number, earliest:number, isScrubbing:boolean, markers:Array<Object>}|null}
+   */
+  getTimeline() {
+    if (this.stateBuffer.length === 0) return null;
+    const start = this.stateBuffer.first().timestamp;
+    const end = this.isRewinding ? this.rewindStartTimestamp : this.stateBuffer.last().timestamp;
+    return {
+      start,
+      end,
+      playback: this.isRewinding ? this.playbackTimestamp : end,
+      earliest: this.isRewinding ? Math.max(start, this.rewindStartTimestamp - this._rewindEnergyAtStart) : start,
+      isScrubbing: this.isScrubbing,
+      markers: this.timelineMarkers.filter(marker => marker.timestamp >= start && marker.timestamp <= end)
+    };
+  }
+
+  /**
+   * Forgets every recorded frame, journaled event and timeline marker, so rewinding
+   * cannot reach back past this moment (used when respawning at a checkpoint).
+   */
+  clearHistory() {
+    this.stateBuffer.clear();
+    this.eventJournal.clear();
+    this.timelineMarkers = [];
+  }
+
+  _emitScrubEvent(eventName, timestamp = this.playbackTimestamp) {
+    if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit(eventName, { timestamp });
+    }
+  }
+
+  /**
+   * Emits `timelineAbandoned` with the frames discarded when a rewind ends.
+   * @param {Array<Object>} frames Full frames newer than the playback point, oldest first.
+   * @private
+   */
+  _emitTimelineAbandoned(frames) {
+    if (this.scene && this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit('timelineAbandoned', { frames, fromTimestamp: this.playbackTimestamp });
+    }
   }
 
   /**
@@ -186,12 +631,14 @@ export default class TimeManager {
   handleRecord(timestamp) {
     if (this.isRecordingPaused) return;
     
-    if (timestamp - this.lastRecordTime < this.recordInterval) return;
+    if (!this._isRecordDue(timestamp)) return;
     
     this.lastRecordTime = timestamp;
     
     const states = [];
     for (const object of this.managedObjects) {
+      // Immune objects are never recorded, so rewind cannot restore them
+      if (this.isImmune(object)) continue;
       try {
         let state;
         if (typeof object.getStateForRecording === 'function') {
@@ -218,27 +665,36 @@ export default class TimeManager {
       }
     }
     // --- Record coinsCollected registry value ---
+    // Coins collected by immune objects stay collected, so they are left out of the recorded count
     let coinsCollected = 0;
     if (this.scene && this.scene.registry && typeof this.scene.registry.get === 'function') {
-      coinsCollected = this.scene.registry.get('coinsCollected') || 0;
+      coinsCollected = (this.scene.registry.get('coinsCollected') || 0) - this._countImmuneCollected();
     }
     if (states.length > 0) {
       this.stateBuffer.push({ timestamp, states, coinsCollected });
+      // Markers and journal events older than the oldest kept frame can no longer be reached
+      const oldest = this.stateBuffer.first().timestamp;
+      while (this.timelineMarkers.length > 0 && this.timelineMarkers[0].timestamp < oldest) {
+        this.timelineMarkers.shift();
+      }
+      this.eventJournal.prune(oldest);
     }
   }
 
   applyFrame(frame) {
     for(const record of frame.states) {
+        if (this._isScaled(record.target)) continue;
         this.applyState(record.target, record.state);
     }
     // --- Restore coinsCollected registry value ---
     if (this.scene && this.scene.registry && typeof this.scene.registry.set === 'function' && typeof frame.coinsCollected !== 'undefined') {
-      this.scene.registry.set('coinsCollected', frame.coinsCollected);
+      this.scene.registry.set('coinsCollected', frame.coinsCollected + this._countImmuneCollected());
     }
   }
 
   interpolateFrame(frameA, frameB, t) {
     for (const recordA of frameA.states) {
+        if (this._isScaled(recordA.target)) continue;
         const recordB = frameB.states.find(r => r.target === recordA.target);
         if(recordB) {
             const interpolatedState = this.interpolateState(recordA.state, recordB.state, t);
@@ -251,8 +707,68 @@ export default class TimeManager {
     if (this.scene && this.scene.registry && typeof this.scene.registry.set === 'function' && 
         typeof frameA.coinsCollected !== 'undefined') {
       // Use the actual value from frameA (future frame) during interpolation
-      this.scene.registry.set('coinsCollected', frameA.coinsCollected);
+      this.scene.registry.set('coinsCollected', frameA.coinsCollected + this._countImmuneCollected());
+    }
+  }
+
+  /**
+   * Restores objects with a scaled TemporalPolicy. Each one is placed at its own point in the
+   * buffer, `rate` times as far behind `rewindStartTimestamp` as the scene's playback point.
+   */
+  applyScaledStates() {
+    for (const [object, policy] of this.temporalPolicies) {
+      if (policy.mode !== TemporalPolicy.SCALED || !this.managedObjects.has(object)) continue;
+      const timestamp = this.rewindStartTimestamp - (this.rewindStartTimestamp - this.playbackTimestamp) * policy.rate;
+      const state = this._stateAt(object, timestamp);
+      if (state) {
+        this.applyState(object, state);
+      }
+    }
+  }
+
+  /**
+   * Interpolated recorded state of one object at `timestamp`, clamped to the buffer's range.
+   * @param {Object} object
+   * @param {number} timestamp
+   * @returns {Object|null}
+   * @private
+   */
+  _stateAt(object, timestamp) {
+    if (this.stateBuffer.length === 0) return null;
+    const recordOf = frame => frame && frame.states.find(r => r.target === object);
+
+    const index = this.stateBuffer.findIndexByTimestamp(timestamp);
+    if (index === -1 || index === 0) {
+      const record = recordOf(index === 0 ? this.stateBuffer.first() : this.stateBuffer.last());
+      return record ? record.state : null;
+    }
+
+    const frameB = this.stateBuffer.get(index - 1);
+    const frameA = this.stateBuffer.get(index);
+    const recordA = recordOf(frameA);
+    const recordB = recordOf(frameB);
+    if (!recordA || !recordB) return (recordA || recordB)?.state ?? null;
+    const t = (timestamp - frameB.timestamp) / (frameA.timestamp - frameB.timestamp);
+    return this.interpolateState(recordA.state, recordB.state, t);
+  }
+
+  _isScaled(object) {
+    return this.getTemporalPolicy(object).mode === TemporalPolicy.SCALED;
+  }
+
+  /**
+   * Number of immune managed objects (e.g. coins) that are currently collected.
+   * @returns {number}
+   * @private
+   */
+  _countImmuneCollected() {
+    let count = 0;
+    for (const [object, policy] of this.temporalPolicies) {
+      if (policy.mode === TemporalPolicy.IMMUNE && object.isCollected === true && this.managedObjects.has(object)) {
+        count++;
+      }
     }
+    return count;
   }
   
   lerp(start, end, t) {
@@ -289,6 +805,8 @@ export default class TimeManager {
   }
 
   applyState(target, state) {
+    // Immune objects keep their live state even if frames recorded before a policy change include them
+    if (this.isImmune(target)) return;
     const inManaged = this.managedObjects.has(target);
     // console.log('[TimeManager] applyState: Restoring target:', target, 'State:', state, 'In managedObjects:', inManaged);
     if (typeof target.setStateFromRecording === 'function') {
@@ -0,0 +1,90 @@
+/**
+ * TouchInput - Reads the on-screen touch controls as named actions for InputManager.
+ * Invariants: see `agent_docs/invariants.md` §38.
+ *
+ * - Same interface as GamepadInput, so InputManager merges both the same way
+ * - The controls (`ui/TouchControls.js`) live in UIScene and publish themselves in the game
+ *   registry under `touchControls`; they are looked up on every read, so UIScene can restart
+ * - Each InputManager has its own TouchInput, so presses are latched separately per scene
+ * - Without touch controls (desktop, unit tests) every action reads as released
+ */
+export default class TouchInput {
+  static REGISTRY_KEY = 'touchControls';
+
+  /**
+   * @param {Phaser.Scene} scene Scene whose registry holds the touch controls.
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this._pressed = new Set();
+    this._released = new Set();
+    // Actions already held when this reader is created are not new presses
+    this._held = new Set(this._heldActions());
+  }
+
+  /**
+   * @returns {TouchControls|null} The touch controls currently shown, if any.
+   */
+  get controls() {
+    const registry = this.scene && this.scene.registry;
+    if (!registry || typeof registry.has !== 'function' || !registry.has(TouchInput.REGISTRY_KEY)) return null;
+    const controls = registry.get(TouchInput.REGISTRY_KEY);
+    return controls && typeof controls.isActionDown === 'function' ? controls : null;
+  }
+
+  /**
+   * Reads the touch controls and latches presses and releases since the previous poll.
+   */
+  poll() {
+    const held = new Set(this._heldActions());
+    for (const action of held) {
+      if (!this._held.has(action)) this._pressed.add(action);
+    }
+    for (const action of this._held) {
+      if (!held.has(action)) this._released.add(action);
+    }
+    this._held = held;
+  }
+
+  /**
+   * @param {string} action
+   * @returns {boolean} Whether the action is held right now.
+   */
+  isDown(action) {
+    const controls = this.controls;
+    return controls !== null && controls.isActionDown(action);
+  }
+
+  /**
+   * Polls, then reports and clears a pending press of `action`.
+   * @param {string} action
+   * @returns {boolean}
+   */
+  justPressed(action) {
+    this.poll();
+    return this.consumePressed(action);
+  }
+
+  /**
+   * Polls, then reports and clears a pending release of `action`.
+   * @param {string} action
+   * @returns {boolean}
+   */
+  justReleased(action) {
+    this.poll();
+    return this.consumeReleased(action);
+  }
+
+  consumePressed(action) {
+    return this._pressed.delete(action);
+  }
+
+  consumeReleased(action) {
+    return this._released.delete(action);
+  }
+
+  _heldActions() {
+    const controls = this.controls;
+    return controls ? controls.heldActions() : [];
+  }
+}
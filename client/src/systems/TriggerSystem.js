@@ -0,0 +1,93 @@
+/**
+ * TriggerSystem - Evaluates the level's triggers each tick and drives their targets.
+ * Invariants: see `agent_docs/invariants.md` §45.
+ *
+ * - SceneFactory.createTriggersFromConfig() builds the `Trigger`s and `TriggerTarget`s and wires them by id
+ * - A target is active while any trigger naming it is active
+ * - Nothing is evaluated while rewinding; triggers and targets restore their recorded state instead
+ */
+export default class TriggerSystem {
+  /**
+   * @param {Phaser.Scene} scene Scene providing `player`, `activeEchoes`, `enemies` and `registry`.
+   * @param {Array<Trigger>} triggers
+   * @param {Array<TriggerTarget>} targets
+   */
+  constructor(scene, triggers = [], targets = []) {
+    this.scene = scene;
+    this.triggers = triggers;
+    this.targets = new Map(targets.map(target => [target.id, target]));
+    this.wasUpPressed = false;
+  }
+
+  /**
+   * Evaluates every trigger, then sets each target from the triggers naming it.
+   * Emits `triggerChanged` and `targetChanged` for every change; switches and levers play the `switch` SFX.
+   */
+  update() {
+    const scene = this.scene;
+    if (scene.timeManager && scene.timeManager.isRewinding) return;
+
+    const context = this.buildContext();
+    this.triggers.forEach(trigger => {
+      if (trigger.evaluate(context)) {
+        if (trigger.sprite && scene.audioManager && typeof scene.audioManager.playSfx === 'function') {
+          scene.audioManager.playSfx('switch');
+        }
+        this.emit('triggerChanged', { id: trigger.id, isActive: trigger.isActive });
+      }
+    });
+
+    this.targets.forEach(target => {
+      const active = this.triggers.some(trigger => trigger.isActive && trigger.targetIds.includes(target.id));
+      if (target.setActive(active)) {
+        this.emit('targetChanged', { id: target.id, isActive: target.isActive });
+      }
+    });
+  }
+
+  /**
+   * @returns {Object} What the triggers read this tick (see Trigger.evaluate()).
+   */
+  buildContext() {
+    const scene = this.scene;
+    const player = TriggerSystem.bodyRect(scene.player);
+
+    // Switches are pressed by the player, time echoes and awake enemies
+    const pressers = [player];
+    (scene.activeEchoes || []).forEach(echo => {
+      if (echo && echo.isActive) pressers.push(TriggerSystem.bodyRect(echo.sprite));
+    });
+    if (scene.enemies && typeof scene.enemies.getChildren === 'function') {
+      scene.enemies.getChildren().forEach(enemy => {
+        if (enemy && enemy.active !== false) pressers.push(TriggerSystem.bodyRect(enemy));
+      });
+    }
+
+    const inputManager = scene.player && scene.player.inputManager;
+    const upPressed = Boolean(inputManager && inputManager.isUpPressed);
+    const interact = upPressed && !this.wasUpPressed;
+    this.wasUpPressed = upPressed;
+
+    const coins = scene.registry && typeof scene.registry.get === 'function'
+      ? scene.registry.get('coinsCollected') || 0
+      : 0;
+
+    return { player, pressers: pressers.filter(Boolean), coins, interact };
+  }
+
+  /**
+   * @param {Object} object A game object with an enabled arcade body.
+   * @returns {Object|null} `{ x, y, width, height }` of the body.
+   */
+  static bodyRect(object) {
+    const body = object && object.body;
+    if (!body || body.enable === false) return null;
+    return { x: body.x, y: body.y, width: body.width, height: body.height };
+  }
+
+  emit(eventName, payload) {
+    if (this.scene.events && typeof this.scene.events.emit === 'function') {
+      this.scene.events.emit(eventName, payload);
+    }
+  }
+}
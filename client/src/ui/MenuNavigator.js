@@ -0,0 +1,57 @@
+/**
+ * MenuNavigator - Moves focus through a column of text buttons with a gamepad or keyboard.
+ *
+ * Buttons keep their `pointerdown` handlers; confirming the focused button emits
+ * `pointerdown` on it, so pointer, keyboard and gamepad share one code path.
+ * Input comes from the InputManager menu getters.
+ * Invariants: see `agent_docs/invariants.md` §36.
+ */
+export default class MenuNavigator {
+  /**
+   * @param {Array<Phaser.GameObjects.Text>} buttons - Buttons from top to bottom.
+   * @param {Object} [options]
+   * @param {number} [options.focusScale=1.15] Scale of the focused button.
+   */
+  constructor(buttons, options = {}) {
+    this.buttons = Array.isArray(buttons) ? buttons.filter(Boolean) : [];
+    this.focusScale = typeof options.focusScale === 'number' ? options.focusScale : 1.15;
+    this.focusedIndex = -1;
+    if (this.buttons.length > 0) this.focus(0);
+  }
+
+  /**
+   * Applies this frame's menu input.
+   * @param {InputManager} inputManager
+   */
+  update(inputManager) {
+    if (!inputManager || this.buttons.length === 0) return;
+    if (inputManager.isMenuUpJustPressed) {
+      this.focus((this.focusedIndex - 1 + this.buttons.length) % this.buttons.length);
+    } else if (inputManager.isMenuDownJustPressed) {
+      this.focus((this.focusedIndex + 1) % this.buttons.length);
+    } else if (inputManager.isMenuConfirmJustPressed) {
+      this.activate();
+    }
+  }
+
+  /**
+   * @param {number} index - Button to highlight; the previous one returns to normal size.
+   */
+  focus(index) {
+    const previous = this.buttons[this.focusedIndex];
+    if (previous && typeof previous.setScale === 'function') previous.setScale(1);
+    this.focusedIndex = index;
+    const button = this.buttons[index];
+    if (button && typeof button.setScale === 'function') button.setScale(this.focusScale);
+  }
+
+  /**
+   * Triggers the focused button as if it was clicked.
+   */
+  activate() {
+    const button = this.buttons[this.focusedIndex];
+    if (button && typeof button.emit === 'function') {
+      button.emit('pointerdown');
+    }
+  }
+}
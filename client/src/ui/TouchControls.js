@@ -0,0 +1,296 @@
+import { GameConfig } from '../config/GameConfig.js';
+import TouchInput from '../systems/TouchInput.js';
+
+/**
+ * TouchControls - On-screen joystick and action buttons for phones and tablets.
+ * Invariants: see `agent_docs/invariants.md` §38.
+ *
+ * - Created by UIScene; shown automatically on touch devices (`GameConfig.touch.mode`)
+ * - Publishes itself in the game registry so every InputManager reads it through TouchInput
+ * - Multi-touch: each pointer holds the joystick or one button until it is lifted
+ * - Players can change the opacity and mirror the layout; both are saved in localStorage
+ *
+ * Depth: 999 (below the map overlay and the pause menu)
+ */
+export default class TouchControls {
+  /**
+   * @param {Phaser.Scene} scene - The UI scene to draw in.
+   * @param {Object} [config=GameConfig.touch]
+   * @param {Storage} [storage] - Where settings are kept; defaults to localStorage.
+   */
+  constructor(scene, config = GameConfig.touch, storage = TouchControls.defaultStorage()) {
+    this.scene = scene;
+    this.config = config;
+    this.storage = storage;
+    this.settings = TouchControls.loadSettings(config, storage);
+    this.isVisible = false;
+    this.graphics = null;
+    this.labels = [];
+    // Joystick deflection, each axis in -1..1, and the pointer dragging it
+    this.stick = { x: 0, y: 0, pointerId: null };
+    // Pointer id -> 'stick' or the action of the button it holds
+    this._pointerTargets = new Map();
+  }
+
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {string} mode - 'auto', 'on' or 'off'.
+   * @returns {boolean} Whether the controls should be shown.
+   */
+  static shouldShow(scene, mode) {
+    if (mode === 'on') return true;
+    if (mode === 'off') return false;
+    return TouchControls.isTouchDevice(scene);
+  }
+
+  static isTouchDevice(scene) {
+    const device = scene && scene.sys && scene.sys.game && scene.sys.game.device;
+    if (device && device.input && typeof device.input.touch === 'boolean') {
+      return device.input.touch;
+    }
+    return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+  }
+
+  /**
+   * Draws the controls and starts listening to pointers, if they should be shown.
+   * @returns {boolean} True if the controls are shown.
+   */
+  create() {
+    const scene = this.scene;
+    if (!TouchControls.shouldShow(scene, this.settings.mode) || !scene.add || !scene.input) return false;
+
+    if (typeof scene.input.addPointer === 'function') {
+      const missing = this.config.pointers - (scene.input.manager ? scene.input.manager.pointersTotal - 1 : 1);
+      if (missing > 0) scene.input.addPointer(missing);
+    }
+
+    this.graphics = scene.add.graphics();
+    if (typeof this.graphics.setScrollFactor === 'function') this.graphics.setScrollFactor(0);
+    if (typeof this.graphics.setDepth === 'function') this.graphics.setDepth(999);
+    this.labels = this.config.buttons.map(({ label }) => {
+      const text = scene.add.text(0, 0, label, { font: '18px Arial', fill: '#ffffff' });
+      text.setOrigin(0.5);
+      if (typeof text.setDepth === 'function') text.setDepth(999);
+      return text;
+    });
+
+    if (typeof scene.input.on === 'function') {
+      scene.input.on('pointerdown', this.handlePointerDown, this);
+      scene.input.on('pointermove', this.handlePointerMove, this);
+      scene.input.on('pointerup', this.handlePointerUp, this);
+      scene.input.on('pointerupoutside', this.handlePointerUp, this);
+    }
+    if (scene.registry && typeof scene.registry.set === 'function') {
+      scene.registry.set(TouchInput.REGISTRY_KEY, this);
+    }
+
+    this.isVisible = true;
+    this.draw();
+    return true;
+  }
+
+  destroy() {
+    const scene = this.scene;
+    if (scene.input && typeof scene.input.off === 'function') {
+      scene.input.off('pointerdown', this.handlePointerDown, this);
+      scene.input.off('pointermove', this.handlePointerMove, this);
+      scene.input.off('pointerup', this.handlePointerUp, this);
+      scene.input.off('pointerupoutside', this.handlePointerUp, this);
+    }
+    if (scene.registry && typeof scene.registry.get === 'function' &&
+        scene.registry.get(TouchInput.REGISTRY_KEY) === this) {
+      scene.registry.remove(TouchInput.REGISTRY_KEY);
+    }
+    if (this.graphics) this.graphics.destroy();
+    this.labels.forEach(label => label.destroy());
+    this.graphics = null;
+    this.labels = [];
+    this.isVisible = false;
+    this._pointerTargets.clear();
+  }
+
+  /**
+   * Joystick and button positions for the current layout; the left-handed layout is mirrored.
+   * @returns {{stick: Object, buttons: Array<Object>}}
+   */
+  layout() {
+    const mirror = this.settings.layout === 'left';
+    const place = item => ({ ...item, x: mirror ? 1280 - item.x : item.x });
+    return {
+      stick: place(this.config.joystick),
+      buttons: this.config.buttons.map(button => (button.action === 'pause' ? { ...button } : place(button)))
+    };
+  }
+
+  /**
+   * @param {Phaser.Input.Pointer} pointer
+   */
+  handlePointerDown(pointer) {
+    if (!this.isVisible || this._pointerTargets.has(pointer.id)) return;
+    const { stick, buttons } = this.layout();
+    const button = buttons.find(({ x, y, radius }) => Math.hypot(pointer.x - x, pointer.y - y) <= radius);
+    if (button) {
+      this._pointerTargets.set(pointer.id, button.action);
+      this.draw();
+      return;
+    }
+    // The joystick also catches touches a little outside its base
+    if (this.stick.pointerId === null && Math.hypot(pointer.x - stick.x, pointer.y - stick.y) <= stick.radius * 1.5) {
+      this.stick.pointerId = pointer.id;
+      this._pointerTargets.set(pointer.id, 'stick');
+      this.moveStick(pointer);
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Pointer} pointer
+   */
+  handlePointerMove(pointer) {
+    if (pointer.id === this.stick.pointerId) {
+      this.moveStick(pointer);
+    }
+  }
+
+  /**
+   * @param {Phaser.Input.Pointer} pointer
+   */
+  handlePointerUp(pointer) {
+    const target = this._pointerTargets.get(pointer.id);
+    if (!target) return;
+    this._pointerTargets.delete(pointer.id);
+    if (target === 'stick') {
+      this.stick = { x: 0, y: 0, pointerId: null };
+    }
+    this.draw();
+  }
+
+  moveStick(pointer) {
+    const { stick } = this.layout();
+    let x = (pointer.x - stick.x) / stick.radius;
+    let y = (pointer.y - stick.y) / stick.radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    this.stick.x = x;
+    this.stick.y = y;
+    this.draw();
+  }
+
+  /**
+   * @param {string} action - InputManager action (`left`, `right`, `down`, or a button action).
+   * @returns {boolean}
+   */
+  isActionDown(action) {
+    for (const target of this._pointerTargets.values()) {
+      if (target === action) return true;
+    }
+    const { deadzone } = this.config.joystick;
+    const { x, y } = this.stick;
+    if (Math.hypot(x, y) < deadzone) return false;
+    switch (action) {
+      case 'left': return x <= -deadzone;
+      case 'right': return x >= deadzone;
+      case 'down': return y >= deadzone;
+      default: return false;
+    }
+  }
+
+  /**
+   * @returns {Array<string>} Every action held right now.
+   */
+  heldActions() {
+    const actions = ['left', 'right', 'down', ...this.config.buttons.map(button => button.action)];
+    return [...new Set(actions)].filter(action => this.isActionDown(action));
+  }
+
+  /**
+   * Switches to the next opacity step and saves it.
+   * @returns {number} The new opacity.
+   */
+  cycleOpacity() {
+    const steps = this.config.opacitySteps;
+    const index = steps.indexOf(this.settings.opacity);
+    this.settings.opacity = steps[(index + 1) % steps.length];
+    this.saveSettings();
+    this.draw();
+    return this.settings.opacity;
+  }
+
+  /**
+   * Mirrors the layout (joystick right, buttons left, or back) and saves it.
+   * @returns {string} The new layout, 'right' or 'left'.
+   */
+  toggleLayout() {
+    this.settings.layout = this.settings.layout === 'left' ? 'right' : 'left';
+    this._pointerTargets.clear();
+    this.stick = { x: 0, y: 0, pointerId: null };
+    this.saveSettings();
+    this.draw();
+    return this.settings.layout;
+  }
+
+  draw() {
+    const graphics = this.graphics;
+    if (!graphics) return;
+    const { stick, buttons } = this.layout();
+    const opacity = this.settings.opacity;
+    graphics.clear();
+
+    graphics.fillStyle(0xffffff, 0.25 * opacity);
+    graphics.fillCircle(stick.x, stick.y, stick.radius);
+    graphics.fillStyle(0xffffff, 0.6 * opacity);
+    graphics.fillCircle(stick.x + this.stick.x * stick.radius, stick.y + this.stick.y * stick.radius, stick.radius * 0.45);
+
+    buttons.forEach((button, index) => {
+      const held = this.isActionDown(button.action);
+      graphics.fillStyle(held ? 0xffcc00 : 0xffffff, (held ? 0.7 : 0.35) * opacity);
+      graphics.fillCircle(button.x, button.y, button.radius);
+      const label = this.labels[index];
+      if (label) {
+        label.setPosition(button.x, button.y);
+        if (typeof label.setAlpha === 'function') label.setAlpha(Math.min(1, opacity * 1.5));
+      }
+    });
+  }
+
+  /**
+   * @param {Object} [config=GameConfig.touch]
+   * @param {Storage} [storage]
+   * @returns {{mode: string, opacity: number, layout: string}} Saved settings over the defaults.
+   */
+  static loadSettings(config = GameConfig.touch, storage = TouchControls.defaultStorage()) {
+    const settings = { mode: config.mode, opacity: config.opacity, layout: 'right' };
+    if (!storage) return settings;
+    try {
+      const saved = JSON.parse(storage.getItem(config.storageKey) || '{}');
+      if (['auto', 'on', 'off'].includes(saved.mode)) settings.mode = saved.mode;
+      if (config.opacitySteps.includes(saved.opacity)) settings.opacity = saved.opacity;
+      if (saved.layout === 'left' || saved.layout === 'right') settings.layout = saved.layout;
+    } catch (error) {
+      console.warn('[TouchControls] Ignoring saved touch settings:', error.message);
+    }
+    return settings;
+  }
+
+  saveSettings() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+      return true;
+    } catch (error) {
+      console.warn('[TouchControls] Failed to save touch settings:', error.message);
+      return false;
+    }
+  }
+
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is blocked
+      return null;
+    }
+  }
+}
@@ -373,7 +373,7 @@ try {
     coins: coins,
     enemies: enemies,
     platforms: platforms,
-    config: { width, height, seed }
+    config: { width, height, seed, ladders: true, checkpoints: true }
   };
 
   // 12. Export to JSON
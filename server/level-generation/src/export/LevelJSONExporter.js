@@ -3,6 +3,8 @@
  */
 
 const GridUtilities = require('../core/GridUtilities');
+const PhysicsAwareReachabilityAnalyzer = require('../analysis/PhysicsAwareReachabilityAnalyzer');
+const GoalPlacer = require('../placement/GoalPlacer');
 
 class LevelJSONExporter {
   /**
@@ -14,11 +16,16 @@ class LevelJSONExporter {
    * @param {Array} levelData.coins - Array of coin positions
    * @param {Array} levelData.enemies - Array of enemy configurations
    * @param {Array} levelData.platforms - Array of platform configurations
+   * @param {Array} [levelData.ladders] - Ladders {x, y, height} in tiles; planned with planLadders() when `config.ladders` is true
+   * @param {Array} [levelData.checkpoints] - Checkpoints {x, y} in tiles; placed with GoalPlacer.placeCheckpoints() when `config.checkpoints` is true
    * @param {Object} levelData.config - Generation configuration
    * @returns {Object} The exported level JSON
    */
   static exportLevel(levelData) {
     const { grid, startPos, goalPos, coins = [], enemies = [], platforms = [], config = {} } = levelData;
+    const ladders = levelData.ladders || (config.ladders ? this.planLadders(grid, startPos) : []);
+    const checkpoints = levelData.checkpoints ||
+      (config.checkpoints ? new GoalPlacer().placeCheckpoints(grid, startPos, goalPos) : []);
     const tileSize = 64;
     
     // Select biome and platform shape randomly
@@ -38,9 +45,10 @@ class LevelJSONExporter {
       },
       platforms: this.convertPlatformsToJSON(platforms, tileSize, biome, platformShape),
       coins: this.convertCoinsToJSON(coins, tileSize),
+      checkpoints: this.convertCheckpointsToJSON(checkpoints, tileSize),
       enemies: this.convertEnemiesToJSON(enemies, tileSize),
       backgrounds: this.generateBackgrounds({ width: grid.shape[0] * tileSize, height: grid.shape[1] * tileSize }),
-      map_matrix: this.generateMapMatrix(grid, biome)
+      map_matrix: this.addLaddersToMapMatrix(this.generateMapMatrix(grid, biome), ladders)
     };
 
     return result;
@@ -123,6 +131,94 @@ class LevelJSONExporter {
     return matrix;
   }
 
+  /**
+   * Plans ladders up tall shafts whose top ledges the player cannot jump to.
+   * A ladder fills a floor column from a reachable standing cell up to the row of a
+   * standable ledge next to the column that PhysicsAwareReachabilityAnalyzer marks
+   * unreachable. Ledges reached by a ladder count as reachable when planning the next one.
+   * @param {Object} grid - The level grid (ndarray, 0 = floor, 1 = wall)
+   * @param {Object} startPos - Player spawn position {x, y}
+   * @param {Object} [options]
+   * @param {number} [options.maxLadders=5] - Most ladders to place
+   * @param {PhysicsAwareReachabilityAnalyzer} [options.analyzer] - Analyzer with the game's jump physics
+   * @returns {Array<Object>} Ladders {x, y, height} in tiles; (x, y) is the top cell
+   */
+  static planLadders(grid, startPos, options = {}) {
+    const { maxLadders = 5, analyzer = new PhysicsAwareReachabilityAnalyzer() } = options;
+    const [width, height] = grid.shape;
+    if (!startPos || width === 0 || height === 0) return [];
+
+    const isFloor = (x, y) => x >= 0 && x < width && y >= 0 && y < height && grid.get(x, y) === 0;
+    const isStandable = (x, y) => isFloor(x, y) && y + 1 < height && grid.get(x, y + 1) === 1;
+    const reachable = new Set();
+    const addReachableFrom = pos => {
+      analyzer.detectReachablePositionsFromStartingPoint(grid, pos)
+        .forEach(({ x, y }) => reachable.add(`${x},${y}`));
+    };
+    addReachableFrom(startPos);
+
+    const ladders = [];
+    const ladderColumns = new Set();
+    while (ladders.length < maxLadders) {
+      const ladder = this._findLadder(width, height, isFloor, isStandable, reachable, ladderColumns);
+      if (!ladder) break;
+      ladders.push({ x: ladder.x, y: ladder.y, height: ladder.height });
+      ladderColumns.add(ladder.x);
+      addReachableFrom(ladder.ledge);
+    }
+    return ladders;
+  }
+
+  /**
+   * Finds the lowest shaft climb from a reachable standing cell to an unreachable ledge
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {Function} isFloor - (x, y) => boolean
+   * @param {Function} isStandable - (x, y) => boolean
+   * @param {Set<string>} reachable - Reachable cells as "x,y"
+   * @param {Set<number>} ladderColumns - Columns that already have a ladder
+   * @returns {Object|null} {x, y, height, ledge} or null if there is none
+   * @private
+   */
+  static _findLadder(width, height, isFloor, isStandable, reachable, ladderColumns) {
+    for (let bottom = height - 1; bottom >= 0; bottom--) {
+      for (let x = 0; x < width; x++) {
+        if (ladderColumns.has(x) || !isStandable(x, bottom) || !reachable.has(`${x},${bottom}`)) continue;
+
+        // Climb the open column and look for an unreachable ledge on either side
+        for (let y = bottom - 1; y >= 0 && isFloor(x, y); y--) {
+          for (const side of [-1, 1]) {
+            const ledgeX = x + side;
+            if (isStandable(ledgeX, y) && !reachable.has(`${ledgeX},${y}`)) {
+              return { x, y, height: bottom - y + 1, ledge: { x: ledgeX, y } };
+            }
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Writes ladders into the map matrix as climbable tiles
+   * @param {Array} matrix - The map matrix (rows of tile dictionaries or null)
+   * @param {Array<Object>} ladders - Ladders {x, y, height} in tiles
+   * @returns {Array} The same matrix
+   */
+  static addLaddersToMapMatrix(matrix, ladders = []) {
+    ladders.forEach(({ x, y, height }) => {
+      for (let i = 0; i < height; i++) {
+        const row = matrix[y + i];
+        if (!row || x < 0 || x >= row.length || (row[x] && row[x].type === 'ground')) continue;
+        let tileKey = 'ladder_middle';
+        if (i === 0) tileKey = 'ladder_top';
+        else if (i === height - 1) tileKey = 'ladder_bottom';
+        row[x] = { tileKey, type: 'climbable' };
+      }
+    });
+    return matrix;
+  }
+
   /**
    * Converts platforms to JSON format
    * @param {Array} platforms - Array of platform objects
@@ -161,6 +257,19 @@ class LevelJSONExporter {
     }));
   }
 
+  /**
+   * Converts checkpoints to JSON format
+   * @param {Array} checkpoints - Array of checkpoint positions
+   * @param {number} tileSize - Tile size in pixels
+   * @returns {Array} Array of checkpoint JSON objects
+   */
+  static convertCheckpointsToJSON(checkpoints, tileSize) {
+    return checkpoints.map(checkpoint => ({
+      x: checkpoint.x * tileSize,
+      y: checkpoint.y * tileSize
+    }));
+  }
+
   /**
    * Converts enemies to JSON format
    * @param {Array} enemies - Array of enemy configurations
@@ -50,8 +50,9 @@ class PathfindingIntegration {
       throw new Error('Grid dimensions must be positive');
     }
 
-    // Convert ndarray to 2D array using ndarray-unpack
-    const matrix = ndarrayUnpack(grid);
+    // Convert ndarray to 2D array using ndarray-unpack. The grid is indexed (x, y)
+    // but pathfinding.js reads matrix[row][column], so unpack the transposed view.
+    const matrix = ndarrayUnpack(grid.transpose(1, 0));
     
     // Create pathfinding grid
     // Note: pathfinding.js uses 0 for walkable, 1 for unwalkable
@@ -395,6 +395,60 @@ class GoalPlacer {
     const idx = Math.floor(rngFn() * rightmostCandidates.length);
     return rightmostCandidates[idx];
   }
+
+  /**
+   * Places checkpoints evenly along the critical path from player spawn to goal.
+   * The critical path is the A* path between them; each checkpoint stands on the
+   * floor below its path cell (a floor tile with a wall directly below).
+   * @param {ndarray} grid - The level grid (0 = floor, 1 = wall)
+   * @param {Object} playerSpawn - Player spawn position {x, y}
+   * @param {Object} goal - Goal position {x, y}
+   * @param {Object} [options]
+   * @param {number} [options.spacing=40] - Path tiles per checkpoint
+   * @param {number} [options.maxCheckpoints=3] - Most checkpoints to place
+   * @param {number} [options.minSeparation=5] - Minimum distance from spawn, goal and other checkpoints
+   * @returns {Array<Object>} Checkpoint positions {x, y} in path order
+   */
+  placeCheckpoints(grid, playerSpawn, goal, options = {}) {
+    const { spacing = 40, maxCheckpoints = 3, minSeparation = 5 } = options;
+    if (!grid || !playerSpawn || !goal) return [];
+
+    let path;
+    try {
+      path = this.pathfinding.findPath(grid, playerSpawn, goal);
+    } catch (error) {
+      return [];
+    }
+    const count = Math.min(maxCheckpoints, Math.floor(path.length / spacing));
+    if (count <= 0) return [];
+
+    const [, height] = grid.shape;
+    const landingFor = ([x, y]) => {
+      let landingY = y;
+      while (landingY + 1 < height && grid.get(x, landingY + 1) === 0) landingY++;
+      return landingY + 1 < height ? { x, y: landingY } : null;
+    };
+
+    const checkpoints = [];
+    const isSeparated = position => [playerSpawn, goal, ...checkpoints]
+      .every(other => this.calculateDistance(position, other) >= minSeparation);
+
+    for (let k = 1; k <= count; k++) {
+      const target = Math.round((k * (path.length - 1)) / (count + 1));
+      // Search outward from the evenly spaced path index for a separated landing cell
+      for (let offset = 0; offset < path.length; offset++) {
+        const candidates = [target + offset, target - offset]
+          .filter(i => i >= 0 && i < path.length)
+          .map(i => landingFor(path[i]))
+          .filter(position => position && isSeparated(position));
+        if (candidates.length > 0) {
+          checkpoints.push(candidates[0]);
+          break;
+        }
+      }
+    }
+    return checkpoints;
+  }
 }
 
 module.exports = GoalPlacer; 
\ No newline at end of file
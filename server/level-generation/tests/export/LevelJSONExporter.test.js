@@ -307,4 +307,78 @@ describe('LevelJSONExporter', () => {
       expect(matrix).toEqual([]);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('ladders', () => {
+    // A 16-tile shaft in column 2 with a ledge at (3, 3) too high to jump to
+    const createShaftGrid = () => {
+      const grid = testUtils.createMockGrid(7, 20);
+      for (let x = 0; x < 7; x++) {
+        for (let y = 0; y < 20; y++) grid.set(x, y, 1);
+      }
+      for (let y = 2; y <= 17; y++) grid.set(2, y, 0);
+      grid.set(3, 3, 0);
+      grid.set(3, 2, 0);
+      return grid;
+    };
+
+    test('planLadders should place a ladder up a shaft to an unreachable ledge', () => {
+      const ladders = LevelJSONExporter.planLadders(createShaftGrid(), { x: 2, y: 17 });
+
+      expect(ladders).toEqual([{ x: 2, y: 3, height: 15 }]);
+    });
+
+    test('planLadders should place nothing when every ledge is reachable', () => {
+      const grid = testUtils.createMockGrid(5, 5);
+      for (let x = 0; x < 5; x++) grid.set(x, 4, 1);
+
+      expect(LevelJSONExporter.planLadders(grid, { x: 1, y: 3 })).toEqual([]);
+    });
+
+    test('exportLevel should write planned ladders into the map matrix as climbable tiles', () => {
+      const result = LevelJSONExporter.exportLevel({
+        grid: createShaftGrid(),
+        startPos: { x: 2, y: 17 },
+        goalPos: { x: 3, y: 3 },
+        config: { ladders: true }
+      });
+
+      expect(result.map_matrix[3][2]).toEqual({ tileKey: 'ladder_top', type: 'climbable' });
+      expect(result.map_matrix[10][2]).toEqual({ tileKey: 'ladder_middle', type: 'climbable' });
+      expect(result.map_matrix[17][2]).toEqual({ tileKey: 'ladder_bottom', type: 'climbable' });
+    });
+
+    test('exportLevel should place checkpoints in pixels when config.checkpoints is true', () => {
+      const grid = testUtils.createMockGrid(100, 10);
+      for (let x = 0; x < 100; x++) {
+        grid.set(x, 8, 1);
+        grid.set(x, 9, 1);
+      }
+      const result = LevelJSONExporter.exportLevel({
+        grid,
+        startPos: { x: 1, y: 7 },
+        goalPos: { x: 98, y: 7 },
+        config: { checkpoints: true }
+      });
+
+      expect(result.checkpoints).toHaveLength(2);
+      expect(result.checkpoints[0].y).toBe(7 * 64);
+      expect(LevelJSONExporter.exportLevel({ grid, startPos: { x: 1, y: 7 }, goalPos: { x: 98, y: 7 } }).checkpoints).toEqual([]);
+    });
+
+    test('exportLevel should use the given ladders without planning', () => {
+      const planSpy = jest.spyOn(LevelJSONExporter, 'planLadders');
+      const result = LevelJSONExporter.exportLevel({
+        grid: testUtils.createMockGrid(3, 4),
+        startPos: { x: 1, y: 1 },
+        goalPos: { x: 1, y: 2 },
+        ladders: [{ x: 1, y: 1, height: 2 }],
+        config: { ladders: true }
+      });
+
+      expect(planSpy).not.toHaveBeenCalled();
+      expect(result.map_matrix[1][1].tileKey).toBe('ladder_top');
+      expect(result.map_matrix[2][1].tileKey).toBe('ladder_bottom');
+      planSpy.mockRestore();
+    });
+  });
+});
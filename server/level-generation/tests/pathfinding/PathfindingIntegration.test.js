@@ -99,6 +99,16 @@ describe('PathfindingIntegration', () => {
       expect(path[path.length - 1]).toEqual([end.x, end.y]);
     });
 
+    test('should read non-square grids as (x, y)', () => {
+      // 6 wide, 2 tall: floor on row 0, wall on row 1
+      const wideGrid = ndarray(new Uint8Array(12), [6, 2]);
+      for (let x = 0; x < 6; x++) wideGrid.set(x, 1, 1);
+
+      const path = pathfindingIntegration.findPath(wideGrid, { x: 0, y: 0 }, { x: 5, y: 0 });
+
+      expect(path).toEqual([[0, 0], [1, 0], [2, 0], [3, 0], [4, 0], [5, 0]]);
+    });
+
     test('should return empty array for unreachable points', () => {
       const start = { x: 0, y: 0 }; // Wall position
       const end = { x: 1, y: 1 };   // Floor position
@@ -519,4 +519,45 @@ describe('GoalPlacer', () => {
       expect(rightSidePlacer.isValidGoalPosition(testGrid, result, playerSpawn)).toBe(true);
     });
   });
+
+  describe('placeCheckpoints', () => {
+    const createCorridor = (width) => {
+      const grid = GridUtilities.createGrid(width, 10);
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < width; x++) {
+          GridUtilities.setSafe(grid, x, y, y >= 8 ? 1 : 0);
+        }
+      }
+      return grid;
+    };
+
+    test('should space checkpoints evenly along the critical path on standable floor', () => {
+      const grid = createCorridor(100);
+      const checkpoints = placer.placeCheckpoints(grid, { x: 1, y: 7 }, { x: 98, y: 7 });
+
+      expect(checkpoints).toHaveLength(2);
+      checkpoints.forEach(checkpoint => {
+        expect(grid.get(checkpoint.x, checkpoint.y)).toBe(0);
+        expect(grid.get(checkpoint.x, checkpoint.y + 1)).toBe(1);
+      });
+      expect(Math.abs(checkpoints[0].x - 33)).toBeLessThanOrEqual(1);
+      expect(Math.abs(checkpoints[1].x - 66)).toBeLessThanOrEqual(1);
+    });
+
+    test('should drop path cells in the air down to the floor below', () => {
+      const grid = createCorridor(100);
+      const checkpoints = placer.placeCheckpoints(grid, { x: 1, y: 0 }, { x: 98, y: 0 }, { maxCheckpoints: 1 });
+
+      expect(checkpoints).toHaveLength(1);
+      expect(checkpoints[0].y).toBe(7);
+    });
+
+    test('should place nothing on short or unreachable paths', () => {
+      expect(placer.placeCheckpoints(testGrid, playerSpawn, { x: 15, y: 17 })).toEqual([]);
+
+      const walled = createCorridor(100);
+      for (let y = 0; y < 8; y++) GridUtilities.setSafe(walled, 50, y, 1);
+      expect(placer.placeCheckpoints(walled, { x: 1, y: 7 }, { x: 98, y: 7 })).toEqual([]);
+    });
+  });
 }); 
\ No newline at end of file
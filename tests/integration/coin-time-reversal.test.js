@@ -58,8 +58,8 @@ describe('Coin Time Reversal Integration', () => {
     
     // Assert
     expect(timeManager.stateBuffer.length).toBe(2);
-    const beforeCollection = timeManager.stateBuffer[0].states.find(s => s.target === coin);
-    const afterCollection = timeManager.stateBuffer[1].states.find(s => s.target === coin);
+    const beforeCollection = timeManager.stateBuffer.get(0).states.find(s => s.target === coin);
+    const afterCollection = timeManager.stateBuffer.get(1).states.find(s => s.target === coin);
     
     expect(beforeCollection.state.isCollected).toBe(false);
     expect(afterCollection.state.isCollected).toBe(true);
@@ -83,7 +83,7 @@ describe('Coin Time Reversal Integration', () => {
     
     // Act - Rewind to before collection
     timeManager.toggleRewind(true);
-    const firstFrame = timeManager.stateBuffer[0];
+    const firstFrame = timeManager.stateBuffer.get(0);
     timeManager.applyFrame(firstFrame);
     
     // Assert - Coin should be uncollected and sprite recreated
@@ -114,7 +114,7 @@ describe('Coin Time Reversal Integration', () => {
     
     // Act - Rewind to initial state
     timeManager.toggleRewind(true);
-    const initialFrame = timeManager.stateBuffer[0];
+    const initialFrame = timeManager.stateBuffer.get(0);
     timeManager.applyFrame(initialFrame);
     
     // Assert - First coin restored, second coin unchanged
@@ -143,7 +143,7 @@ describe('Coin Time Reversal Integration', () => {
     
     // Act - Rewind (counter should be restored to initial value)
     timeManager.toggleRewind(true);
-    const initialFrame = timeManager.stateBuffer[0];
+    const initialFrame = timeManager.stateBuffer.get(0);
     timeManager.applyFrame(initialFrame);
     
     // Assert - Coin state restored AND counter restored (registry IS rewound)
@@ -70,7 +70,8 @@ describe('Death Time Reversal Integration Tests', () => {
     
     // Set up death state tracking
     gameScene._gameOverTriggered = false;
-    gameScene._deathTimestamp = null;
+    // Deaths in these tests happen at world time 1000; rewinds go back to 500 or earlier
+    gameScene.time.now = 1000;
 
     // Ensure player's scene.timeManager is set for rewind checks
     player.scene.timeManager = timeManager;
@@ -109,13 +110,19 @@ describe('Death Time Reversal Integration Tests', () => {
     timeManager.isRewinding = true;
     timeManager.playbackTimestamp = rewindTime;
     timeManager.toggleRewind(true);
+    // Moving playback runs the event journal, as handleRewind() and seekPlayback() do
+    timeManager.eventJournal.seek(rewindTime);
+  };
+
+  // Helper function to put GameScene in its game-over state through the playerDied listener
+  const simulateGameOver = () => {
+    gameScene.handlePlayerDied();
   };
 
   describe('Death State Time Reversal', () => {
     test('should dismiss Game Over scene when rewinding past death', () => {
       // Arrange: Set up death state
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       // Mock GameOverScene as active
       gameOverScene.gameOverActive = true;
       gameOverScene.gameOverOverlay = { destroy: jest.fn() };
@@ -123,10 +130,6 @@ describe('Death Time Reversal Integration Tests', () => {
       const dismissSpy = jest.spyOn(gameOverScene, 'handleRewindDismissal');
       // Act: Simulate rewind past death
       simulateRewind(500); // Rewind to before death
-      // Trigger rewind death handling
-      if (gameScene.handleRewindDeath) {
-        gameScene.handleRewindDeath();
-      }
       // Assert: GameOverScene should be dismissed
       expect(dismissSpy).toHaveBeenCalled();
       expect(gameOverScene.gameOverActive).toBe(false);
@@ -134,8 +137,7 @@ describe('Death Time Reversal Integration Tests', () => {
 
     test('should restore player health when rewinding past death', () => {
       // Arrange: Set up death state with recorded health
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       
       // Record health state before death
       const healthBeforeDeath = 50;
@@ -169,7 +171,6 @@ describe('Death Time Reversal Integration Tests', () => {
     test('should prevent death event re-emission during rewind', () => {
       // Arrange: Set up death state
       gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
       
       // Act: Simulate rewind
       simulateRewind(500);
@@ -185,35 +186,25 @@ describe('Death Time Reversal Integration Tests', () => {
 
     test('should reset death state when rewinding past death', () => {
       // Arrange: Set up death state
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       
       // Act: Simulate rewind past death
       simulateRewind(500);
       
-      // Trigger rewind death handling
-      if (gameScene.handleRewindDeath) {
-        gameScene.handleRewindDeath();
-      }
-      
       // Assert: Death state should be reset
       expect(gameScene._gameOverTriggered).toBe(false);
-      expect(gameScene._deathTimestamp).toBeNull();
+      expect(timeManager.eventJournal.length).toBe(0);
     });
 
     test('should handle scene transitions smoothly during rewind', () => {
       // Arrange: Set up death state with active GameOverScene
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       gameOverScene.gameOverActive = true;
       gameOverScene.gameOverOverlay = { destroy: jest.fn() };
       // Spy on handleRewindDismissal
       const dismissSpy = jest.spyOn(gameOverScene, 'handleRewindDismissal');
       // Act: Simulate rewind past death
       simulateRewind(500);
-      if (gameScene.handleRewindDeath) {
-        gameScene.handleRewindDeath();
-      }
       // Assert: Scene transitions should be handled smoothly
       expect(dismissSpy).toHaveBeenCalled();
       expect(gameOverScene.gameOverActive).toBe(false);
@@ -221,7 +212,7 @@ describe('Death Time Reversal Integration Tests', () => {
   });
 
   describe('Death Event Handling During Rewind', () => {
-    test('should track death timestamp when player dies', () => {
+    test('should journal the death when player dies', () => {
       // Arrange: Set up player with low health
       player.health = 10;
       // Act: Take fatal damage
@@ -229,10 +220,10 @@ describe('Death Time Reversal Integration Tests', () => {
       // Assert: Death event should have been emitted
       const playerDiedCalls = findPlayerDiedCalls();
       expect(playerDiedCalls.length).toBeGreaterThan(0);
-      // Assert: Death timestamp should be recorded
+      // Assert: Death should be journaled at the current world time
       expect(isDead).toBe(true);
-      expect(gameScene._deathTimestamp).toBeDefined();
-      expect(gameScene._gameOverTriggered).toBe(true);
+      const deathEntry = timeManager.eventJournal.entries.find(entry => entry.type === 'playerDied');
+      expect(deathEntry.timestamp).toBe(1000);
     });
 
     test('should not emit death event during rewind', () => {
@@ -367,7 +358,7 @@ describe('Death Time Reversal Integration Tests', () => {
       timeManager.handleRecord(1000);
       
       // Assert: Death state should be recorded
-      const recordedState = timeManager.stateBuffer[0].states[0];
+      const recordedState = timeManager.stateBuffer.get(0).states[0];
       expect(recordedState.state.health).toBe(0);
       expect(recordedState.state.isAlive).toBe(false);
     });
@@ -391,7 +382,7 @@ describe('Death Time Reversal Integration Tests', () => {
       });
       
       // Act: Apply death state during rewind
-      timeManager.applyFrame(timeManager.stateBuffer[0]);
+      timeManager.applyFrame(timeManager.stateBuffer.get(0));
       
       // Assert: Death state should be restored
       expect(player.health).toBe(0);
@@ -403,55 +394,35 @@ describe('Death Time Reversal Integration Tests', () => {
     test('should handle rewind when no death has occurred', () => {
       // Arrange: No death state
       gameScene._gameOverTriggered = false;
-      gameScene._deathTimestamp = null;
-      
-      // Act: Simulate rewind
-      simulateRewind(500);
       
-      // Assert: Should handle gracefully without errors
-      expect(() => {
-        if (gameScene.handleRewindDeath) {
-          gameScene.handleRewindDeath();
-        }
-      }).not.toThrow();
+      // Act & Assert: Rewind should be handled gracefully without errors
+      expect(() => simulateRewind(500)).not.toThrow();
+      expect(gameScene._gameOverTriggered).toBe(false);
     });
 
     test('should handle rewind when GameOverScene is not active', () => {
       // Arrange: Death state but no active GameOverScene
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       gameOverScene.gameOverActive = false;
       
-      // Act: Simulate rewind past death
-      simulateRewind(500);
-      
-      // Assert: Should handle gracefully
-      expect(() => {
-        if (gameScene.handleRewindDeath) {
-          gameScene.handleRewindDeath();
-        }
-      }).not.toThrow();
+      // Act & Assert: Rewinding past death should be handled gracefully
+      expect(() => simulateRewind(500)).not.toThrow();
+      expect(gameScene._gameOverTriggered).toBe(false);
     });
 
     test('should handle multiple rewind cycles correctly', () => {
       // Arrange: Set up death state
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       
       // Act: Multiple rewind cycles
       simulateRewind(500);
-      if (gameScene.handleRewindDeath) {
-        gameScene.handleRewindDeath();
-      }
+      timeManager.toggleRewind(false);
       
       simulateRewind(1500);
-      if (gameScene.handleRewindDeath) {
-        gameScene.handleRewindDeath();
-      }
       
       // Assert: State should remain consistent
       expect(gameScene._gameOverTriggered).toBe(false);
-      expect(gameScene._deathTimestamp).toBeNull();
+      expect(timeManager.eventJournal.length).toBe(0);
     });
   });
 
@@ -466,7 +437,6 @@ describe('Death Time Reversal Integration Tests', () => {
 
       // Simulate rewind past death
       simulateRewind(500);
-      if (gameScene.handleRewindDeath) gameScene.handleRewindDeath();
       // Restore health via state restoration
       if (player.setStateFromRecording) {
         player.setStateFromRecording({
@@ -487,15 +457,13 @@ describe('Death Time Reversal Integration Tests', () => {
 
     test('should not leave GameOverScene active after multiple rewinds', () => {
       // Arrange: Player dies and GameOverScene is active
-      gameScene._gameOverTriggered = true;
-      gameScene._deathTimestamp = 1000;
+      simulateGameOver();
       gameOverScene.gameOverActive = true;
       gameOverScene.gameOverOverlay = { destroy: jest.fn() };
 
       // Act: Simulate multiple rewinds past death
       for (let i = 0; i < 3; i++) {
         simulateRewind(500 - i * 100);
-        if (gameScene.handleRewindDeath) gameScene.handleRewindDeath();
         if (gameOverScene.handleRewindDismissal) gameOverScene.handleRewindDismissal();
       }
 
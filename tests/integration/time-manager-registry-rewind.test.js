@@ -52,7 +52,7 @@ describe('TimeManager Registry Rewind Integration', () => {
     
     // Verify snapshot contains coinsCollected value
     expect(timeManager.stateBuffer.length).toBe(1);
-    expect(timeManager.stateBuffer[0].coinsCollected).toBe(1);
+    expect(timeManager.stateBuffer.get(0).coinsCollected).toBe(1);
   });
 
   test('should restore coinsCollected value during rewind', () => {
@@ -76,12 +76,12 @@ describe('TimeManager Registry Rewind Integration', () => {
     // Verify we have 2 coins collected
     expect(mockScene.registry.get('coinsCollected')).toBe(2);
     expect(timeManager.stateBuffer.length).toBe(2);
-    expect(timeManager.stateBuffer[1].coinsCollected).toBe(2);
+    expect(timeManager.stateBuffer.get(1).coinsCollected).toBe(2);
 
     // Act - Rewind to first snapshot
     timeManager.toggleRewind(true);
     timeManager.playbackTimestamp = 1000;
-    timeManager.applyFrame(timeManager.stateBuffer[0]);
+    timeManager.applyFrame(timeManager.stateBuffer.get(0));
 
     // Assert - Registry should be restored to 1
     expect(mockScene.registry.get('coinsCollected')).toBe(1);
@@ -121,17 +121,17 @@ describe('TimeManager Registry Rewind Integration', () => {
     
     // Rewind to 2 coins collected
     timeManager.playbackTimestamp = 1100;
-    timeManager.applyFrame(timeManager.stateBuffer[2]);
+    timeManager.applyFrame(timeManager.stateBuffer.get(2));
     expect(mockScene.registry.get('coinsCollected')).toBe(2);
     
     // Rewind to 1 coin collected
     timeManager.playbackTimestamp = 1050;
-    timeManager.applyFrame(timeManager.stateBuffer[1]);
+    timeManager.applyFrame(timeManager.stateBuffer.get(1));
     expect(mockScene.registry.get('coinsCollected')).toBe(1);
     
     // Rewind to 0 coins collected
     timeManager.playbackTimestamp = 1000;
-    timeManager.applyFrame(timeManager.stateBuffer[0]);
+    timeManager.applyFrame(timeManager.stateBuffer.get(0));
     expect(mockScene.registry.get('coinsCollected')).toBe(0);
   });
 
@@ -153,7 +153,7 @@ describe('TimeManager Registry Rewind Integration', () => {
     // Act - Rewind to snapshot
     timeManager.toggleRewind(true);
     timeManager.playbackTimestamp = 1000;
-    timeManager.applyFrame(timeManager.stateBuffer[0]);
+    timeManager.applyFrame(timeManager.stateBuffer.get(0));
 
     // Assert - Registry should be restored to 0
     expect(mockScene.registry.get('coinsCollected')).toBe(0);
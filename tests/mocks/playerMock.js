@@ -0,0 +1,65 @@
+/**
+ * Shared Player fixture for movement state tests
+ *
+ * Builds a plain object on `Player.prototype`, so states and helpers run the real
+ * Player methods (getWallSide, canCoyoteJump, updateWater, ...) without a Phaser
+ * sprite behind them. Defaults describe an airborne player at world time 1000 with
+ * no input held; tests override only what they exercise.
+ *
+ * @module playerMock
+ */
+
+import { jest } from '@jest/globals';
+import Player from '../../client/src/entities/Player.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+/**
+ * Creates a fake player for state and helper tests
+ * @param {Object} [overrides]
+ * @param {Object} [overrides.body] - Merged into the default arcade body
+ * @param {Object} [overrides.scene] - Merged into the default scene (`time.now` 1000)
+ * @param {Object} [overrides.inputManager] - Merged into the default input (nothing held)
+ * @returns {Object} Player-like object; any other override is assigned as a field
+ */
+export function createPlayerMock({ body = {}, scene = {}, inputManager = {}, ...fields } = {}) {
+  const player = Object.create(Player.prototype);
+  return Object.assign(player, {
+    anims: { play: jest.fn() },
+    body: {
+      velocity: { x: 0, y: 0 },
+      blocked: {},
+      touching: {},
+      onFloor: jest.fn(() => false),
+      setVelocityX: jest.fn(function(x) { this.velocity.x = x; }),
+      setVelocityY: jest.fn(function(y) { this.velocity.y = y; }),
+      setAllowGravity: jest.fn(),
+      ...body
+    },
+    inputManager: {
+      isLeftPressed: false,
+      isRightPressed: false,
+      isUpPressed: false,
+      isDownPressed: false,
+      isJumpJustPressed: false,
+      isDashJustPressed: false,
+      ...inputManager
+    },
+    stateMachine: { setState: jest.fn() },
+    scene: { time: { now: 1000 }, ...scene },
+    speed: 150,
+    jumpPower: 400,
+    flipX: false,
+    canDash: true,
+    dashTimer: 0,
+    dashCooldown: 1000,
+    wallSide: 0,
+    wallJumpLockUntil: 0,
+    climbLockUntil: 0,
+    lastGroundedTime: -Infinity,
+    jumpBufferedUntil: -Infinity,
+    inWater: false,
+    breath: GameConfig.water.breathDuration,
+    isInvulnerable: false,
+    ...fields
+  });
+}
@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import GhostRecorder from '../../client/src/systems/GhostRecorder.js';
+import GhostStore from '../../client/src/systems/GhostStore.js';
+import GhostRunner from '../../client/src/entities/GhostRunner.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: jest.fn(key => (items.has(key) ? items.get(key) : null)),
+    setItem: jest.fn((key, value) => items.set(key, String(value))),
+    removeItem: jest.fn(key => items.delete(key))
+  };
+};
+
+const createPlayer = () => ({ x: 0, y: 100, flipX: false, anims: { currentAnim: { key: 'player-idle' } } });
+
+// Records a run that moves right 1px per ms and finishes at `duration`
+const recordRun = (duration, levelKey = 'cave') => {
+  const recorder = new GhostRecorder({ levelKey, sampleInterval: 50 });
+  const player = createPlayer();
+  for (let time = 0; time < duration; time += 1000 / 60) {
+    player.x = time;
+    player.anims.currentAnim.key = time > 100 ? 'player-walk' : 'player-idle';
+    recorder.sample(time, player);
+  }
+  player.x = duration;
+  return recorder.finish(duration, player);
+};
+
+const createSpriteScene = () => {
+  const sprite = {
+    setOrigin: jest.fn().mockReturnThis(),
+    setScale: jest.fn().mockReturnThis(),
+    setAlpha: jest.fn().mockReturnThis(),
+    setPosition: jest.fn(function(x, y) { this.x = x; this.y = y; return this; }),
+    setFlipX: jest.fn().mockReturnThis(),
+    destroy: jest.fn(),
+    anims: { play: jest.fn() }
+  };
+  return { sprite, scene: { add: { sprite: jest.fn(() => sprite) } } };
+};
+
+describe('GhostRecorder', () => {
+  test('keeps one sample per interval and references animations by index', () => {
+    const ghost = recordRun(500);
+
+    expect(ghost).toMatchObject({ version: 1, levelKey: 'cave', duration: 500, animations: ['player-idle', 'player-walk'] });
+    expect(ghost.frames.length).toBeLessThanOrEqual(12);
+    expect(ghost.frames[0]).toEqual([0, 0, 100, 0, 0]);
+    expect(ghost.frames[ghost.frames.length - 1]).toEqual([500, 500, 100, 0, 1]);
+  });
+
+  test('finish returns nothing twice, and resume continues the run', () => {
+    const recorder = new GhostRecorder({ levelKey: 'cave' });
+    const player = createPlayer();
+    recorder.sample(0, player);
+    expect(recorder.finish(1000, player)).not.toBeNull();
+    expect(recorder.finish(1200, player)).toBeNull();
+
+    recorder.resume();
+    player.x = 40;
+    recorder.sample(1100, player);
+    expect(recorder.finish(2000, player).duration).toBe(2000);
+  });
+});
+
+describe('GhostStore', () => {
+  test('keeps only the fastest run per level', () => {
+    const storage = createStorage();
+    expect(GhostStore.saveIfBest(recordRun(900), storage)).toBe(true);
+    expect(GhostStore.saveIfBest(recordRun(1200), storage)).toBe(false);
+    expect(GhostStore.load('cave', storage).duration).toBe(900);
+    expect(GhostStore.saveIfBest(recordRun(600), storage)).toBe(true);
+    expect(GhostStore.load('cave', storage).duration).toBe(600);
+    expect(storage.setItem).toHaveBeenCalledWith(`${GameConfig.ghost.storagePrefix}cave`, expect.any(String));
+  });
+
+  test('exported ghosts import into another browser, even when slower', () => {
+    const mine = createStorage();
+    const friend = createStorage();
+    GhostStore.save(recordRun(800), mine);
+    GhostStore.save(recordRun(500), friend);
+
+    const json = GhostStore.exportGhost('cave', mine);
+    expect(GhostStore.importGhost(json, 'cave', friend).duration).toBe(800);
+    expect(GhostStore.load('cave', friend).duration).toBe(800);
+  });
+
+  test('rejects malformed ghosts and ghosts of another level', () => {
+    const storage = createStorage();
+    const ghost = recordRun(500);
+    expect(() => GhostStore.importGhost(ghost, 'tower', storage)).toThrow("recorded on level 'cave'");
+    expect(() => GhostStore.parse({ ...ghost, version: 3 })).toThrow('unsupported ghost version');
+    expect(() => GhostStore.parse({ ...ghost, frames: [[0, 1, 2]] })).toThrow('frames');
+    expect(() => GhostStore.parse({ ...ghost, frames: [[0, 1, 2, 0, 7]] })).toThrow('frames');
+    expect(storage.setItem).not.toHaveBeenCalled();
+  });
+
+  test('corrupt or unavailable storage never breaks the game', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createStorage();
+    storage.setItem(`${GameConfig.ghost.storagePrefix}cave`, '{broken');
+    expect(GhostStore.load('cave', storage)).toBeNull();
+
+    const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(GhostStore.save(recordRun(500), full)).toBe(false);
+    expect(GhostStore.load('cave', null)).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('levels are keyed by id, then name, then a config hash', () => {
+    expect(GhostStore.levelKeyFor({ id: 'cave-1', name: 'Cave' })).toBe('cave-1');
+    expect(GhostStore.levelKeyFor({ name: 'Cave' })).toBe('Cave');
+    expect(GhostStore.levelKeyFor({ platforms: [1] })).toMatch(/^[0-9a-f]{8}$/);
+  });
+});
+
+describe('GhostRunner', () => {
+  test('replays the recorded trajectory as a translucent sprite without a physics body', () => {
+    const { scene, sprite } = createSpriteScene();
+    const runner = new GhostRunner(scene, recordRun(500), 1000);
+
+    expect(scene.add.sprite).toHaveBeenCalledWith(0, 100, 'characters', 'character_beige_idle');
+    expect(sprite.setAlpha).toHaveBeenCalledWith(GameConfig.ghost.alpha);
+    expect(sprite.body).toBeUndefined();
+
+    runner.update(1275);
+    expect(sprite.x).toBeCloseTo(275, 0);
+    expect(sprite.anims.play).toHaveBeenLastCalledWith('player-walk', true);
+
+    runner.update(2000);
+    expect(sprite.x).toBe(500);
+    expect(runner.isFinished).toBe(true);
+  });
+});
+
+describe('GameScene best-run ghost', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+    globalThis.localStorage = storage;
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  const createScene = () => {
+    const { scene: spriteScene, sprite } = createSpriteScene();
+    const scene = {
+      add: spriteScene.add,
+      time: { now: 0 },
+      events: { on: jest.fn(), emit: jest.fn() },
+      player: { ...createPlayer(), update: jest.fn() },
+      sprite
+    };
+    Object.setPrototypeOf(scene, GameScene.prototype);
+    scene.setupBestRunGhost({ id: 'cave' });
+    return scene;
+  };
+
+  test('completing a level stores the run and the next attempt races it', () => {
+    const first = createScene();
+    expect(first.ghostRunner).toBeNull();
+    expect(first.events.on).toHaveBeenCalledWith('levelCompleted', first.handleBestRunCompleted, first);
+
+    for (let time = 0; time <= 3000; time += 50) {
+      first.player.x = time / 10;
+      first.stepSimulation(time, 50);
+    }
+    first.time.now = 3000;
+    expect(first.handleBestRunCompleted()).toBe(true);
+    expect(first.events.emit).toHaveBeenCalledWith('bestRunSaved', { levelKey: 'cave', duration: 3000 });
+
+    const second = createScene();
+    expect(second.ghostRunner).not.toBeNull();
+    second.stepSimulation(1500, 50);
+    expect(second.sprite.x).toBeCloseTo(150);
+  });
+
+  test('imported ghosts replace the current runner; invalid files are ignored', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const scene = createScene();
+
+    expect(scene.importBestRunGhost('{"version":1}')).toBe(false);
+    expect(scene.ghostRunner).toBeNull();
+
+    expect(scene.importBestRunGhost(JSON.stringify(recordRun(700)))).toBe(true);
+    expect(scene.ghostRunner.duration).toBe(700);
+    expect(JSON.parse(scene.exportBestRunGhost()).duration).toBe(700);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,226 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import Checkpoint from '../../client/src/entities/Checkpoint.js';
+import Player from '../../client/src/entities/Player.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import GameOverScene from '../../client/src/scenes/GameOverScene.js';
+import KeyInventory from '../../client/src/systems/KeyInventory.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { LEVEL_SCALE } from '../../client/src/config/GameConfig.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createFlag = (x = 0, y = 0) => ({
+  x, y, frame: 'flag_off',
+  body: { setAllowGravity: jest.fn() },
+  anims: { stop: jest.fn() },
+  setScale: jest.fn(),
+  play: jest.fn(function(key) { this.frame = key; }),
+  setFrame: jest.fn(function(frame) { this.frame = frame; })
+});
+
+const createGroup = () => ({ create: jest.fn((x, y, texture, frame) => createFlag(x, y)) });
+
+const createCoin = () => ({
+  isCollected: false,
+  getStateForRecording() { return { isCollected: this.isCollected }; },
+  setStateFromRecording(state) { this.isCollected = state.isCollected; }
+});
+
+// A GameScene stand-in running the checkpoint methods on a real TimeManager
+const createScene = () => {
+  const scene = createPhaserSceneMock('GameScene');
+  scene.time = { now: 0 };
+  scene.events.emit = jest.fn();
+  const coins = new Map([['coinsCollected', 0]]);
+  scene.registry = {
+    get: jest.fn(key => coins.get(key)),
+    set: jest.fn((key, value) => coins.set(key, value))
+  };
+  scene.player = { health: 100, respawn: jest.fn() };
+  scene.audioManager = { playSfx: jest.fn() };
+  scene.keyInventory = new KeyInventory();
+  scene.gameCoins = [createCoin(), createCoin()];
+  scene.gameKeys = [];
+  scene.gameLocks = [];
+  scene.timeManager = new TimeManager(scene);
+  ['handlePlayerCheckpointOverlap', 'saveCheckpoint', 'captureCheckpointState', 'respawnAtCheckpoint']
+    .forEach(name => { scene[name] = GameScene.prototype[name]; });
+  return scene;
+};
+
+describe('SceneFactory checkpoints', () => {
+  test('creates lowered flags from the checkpoints array', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const factory = new SceneFactory({});
+    const group = createGroup();
+    const checkpoints = factory.createCheckpointsFromConfig([
+      { x: 320, y: 640 },
+      { x: 960, y: 640, color: 'purple' },
+      { x: 1600, y: 576, color: 'red' }
+    ], group);
+
+    expect(checkpoints.map(checkpoint => [checkpoint.index, checkpoint.color])).toEqual([[0, 'green'], [2, 'red']]);
+    expect(group.create).toHaveBeenCalledWith(320 * LEVEL_SCALE, 640 * LEVEL_SCALE, 'tiles', 'flag_off');
+    expect(checkpoints[0].spawnPoint).toEqual({ x: 320 * LEVEL_SCALE, y: 640 * LEVEL_SCALE });
+    expect(checkpoints[0].sprite.parentCheckpoint).toBe(checkpoints[0]);
+    expect(warn).toHaveBeenCalledWith('[SceneFactory] Unknown checkpoint colour:', 'purple');
+    warn.mockRestore();
+  });
+});
+
+describe('Checkpoint', () => {
+  test('raises the flag once and lowers it when rewound', () => {
+    const checkpoint = new Checkpoint(createFlag(), 0, 'blue');
+    expect(checkpoint.activate()).toBe(true);
+    expect(checkpoint.activate()).toBe(false);
+    expect(checkpoint.sprite.play).toHaveBeenCalledWith('flag-blue', true);
+
+    checkpoint.setStateFromRecording({ isActivated: false });
+    expect(checkpoint.sprite.frame).toBe('flag_off');
+  });
+});
+
+describe('GameScene checkpoints', () => {
+  test('respawning restores what the checkpoint saved and starts a new timeline', () => {
+    const scene = createScene();
+    const checkpoint = new Checkpoint(createFlag(500, 300), 0);
+    scene.gameCoins[0].isCollected = true;
+    scene.registry.set('coinsCollected', 1);
+    scene.keyInventory.add('red');
+    scene.player.health = 60;
+
+    scene.handlePlayerCheckpointOverlap(scene.player, checkpoint.sprite);
+    expect(checkpoint.isActivated).toBe(true);
+    expect(scene.audioManager.playSfx).toHaveBeenCalledWith('checkpoint');
+    expect(scene.events.emit).toHaveBeenCalledWith('checkpointReached', { index: 0 });
+
+    // Later: another coin, the key used, then death
+    scene.gameCoins[1].isCollected = true;
+    scene.registry.set('coinsCollected', 2);
+    scene.keyInventory.use('red');
+    scene.player.health = 0;
+    scene._gameOverTriggered = true;
+    const clearHistory = jest.spyOn(scene.timeManager, 'clearHistory');
+
+    expect(scene.respawnAtCheckpoint()).toBe(true);
+    expect(scene.gameCoins.map(coin => coin.isCollected)).toEqual([true, false]);
+    expect(scene.registry.get('coinsCollected')).toBe(1);
+    expect(scene.keyInventory.count('red')).toBe(1);
+    expect(scene.player.respawn).toHaveBeenCalledWith(500, 300, 60);
+    expect(scene._gameOverTriggered).toBe(false);
+    expect(clearHistory).toHaveBeenCalled();
+    expect(scene.events.emit).toHaveBeenCalledWith('playerRespawned', { index: 0 });
+  });
+
+  test('nothing is saved while rewinding or once dead, and there is no respawn without a checkpoint', () => {
+    const scene = createScene();
+    const checkpoint = new Checkpoint(createFlag(), 0);
+    scene.timeManager.isRewinding = true;
+    scene.handlePlayerCheckpointOverlap(scene.player, checkpoint.sprite);
+    scene.timeManager.isRewinding = false;
+    scene.player.health = 0;
+    scene.handlePlayerCheckpointOverlap(scene.player, checkpoint.sprite);
+
+    expect(checkpoint.isActivated).toBe(false);
+    expect(scene.checkpointState).toBeUndefined();
+    expect(scene.respawnAtCheckpoint()).toBe(false);
+  });
+
+  test('rewinding past a checkpoint lowers the flag and forgets the save', () => {
+    const scene = createScene();
+    const checkpoint = new Checkpoint(createFlag(), 0);
+    scene.timeManager.register(checkpoint);
+
+    for (let t = 0; t < 2000; t += 50) {
+      scene.time.now = t;
+      if (t === 1000) scene.handlePlayerCheckpointOverlap(scene.player, checkpoint.sprite);
+      scene.timeManager.update(t, 50);
+    }
+    expect(scene.checkpointState.index).toBe(0);
+
+    scene.timeManager.toggleRewind(true);
+    scene.timeManager.update(2000, 1500);
+    expect(checkpoint.isActivated).toBe(false);
+    expect(scene.checkpointState).toBeNull();
+  });
+});
+
+describe('Player.respawn', () => {
+  test('stands the player up at the checkpoint with a fresh invulnerability window', () => {
+    const player = {
+      x: 0, y: 0, health: 0, maxHealth: 100, active: false, visible: false,
+      _deathEventEmitted: true,
+      invulnerabilityDuration: 2000,
+      scene: { time: { now: 3000 } },
+      body: { setVelocity: jest.fn() },
+      stateMachine: { setState: jest.fn() },
+      startBlinkingEffect: jest.fn(),
+      stopBlinkingEffect: jest.fn()
+    };
+    Player.prototype.respawn.call(player, 500, 300, 60);
+
+    expect([player.x, player.y, player.health]).toEqual([500, 300, 60]);
+    expect(player.body.setVelocity).toHaveBeenCalledWith(0, 0);
+    expect(player._deathEventEmitted).toBe(false);
+    expect(player.active && player.visible && player.isInvulnerable).toBe(true);
+    expect(player.invulnerabilityTimer).toBe(5000);
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('idle');
+  });
+});
+
+describe('GameOverScene respawn option', () => {
+  test('offers C to respawn only once a checkpoint is saved', () => {
+    const gameScene = { player: null, checkpointState: null, respawnAtCheckpoint: jest.fn() };
+    const createOverlay = () => {
+      const scene = new GameOverScene();
+      Object.assign(scene, createPhaserSceneMock('GameOverScene'));
+      scene.scene.get = jest.fn(() => gameScene);
+      scene.add.text = jest.fn(scene.add.text);
+      scene.input.keyboard.addKey = jest.fn(scene.input.keyboard.addKey);
+      scene.scene.stop = jest.fn();
+      return scene;
+    };
+
+    const withoutCheckpoint = createOverlay();
+    withoutCheckpoint.create();
+    expect(withoutCheckpoint.input.keyboard.addKey).not.toHaveBeenCalledWith('C');
+
+    gameScene.checkpointState = { index: 0 };
+    const scene = createOverlay();
+    scene.create();
+    expect(scene.input.keyboard.addKey).toHaveBeenCalledWith('C');
+    expect(scene.add.text).toHaveBeenCalledWith(640, 430, 'C / A: respawn at checkpoint   R / START: restart   M / B: menu', expect.any(Object));
+
+    scene.respawnAtCheckpoint();
+    expect(scene.scene.stop).toHaveBeenCalledWith('GameOverScene');
+    expect(gameScene.respawnAtCheckpoint).toHaveBeenCalledTimes(1);
+    expect(scene.gameOverActive).toBe(false);
+  });
+
+  test('gamepad A respawns once a checkpoint is saved and restarts otherwise, as the hint says', () => {
+    const gameScene = { player: null, checkpointState: null, respawnAtCheckpoint: jest.fn() };
+    const pressA = canRespawn => {
+      gameScene.checkpointState = canRespawn ? { index: 0 } : null;
+      const scene = new GameOverScene();
+      Object.assign(scene, createPhaserSceneMock('GameOverScene'));
+      scene.scene.get = jest.fn(() => gameScene);
+      scene.scene.stop = jest.fn();
+      scene.scene.restart = jest.fn();
+      scene.create();
+      scene.gamepad = { justPressed: action => action === 'confirm' };
+      scene.update(0, 16);
+      return scene;
+    };
+
+    const restarted = pressA(false);
+    expect(restarted.scene.restart).toHaveBeenCalledWith('GameScene');
+    expect(gameScene.respawnAtCheckpoint).not.toHaveBeenCalled();
+
+    const respawned = pressA(true);
+    expect(respawned.scene.restart).not.toHaveBeenCalled();
+    expect(respawned.scene.stop).toHaveBeenCalledWith('GameOverScene');
+    expect(gameScene.respawnAtCheckpoint).toHaveBeenCalledTimes(1);
+    expect(respawned.gameOverOverlay).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import { createPlayerMock } from '../mocks/playerMock.js';
+import ClimbState from '../../client/src/entities/states/ClimbState.js';
+import FallState from '../../client/src/entities/states/FallState.js';
+import IdleState from '../../client/src/entities/states/IdleState.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { GameConfig, LEVEL_SCALE } from '../../client/src/config/GameConfig.js';
+
+const TILE = 64 * LEVEL_SCALE;
+
+// A three-tile ladder column at x = 0, from y = 0 down to y = 3 tiles
+const createLadder = () => [0, 1, 2].map(i => ({ x: 0, y: i * TILE, displayWidth: TILE, displayHeight: TILE, active: true }));
+
+const createPlayer = ({ onFloor = false, center = { x: TILE / 2, y: 1.5 * TILE } } = {}) => createPlayerMock({
+  x: 5,
+  body: { center, velocity: { x: 0, y: 100 }, onFloor: jest.fn(() => onFloor) },
+  scene: { climbables: { getChildren: () => createLadder() } }
+});
+
+describe('Climbing', () => {
+  test('holding up over a ladder grabs it from the ground and from mid-air', () => {
+    const standing = createPlayer({ onFloor: true });
+    standing.inputManager.isUpPressed = true;
+    new IdleState(standing).execute();
+    expect(standing.stateMachine.setState).toHaveBeenCalledWith('climb');
+
+    const falling = createPlayer();
+    falling.inputManager.isUpPressed = true;
+    new FallState(falling).execute();
+    expect(falling.stateMachine.setState).toHaveBeenCalledWith('climb');
+
+    // Away from the ladder, up is still a jump
+    const away = createPlayer({ onFloor: true, center: { x: 3 * TILE, y: 1.5 * TILE } });
+    away.inputManager.isUpPressed = true;
+    new IdleState(away).execute();
+    expect(away.stateMachine.setState).toHaveBeenCalledWith('jump');
+  });
+
+  test('climbing moves up and down without gravity and stops at the top', () => {
+    const player = createPlayer();
+    const state = new ClimbState(player);
+    state.enter();
+    expect(player.body.setAllowGravity).toHaveBeenCalledWith(false);
+    expect(player.x).toBe(TILE / 2);
+    expect(player.anims.play).toHaveBeenCalledWith('player-climb', true);
+
+    player.inputManager.isUpPressed = true;
+    state.execute();
+    expect(player.body.velocity.y).toBe(-GameConfig.climb.speed * LEVEL_SCALE);
+
+    player.body.center = { x: TILE / 2, y: 0 };
+    state.execute();
+    expect(player.body.velocity.y).toBe(0);
+
+    player.inputManager.isUpPressed = false;
+    player.inputManager.isDownPressed = true;
+    state.execute();
+    expect(player.body.velocity.y).toBe(GameConfig.climb.speed * LEVEL_SCALE);
+
+    state.exit();
+    expect(player.body.setAllowGravity).toHaveBeenCalledWith(true);
+  });
+
+  test('jumping off sideways locks out grabbing again for a moment', () => {
+    const player = createPlayer();
+    const state = new ClimbState(player);
+    player.inputManager.isUpPressed = true;
+    player.inputManager.isRightPressed = true;
+    state.execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('jump');
+    expect(player.climbLockUntil).toBe(1000 + GameConfig.climb.regrabDelay);
+
+    player.inputManager.isRightPressed = false;
+    expect(player.canStartClimb()).toBe(false);
+    player.scene.time.now += GameConfig.climb.regrabDelay;
+    expect(player.canStartClimb()).toBe(true);
+  });
+
+  test('climbing off the end of the column or onto the floor lets go', () => {
+    const player = createPlayer({ center: { x: TILE / 2, y: 4 * TILE } });
+    new ClimbState(player).execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('fall');
+
+    const landed = createPlayer({ onFloor: true });
+    landed.inputManager.isDownPressed = true;
+    new ClimbState(landed).execute();
+    expect(landed.stateMachine.setState).toHaveBeenCalledWith('idle');
+  });
+});
+
+describe('SceneFactory climbables', () => {
+  const createGroup = () => ({
+    create: jest.fn((x, y, texture, frame) => ({
+      x, y, frame,
+      body: { setAllowGravity: jest.fn(), setImmovable: jest.fn() },
+      setOrigin: jest.fn(),
+      setScale: jest.fn()
+    }))
+  });
+
+  test('builds ladder, rope and chain columns from the platforms array', () => {
+    const factory = new SceneFactory({});
+    factory.loadConfiguration({
+      platforms: [
+        { type: 'climbable', x: 0, y: 0, height: 192 },
+        { type: 'climbable', x: 128, y: 0, height: 128, style: 'rope' },
+        { type: 'climbable', x: 256, y: 0, height: 64, style: 'chain' }
+      ]
+    });
+    const group = createGroup();
+    const tiles = factory.createClimbablesFromConfig(group);
+
+    expect(tiles.map(tile => tile.frame)).toEqual(['ladder_top', 'ladder_middle', 'ladder_bottom', 'rop_attached', 'rope', 'chain']);
+    expect(tiles[1].y).toBe(TILE);
+    expect(tiles.every(tile => tile.isClimbable)).toBe(true);
+  });
+
+  test('uses climbable cells of the map_matrix when present', () => {
+    const factory = new SceneFactory({});
+    factory.config = {
+      platforms: [{ type: 'climbable', x: 0, y: 0, height: 64 }],
+      map_matrix: [
+        [null, { tileKey: 'ladder_top', type: 'climbable' }],
+        [{ tileKey: 'terrain_grass_block_center', type: 'ground' }, { tileKey: 'ladder_bottom', type: 'climbable' }]
+      ]
+    };
+    expect(factory.validateMapMatrixConfiguration(factory.config.map_matrix)).toBe(true);
+
+    const group = createGroup();
+    const tiles = factory.createClimbablesFromConfig(group);
+    expect(tiles.map(tile => [tile.frame, tile.x, tile.y])).toEqual([['ladder_top', TILE, 0], ['ladder_bottom', TILE, TILE]]);
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import ControlProfile from '../../client/src/systems/ControlProfile.js';
+import InputManager from '../../client/src/systems/InputManager.js';
+import ControlsScene from '../../client/src/scenes/ControlsScene.js';
+import MenuScene from '../../client/src/scenes/MenuScene.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: jest.fn(key => (items.has(key) ? items.get(key) : null)),
+    setItem: jest.fn((key, value) => items.set(key, String(value))),
+    removeItem: jest.fn(key => items.delete(key))
+  };
+};
+
+const createKeyboardScene = () => {
+  const keys = {};
+  const scene = {
+    input: { keyboard: { addKey: jest.fn(name => { keys[name] = { isDown: false }; return keys[name]; }) } }
+  };
+  return { scene, keys };
+};
+
+describe('ControlProfile', () => {
+  test('starts from the default bindings', () => {
+    const profile = new ControlProfile();
+    expect(profile.getBindings('left')).toEqual(GameConfig.controls.bindings.left);
+    expect(profile.describe('left')).toBe('← / A');
+    expect(profile.actionFor('SPACE')).toBe('up');
+  });
+
+  test('a key belongs to one action and every action keeps a key', () => {
+    const profile = new ControlProfile();
+
+    expect(profile.bind('dash', 'A')).toBe(true);
+    expect(profile.getBindings('dash')).toEqual(['SHIFT', 'A']);
+    expect(profile.getBindings('left')).toEqual(['LEFT']);
+
+    // E is Chrono Pulse's only key
+    expect(profile.bind('dash', 'E')).toBe(false);
+    expect(profile.getBindings('chronoPulse')).toEqual(['E']);
+
+    expect(profile.unbind('dash', 'SHIFT')).toBe(true);
+    expect(profile.unbind('dash', 'A')).toBe(false);
+    expect(() => profile.bind('fly', 'K')).toThrow("unknown action 'fly'");
+  });
+
+  test('reset restores one action or every action', () => {
+    const profile = new ControlProfile();
+    profile.bind('dash', 'A');
+    profile.reset('left');
+    expect(profile.getBindings('left')).toEqual(['LEFT', 'A']);
+    expect(profile.getBindings('dash')).toEqual(['SHIFT']);
+
+    profile.bind('map', 'K');
+    profile.reset();
+    expect(profile.toJSON().bindings).toEqual(GameConfig.controls.bindings);
+  });
+
+  test('saves to storage and ignores invalid saved profiles', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createStorage();
+    const profile = new ControlProfile();
+    profile.bind('up', 'K');
+    expect(profile.save(storage)).toBe(true);
+    expect(ControlProfile.load(storage).getBindings('up')).toEqual(['UP', 'W', 'SPACE', 'K']);
+
+    storage.setItem(GameConfig.controls.storageKey, JSON.stringify({ version: 1, bindings: { fly: ['K'] } }));
+    expect(ControlProfile.load(storage).getBindings('up')).toEqual(['UP', 'W', 'SPACE']);
+    expect(ControlProfile.load(null).getBindings('up')).toEqual(['UP', 'W', 'SPACE']);
+    expect(() => ControlProfile.parse({ version: 2, bindings: {} })).toThrow('unsupported profile version');
+    warn.mockRestore();
+  });
+});
+
+describe('InputManager with a control profile', () => {
+  test('getters and ticks follow the bound keys', () => {
+    const { scene, keys } = createKeyboardScene();
+    const profile = new ControlProfile();
+    profile.bind('left', 'J');
+    profile.unbind('left', 'A');
+    const inputManager = new InputManager(scene, profile);
+
+    expect(keys.A).toBeUndefined();
+    keys.J.isDown = true;
+    expect(inputManager.isLeftPressed).toBe(true);
+    expect(inputManager.sampleTick() & InputManager.BUTTONS.left).toBe(InputManager.BUTTONS.left);
+  });
+
+  test('applyProfile switches bindings at runtime and keeps menu keys', () => {
+    const { scene, keys } = createKeyboardScene();
+    const inputManager = new InputManager(scene, new ControlProfile());
+    const profile = new ControlProfile({ pause: ['K'], up: ['X'] });
+    inputManager.applyProfile(profile);
+
+    keys.K.isDown = true;
+    expect(inputManager.isPausePressed).toBe(true);
+    keys.P.isDown = true;
+    keys.K.isDown = false;
+    expect(inputManager.isPausePressed).toBe(false);
+    expect(inputManager.keys.ENTER).toBeDefined();
+    expect(inputManager.space).toBe(keys.SPACE);
+  });
+});
+
+describe('MenuScene keymap', () => {
+  test('is generated from the active profile', () => {
+    const profile = new ControlProfile({ dash: ['K'] });
+    const text = MenuScene.keymapText(profile);
+    expect(text).toContain('K: Dash');
+    expect(text).toContain('← / A / → / D: Move');
+    expect(text).not.toContain('Shift: Dash');
+  });
+});
+
+describe('ControlsScene', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  const createTextMock = () => ({
+    setOrigin: jest.fn().mockReturnThis(),
+    setInteractive: jest.fn().mockReturnThis(),
+    setText: jest.fn(function(text) { this.text = text; return this; }),
+    setScale: jest.fn(),
+    on: jest.fn(),
+    emit: jest.fn()
+  });
+
+  const createScene = () => {
+    const { scene: keyboardScene } = createKeyboardScene();
+    const scene = new ControlsScene({
+      key: 'ControlsScene',
+      add: {
+        graphics: () => ({ fillStyle: jest.fn(), fillRect: jest.fn() }),
+        text: jest.fn(createTextMock)
+      },
+      input: { keyboard: { ...keyboardScene.input.keyboard, on: jest.fn(), off: jest.fn() } },
+      scene: { start: jest.fn(), stop: jest.fn(), resume: jest.fn() }
+    });
+    scene.init({ returnTo: 'UIScene' });
+    scene.create();
+    return scene;
+  };
+
+  test('captured keys are added, removed and saved', () => {
+    const scene = createScene();
+    const leftRow = scene.rows.find(row => row.action === 'left');
+
+    scene.startCapture('left');
+    expect(scene.captureKey('K')).toBe(true);
+    expect(leftRow.button.text).toBe('← / A / K');
+    expect(ControlProfile.load().getBindings('left')).toEqual(['LEFT', 'A', 'K']);
+
+    scene.startCapture('left');
+    expect(scene.captureKey('A')).toBe(true);
+    expect(ControlProfile.load().getBindings('left')).toEqual(['LEFT', 'K']);
+
+    scene.startCapture('left');
+    expect(scene.captureKey('ESC')).toBe(false);
+    expect(scene.capturingAction).toBeNull();
+  });
+
+  test('closing from the pause menu resumes UIScene', () => {
+    const scene = createScene();
+    scene.close();
+    expect(scene.scene.stop).toHaveBeenCalled();
+    expect(scene.scene.resume).toHaveBeenCalledWith('UIScene', { controlsChanged: true });
+  });
+});
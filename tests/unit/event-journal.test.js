@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import EventJournal from '../../client/src/systems/EventJournal.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import UIScene from '../../client/src/scenes/UIScene.js';
+import { Enemy } from '../../client/src/entities/Enemy.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+describe('EventJournal', () => {
+  let journal;
+  let log;
+
+  const append = (type, timestamp) => journal.append(type, timestamp, {
+    undo: entry => log.push(`undo ${entry.type}`),
+    redo: entry => log.push(`redo ${entry.type}`)
+  });
+
+  beforeEach(() => {
+    journal = new EventJournal();
+    log = [];
+  });
+
+  test('undoAfter undoes newer entries newest first and keeps entries at the timestamp', () => {
+    append('a', 100);
+    append('b', 200);
+    append('c', 300);
+
+    journal.undoAfter(200);
+    expect(log).toEqual(['undo c']);
+    journal.undoAfter(50);
+    expect(log).toEqual(['undo c', 'undo b', 'undo a']);
+    expect(journal.length).toBe(0);
+  });
+
+  test('redoUpTo re-applies undone entries oldest first', () => {
+    append('a', 100);
+    append('b', 200);
+    journal.undoAfter(0);
+    log = [];
+
+    journal.seek(250);
+    expect(log).toEqual(['redo a', 'redo b']);
+    expect(journal.entries.map(entry => entry.type)).toEqual(['a', 'b']);
+  });
+
+  test('discardUndone forgets the abandoned future and prune forgets unreachable history', () => {
+    append('a', 100);
+    append('b', 200);
+    journal.undoAfter(150);
+    expect(journal.discardUndone().map(entry => entry.type)).toEqual(['b']);
+    journal.seek(500);
+    expect(log).toEqual(['undo b']);
+
+    journal.prune(150);
+    expect(journal.length).toBe(0);
+  });
+
+  test('a throwing handler is logged and does not stop other entries', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    append('a', 100);
+    journal.append('broken', 200, { undo: () => { throw new Error('boom'); } });
+
+    journal.undoAfter(0);
+    expect(log).toEqual(['undo a']);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('TimeManager event journal', () => {
+  let scene;
+  let manager;
+  let target;
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    scene.events = { emit: jest.fn(), on: jest.fn(), off: jest.fn() };
+    target = { x: 0, getStateForRecording() { return { x: this.x }; }, setStateFromRecording(state) { this.x = state.x; } };
+    manager = new TimeManager(scene);
+    manager.register(target);
+  });
+
+  const record = (from, to) => {
+    for (let t = from; t <= to; t += 50) {
+      scene.time.now = t;
+      target.x = t;
+      manager.update(t, 50);
+    }
+  };
+
+  test('rewinding past an event runs its undo and ending the rewind discards it', () => {
+    const undo = jest.fn();
+    record(1000, 1200);
+    manager.recordEvent('gameOver', { undo });
+    record(1250, 1500);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 200);
+    expect(undo).not.toHaveBeenCalled();
+    manager.update(1600, 150);
+    expect(undo).toHaveBeenCalledTimes(1);
+
+    manager.toggleRewind(false);
+    expect(manager.eventJournal.length).toBe(0);
+    expect(manager.eventJournal.undone).toEqual([]);
+  });
+
+  test('scrubbing forward over an undone event runs its redo', () => {
+    const undo = jest.fn();
+    const redo = jest.fn();
+    record(1000, 1200);
+    manager.recordEvent('levelCompleted', { undo, redo });
+    record(1250, 1500);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 50);
+    manager.startScrubbing();
+    manager.scrubBy(-400);
+    expect(undo).toHaveBeenCalledTimes(1);
+    manager.scrubBy(200);
+    expect(redo).toHaveBeenCalledTimes(1);
+    expect(manager.eventJournal.length).toBe(1);
+  });
+
+  test('events are not journaled while rewinding and are pruned with the buffer', () => {
+    record(1000, 1100);
+    manager.toggleRewind(true);
+    expect(manager.recordEvent('sfx')).toBeNull();
+    manager.toggleRewind(false);
+
+    manager.setRewindHorizon(0.2);
+    manager.recordEvent('sfx');
+    record(1150, 1500);
+    expect(manager.eventJournal.length).toBe(0);
+  });
+});
+
+describe('Journaled game events', () => {
+  const createTimeManager = scene => {
+    const manager = new TimeManager(scene);
+    manager.register({ x: 0, getStateForRecording: () => ({ x: 0 }), setStateFromRecording: () => {} });
+    manager.handleRecord(500);
+    return manager;
+  };
+
+  test('rewinding past the goal reopens the level and removes the overlay', () => {
+    const scene = {
+      time: { now: 1000 },
+      physics: { world: { pause: jest.fn(), resume: jest.fn() } },
+      events: { emit: jest.fn() }
+    };
+    scene.timeManager = createTimeManager(scene);
+    GameScene.prototype.completeLevel.call(scene);
+    scene.timeManager.recordEvent('levelCompleted', { undo: () => GameScene.prototype.undoLevelCompleted.call(scene) });
+
+    scene.timeManager.eventJournal.seek(500);
+    expect(scene._levelCompletedEmitted).toBe(false);
+    expect(scene.physics.world.resume).toHaveBeenCalled();
+    expect(scene.events.emit).toHaveBeenCalledWith('levelCompletionUndone');
+
+    const overlay = { destroy: jest.fn() };
+    const ui = { levelCompleteOverlay: overlay, levelCompleteActive: true };
+    UIScene.prototype.onLevelCompletionUndone.call(ui);
+    expect(overlay.destroy).toHaveBeenCalled();
+    expect(ui.levelCompleteActive).toBe(false);
+  });
+
+  test('rewinding past an enemy death lets it die again', () => {
+    const scene = {
+      add: { existing: jest.fn() },
+      physics: { add: { existing: jest.fn() } },
+      time: { now: 1000 },
+      events: { emit: jest.fn() }
+    };
+    scene.timeManager = createTimeManager(scene);
+    const enemy = new Enemy(scene, 0, 0, 'enemies');
+    enemy.body.setVelocity = jest.fn();
+    enemy.die();
+    expect(enemy._deathHandled).toBe(true);
+
+    scene.timeManager.eventJournal.seek(500);
+    expect(enemy._deathHandled).toBe(false);
+    expect(scene.events.emit).toHaveBeenCalledWith('enemyDefeatUndone', enemy);
+  });
+});
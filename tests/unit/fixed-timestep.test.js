@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import FixedTimestep from '../../client/src/systems/FixedTimestep.js';
+import TimeDilation from '../../client/src/systems/TimeDilation.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const STEP = 1000 / 60;
+
+describe('FixedTimestep', () => {
+  test('runs one tick per whole step and carries the remainder', () => {
+    const timestep = new FixedTimestep({ tickRate: 60 });
+    const ticks = [];
+
+    expect(timestep.advance(10, time => ticks.push(time))).toBe(0);
+    expect(timestep.advance(30, time => ticks.push(time))).toBe(2);
+    expect(ticks).toEqual([STEP, 2 * STEP]);
+    expect(timestep.alpha).toBeCloseTo((40 - 2 * STEP) / STEP);
+  });
+
+  test('60 Hz and 144 Hz displays produce the same ticks', () => {
+    const run = (frameRate) => {
+      const timestep = new FixedTimestep({ tickRate: 60 });
+      const times = [];
+      for (let frame = 0; frame < frameRate; frame++) {
+        timestep.advance(1000 / frameRate, time => times.push(time));
+      }
+      return times;
+    };
+
+    const at60 = run(60);
+    const at144 = run(144);
+    expect(at60).toHaveLength(60);
+    expect(at144).toEqual(at60);
+  });
+
+  test('a long stall runs at most maxTicksPerFrame ticks and drops the rest', () => {
+    const timestep = new FixedTimestep({ tickRate: 60, maxTicksPerFrame: 5 });
+    expect(timestep.advance(1000)).toBe(5);
+    expect(timestep.accumulator).toBeLessThan(STEP);
+    expect(timestep.droppedTime).toBeCloseTo(55 * STEP);
+    expect(timestep.advance(0)).toBe(0);
+  });
+
+  test('invalid deltas are ignored', () => {
+    const timestep = new FixedTimestep();
+    expect(timestep.advance(NaN)).toBe(0);
+    expect(timestep.advance(-50)).toBe(0);
+    expect(timestep.tickCount).toBe(0);
+  });
+});
+
+describe('Fixed-step recording', () => {
+  test('TimeManager records every third 60 Hz tick without drifting', () => {
+    const scene = createPhaserSceneMock('GameScene');
+    scene.events = { emit: jest.fn(), on: jest.fn(), off: jest.fn() };
+    const manager = new TimeManager(scene);
+    manager.register({ x: 0, getStateForRecording: () => ({ x: 0 }), setStateFromRecording: () => {} });
+    manager.setFixedStep(STEP);
+
+    const timestep = new FixedTimestep({ tickRate: 60 });
+    for (let frame = 0; frame < 144; frame++) {
+      timestep.advance(1000 / 144, (time, step) => manager.update(time, step));
+    }
+
+    expect(manager.stateBuffer.length).toBe(20);
+    const ticksBetween = [];
+    for (let i = 1; i < manager.stateBuffer.length; i++) {
+      ticksBetween.push(Math.round((manager.stateBuffer.get(i).timestamp - manager.stateBuffer.get(i - 1).timestamp) / STEP));
+    }
+    expect(new Set(ticksBetween)).toEqual(new Set([3]));
+  });
+});
+
+describe('GameScene fixed-step update', () => {
+  const createScene = () => {
+    const scene = {
+      time: { now: 0 },
+      events: { emit: jest.fn() },
+      physics: { world: { singleStep: jest.fn() } },
+      fixedTimestep: new FixedTimestep({ tickRate: 60 }),
+      _manualPhysics: true,
+      stepSimulation: GameScene.prototype.stepSimulation
+    };
+    scene.timeDilation = new TimeDilation(scene, { scalesPhysics: false });
+    // Integrates its velocity once per tick; the position only depends on ticks run
+    scene.player = {
+      x: 0,
+      inputManager: {},
+      update: jest.fn(function(time, delta) { this.x += 120 * delta / 1000; })
+    };
+    return scene;
+  };
+
+  test('runs gameplay and a physics step once per tick on world time', () => {
+    const scene = createScene();
+    const worldTimes = [];
+    scene.player.update.mockImplementation(() => worldTimes.push(TimeDilation.now(scene)));
+
+    scene.time.now = 40;
+    GameScene.prototype.update.call(scene, 40, 40);
+
+    expect(scene.player.update).toHaveBeenCalledTimes(2);
+    expect(scene.player.update).toHaveBeenNthCalledWith(1, STEP, STEP);
+    expect(scene.player.update).toHaveBeenNthCalledWith(2, 2 * STEP, STEP);
+    expect(worldTimes).toEqual([STEP, 2 * STEP]);
+    expect(scene.physics.world.singleStep).toHaveBeenCalledTimes(2);
+  });
+
+  test('the same run ends in the same state at any frame rate', () => {
+    const run = (frameRate) => {
+      const scene = createScene();
+      for (let frame = 1; frame <= frameRate * 2; frame++) {
+        scene.time.now = frame * 1000 / frameRate;
+        GameScene.prototype.update.call(scene, scene.time.now, 1000 / frameRate);
+      }
+      return scene.player.x;
+    };
+
+    expect(run(144)).toBe(run(60));
+  });
+
+  test('time dilation changes how many ticks run, not their length', () => {
+    const scene = createScene();
+    scene.timeDilation.setScale(0.5);
+    GameScene.prototype.update.call(scene, 50, 50);
+
+    expect(scene.player.update).toHaveBeenCalledTimes(1);
+    expect(scene.player.update).toHaveBeenCalledWith(STEP, STEP);
+  });
+
+  test('enableManualPhysics hands physics stepping to the scene', () => {
+    const physics = { disableUpdate: jest.fn(), world: { singleStep: jest.fn(), setFPS: jest.fn() } };
+    expect(GameScene.prototype.enableManualPhysics.call({ physics }, 60)).toBe(true);
+    expect(physics.world.setFPS).toHaveBeenCalledWith(60);
+    expect(physics.disableUpdate).toHaveBeenCalled();
+    expect(GameScene.prototype.enableManualPhysics.call({ physics: {} }, 60)).toBe(false);
+  });
+});
@@ -0,0 +1,186 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import GamepadInput from '../../client/src/systems/GamepadInput.js';
+import InputManager from '../../client/src/systems/InputManager.js';
+import MenuNavigator from '../../client/src/ui/MenuNavigator.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+const createPad = (id = 'pad') => ({
+  id,
+  connected: true,
+  buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+  axes: [{ value: 0 }, { value: 0 }]
+});
+
+// Phaser-like gamepad plugin with hot-plug events
+const createScene = (pads = []) => {
+  const listeners = {};
+  const plugin = {
+    getAll: () => pads,
+    on: jest.fn((event, fn, context) => { listeners[event] = fn.bind(context); }),
+    off: jest.fn()
+  };
+  const scene = {
+    events: { emit: jest.fn() },
+    input: {
+      gamepad: plugin,
+      keyboard: { addKey: jest.fn(() => ({ isDown: false })) }
+    }
+  };
+  const plug = pad => { pads.push(pad); listeners.connected(pad); };
+  const unplug = pad => { pads.splice(pads.indexOf(pad), 1); pad.connected = false; listeners.disconnected(pad); };
+  return { scene, plug, unplug };
+};
+
+const press = (pad, index, value = 1) => { pad.buttons[index] = { pressed: value >= 1, value }; };
+const release = (pad, index) => { pad.buttons[index] = { pressed: false, value: 0 }; };
+
+describe('GamepadInput', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test('is inert without a gamepad plugin', () => {
+    const gamepad = new GamepadInput({ input: {} });
+    expect(gamepad.isConnected).toBe(false);
+    expect(gamepad.isDown('left')).toBe(false);
+    expect(gamepad.justPressed('up')).toBe(false);
+  });
+
+  test('the left stick reads as centred inside the radial deadzone', () => {
+    const pad = createPad();
+    const gamepad = new GamepadInput(createScene([pad]).scene);
+    const { deadzone } = GameConfig.gamepad;
+
+    pad.axes[0].value = -deadzone * 0.8;
+    pad.axes[1].value = deadzone * 0.5;
+    expect(gamepad.isDown('left')).toBe(false);
+    expect(gamepad.isDown('down')).toBe(false);
+
+    pad.axes[0].value = -0.9;
+    expect(gamepad.isDown('left')).toBe(true);
+    expect(gamepad.isDown('right')).toBe(false);
+    expect(gamepad.isDown('down')).toBe(false);
+  });
+
+  test('analog triggers count once past the trigger threshold', () => {
+    const pad = createPad();
+    const gamepad = new GamepadInput(createScene([pad]).scene);
+    const [rewind] = GameConfig.gamepad.buttons.rewind;
+
+    press(pad, rewind, GameConfig.gamepad.triggerThreshold - 0.1);
+    expect(gamepad.isDown('rewind')).toBe(false);
+    press(pad, rewind, GameConfig.gamepad.triggerThreshold);
+    expect(gamepad.isDown('rewind')).toBe(true);
+  });
+
+  test('presses are latched until consumed, and buttons held on connect are not presses', () => {
+    const pad = createPad();
+    press(pad, 0);
+    const gamepad = new GamepadInput(createScene([pad]).scene);
+    expect(gamepad.justPressed('confirm')).toBe(false);
+
+    release(pad, 0);
+    gamepad.poll();
+    press(pad, 0);
+    gamepad.poll();
+    release(pad, 0);
+    gamepad.poll();
+    expect(gamepad.consumePressed('confirm')).toBe(true);
+    expect(gamepad.consumePressed('confirm')).toBe(false);
+    expect(gamepad.consumeReleased('confirm')).toBe(true);
+  });
+
+  test('hot-plug follows the newest pad and releases everything on disconnect', () => {
+    const first = createPad('first');
+    const { scene, plug, unplug } = createScene([first]);
+    const gamepad = new GamepadInput(scene);
+
+    const second = createPad('second');
+    plug(second);
+    expect(gamepad.pad).toBe(second);
+    expect(scene.events.emit).toHaveBeenCalledWith('gamepadConnected', second);
+
+    press(second, 2);
+    gamepad.poll();
+    unplug(second);
+    expect(gamepad.pad).toBe(first);
+    expect(gamepad.isDown('dash')).toBe(false);
+    expect(gamepad.consumePressed('dash')).toBe(false);
+    expect(scene.events.emit).toHaveBeenCalledWith('gamepadDisconnected', second);
+
+    unplug(first);
+    expect(gamepad.isConnected).toBe(false);
+  });
+});
+
+describe('InputManager with a gamepad', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test('pad input is merged into live getters', () => {
+    const pad = createPad();
+    const inputManager = new InputManager(createScene([pad]).scene);
+
+    pad.axes[0].value = 1;
+    press(pad, GameConfig.gamepad.buttons.rewind[0]);
+    expect(inputManager.isRightPressed).toBe(true);
+    expect(inputManager.isRewindPressed).toBe(true);
+    expect(inputManager.isLeftPressed).toBe(false);
+
+    press(pad, GameConfig.gamepad.buttons.pause[0]);
+    expect(inputManager.isPauseJustPressed).toBe(true);
+    expect(inputManager.isPauseJustPressed).toBe(false);
+  });
+
+  test('pad buttons are sampled into the recorded tick', () => {
+    const pad = createPad();
+    const inputManager = new InputManager(createScene([pad]).scene);
+    inputManager.startRecording({ seed: null, configHash: 'abcd1234', tickRate: 60 });
+
+    press(pad, GameConfig.gamepad.buttons.dash[0]);
+    inputManager.sampleTick();
+    expect(inputManager.isDashJustPressed).toBe(true);
+    release(pad, GameConfig.gamepad.buttons.dash[0]);
+    inputManager.sampleTick();
+
+    const { inputs } = inputManager.exportReplay();
+    const dashBit = InputManager.BUTTONS.dash;
+    expect(inputs[0][0] & dashBit).toBe(dashBit);
+    expect(inputs[1][0] & dashBit).toBe(0);
+  });
+});
+
+describe('MenuNavigator', () => {
+  const createButton = () => ({ setScale: jest.fn(), emit: jest.fn() });
+
+  test('moves focus with wrap-around and confirms the focused button', () => {
+    const buttons = [createButton(), createButton(), createButton()];
+    const navigator = new MenuNavigator(buttons);
+    expect(buttons[0].setScale).toHaveBeenLastCalledWith(1.15);
+
+    navigator.update({ isMenuUpJustPressed: true });
+    expect(navigator.focusedIndex).toBe(2);
+    expect(buttons[0].setScale).toHaveBeenLastCalledWith(1);
+
+    navigator.update({ isMenuDownJustPressed: true });
+    expect(navigator.focusedIndex).toBe(0);
+
+    navigator.update({ isMenuConfirmJustPressed: true });
+    expect(buttons[0].emit).toHaveBeenCalledWith('pointerdown');
+    expect(buttons[2].emit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import Hazard from '../../client/src/entities/Hazard.js';
+import MovingPlatform from '../../client/src/entities/MovingPlatform.js';
+import Player from '../../client/src/entities/Player.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { GameConfig, LEVEL_SCALE } from '../../client/src/config/GameConfig.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createGroup = () => ({
+  create: jest.fn((x, y, texture, frame) => ({
+    x, y, frame, width: 64, height: 64,
+    body: { setImmovable: jest.fn(), setAllowGravity: jest.fn(), setSize: jest.fn(), setOffset: jest.fn() },
+    setOrigin: jest.fn(),
+    setScale: jest.fn()
+  }))
+});
+
+const createPlayer = ({ health = 100, isInvulnerable = false, x = 100 } = {}) => {
+  const player = {
+    x,
+    health,
+    isInvulnerable,
+    invulnerabilityTimer: 0,
+    scene: { time: { now: 5000 } },
+    body: { center: { x, y: 0 }, setVelocity: jest.fn() },
+    stateMachine: { currentStateName: 'run', setState: jest.fn() },
+    takeDamage: jest.fn(function(amount) {
+      this.health -= amount;
+      this.isInvulnerable = true;
+      return this.health <= 0;
+    })
+  };
+  player.hitByHazard = Player.prototype.hitByHazard;
+  return player;
+};
+
+describe('Hazard rules', () => {
+  test('default to GameConfig.hazards and take per-hazard overrides', () => {
+    const spikes = new Hazard('spikes');
+    expect(spikes.damage).toBe(GameConfig.hazards.spikes.damage);
+    expect(spikes.instantKill).toBe(false);
+
+    const gentleLava = new Hazard('lava', { instantKill: false, damage: 5, knockback: 'far' });
+    expect(gentleLava.instantKill).toBe(false);
+    expect(gentleLava.damage).toBe(5);
+    expect(gentleLava.knockback).toBe(GameConfig.hazards.lava.knockback);
+
+    expect(Hazard.kindForTile('block_spikes')).toBe('spikes');
+    expect(Hazard.kindForTile('terrain_grass_block')).toBeNull();
+    expect(() => new Hazard('acid')).toThrow("unknown hazard kind 'acid'");
+  });
+});
+
+describe('Player.hitByHazard', () => {
+  test('hurts, sets the hazard invulnerability and knocks the player away', () => {
+    const player = createPlayer({ x: 100 });
+    const saw = { body: { center: { x: 150 } } };
+    const hazard = new Hazard('saw');
+    expect(player.hitByHazard(hazard, saw)).toBe(true);
+    expect(player.takeDamage).toHaveBeenCalledWith(hazard.damage);
+    expect(player.invulnerabilityTimer).toBe(5000 + hazard.invulnerability);
+    const speed = hazard.knockback * LEVEL_SCALE;
+    expect(player.body.setVelocity).toHaveBeenCalledWith(-speed, -speed);
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('fall');
+  });
+
+  test('invulnerability blocks damage without being extended; instant kills ignore it', () => {
+    const player = createPlayer({ isInvulnerable: true });
+    player.invulnerabilityTimer = 5500;
+    expect(player.hitByHazard(new Hazard('spikes'))).toBe(false);
+    expect(player.invulnerabilityTimer).toBe(5500);
+    expect(player.takeDamage).not.toHaveBeenCalled();
+
+    expect(player.hitByHazard(new Hazard('lava'))).toBe(true);
+    expect(player.takeDamage).toHaveBeenCalledWith(100);
+    expect(player.health).toBe(0);
+    expect(player.body.setVelocity).not.toHaveBeenCalled();
+  });
+
+  test('GameScene ignores hazards while rewinding', () => {
+    const player = createPlayer();
+    const scene = { player, timeManager: { isRewinding: true }, events: { emit: jest.fn() } };
+    const tile = { hazard: new Hazard('spikes') };
+    GameScene.prototype.handlePlayerHazardOverlap.call(scene, player, tile);
+    expect(player.takeDamage).not.toHaveBeenCalled();
+
+    scene.timeManager.isRewinding = false;
+    GameScene.prototype.handlePlayerHazardOverlap.call(scene, player, tile);
+    expect(scene.events.emit).toHaveBeenCalledWith('playerHazardHit', { kind: 'spikes', damage: GameConfig.hazards.spikes.damage });
+  });
+});
+
+describe('SceneFactory hazards', () => {
+  test('builds hazards from the hazards array and map_matrix cells', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const factory = new SceneFactory({});
+    factory.config = {
+      hazards: [
+        { type: 'spikes', x: 0, y: 0, width: 128, damage: 50 },
+        { type: 'lava', x: 0, y: 128, height: 128 },
+        { type: 'spikes', x: 256, y: 0, tileKey: 'block_spikes' }
+      ],
+      map_matrix: [
+        [{ tileKey: 'saw', type: 'hazard' }, { tileKey: 'terrain_grass_block', type: 'hazard' }]
+      ]
+    };
+    expect(factory.validateMapMatrixConfiguration(factory.config.map_matrix)).toBe(true);
+
+    const group = createGroup();
+    const hazards = factory.createHazardsFromConfig(group);
+    expect(group.create.mock.calls.map(call => call[3])).toEqual([
+      'spikes', 'spikes', 'lava_top', 'lava', 'block_spikes', 'saw'
+    ]);
+    expect(hazards[0].hazard.damage).toBe(50);
+    expect(hazards[0].hazard).toBe(hazards[1].hazard);
+    expect(hazards[0].body.setOffset).toHaveBeenLastCalledWith(0, Hazard.HITBOXES.spikes.top);
+    expect(hazards[4].hazard.solid).toBe(true);
+    expect(hazards[5].hazard.kind).toBe('saw');
+    expect(hazards[5].x).toBe(0);
+    expect(warn).toHaveBeenCalledWith('[SceneFactory] Not a hazard tile:', 'terrain_grass_block');
+    warn.mockRestore();
+  });
+
+  test('a saw with a movement block moves like a MovingPlatform', () => {
+    const scene = createPhaserSceneMock('GameScene');
+    const factory = new SceneFactory(scene);
+    const group = scene.physics.add.group();
+    const [saw] = factory.createHazard({
+      type: 'saw', x: 100, y: 100, movement: { type: 'linear', startX: 100, startY: 100, endX: 300, endY: 100, speed: 60, autoStart: true }
+    }, group);
+
+    expect(saw).toBeInstanceOf(MovingPlatform);
+    expect(saw.hazard.kind).toBe('saw');
+    expect(saw.isMoving).toBe(true);
+    expect(group.getChildren()).toContain(saw);
+  });
+});
@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import InputReplay from '../../client/src/systems/InputReplay.js';
+import InputManager from '../../client/src/systems/InputManager.js';
+import FixedTimestep from '../../client/src/systems/FixedTimestep.js';
+import TimeDilation from '../../client/src/systems/TimeDilation.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+
+const Keyboard = globalThis.Phaser.Input.Keyboard;
+const { JustDown, JustUp } = Keyboard;
+
+// Phaser-like keys: JustDown/JustUp report an edge once, then clear it
+const createKeyboard = () => {
+  const keys = {};
+  const scene = {
+    events: { emit: jest.fn() },
+    input: { keyboard: { addKey: jest.fn(code => { keys[code] = { isDown: false, _justDown: false, _justUp: false }; return keys[code]; }) } }
+  };
+  const press = code => { keys[code].isDown = true; keys[code]._justDown = true; };
+  const release = code => { keys[code].isDown = false; keys[code]._justUp = true; };
+  return { scene, keys, press, release };
+};
+
+beforeEach(() => {
+  Keyboard.JustDown = key => { const edge = !!key._justDown; key._justDown = false; return edge; };
+  Keyboard.JustUp = key => { const edge = !!key._justUp; key._justUp = false; return edge; };
+});
+
+afterEach(() => {
+  Keyboard.JustDown = JustDown;
+  Keyboard.JustUp = JustUp;
+});
+
+describe('InputReplay', () => {
+  test('run-length encodes ticks and round-trips through JSON', () => {
+    const ticks = [0, 0, 0, 2, 2, 6, 0];
+    const replay = InputReplay.create({ ticks, seed: 42, configHash: 'abcd1234', tickRate: 60 });
+
+    expect(replay).toEqual({ version: 1, seed: 42, configHash: 'abcd1234', tickRate: 60, ticks: 7, inputs: [[0, 3], [2, 2], [6, 1], [0, 1]] });
+    expect(InputReplay.parse(JSON.stringify(replay))).toEqual({ seed: 42, configHash: 'abcd1234', tickRate: 60, ticks });
+  });
+
+  test('parse rejects malformed replays', () => {
+    expect(() => InputReplay.parse({ version: 2, inputs: [] })).toThrow('unsupported replay version');
+    expect(() => InputReplay.parse({ version: 1, inputs: [[1, 0]] })).toThrow('runs');
+    expect(() => InputReplay.parse({ version: 1, ticks: 5, inputs: [[1, 2]] })).toThrow('expected 5 ticks');
+    expect(() => InputReplay.parse('not json')).toThrow();
+  });
+
+  test('hashConfig ignores key order and changes with the config', () => {
+    const hash = InputReplay.hashConfig({ a: 1, b: { c: [1, 2] } });
+    expect(hash).toMatch(/^[0-9a-f]{8}$/);
+    expect(InputReplay.hashConfig({ b: { c: [1, 2] }, a: 1 })).toBe(hash);
+    expect(InputReplay.hashConfig({ a: 1, b: { c: [1, 3] } })).not.toBe(hash);
+  });
+});
+
+describe('InputManager tick sampling', () => {
+  test('presses stay pending until read, like JustDown', () => {
+    const { scene, press } = createKeyboard();
+    const input = new InputManager(scene);
+
+    press('SPACE');
+    input.sampleTick();
+    expect(input.isUpPressed).toBe(true);
+    input.sampleTick();
+    expect(input.isJumpJustPressed).toBe(true);
+    expect(input.isJumpJustPressed).toBe(false);
+  });
+
+  test('disabled inputs hide gameplay buttons but not rewind', () => {
+    const { scene, press } = createKeyboard();
+    const input = new InputManager(scene);
+    input.inputsDisabled = true;
+
+    press('LEFT');
+    press('R');
+    press('E');
+    input.sampleTick();
+    expect(input.isLeftPressed).toBe(false);
+    expect(input.isChronoPulseJustPressed).toBe(false);
+    expect(input.isRewindPressed).toBe(true);
+    expect(input.isScrubBackPressed).toBe(true);
+
+    input.inputsDisabled = false;
+    input.sampleTick();
+    expect(input.isChronoPulseJustPressed).toBe(true);
+  });
+
+  test('a replay feeds recorded ticks instead of the keyboard, then hands control back', () => {
+    const recorder = createKeyboard();
+    const recording = new InputManager(recorder.scene);
+    recording.startRecording({ seed: 7, configHash: 'cafebabe', tickRate: 60 });
+    recorder.press('RIGHT');
+    recording.sampleTick();
+    recorder.press('SHIFT');
+    recording.sampleTick();
+    const replay = recording.exportReplay();
+    expect(replay).toMatchObject({ seed: 7, configHash: 'cafebabe', ticks: 2 });
+
+    const player = createKeyboard();
+    const input = new InputManager(player.scene);
+    input.startReplay(JSON.stringify(replay));
+    player.press('LEFT');
+
+    input.sampleTick();
+    expect(input.isRightPressed).toBe(true);
+    expect(input.isLeftPressed).toBe(false);
+    input.sampleTick();
+    expect(input.isDashJustPressed).toBe(true);
+    expect(input.isReplaying).toBe(false);
+    expect(player.scene.events.emit).toHaveBeenCalledWith('replayFinished');
+
+    input.sampleTick();
+    expect(input.isLeftPressed).toBe(true);
+  });
+});
+
+describe('GameScene replay mode', () => {
+  // Runs GameScene.update() with a player whose state machine reads the input getters
+  const createScene = keyboard => {
+    const scene = {
+      time: { now: 0 },
+      events: { emit: jest.fn(), on: jest.fn(), off: jest.fn() },
+      fixedTimestep: new FixedTimestep({ tickRate: 60 }),
+      stepSimulation: GameScene.prototype.stepSimulation,
+      setupInputReplay: GameScene.prototype.setupInputReplay,
+      exportReplay: GameScene.prototype.exportReplay
+    };
+    scene.timeDilation = new TimeDilation(scene, { scalesPhysics: false });
+    scene.timeManager = new TimeManager(scene);
+    scene.timeManager.setFixedStep(scene.fixedTimestep.step);
+    const trace = [];
+    scene.player = {
+      x: 0,
+      dashes: 0,
+      inputManager: new InputManager(keyboard.scene),
+      getStateForRecording() { return { x: this.x, dashes: this.dashes }; },
+      setStateFromRecording(state) { this.x = state.x; this.dashes = state.dashes; },
+      update(time, delta) {
+        if (scene.timeManager.isRewinding) return;
+        const input = this.inputManager;
+        this.x += ((input.isRightPressed ? 1 : 0) - (input.isLeftPressed ? 1 : 0)) * delta;
+        if (input.isDashJustPressed) this.dashes++;
+        trace.push(`${time.toFixed(3)} x=${this.x.toFixed(3)} dashes=${this.dashes}`);
+      }
+    };
+    scene.timeManager.register(scene.player);
+    scene.trace = trace;
+    return scene;
+  };
+
+  const runFrames = (scene, frameRate, frames, onFrame = () => {}) => {
+    for (let frame = 1; frame <= frames; frame++) {
+      onFrame(frame);
+      scene.time.now = frame * 1000 / frameRate;
+      GameScene.prototype.update.call(scene, scene.time.now, 1000 / frameRate);
+    }
+  };
+
+  test('a replay reproduces a recorded run, including dashes and rewinds, at another frame rate', () => {
+    const keyboard = createKeyboard();
+    const recorded = createScene(keyboard);
+    recorded.setupInputReplay({ seed: 3 }, { recordReplay: true });
+    runFrames(recorded, 144, 288, frame => {
+      if (frame === 10) keyboard.press('RIGHT');
+      if (frame === 40) keyboard.press('SHIFT');
+      if (frame === 41) keyboard.release('SHIFT');
+      if (frame === 100) keyboard.press('R');
+      if (frame === 130) keyboard.release('R');
+      if (frame === 200) keyboard.release('RIGHT');
+    });
+    const json = recorded.exportReplay();
+    expect(JSON.parse(json)).toMatchObject({ version: 1, seed: 3, ticks: 120 });
+
+    const replayed = createScene(createKeyboard());
+    replayed.setupInputReplay({ seed: 3 }, { replay: json });
+    runFrames(replayed, 60, 120);
+
+    expect(replayed.trace).toEqual(recorded.trace);
+    expect(replayed.player.dashes).toBe(1);
+    // Releasing R after the rewind abandons the rewound-over timeline
+    expect(replayed.events.emit).toHaveBeenCalledWith('timelineAbandoned', expect.anything());
+  });
+
+  test('replays recorded against another config warn but still play; invalid replays are ignored', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const scene = createScene(createKeyboard());
+
+    scene.setupInputReplay({ seed: 1 }, { replay: { version: 1, configHash: '00000000', tickRate: 60, ticks: 1, inputs: [[1, 1]] } });
+    expect(scene.player.inputManager.isReplaying).toBe(true);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('different level or config'));
+
+    const fresh = createScene(createKeyboard());
+    fresh.setupInputReplay({ seed: 1 }, { replay: '{"version":9}', recordReplay: true });
+    expect(warn).toHaveBeenCalledWith('[GameScene] Ignoring invalid replay:', expect.any(String));
+    expect(fresh.player.inputManager.isRecording).toBe(true);
+    warn.mockRestore();
+  });
+
+  test('runs are only recorded when asked for, so input does not pile up for the whole session', () => {
+    const scene = createScene(createKeyboard());
+    scene.setupInputReplay({ seed: 1 }, {});
+    runFrames(scene, 60, 30);
+    expect(scene.player.inputManager.isRecording).toBe(false);
+    expect(scene.exportReplay()).toBeNull();
+
+    const recorded = createScene(createKeyboard());
+    recorded.setupInputReplay({ seed: 1 }, { recordReplay: true });
+    runFrames(recorded, 60, 30);
+    expect(JSON.parse(recorded.exportReplay()).ticks).toBe(30);
+  });
+});
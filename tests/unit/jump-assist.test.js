@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import { createPlayerMock } from '../mocks/playerMock.js';
+import FallState from '../../client/src/entities/states/FallState.js';
+import IdleState from '../../client/src/entities/states/IdleState.js';
+import JumpState from '../../client/src/entities/states/JumpState.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+const { coyoteTime, bufferTime } = GameConfig.jump;
+
+const createPlayer = ({ onFloor = false } = {}) => createPlayerMock({
+  body: { velocity: { x: 0, y: 100 }, onFloor: jest.fn(() => onFloor) }
+});
+
+describe('Jump assist', () => {
+  test('updateJumpAssist tracks the floor, including moving platforms, and buffers presses', () => {
+    const player = createPlayer();
+    player.updateJumpAssist();
+    expect(player.lastGroundedTime).toBe(-Infinity);
+
+    player.scene.platforms = { getChildren: () => [{ isPlayerStandingOnAnySprite: () => true }] };
+    player.inputManager.isJumpJustPressed = true;
+    player.updateJumpAssist();
+    expect(player.lastGroundedTime).toBe(1000);
+    expect(player.jumpBufferedUntil).toBe(1000 + bufferTime);
+  });
+
+  test('coyote time allows a jump shortly after leaving the ground', () => {
+    const player = createPlayer();
+    player.lastGroundedTime = 1000 - coyoteTime;
+    player.jumpBufferedUntil = 1000 + bufferTime;
+    new FallState(player).execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('jump');
+
+    const late = createPlayer();
+    late.lastGroundedTime = 1000 - coyoteTime - 1;
+    late.jumpBufferedUntil = 1000 + bufferTime;
+    new FallState(late).execute();
+    expect(late.stateMachine.setState).not.toHaveBeenCalledWith('jump');
+  });
+
+  test('a jump pressed just before landing fires on touchdown', () => {
+    const player = createPlayer({ onFloor: true });
+    player.jumpBufferedUntil = 1000;
+    new FallState(player).execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('jump');
+
+    const expired = createPlayer({ onFloor: true });
+    expired.jumpBufferedUntil = 999;
+    new FallState(expired).execute();
+    expect(expired.stateMachine.setState).toHaveBeenCalledWith('idle');
+
+    const idle = createPlayer({ onFloor: true });
+    idle.jumpBufferedUntil = 1000 + bufferTime;
+    new IdleState(idle).execute();
+    expect(idle.stateMachine.setState).toHaveBeenCalledWith('jump');
+  });
+
+  test('jumping uses up the buffered press and the coyote time', () => {
+    const player = createPlayer();
+    player.lastGroundedTime = 1000;
+    player.jumpBufferedUntil = 1000 + bufferTime;
+    new JumpState(player).enter();
+    expect(player.canCoyoteJump()).toBe(false);
+    expect(player.consumeJumpBuffer()).toBe(false);
+  });
+});
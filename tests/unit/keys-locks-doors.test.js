@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import KeyInventory from '../../client/src/systems/KeyInventory.js';
+import KeyPickup from '../../client/src/entities/KeyPickup.js';
+import LockBlock from '../../client/src/entities/LockBlock.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createSprite = (x = 0, y = 0, frame = null) => ({
+  x, y, frame,
+  body: { enable: true, setAllowGravity: jest.fn(), setImmovable: jest.fn(), setSize: jest.fn(), setOffset: jest.fn() },
+  setOrigin: jest.fn(),
+  setScale: jest.fn(),
+  setTint: jest.fn(),
+  setVisible: jest.fn(function(visible) { this.visible = visible; }),
+  setActive: jest.fn(),
+  setFrame: jest.fn(function(f) { this.frame = f; })
+});
+
+const createGroup = () => ({ create: jest.fn((x, y, texture, frame) => createSprite(x, y, frame)) });
+
+describe('KeyInventory', () => {
+  test('adds and spends keys per colour', () => {
+    const inventory = new KeyInventory();
+    expect(inventory.use('red')).toBe(false);
+    inventory.add('red');
+    inventory.add('red');
+    expect(inventory.count('red')).toBe(2);
+    expect(inventory.use('red')).toBe(true);
+    expect(inventory.has('red')).toBe(true);
+    expect(inventory.has('blue')).toBe(false);
+    expect(() => inventory.add('purple')).toThrow("unknown key colour 'purple'");
+  });
+});
+
+describe('SceneFactory keys, locks and doors', () => {
+  test('creates keys, lock blocks and two-tile tinted doors from level JSON', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const factory = new SceneFactory({});
+    factory.loadConfiguration({
+      platforms: [],
+      locks: [{ x: 0, y: 64, color: 'blue' }, { x: 64, y: 64, color: 'purple' }],
+      doors: [{ x: 128, y: 128, color: 'green' }]
+    });
+
+    const keysGroup = createGroup();
+    const [key] = factory.createKeyPickupsFromConfig([{ x: 10, y: 20, color: 'blue' }], keysGroup);
+    expect(key).toBeInstanceOf(KeyPickup);
+    expect(keysGroup.create.mock.calls[0][3]).toBe('key_blue');
+
+    const locksGroup = createGroup();
+    const [lock, door] = factory.createLocksFromConfig(locksGroup);
+    expect(lock.kind).toBe('lock');
+    expect(lock.sprites[0].frame).toBe('lock_blue');
+    expect(door.kind).toBe('door');
+    expect(door.sprites.map(sprite => sprite.frame)).toEqual(['door_closed', 'door_closed_top']);
+    expect(door.sprites[0].setTint).toHaveBeenCalledWith(KeyInventory.TINTS.green);
+    expect(warn).toHaveBeenCalledWith('[SceneFactory] Unknown lock colour:', 'purple');
+    warn.mockRestore();
+  });
+});
+
+describe('Collecting keys and opening locks', () => {
+  const createScene = () => ({
+    keyInventory: new KeyInventory(),
+    timeManager: { isRewinding: false },
+    audioManager: { playSfx: jest.fn() },
+    events: { emit: jest.fn() }
+  });
+
+  test('a key is collected once and opens a lock of its colour', () => {
+    const scene = createScene();
+    const key = new KeyPickup(createSprite(), 'yellow');
+    GameScene.prototype.handlePlayerKeyOverlap.call(scene, {}, key.sprite);
+    GameScene.prototype.handlePlayerKeyOverlap.call(scene, {}, key.sprite);
+    expect(scene.keyInventory.count('yellow')).toBe(1);
+    expect(key.sprite.body.enable).toBe(false);
+    expect(scene.events.emit).toHaveBeenCalledWith('keyCollected', { color: 'yellow', count: 1 });
+
+    const wrongLock = new LockBlock([createSprite()], 'red');
+    GameScene.prototype.handlePlayerLockCollision.call(scene, {}, wrongLock.sprites[0]);
+    expect(wrongLock.isUnlocked).toBe(false);
+
+    const doorTiles = [createSprite(), createSprite()];
+    doorTiles[0].openFrame = 'door_open';
+    doorTiles[1].openFrame = 'door_open_top';
+    const door = new LockBlock(doorTiles, 'yellow', 'door');
+    GameScene.prototype.handlePlayerLockCollision.call(scene, {}, doorTiles[1]);
+    expect(door.isUnlocked).toBe(true);
+    expect(scene.keyInventory.count('yellow')).toBe(0);
+    expect(doorTiles.map(sprite => [sprite.frame, sprite.visible, sprite.body.enable])).toEqual([
+      ['door_open', true, false],
+      ['door_open_top', true, false]
+    ]);
+    expect(scene.events.emit).toHaveBeenCalledWith('lockOpened', { color: 'yellow', kind: 'door' });
+  });
+
+  test('keys and locks are left alone while rewinding', () => {
+    const scene = createScene();
+    scene.timeManager.isRewinding = true;
+    const key = new KeyPickup(createSprite(), 'blue');
+    GameScene.prototype.handlePlayerKeyOverlap.call(scene, {}, key.sprite);
+    expect(key.isCollected).toBe(false);
+  });
+});
+
+describe('Rewinding keys and locks', () => {
+  test('rewinding past a pickup and an unlock takes the key back and re-locks', () => {
+    const scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    const manager = new TimeManager(scene);
+    const inventory = new KeyInventory();
+    const key = new KeyPickup(createSprite(), 'red');
+    const lockTile = createSprite();
+    lockTile.closedFrame = 'lock_red';
+    const lock = new LockBlock([lockTile], 'red');
+    [inventory, key, lock].forEach(object => manager.register(object));
+
+    for (let t = 0; t < 3000; t += 50) {
+      if (t === 1000) key.collect(inventory);
+      if (t === 2000 && inventory.use('red')) lock.unlock();
+      manager.update(t, 50);
+    }
+    expect(lock.isUnlocked).toBe(true);
+    expect(lockTile.visible).toBe(false);
+
+    manager.toggleRewind(true);
+    manager.update(3000, 1500);
+    expect(lock.isUnlocked).toBe(false);
+    expect(lockTile.body.enable).toBe(true);
+    expect(inventory.count('red')).toBe(1);
+
+    manager.update(3050, 1000);
+    expect(key.isCollected).toBe(false);
+    expect(key.sprite.body.enable).toBe(true);
+    expect(inventory.count('red')).toBe(0);
+  });
+});
@@ -0,0 +1,288 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import Checkpoint from '../../client/src/entities/Checkpoint.js';
+import HeartPickup from '../../client/src/entities/HeartPickup.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import UIScene from '../../client/src/scenes/UIScene.js';
+import KeyInventory from '../../client/src/systems/KeyInventory.js';
+import LivesCounter from '../../client/src/systems/LivesCounter.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { GameConfig, LEVEL_SCALE } from '../../client/src/config/GameConfig.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createHeartSprite = (x = 0, y = 0) => ({
+  x, y, visible: true, active: true,
+  body: { enable: true, setAllowGravity: jest.fn() },
+  setScale: jest.fn(),
+  setTint: jest.fn(),
+  setVisible: jest.fn(function(visible) { this.visible = visible; }),
+  setActive: jest.fn(function(active) { this.active = active; })
+});
+
+const createPlayer = () => ({
+  health: 50,
+  maxHealth: 100,
+  _deathEventEmitted: false,
+  heal: jest.fn(function(amount) { this.health = Math.min(this.maxHealth, this.health + amount); }),
+  respawn: jest.fn(function(x, y, health) {
+    Object.assign(this, { x, y, health, _deathEventEmitted: false });
+  })
+});
+
+const createCoin = () => ({
+  isCollected: false,
+  getStateForRecording() { return { isCollected: this.isCollected }; },
+  setStateFromRecording(state) { this.isCollected = state.isCollected; }
+});
+
+const createFlag = (x = 0, y = 0) => ({
+  x, y,
+  anims: { stop: jest.fn() },
+  play: jest.fn(),
+  setFrame: jest.fn()
+});
+
+// A GameScene stand-in running the lives methods on a real TimeManager
+const createScene = (lives = 3) => {
+  const scene = createPhaserSceneMock('GameScene');
+  scene.time = { now: 0 };
+  scene.events.emit = jest.fn();
+  scene.player = createPlayer();
+  scene.playerSpawn = { x: 100, y: 200 };
+  scene.checkpointState = null;
+  scene.audioManager = { playSfx: jest.fn() };
+  const coins = new Map([['coinsCollected', 0]]);
+  scene.registry = {
+    get: jest.fn(key => coins.get(key)),
+    set: jest.fn((key, value) => coins.set(key, value))
+  };
+  scene.gameCoins = [createCoin()];
+  scene.gameKeys = [];
+  scene.gameLocks = [];
+  scene.keyInventory = new KeyInventory();
+  scene.livesCounter = new LivesCounter(lives);
+  scene.timeManager = new TimeManager(scene);
+  scene.timeManager.register(scene.livesCounter);
+  scene.triggerGameOver = jest.fn(() => { scene._gameOverTriggered = true; });
+  ['handlePlayerDied', 'loseLife', 'handlePlayerHeartOverlap', 'saveCheckpoint', 'captureCheckpointState', 'respawnAtCheckpoint']
+    .forEach(name => { scene[name] = GameScene.prototype[name]; });
+  return scene;
+};
+
+// The pending-life step of GameScene.stepSimulation()
+const step = scene => {
+  if (scene._lifeLostPending && !scene.timeManager.isRewinding) {
+    scene._lifeLostPending = false;
+    if (scene.player.health <= 0) scene.loseLife();
+  }
+};
+
+const die = scene => {
+  scene.player.health = 0;
+  scene.player._deathEventEmitted = true;
+  scene.handlePlayerDied();
+};
+
+describe('LivesCounter', () => {
+  test('loses and gains lives within 0 and max', () => {
+    const counter = new LivesCounter(1, 2);
+    expect(counter.gain()).toBe(true);
+    expect(counter.gain()).toBe(false);
+    expect(counter.lives).toBe(2);
+    expect([counter.lose(), counter.lose(), counter.lose()]).toEqual([1, 0, 0]);
+    expect(new LivesCounter().lives).toBe(GameConfig.lives.initial);
+  });
+
+  test('rejects a starting count outside 1 to max', () => {
+    expect(() => new LivesCounter(0)).toThrow("LivesCounter: lives must be a whole number from 1 to 9, got '0'");
+    expect(() => new LivesCounter(2.5)).toThrow('LivesCounter');
+    expect(() => new LivesCounter(4, 3)).toThrow('LivesCounter');
+  });
+});
+
+describe('GameScene.createLivesCounter', () => {
+  test('warns and starts with the default for an invalid lives count', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const create = lives => {
+      const scene = { levelConfig: { lives }, timeManager: { register: jest.fn() } };
+      GameScene.prototype.createLivesCounter.call(scene);
+      return scene;
+    };
+
+    expect([undefined, 5].map(lives => create(lives).livesCounter.lives)).toEqual([GameConfig.lives.initial, 5]);
+    expect(warn).not.toHaveBeenCalled();
+    expect([0, 2.5, GameConfig.lives.max + 1, '3'].map(lives => create(lives).livesCounter.lives))
+      .toEqual(Array(4).fill(GameConfig.lives.initial));
+    expect(warn).toHaveBeenCalledTimes(4);
+    expect(warn).toHaveBeenCalledWith(`[GameScene] Invalid lives in level configuration, using ${GameConfig.lives.initial}:`, 0);
+    expect(create(2).timeManager.register).toHaveBeenCalledWith(expect.any(LivesCounter));
+    warn.mockRestore();
+  });
+});
+
+describe('HeartPickup', () => {
+  test('heals the player, or adds a life for an extra-life heart', () => {
+    const player = createPlayer();
+    const counter = new LivesCounter(2);
+    const heart = new HeartPickup(createHeartSprite(), { heal: 25 });
+    expect(heart.collect(player, counter)).toBe(true);
+    expect(heart.collect(player, counter)).toBe(false);
+    expect([player.health, counter.lives]).toEqual([75, 2]);
+    expect(heart.sprite.visible || heart.sprite.body.enable).toBe(false);
+
+    const extraLife = new HeartPickup(createHeartSprite(), { heal: 25, extraLife: true });
+    extraLife.collect(player, counter);
+    expect([player.health, counter.lives]).toEqual([75, 3]);
+
+    heart.setStateFromRecording({ isCollected: false });
+    expect(heart.sprite.visible && heart.sprite.body.enable).toBe(true);
+  });
+
+  test('an extra-life heart at the most lives heals instead', () => {
+    const player = createPlayer();
+    const counter = new LivesCounter(2, 2);
+    new HeartPickup(createHeartSprite(), { heal: 10, extraLife: true }).collect(player, counter);
+    expect([player.health, counter.lives]).toEqual([60, 2]);
+  });
+});
+
+describe('SceneFactory hearts', () => {
+  test('creates hearts from the hearts array and tints extra-life hearts', () => {
+    const factory = new SceneFactory({});
+    const group = { create: jest.fn((x, y) => createHeartSprite(x, y)) };
+    const hearts = factory.createHeartPickupsFromConfig([
+      { x: 320, y: 640 },
+      { x: 960, y: 640, heal: 50, extraLife: true },
+      { x: 'bad', y: 0 }
+    ], group);
+
+    expect(hearts).toHaveLength(2);
+    expect(group.create).toHaveBeenCalledWith(320 * LEVEL_SCALE, 640 * LEVEL_SCALE, 'tiles', 'heart');
+    expect(hearts.map(heart => [heart.heal, heart.extraLife])).toEqual([[GameConfig.lives.heartHeal, false], [50, true]]);
+    expect(hearts[0].sprite.setTint).not.toHaveBeenCalled();
+    expect(hearts[1].sprite.setTint).toHaveBeenCalledWith(HeartPickup.EXTRA_LIFE_TINT);
+    expect(hearts[0].sprite.parentHeart).toBe(hearts[0]);
+  });
+});
+
+describe('GameScene lives', () => {
+  test('dying with lives to spare respawns the player on the next tick', () => {
+    const scene = createScene(3);
+    die(scene);
+    expect(scene._lifeLostPending).toBe(true);
+    expect(scene.livesCounter.lives).toBe(3);
+
+    step(scene);
+    expect(scene.livesCounter.lives).toBe(2);
+    expect(scene.player.respawn).toHaveBeenCalledWith(100, 200, 100);
+    expect(scene.events.emit).toHaveBeenCalledWith('lifeLost', { lives: 2 });
+    expect(scene.triggerGameOver).not.toHaveBeenCalled();
+
+    // With a checkpoint saved the player respawns there instead
+    scene.checkpointState = { index: 0, x: 500, y: 300 };
+    die(scene);
+    step(scene);
+    expect(scene.player.respawn).toHaveBeenLastCalledWith(500, 300, 100);
+    expect(scene.livesCounter.lives).toBe(1);
+  });
+
+  test('losing the last life is game over', () => {
+    const scene = createScene(1);
+    die(scene);
+    expect(scene._lifeLostPending).toBeFalsy();
+    expect(scene.livesCounter.lives).toBe(0);
+    expect(scene.triggerGameOver).toHaveBeenCalledTimes(1);
+    expect(scene.player.respawn).not.toHaveBeenCalled();
+  });
+
+  test('rewinding past a death gives the life back', () => {
+    const scene = createScene(3);
+    for (let t = 0; t < 2000; t += 50) {
+      scene.time.now = t;
+      if (t === 1000) die(scene);
+      step(scene);
+      scene.timeManager.update(t, 50);
+    }
+    expect(scene.livesCounter.lives).toBe(2);
+
+    scene.timeManager.toggleRewind(true);
+    scene.timeManager.update(2000, 1500);
+    expect(scene.livesCounter.lives).toBe(3);
+    expect(scene.player._deathEventEmitted).toBe(true);
+  });
+
+  test('respawning after game over continues with 1 life, not the lives held at the checkpoint', () => {
+    const scene = createScene(3);
+    scene.saveCheckpoint(new Checkpoint(createFlag(500, 300), 0));
+    die(scene);
+    step(scene);
+    die(scene);
+    step(scene);
+    die(scene);
+    expect(scene.livesCounter.lives).toBe(0);
+    expect(scene.triggerGameOver).toHaveBeenCalledTimes(1);
+
+    expect(scene.respawnAtCheckpoint()).toBe(true);
+    expect(scene.livesCounter.lives).toBe(1);
+  });
+
+  test('a spare life keeps the timeline, while a game-over respawn loads the checkpoint save', () => {
+    const scene = createScene(2);
+    scene.saveCheckpoint(new Checkpoint(createFlag(500, 300), 0));
+    scene.gameCoins[0].isCollected = true;
+    scene.registry.set('coinsCollected', 1);
+    scene.keyInventory.add('red');
+
+    // Spare life: back at the flag at full health, keeping the coin and key
+    die(scene);
+    step(scene);
+    expect(scene.player.respawn).toHaveBeenLastCalledWith(500, 300, 100);
+    expect(scene.gameCoins[0].isCollected).toBe(true);
+    expect(scene.registry.get('coinsCollected')).toBe(1);
+    expect(scene.keyInventory.count('red')).toBe(1);
+
+    // Game over: the coin, key and health saved at the flag
+    die(scene);
+    scene.respawnAtCheckpoint();
+    expect(scene.player.respawn).toHaveBeenLastCalledWith(500, 300, 50);
+    expect(scene.gameCoins[0].isCollected).toBe(false);
+    expect(scene.registry.get('coinsCollected')).toBe(0);
+    expect(scene.keyInventory.count('red')).toBe(0);
+  });
+
+  test('collecting hearts plays a sound and reports the new health and lives', () => {
+    const scene = createScene(2);
+    const heart = new HeartPickup(createHeartSprite(), { heal: 25 });
+    const extraLife = new HeartPickup(createHeartSprite(), { heal: 25, extraLife: true });
+
+    scene.timeManager.isRewinding = true;
+    scene.handlePlayerHeartOverlap(scene.player, heart.sprite);
+    expect(heart.isCollected).toBe(false);
+    scene.timeManager.isRewinding = false;
+
+    scene.handlePlayerHeartOverlap(scene.player, heart.sprite);
+    scene.handlePlayerHeartOverlap(scene.player, extraLife.sprite);
+    expect(scene.audioManager.playSfx.mock.calls).toEqual([['heart'], ['extraLife']]);
+    expect(scene.events.emit).toHaveBeenCalledWith('heartCollected', { extraLife: false, health: 75, lives: 2 });
+    expect(scene.events.emit).toHaveBeenCalledWith('heartCollected', { extraLife: true, health: 75, lives: 3 });
+  });
+});
+
+describe('UIScene lives display', () => {
+  test('shows a heart per life up to five and counts the rest', () => {
+    const scene = new UIScene();
+    Object.assign(scene, createPhaserSceneMock('UIScene'));
+    scene.add.image = jest.fn(() => ({ setScale: jest.fn(), setVisible: jest.fn(function(visible) { this.visible = visible; }) }));
+    scene.add.text = jest.fn(() => ({ setText: jest.fn(function(text) { this.text = text; }) }));
+
+    scene.updateLivesDisplay(3);
+    expect(scene.add.image).toHaveBeenCalledWith(560, 30, 'tiles', 'hud_player_beige');
+    expect(scene.livesDisplay.hearts.map(heart => heart.visible)).toEqual([true, true, true, false, false]);
+    expect(scene.livesDisplay.label.text).toBe('');
+
+    scene.updateLivesDisplay(7);
+    expect(scene.add.image).toHaveBeenCalledTimes(6);
+    expect(scene.livesDisplay.label.text).toBe('+2');
+  });
+});
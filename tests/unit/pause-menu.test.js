@@ -277,7 +277,7 @@ describe('Task 4.4: Pause Menu Functionality', () => {
       uiScene.create({ showPause: false });
       
       // Should not add extra graphics/text for pause menu  
-      expect(mockScene.add.graphics.mock.calls.length).toBe(graphicsCalls + 3); // Health bar graphics + MapOverlay
+      expect(mockScene.add.graphics.mock.calls.length).toBe(graphicsCalls + 6); // Health bar graphics + MapOverlay + rewind meter + breath meter + rewind timeline
     });
 
     test('should create semi-transparent overlay', () => {
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import { createPlayerMock } from '../mocks/playerMock.js';
+import PlayerAbilities from '../../client/src/systems/PlayerAbilities.js';
+import Player from '../../client/src/entities/Player.js';
+import FallState from '../../client/src/entities/states/FallState.js';
+import DashState from '../../client/src/entities/states/DashState.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: jest.fn(key => (items.has(key) ? items.get(key) : null)),
+    setItem: jest.fn((key, value) => items.set(key, String(value)))
+  };
+};
+
+const createPlayer = abilities => createPlayerMock({
+  body: { velocity: { x: 0, y: 100 } },
+  abilities
+});
+
+describe('PlayerAbilities', () => {
+  test('pickups grant a level once, up to the maximum', () => {
+    const abilities = new PlayerAbilities();
+    expect(abilities.maxAirJumps).toBe(0);
+    expect(abilities.maxAirDashes).toBe(GameConfig.abilities.airDash.baseCharges);
+
+    expect(abilities.grant('doubleJump', 'cave:0')).toBe(true);
+    expect(abilities.grant('doubleJump', 'cave:0')).toBe(false);
+    expect(abilities.grant('doubleJump', 'cave:1')).toBe(false);
+    expect(abilities.hasCollected('cave:1')).toBe(true);
+    expect(abilities.airJumps).toBe(GameConfig.abilities.doubleJump.airJumpsPerLevel);
+
+    abilities.grant('longDash');
+    expect(abilities.dashDurationMultiplier).toBe(GameConfig.abilities.longDash.durationMultiplier);
+    expect(() => abilities.grant('fly')).toThrow("unknown ability 'fly'");
+  });
+
+  test('unlocks are saved per slot and invalid saves are ignored', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createStorage();
+    const abilities = new PlayerAbilities();
+    abilities.grant('airDash', 'cave:2');
+    expect(abilities.save('slot2', storage)).toBe(true);
+
+    const loaded = PlayerAbilities.load('slot2', storage);
+    expect(loaded.levels.airDash).toBe(1);
+    expect(loaded.hasCollected('cave:2')).toBe(true);
+    expect(PlayerAbilities.load('slot1', storage).levels.airDash).toBe(0);
+
+    storage.setItem(PlayerAbilities.storageKey('slot3'), JSON.stringify({ version: 9 }));
+    expect(PlayerAbilities.load('slot3', storage).levels.airDash).toBe(0);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('Air charges', () => {
+  test('a double jump spends a charge and a buffered press', () => {
+    const abilities = new PlayerAbilities({ levels: { doubleJump: 1 } });
+    const player = createPlayer(abilities);
+    player.jumpBufferedUntil = 1100;
+    new FallState(player).execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('jump');
+    expect(abilities.airJumps).toBe(0);
+
+    // Without a charge the press stays buffered for landing
+    const grounded = createPlayer(new PlayerAbilities());
+    grounded.jumpBufferedUntil = 1100;
+    new FallState(grounded).execute();
+    expect(grounded.stateMachine.setState).not.toHaveBeenCalled();
+    expect(grounded.jumpBufferedUntil).toBe(1100);
+  });
+
+  test('air dashes need a charge; ground dashes are free', () => {
+    const abilities = new PlayerAbilities();
+    const player = createPlayer(abilities);
+    const dash = new DashState(player);
+
+    dash.enter();
+    expect(player.isDashing).toBe(true);
+    expect(abilities.airDashes).toBe(GameConfig.abilities.airDash.baseCharges - 1);
+
+    player.canDash = true;
+    dash.enter();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('fall');
+
+    player.body.onFloor.mockReturnValue(true);
+    player.canDash = true;
+    player.stateMachine.setState.mockClear();
+    dash.enter();
+    expect(player.stateMachine.setState).not.toHaveBeenCalled();
+  });
+
+  test('rewind restores spent charges and the long dash lengthens dashes', () => {
+    const abilities = new PlayerAbilities({ levels: { airDash: 2, longDash: 1 } });
+    const player = { body: { velocity: { x: 0, y: 0 } }, abilities, baseDashDuration: 240 };
+    Player.prototype.applyAbilities.call(player);
+    expect(player.dashDuration).toBe(240 * GameConfig.abilities.longDash.durationMultiplier);
+
+    abilities.spendAirDash();
+    abilities.spendAirDash();
+    Player.prototype.setStateFromRecording.call(player, { x: 0, y: 0, velocityX: 0, velocityY: 0, airJumps: 0, airDashes: 2 });
+    expect(abilities.airDashes).toBe(2);
+  });
+});
+
+describe('Ability pickups', () => {
+  test('are created from level JSON and unlock once when collected', () => {
+    const group = { create: jest.fn(() => ({ body: { setAllowGravity: jest.fn() }, setScale: jest.fn(), active: true, destroy: jest.fn() })) };
+    const factory = new SceneFactory({});
+    const [pickup] = factory.createAbilityPickupsFromConfig([{ x: 100, y: 200, ability: 'doubleJump', id: 'cave:dj' }], group);
+    expect(group.create).toHaveBeenCalledWith(50, 100, 'tiles', GameConfig.abilities.doubleJump.tileKey);
+    expect(pickup.ability).toBe('doubleJump');
+
+    const player = { abilities: new PlayerAbilities(), applyAbilities: jest.fn() };
+    const scene = { player, saveSlot: 'test', events: { emit: jest.fn() } };
+    GameScene.prototype.handlePlayerAbilityPickupOverlap.call(scene, player, pickup);
+    expect(player.abilities.levels.doubleJump).toBe(1);
+    expect(scene.events.emit).toHaveBeenCalledWith('abilityUnlocked', { ability: 'doubleJump', level: 1 });
+    expect(pickup.destroy).toHaveBeenCalled();
+    expect(PlayerAbilities.load('test').hasCollected('cave:dj')).toBe(true);
+  });
+});
@@ -155,6 +155,9 @@ describe('Task 8: Player state after rewind ends', () => {
       right: { isDown: false },
       up: { isDown: false },
       down: { isDown: false },
+      // Player reads movement through the getters so replays are honoured
+      get isLeftPressed() { return this.left.isDown; },
+      get isRightPressed() { return this.right.isDown; },
     };
     jest.spyOn(player.stateMachine, 'setState');
     jest.spyOn(player.stateMachine, 'update');
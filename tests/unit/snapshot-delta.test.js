@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import { SnapshotDelta } from '../../client/src/systems/SnapshotDelta.js';
+import StateRingBuffer from '../../client/src/systems/StateRingBuffer.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+describe('SnapshotDelta', () => {
+  const player = { name: 'player' };
+  const coin = { name: 'coin' };
+  const enemy = { name: 'enemy' };
+
+  test('diffState reports only changed and removed keys', () => {
+    expect(SnapshotDelta.diffState({ x: 1, y: 2 }, { x: 1, y: 2 })).toBeNull();
+    expect(SnapshotDelta.diffState({ x: 1, y: 2, extra: true }, { x: 5, y: 2 })).toEqual({ set: { x: 5 }, unset: ['extra'] });
+    expect(SnapshotDelta.diffState(undefined, { x: 1 }, false)).toEqual({ state: { x: 1 } });
+    expect(SnapshotDelta.diffState({ x: 1 }, null)).toEqual({ state: null });
+  });
+
+  test('encode omits unchanged targets and apply rebuilds the full frame', () => {
+    const previous = {
+      timestamp: 0,
+      coinsCollected: 0,
+      states: [
+        { target: player, state: { x: 0, y: 0, health: 100 } },
+        { target: coin, state: { isCollected: false, x: 10, y: 10 } },
+        { target: enemy, state: { x: 50, active: true } }
+      ]
+    };
+    const next = {
+      timestamp: 50,
+      coinsCollected: 1,
+      states: [
+        { target: player, state: { x: 4, y: 0, health: 100 } },
+        { target: coin, state: { isCollected: false, x: 10, y: 10 } }
+      ]
+    };
+
+    const delta = SnapshotDelta.encode(next, SnapshotDelta.statesToMap(previous));
+    expect(delta.timestamp).toBe(50);
+    expect(delta.coinsCollected).toBe(1);
+    expect(delta.changes).toEqual([{ target: player, set: { x: 4 } }]);
+    expect(delta.removed).toEqual([enemy]);
+
+    const rebuilt = SnapshotDelta.mapToFrame(
+      SnapshotDelta.metaOf(delta),
+      SnapshotDelta.apply(SnapshotDelta.statesToMap(previous), delta)
+    );
+    expect(rebuilt).toEqual(next);
+    // Source states are never mutated
+    expect(previous.states[0].state.x).toBe(0);
+  });
+});
+
+describe('StateRingBuffer delta storage', () => {
+  const targets = Array.from({ length: 4 }, (_, i) => ({ id: i }));
+
+  const makeFrame = (timestamp) => ({
+    timestamp,
+    coinsCollected: Math.floor(timestamp / 200),
+    states: targets
+      // Target 3 only exists for part of the timeline
+      .filter(t => t.id !== 3 || (timestamp >= 300 && timestamp < 700))
+      .map(t => ({
+        target: t,
+        state: t.id === 0
+          ? { x: timestamp, y: 0, animation: timestamp % 100 === 0 ? 'run' : 'jump' }
+          : { x: t.id * 10, y: t.id * 10, isCollected: t.id === 2 && timestamp >= 400 }
+      }))
+  });
+
+  test('reads return the same full frames as raw storage, including across evictions', () => {
+    const raw = new StateRingBuffer(12);
+    const compressed = new StateRingBuffer(12, { keyframeInterval: 5 });
+    for (let t = 0; t < 1000; t += 50) {
+      raw.push(makeFrame(t));
+      compressed.push(makeFrame(t));
+    }
+
+    expect(compressed.length).toBe(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+      expect(compressed[i]).toEqual(raw[i]);
+    }
+    // Reverse order, as during rewind
+    for (let i = raw.length - 1; i >= 0; i--) {
+      expect(compressed.get(i)).toEqual(raw.get(i));
+    }
+  });
+
+  test('discardOldest promotes the new head and truncate keeps later pushes consistent', () => {
+    const raw = new StateRingBuffer(30);
+    const compressed = new StateRingBuffer(30, { keyframeInterval: 4 });
+    for (let t = 0; t < 500; t += 50) {
+      raw.push(makeFrame(t));
+      compressed.push(makeFrame(t));
+    }
+
+    raw.discardOldest(3);
+    compressed.discardOldest(3);
+    raw.truncate(5);
+    compressed.truncate(5);
+    for (let t = 800; t < 1100; t += 50) {
+      raw.push(makeFrame(t));
+      compressed.push(makeFrame(t));
+    }
+
+    expect(compressed.toArray()).toEqual(raw.toArray());
+    expect(compressed.findIndexByTimestamp(820)).toBe(raw.findIndexByTimestamp(820));
+  });
+
+  test('keyframes are stored at the configured interval', () => {
+    const buffer = new StateRingBuffer(100, { keyframeInterval: 10 });
+    for (let t = 0; t < 2500; t += 50) {
+      buffer.push(makeFrame(t));
+    }
+    expect(buffer.getMetrics().keyframes).toBe(5);
+  });
+});
+
+describe('TimeManager snapshot compression', () => {
+  const recordSession = (keyframeInterval) => {
+    const scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    const manager = new TimeManager(scene);
+    manager.keyframeInterval = keyframeInterval;
+    manager.stateBuffer = manager._createStateBuffer();
+
+    const player = {
+      x: 0,
+      y: 0,
+      getStateForRecording() { return { x: this.x, y: this.y, velocityX: 100, velocityY: 0, animation: 'player-run', health: 100 }; },
+      setStateFromRecording: jest.fn(function(state) { this.x = state.x; })
+    };
+    manager.register(player);
+    const coins = Array.from({ length: 60 }, (_, i) => ({
+      getStateForRecording: () => ({ isCollected: false, x: i * 32, y: 100 }),
+      setStateFromRecording: jest.fn()
+    }));
+    coins.forEach(c => manager.register(c));
+
+    for (let t = 0; t < 10000; t += 50) {
+      player.x = t / 10;
+      manager.update(t, 50);
+    }
+    return { manager, player, coins };
+  };
+
+  test('coin-heavy levels store an order of magnitude less state', () => {
+    const full = recordSession(1).manager.getBufferMetrics();
+    const compressed = recordSession(20).manager.getBufferMetrics();
+
+    expect(compressed.frames).toBe(full.frames);
+    expect(compressed.fields * 10).toBeLessThan(full.fields);
+    expect(compressed.estimatedBytes * 5).toBeLessThan(full.estimatedBytes);
+  });
+
+  test('rewind restores full state through setStateFromRecording', () => {
+    const { manager, player, coins } = recordSession(20);
+    manager.toggleRewind(true);
+    manager.update(10000, 125);
+
+    expect(player.setStateFromRecording).toHaveBeenCalled();
+    expect(player.x).toBeCloseTo((9950 - 125) / 10);
+    const lastPlayerState = player.setStateFromRecording.mock.calls.at(-1)[0];
+    expect(lastPlayerState).toMatchObject({ animation: 'player-run', health: 100 });
+    expect(coins[59].setStateFromRecording).toHaveBeenLastCalledWith(expect.objectContaining({ isCollected: false, x: 59 * 32 }));
+  });
+});
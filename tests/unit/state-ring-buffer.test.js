@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import StateRingBuffer from '../../client/src/systems/StateRingBuffer.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const frame = (timestamp, fields = { x: 0, y: 0 }) => ({
+  timestamp,
+  states: [{ target: {}, state: { ...fields } }]
+});
+
+describe('StateRingBuffer', () => {
+  test('rejects invalid capacities', () => {
+    expect(() => new StateRingBuffer(0)).toThrow();
+    expect(() => new StateRingBuffer(2.5)).toThrow();
+  });
+
+  test('keeps frames oldest to newest and supports get() and iteration', () => {
+    const buffer = new StateRingBuffer(4);
+    buffer.push(frame(0), frame(50), frame(100));
+
+    expect(buffer.length).toBe(3);
+    expect(buffer.get(0).timestamp).toBe(0);
+    expect(buffer.get(buffer.length - 1).timestamp).toBe(100);
+    expect(buffer.get(-1).timestamp).toBe(100);
+    expect(buffer.get(3)).toBeUndefined();
+    expect([...buffer].map(f => f.timestamp)).toEqual([0, 50, 100]);
+  });
+
+  test('evicts the oldest frame once full', () => {
+    const buffer = new StateRingBuffer(3);
+    for (let t = 0; t <= 250; t += 50) {
+      buffer.push(frame(t));
+    }
+
+    expect(buffer.length).toBe(3);
+    expect(buffer.toArray().map(f => f.timestamp)).toEqual([150, 200, 250]);
+    expect(buffer.first().timestamp).toBe(150);
+    expect(buffer.last().timestamp).toBe(250);
+    expect(buffer.evictedFrames).toBe(3);
+  });
+
+  test('findIndexByTimestamp returns the first frame at or after a timestamp across the wrap point', () => {
+    const buffer = new StateRingBuffer(4);
+    for (let t = 0; t <= 300; t += 50) {
+      buffer.push(frame(t));
+    }
+    // Stored: 150, 200, 250, 300 (head has wrapped)
+    expect(buffer.findIndexByTimestamp(0)).toBe(0);
+    expect(buffer.findIndexByTimestamp(175)).toBe(1);
+    expect(buffer.findIndexByTimestamp(250)).toBe(2);
+    expect(buffer.findIndexByTimestamp(301)).toBe(-1);
+  });
+
+  test('truncate, length assignment and discardOldest drop the expected frames', () => {
+    const buffer = new StateRingBuffer(5);
+    for (let t = 0; t <= 200; t += 50) {
+      buffer.push(frame(t));
+    }
+
+    buffer.discardOldest(2);
+    expect(buffer.toArray().map(f => f.timestamp)).toEqual([100, 150, 200]);
+
+    buffer.truncate(2);
+    expect(buffer.toArray().map(f => f.timestamp)).toEqual([100, 150]);
+
+    buffer.length = 1;
+    expect(buffer.toArray().map(f => f.timestamp)).toEqual([100]);
+
+    buffer.push(frame(250));
+    expect(buffer.toArray().map(f => f.timestamp)).toEqual([100, 250]);
+  });
+
+  test('metrics track stored records and fields and stay flat once full', () => {
+    const buffer = new StateRingBuffer(2);
+    buffer.push(frame(0, { x: 1, y: 2, health: 3 }));
+    expect(buffer.getMetrics()).toMatchObject({ frames: 1, records: 1, fields: 3, spanMs: 0 });
+
+    buffer.push(frame(50), frame(100), frame(150));
+    const full = buffer.getMetrics();
+    expect(full).toMatchObject({ frames: 2, capacity: 2, records: 2, fields: 4, spanMs: 50 });
+
+    buffer.push(frame(200), frame(250));
+    expect(buffer.getMetrics().estimatedBytes).toBe(full.estimatedBytes);
+
+    buffer.clear();
+    expect(buffer.getMetrics()).toMatchObject({ frames: 0, records: 0, fields: 0, estimatedBytes: 0 });
+  });
+});
+
+describe('TimeManager rewind horizon', () => {
+  let manager;
+  let target;
+
+  beforeEach(() => {
+    const scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    target = {
+      x: 0,
+      y: 0,
+      body: { velocity: { x: 0, y: 0 }, setVelocity: jest.fn(), setAllowGravity: jest.fn() },
+      active: true,
+      visible: true,
+      setActive: jest.fn(),
+      setVisible: jest.fn()
+    };
+    manager = new TimeManager(scene);
+    manager.register(target);
+  });
+
+  test('buffer size stays bounded by the horizon during long sessions', () => {
+    manager.setRewindHorizon(1);
+    for (let t = 0; t < 60000; t += 50) {
+      manager.update(t, 50);
+    }
+
+    const metrics = manager.getBufferMetrics();
+    expect(metrics.horizonMs).toBe(1000);
+    expect(metrics.frames).toBe(metrics.capacity);
+    expect(metrics.spanMs).toBeLessThanOrEqual(1000);
+    expect(manager.stateBuffer.last().timestamp).toBe(59950);
+  });
+
+  test('setRewindHorizon keeps the newest frames when shrinking', () => {
+    for (let t = 0; t < 2000; t += 50) {
+      manager.update(t, 50);
+    }
+    manager.setRewindHorizon(0.5);
+
+    expect(manager.stateBuffer.last().timestamp).toBe(1950);
+    expect(manager.stateBuffer.first().timestamp).toBe(1450);
+  });
+
+  test('rewind still interpolates across the wrapped buffer', () => {
+    manager.setRewindHorizon(0.5);
+    for (let t = 0; t < 2000; t += 50) {
+      target.x = t;
+      manager.update(t, 50);
+    }
+    manager.toggleRewind(true);
+    manager.update(2000, 125);
+
+    expect(target.x).toBeCloseTo(1825);
+    expect(manager.isRewinding).toBe(true);
+  });
+});
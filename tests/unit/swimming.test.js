@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import { createPlayerMock } from '../mocks/playerMock.js';
+import SwimState from '../../client/src/entities/states/SwimState.js';
+import Player from '../../client/src/entities/Player.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { GameConfig, LEVEL_SCALE } from '../../client/src/config/GameConfig.js';
+
+const water = GameConfig.water;
+
+// One volume from y = 100 to y = 400
+const createPlayer = ({ center = { x: 50, y: 200 }, top = 150 } = {}) => createPlayerMock({
+  body: { center, y: top },
+  stateMachine: { setState: jest.fn(), currentStateName: 'fall' },
+  scene: {
+    physics: { world: { gravity: { y: 980 } } },
+    audioManager: { playSfx: jest.fn() },
+    waterVolumes: [{ x: 0, y: 100, width: 200, height: 300 }]
+  },
+  takeDamage: jest.fn()
+});
+
+describe('Player.updateWater', () => {
+  test('entering water switches to swimming and splashes when fast enough', () => {
+    const player = createPlayer();
+    player.body.velocity.y = water.splashMinSpeed * LEVEL_SCALE;
+    player.updateWater(16);
+    expect(player.inWater).toBe(true);
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('swim');
+    expect(player.scene.audioManager.playSfx).toHaveBeenCalledWith('splash');
+
+    const gentle = createPlayer();
+    gentle.body.velocity.y = 10;
+    gentle.updateWater(16);
+    expect(gentle.scene.audioManager.playSfx).not.toHaveBeenCalled();
+  });
+
+  test('breath drains under water, refills above it and drowning hurts', () => {
+    const player = createPlayer();
+    player.updateWater(1000);
+    expect(player.breath).toBe(water.breathDuration - 1000);
+
+    player.updateWater(water.breathDuration);
+    expect(player.breath).toBe(0);
+    expect(player.takeDamage).toHaveBeenCalledWith(water.drowningDamage);
+
+    // Head above the surface
+    player.body.y = 50;
+    player.updateWater(100);
+    expect(player.breath).toBe(100 * water.breathRefillRate);
+  });
+
+  test('rewind restores breath and whether the player was in water', () => {
+    const player = { body: { velocity: { x: 0, y: 0 } } };
+    Player.prototype.setStateFromRecording.call(player, { x: 0, y: 0, velocityX: 0, velocityY: 0, inWater: true, breath: 1234 });
+    expect(player.breath).toBe(1234);
+    expect(player.inWater).toBe(true);
+  });
+});
+
+describe('SwimState', () => {
+  test('water breaks the fall and gravity is turned off until exit', () => {
+    const player = createPlayer();
+    player.body.velocity.y = 500;
+    const state = new SwimState(player);
+    state.enter();
+    expect(player.body.setAllowGravity).toHaveBeenCalledWith(false);
+    expect(player.body.velocity.y).toBe(500 * water.entrySpeedFactor);
+    expect(player.anims.play).toHaveBeenCalledWith('player-swim', true);
+
+    state.exit();
+    expect(player.body.setAllowGravity).toHaveBeenCalledWith(true);
+  });
+
+  test('without input the player sinks slowly; a jump press is a stroke', () => {
+    const player = createPlayer();
+    const state = new SwimState(player);
+    for (let i = 0; i < 120; i++) state.execute(0, 1000 / 60);
+    expect(player.body.velocity.y).toBeGreaterThan(0);
+    expect(player.body.velocity.y).toBeLessThan(980 * (water.gravityScale - water.buoyancy) / water.drag + 1);
+
+    player.jumpBufferedUntil = 2000;
+    state.execute(0, 1000 / 60);
+    expect(player.body.velocity.y).toBeLessThan(-water.strokeVelocity * LEVEL_SCALE * 0.9);
+  });
+
+  test('swimming follows the input and leaving the water jumps out with up held', () => {
+    const player = createPlayer();
+    const state = new SwimState(player);
+    player.inputManager.isRightPressed = true;
+    for (let i = 0; i < 120; i++) state.execute(0, 1000 / 60);
+    expect(player.body.velocity.x).toBeCloseTo(water.swimSpeed * LEVEL_SCALE, 0);
+
+    player.body.center = { x: 50, y: 50 };
+    player.inputManager.isUpPressed = true;
+    state.execute(0, 1000 / 60);
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('jump');
+  });
+});
+
+describe('SceneFactory water volumes', () => {
+  const createGroup = () => ({
+    create: jest.fn((x, y, texture, frame) => ({
+      x, y, frame,
+      body: { setAllowGravity: jest.fn() },
+      setOrigin: jest.fn(),
+      setScale: jest.fn()
+    }))
+  });
+
+  test('builds tinted volumes from the water array and map_matrix runs', () => {
+    const rectangle = { setDepth: jest.fn() };
+    const factory = new SceneFactory({ add: { rectangle: jest.fn(() => rectangle) } });
+    factory.config = {
+      water: [{ x: 0, y: 64, width: 128, height: 128, tint: 0x00ff00 }],
+      map_matrix: [
+        [{ tileKey: 'water_top', type: 'water' }, { tileKey: 'water_top', type: 'water' }, null, { tileKey: 'water', type: 'water' }]
+      ]
+    };
+    expect(factory.validateMapMatrixConfiguration(factory.config.map_matrix)).toBe(true);
+
+    const group = createGroup();
+    const volumes = factory.createWaterVolumesFromConfig(group);
+    const tile = 64 * LEVEL_SCALE;
+
+    expect(volumes.map(({ x, y, width, height }) => [x, y, width, height])).toEqual([
+      [0, tile, 2 * tile, 2 * tile],
+      [0, 0, 2 * tile, tile],
+      [3 * tile, 0, tile, tile]
+    ]);
+    expect(volumes[0].tint).toBe(0x00ff00);
+    expect(volumes[1].tint).toBe(water.tint);
+    expect(volumes[0].overlay).toBe(rectangle);
+    expect(group.create.mock.calls.map(call => call[3])).toEqual([
+      'water_top', 'water_top', 'water', 'water', 'water_top', 'water_top', 'water'
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import TemporalPolicy from '../../client/src/systems/TemporalPolicy.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createBody = (allowGravity = true) => ({
+  allowGravity,
+  velocity: { x: 0, y: 0 },
+  setVelocity: jest.fn(),
+  setAllowGravity: jest.fn()
+});
+
+const createTarget = (extra = {}) => ({
+  x: 0,
+  body: createBody(),
+  getStateForRecording() { return { x: this.x }; },
+  setStateFromRecording: jest.fn(function(state) { this.x = state.x; }),
+  ...extra
+});
+
+describe('TemporalPolicy.normalize', () => {
+  test('accepts mode strings and scaled objects', () => {
+    expect(TemporalPolicy.normalize()).toEqual({ mode: 'rewindable', rate: 1 });
+    expect(TemporalPolicy.normalize('immune')).toEqual({ mode: 'immune', rate: 0 });
+    expect(TemporalPolicy.normalize({ mode: 'scaled', rate: 0.5 })).toEqual({ mode: 'scaled', rate: 0.5 });
+  });
+
+  test('falls back to rewindable for unknown modes and invalid rates', () => {
+    expect(TemporalPolicy.normalize('frozen')).toBe(TemporalPolicy.DEFAULT);
+    expect(TemporalPolicy.normalize('scaled')).toBe(TemporalPolicy.DEFAULT);
+    expect(TemporalPolicy.normalize({ mode: 'scaled', rate: -1 })).toBe(TemporalPolicy.DEFAULT);
+  });
+});
+
+describe('TimeManager temporal policies', () => {
+  let scene;
+  let manager;
+
+  const record = (targets, from = 1000, to = 1500) => {
+    for (let t = from; t <= to; t += 50) {
+      targets.forEach(target => { target.x = t; });
+      manager.update(t, 50);
+    }
+  };
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    manager = new TimeManager(scene);
+  });
+
+  test('register reads object.temporalPolicy and re-registering keeps it', () => {
+    const target = createTarget({ temporalPolicy: 'immune' });
+    manager.register(target);
+    delete target.temporalPolicy;
+    manager.register(target);
+    expect(manager.getTemporalPolicy(target).mode).toBe('immune');
+
+    manager.register(target, { mode: 'scaled', rate: 2 });
+    expect(manager.getTemporalPolicy(target)).toEqual({ mode: 'scaled', rate: 2 });
+  });
+
+  test('immune objects are not recorded, not restored and keep their gravity', () => {
+    const normal = createTarget();
+    const immune = createTarget();
+    manager.register(normal);
+    manager.register(immune, 'immune');
+    expect(manager.originalGravityStates.has(immune)).toBe(false);
+
+    record([normal, immune]);
+    expect(manager.stateBuffer.last().states.map(r => r.target)).toEqual([normal]);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 200);
+    manager.toggleRewind(false);
+
+    expect(normal.x).toBeCloseTo(1300);
+    expect(immune.x).toBe(1500);
+    expect(immune.setStateFromRecording).not.toHaveBeenCalled();
+    expect(immune.body.setAllowGravity).not.toHaveBeenCalled();
+    expect(normal.body.setAllowGravity).toHaveBeenCalledWith(false);
+  });
+
+  test('becoming immune mid-rewind restores gravity and stops restoring', () => {
+    const target = createTarget();
+    manager.register(target);
+    record([target]);
+
+    manager.toggleRewind(true);
+    manager.setTemporalPolicy(target, 'immune');
+    expect(target.body.setAllowGravity).toHaveBeenLastCalledWith(true);
+
+    target.setStateFromRecording.mockClear();
+    manager.update(1550, 100);
+    expect(target.setStateFromRecording).not.toHaveBeenCalled();
+  });
+
+  test('scaled objects rewind rate times as far as the scene', () => {
+    const normal = createTarget();
+    const half = createTarget();
+    const double = createTarget();
+    manager.register(normal);
+    manager.register(half, { mode: 'scaled', rate: 0.5 });
+    manager.register(double, { mode: 'scaled', rate: 2 });
+    record([normal, half, double]);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 200);
+
+    expect(normal.x).toBeCloseTo(1300);
+    expect(half.x).toBeCloseTo(1400);
+    expect(double.x).toBeCloseTo(1100);
+
+    // Clamped to the oldest frame
+    manager.update(1550, 300);
+    expect(double.x).toBe(1000);
+  });
+
+  test('immune coins stay collected and stay counted', () => {
+    let coins = 0;
+    scene.registry = { get: () => coins, set: jest.fn((key, value) => { coins = value; }) };
+    const player = createTarget();
+    const coin = { isCollected: false, getStateForRecording() { return { isCollected: this.isCollected }; }, setStateFromRecording: jest.fn() };
+    manager.register(player);
+    manager.register(coin, 'immune');
+
+    record([player], 1000, 1200);
+    coin.isCollected = true;
+    coins = 1;
+    record([player], 1250, 1500);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 450);
+
+    expect(coin.isCollected).toBe(true);
+    expect(coin.setStateFromRecording).not.toHaveBeenCalled();
+    expect(coins).toBe(1);
+  });
+});
+
+describe('SceneFactory temporal policies', () => {
+  test('applyTemporalPolicy attaches normalized level JSON policies', () => {
+    const factory = new SceneFactory(createPhaserSceneMock('GameScene'));
+    const enemy = {};
+    const coin = {};
+
+    factory.applyTemporalPolicy(enemy, { temporalPolicy: 'immune' });
+    factory.applyTemporalPolicy(coin, { x: 10, y: 10 });
+
+    expect(enemy.temporalPolicy).toEqual({ mode: 'immune', rate: 0 });
+    expect(coin).not.toHaveProperty('temporalPolicy');
+  });
+});
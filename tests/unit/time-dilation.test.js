@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import TimeDilation from '../../client/src/systems/TimeDilation.js';
+import ChronoPulse from '../../client/src/entities/ChronoPulse.js';
+import GameScene from '../../client/src/scenes/GameScene.js';
+
+const createScene = () => ({
+  time: { now: 1000 },
+  physics: { world: { timeScale: 1 } },
+  tweens: { timeScale: 1 },
+  events: { emit: jest.fn() }
+});
+
+describe('TimeDilation', () => {
+  let scene;
+  let dilation;
+
+  beforeEach(() => {
+    scene = createScene();
+    dilation = new TimeDilation(scene);
+    scene.timeDilation = dilation;
+  });
+
+  test('world time equals the scene clock at scale 1', () => {
+    dilation.tick(1016, 16);
+    expect(dilation.getTime()).toBe(1000);
+    expect(dilation.toWorldTime(1016)).toBe(1016);
+    expect(dilation.scaleDelta(16)).toBe(16);
+  });
+
+  test('setScale drives physics, tweens and emits timeScaleChanged', () => {
+    expect(dilation.setScale(0.5)).toBe(0.5);
+    expect(scene.physics.world.timeScale).toBe(2);
+    expect(scene.tweens.timeScale).toBe(0.5);
+    expect(scene.events.emit).toHaveBeenCalledWith('timeScaleChanged', { scale: 0.5, previous: 1 });
+
+    dilation.reset();
+    expect(scene.physics.world.timeScale).toBe(1);
+    expect(scene.tweens.timeScale).toBe(1);
+  });
+
+  test('scales are clamped and invalid values ignored', () => {
+    expect(dilation.setScale(100)).toBe(TimeDilation.MAX_SCALE);
+    expect(dilation.setScale(0.001)).toBe(TimeDilation.MIN_SCALE);
+    expect(dilation.setScale(0)).toBe(TimeDilation.MIN_SCALE);
+    expect(dilation.setScale('fast')).toBe(TimeDilation.MIN_SCALE);
+  });
+
+  test('world time advances at the scale and stays continuous across changes', () => {
+    dilation.setScale(0.5);
+    scene.time.now = 1100;
+    dilation.tick(1100, 100);
+    expect(dilation.getTime()).toBe(1050);
+
+    dilation.setScale(2);
+    scene.time.now = 1200;
+    dilation.tick(1200, 100);
+    expect(dilation.getTime()).toBe(1250);
+    expect(dilation.scaleDelta(100)).toBe(200);
+  });
+
+  test('TimeDilation.now falls back to the scene clock', () => {
+    expect(TimeDilation.now({ time: { now: 42 } })).toBe(42);
+    expect(TimeDilation.now(null)).toBe(0);
+    dilation.setScale(2);
+    dilation.tick(1000, 100);
+    expect(TimeDilation.now(scene)).toBe(1100);
+  });
+
+  test('ChronoPulse cooldown runs on world time', () => {
+    scene.add = { existing: jest.fn(), graphics: jest.fn() };
+    scene.physics.add = { existing: jest.fn() };
+    const pulse = new ChronoPulse(scene, 0, 0, { cooldown: 3000 }, { timeline: jest.fn() });
+    pulse.lastActivationTime = 1000;
+    dilation.setScale(0.5);
+
+    // 4 real seconds at half speed is only 2 world seconds
+    scene.time.now = 5000;
+    dilation.tick(5000, 4000);
+    expect(pulse.canActivate()).toBe(false);
+    expect(pulse.getCooldownStatus().remaining).toBe(1000);
+  });
+});
+
+describe('GameScene world time', () => {
+  test('update passes dilated time and delta to entities', () => {
+    const scene = createScene();
+    scene.timeDilation = new TimeDilation(scene);
+    scene.timeDilation.setScale(0.5);
+    scene.player = { inputManager: {}, update: jest.fn() };
+    const enemy = { update: jest.fn() };
+    scene.enemies = { getChildren: () => [enemy] };
+    scene.stepSimulation = GameScene.prototype.stepSimulation;
+
+    GameScene.prototype.update.call(scene, 1000, 16);
+
+    expect(scene.player.update).toHaveBeenCalledWith(992, 8);
+    expect(enemy.update).toHaveBeenCalledWith(992, 8);
+  });
+});
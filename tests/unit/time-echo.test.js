@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import TimeEcho from '../../client/src/entities/TimeEcho.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import ObjectPool from '../../client/src/systems/ObjectPool.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createSprite = () => {
+  const sprite = {
+    x: 0,
+    y: 0,
+    width: 64,
+    height: 64,
+    active: false,
+    visible: false,
+    body: { enable: true, setAllowGravity: jest.fn(), setSize: jest.fn(), setOffset: jest.fn() },
+    anims: { play: jest.fn(), stop: jest.fn() }
+  };
+  ['setTexture', 'setOrigin', 'setScale', 'setAlpha', 'setTint', 'clearTint', 'setFlipX'].forEach(name => {
+    sprite[name] = jest.fn(() => sprite);
+  });
+  sprite.setPosition = jest.fn((x, y) => { sprite.x = x; sprite.y = y; return sprite; });
+  sprite.setActive = jest.fn(value => { sprite.active = value; return sprite; });
+  sprite.setVisible = jest.fn(value => { sprite.visible = value; return sprite; });
+  return sprite;
+};
+
+const createPlayer = () => {
+  const children = [createSprite()];
+  const group = { getChildren: () => children, add: child => children.push(child) };
+  return { texture: { key: 'characters' }, ghostPool: new ObjectPool(group, createSprite) };
+};
+
+const state = (x, extra = {}) => ({ x, y: 100, velocityX: 10, velocityY: 0, animation: 'player-run', isAlive: true, ...extra });
+
+describe('TimeEcho', () => {
+  let scene;
+  let player;
+  let echoGroup;
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.events = { emit: jest.fn(), on: jest.fn(), off: jest.fn() };
+    scene.timeManager = { isRewinding: false };
+    player = createPlayer();
+    echoGroup = { add: jest.fn(), remove: jest.fn() };
+  });
+
+  test('trackFromFrames keeps only the player states and stops once the player died', () => {
+    const other = {};
+    const frames = [0, 50, 100, 150].map((timestamp, i) => ({
+      timestamp,
+      states: [
+        { target: other, state: { x: 0 } },
+        { target: player, state: state(i * 10, { isAlive: i < 2 }) }
+      ]
+    }));
+
+    const track = TimeEcho.trackFromFrames(frames, player);
+    expect(track.map(p => p.timestamp)).toEqual([0, 50, 100]);
+    expect(track[1].state.x).toBe(10);
+  });
+
+  test('borrows a translucent ghost sprite and joins the echo group', () => {
+    const echo = new TimeEcho(scene, player, [{ timestamp: 0, state: state(5) }, { timestamp: 100, state: state(15) }], echoGroup);
+
+    expect(echo.isActive).toBe(true);
+    expect(echo.sprite.active).toBe(true);
+    expect(echo.sprite.setAlpha).toHaveBeenCalledWith(expect.any(Number));
+    expect(echo.sprite.timeEcho).toBe(echo);
+    expect(echoGroup.add).toHaveBeenCalledWith(echo.sprite);
+    expect(echo.sprite.body.setAllowGravity).toHaveBeenCalledWith(false);
+    expect(echo.sprite.x).toBe(5);
+    expect(scene.events.emit).toHaveBeenCalledWith('timeEchoStarted', { echo });
+  });
+
+  test('replays the recorded path at its original pace and returns the sprite when done', () => {
+    const track = [
+      { timestamp: 1000, state: state(0) },
+      { timestamp: 1050, state: state(50) },
+      { timestamp: 1100, state: state(200, { velocityX: -10 }) }
+    ];
+    const echo = new TimeEcho(scene, player, track, echoGroup);
+    const sprite = echo.sprite;
+
+    echo.update(0, 25);
+    expect(sprite.x).toBeCloseTo(25);
+    echo.update(0, 50);
+    expect(sprite.x).toBeCloseTo(125);
+    expect(sprite.anims.play).toHaveBeenCalledWith('player-run', true);
+
+    echo.update(0, 50);
+    expect(sprite.x).toBe(200);
+    expect(echo.isActive).toBe(false);
+    expect(sprite.active).toBe(false);
+    expect(sprite.body.enable).toBe(false);
+    expect(echoGroup.remove).toHaveBeenCalledWith(sprite);
+    expect(scene.events.emit).toHaveBeenCalledWith('timeEchoEnded', { echo, reason: 'completed' });
+  });
+
+  test('holds still while rewinding', () => {
+    const echo = new TimeEcho(scene, player, [{ timestamp: 0, state: state(0) }, { timestamp: 100, state: state(100) }], echoGroup);
+    scene.timeManager.isRewinding = true;
+    echo.update(0, 50);
+    expect(echo.elapsed).toBe(0);
+    expect(echo.sprite.x).toBe(0);
+  });
+
+  test('takeHit ends the echo early', () => {
+    const enemy = { damage: 20 };
+    const echo = new TimeEcho(scene, player, [{ timestamp: 0, state: state(0) }, { timestamp: 100, state: state(100) }], echoGroup);
+
+    echo.takeHit(enemy);
+    expect(echo.isActive).toBe(false);
+    expect(scene.events.emit).toHaveBeenCalledWith('timeEchoHit', { echo, enemy });
+    expect(scene.events.emit).toHaveBeenCalledWith('timeEchoEnded', { echo, reason: 'hit' });
+  });
+
+  test('is inactive when no ghost pool is available', () => {
+    const echo = new TimeEcho(scene, { texture: { key: 'characters' } }, [{ timestamp: 0, state: state(0) }]);
+    expect(echo.isActive).toBe(false);
+    expect(() => echo.update(0, 16)).not.toThrow();
+  });
+});
+
+describe('TimeManager abandoned timeline', () => {
+  let scene;
+  let manager;
+  let target;
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    scene.events = { emit: jest.fn(), on: jest.fn(), off: jest.fn() };
+    target = {
+      x: 0,
+      getStateForRecording() { return { x: this.x }; },
+      setStateFromRecording(s) { this.x = s.x; }
+    };
+    manager = new TimeManager(scene);
+    manager.register(target);
+    for (let t = 1000; t <= 1500; t += 50) {
+      target.x = t;
+      manager.update(t, 50);
+    }
+  });
+
+  test('ending a rewind keeps frames up to the playback point and emits the discarded future', () => {
+    manager.toggleRewind(true);
+    manager.update(1550, 175);
+    manager.toggleRewind(false);
+
+    expect(manager.stateBuffer.first().timestamp).toBe(1000);
+    expect(manager.stateBuffer.last().timestamp).toBe(1300);
+    const [, payload] = scene.events.emit.mock.calls.find(([name]) => name === 'timelineAbandoned');
+    expect(payload.fromTimestamp).toBe(1325);
+    expect(payload.frames.map(f => f.timestamp)).toEqual([1350, 1400, 1450, 1500]);
+    expect(payload.frames[0].states[0]).toEqual({ target, state: { x: 1350 } });
+  });
+
+  test('ending a rewind without moving back abandons nothing', () => {
+    manager.toggleRewind(true);
+    manager.toggleRewind(false);
+
+    expect(manager.stateBuffer.length).toBe(11);
+    expect(scene.events.emit).not.toHaveBeenCalledWith('timelineAbandoned', expect.anything());
+  });
+
+  test('rewinding to the oldest frame abandons everything after it', () => {
+    manager.toggleRewind(true);
+    manager.update(2000, 1000);
+
+    expect(manager.isRewinding).toBe(false);
+    expect(manager.stateBuffer.length).toBe(1);
+    const [, payload] = scene.events.emit.mock.calls.find(([name]) => name === 'timelineAbandoned');
+    expect(payload.frames).toHaveLength(10);
+  });
+});
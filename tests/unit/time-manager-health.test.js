@@ -98,7 +98,7 @@ describe('TimeManager Health State Recording and Restoration', () => {
     manager.update(sceneMock.time.now, 16);
     
     expect(manager.stateBuffer.length).toBe(1);
-    const recordedState = manager.stateBuffer[0].states[0];
+    const recordedState = manager.stateBuffer.get(0).states[0];
     expect(recordedState.target).toBe(playerMock);
     expect(recordedState.state.health).toBe(100);
     expect(recordedState.state.isInvulnerable).toBe(false);
@@ -119,7 +119,7 @@ describe('TimeManager Health State Recording and Restoration', () => {
     manager.update(sceneMock.time.now + 100, 16);
     
     // Rewind to first frame
-    const firstFrame = manager.stateBuffer[0];
+    const firstFrame = manager.stateBuffer.get(0);
     manager.applyFrame(firstFrame);
     
     // Verify health is restored
@@ -143,7 +143,7 @@ describe('TimeManager Health State Recording and Restoration', () => {
     manager.update(sceneMock.time.now + 100, 16);
     
     // Rewind to alive state
-    const firstFrame = manager.stateBuffer[0];
+    const firstFrame = manager.stateBuffer.get(0);
     manager.applyFrame(firstFrame);
     
     // Verify resurrection
@@ -163,8 +163,8 @@ describe('TimeManager Health State Recording and Restoration', () => {
     manager.update(sceneMock.time.now + 50, 16);
     
     // Simulate rewind interpolation
-    const frameA = manager.stateBuffer[1].states[0].state; // 50 health
-    const frameB = manager.stateBuffer[0].states[0].state; // 100 health
+    const frameA = manager.stateBuffer.get(1).states[0].state; // 50 health
+    const frameB = manager.stateBuffer.get(0).states[0].state; // 100 health
     
     // Test interpolation at t=0.5 (should be 75 health)
     const interpolatedState = manager.interpolateState.call(manager, frameA, frameB, 0.5);
@@ -183,7 +183,7 @@ describe('TimeManager Health State Recording and Restoration', () => {
     manager.update(sceneMock.time.now + 100, 16);
     
     // Rewind to normal state
-    const firstFrame = manager.stateBuffer[0];
+    const firstFrame = manager.stateBuffer.get(0);
     manager.applyFrame(firstFrame);
     
     // Verify invulnerability is removed
@@ -209,13 +209,13 @@ describe('TimeManager Health State Recording and Restoration', () => {
     
     // Verify all states are recorded
     expect(manager.stateBuffer.length).toBe(4);
-    expect(manager.stateBuffer[0].states[0].state.health).toBe(100);
-    expect(manager.stateBuffer[1].states[0].state.health).toBe(80);
-    expect(manager.stateBuffer[2].states[0].state.health).toBe(60);
-    expect(manager.stateBuffer[3].states[0].state.health).toBe(40);
+    expect(manager.stateBuffer.get(0).states[0].state.health).toBe(100);
+    expect(manager.stateBuffer.get(1).states[0].state.health).toBe(80);
+    expect(manager.stateBuffer.get(2).states[0].state.health).toBe(60);
+    expect(manager.stateBuffer.get(3).states[0].state.health).toBe(40);
     
     // Test rewind to first state
-    manager.applyFrame(manager.stateBuffer[0]);
+    manager.applyFrame(manager.stateBuffer.get(0));
     expect(playerMock.health).toBe(100);
   });
 
@@ -231,7 +231,7 @@ describe('TimeManager Health State Recording and Restoration', () => {
     manager.update(sceneMock.time.now + 100, 16);
     
     // Rewind to first state
-    const firstFrame = manager.stateBuffer[0];
+    const firstFrame = manager.stateBuffer.get(0);
     manager.applyFrame(firstFrame);
     
     // Verify health is restored correctly
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+describe('TimeManager rewind energy meter', () => {
+  let scene;
+  let manager;
+  let target;
+
+  const recordFrames = (count, start = 1000) => {
+    for (let i = 0; i < count; i++) {
+      manager.update(start + i * 50, 50);
+    }
+  };
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    target = {
+      x: 0,
+      y: 0,
+      body: { velocity: { x: 0, y: 0 }, setVelocity: jest.fn(), setAllowGravity: jest.fn() },
+      active: true,
+      visible: true,
+      anims: { currentAnim: null, play: jest.fn() },
+      setActive: jest.fn(),
+      setVisible: jest.fn()
+    };
+    manager = new TimeManager(scene);
+    manager.register(target);
+  });
+
+  test('starts full using GameConfig.rewind defaults', () => {
+    expect(manager.rewindCapacity).toBe(GameConfig.rewind.capacity * 1000);
+    expect(manager.rewindEnergy).toBe(manager.rewindCapacity);
+    expect(manager.getRewindEnergyRatio()).toBe(1);
+  });
+
+  test('configureRewindEnergy applies level overrides and falls back on invalid values', () => {
+    manager.configureRewindEnergy({ capacity: 2, rechargeRate: 'fast' });
+    expect(manager.rewindCapacity).toBe(2000);
+    expect(manager.rewindEnergy).toBe(2000);
+    expect(manager.rewindRechargeRate).toBe(GameConfig.rewind.rechargeRate);
+  });
+
+  test('drains while rewinding', () => {
+    recordFrames(20);
+    manager.toggleRewind(true);
+    manager.update(2000, 100);
+    expect(manager.rewindEnergy).toBe(manager.rewindCapacity - 100);
+  });
+
+  test('stops rewind cleanly at the last affordable position when the meter empties', () => {
+    manager.configureRewindEnergy({ capacity: 0.2 });
+    recordFrames(20);
+    const lastTimestamp = manager.stateBuffer.last().timestamp;
+    manager.toggleRewind(true);
+
+    manager.update(2000, 150);
+    expect(manager.isRewinding).toBe(true);
+    manager.update(2016, 150);
+
+    expect(manager.rewindEnergy).toBe(0);
+    expect(manager.isRewinding).toBe(false);
+    expect(manager.playbackTimestamp).toBe(lastTimestamp - 200);
+    expect(target.body.setAllowGravity).toHaveBeenLastCalledWith(true);
+  });
+
+  test('refuses to start while empty and stays locked until released', () => {
+    manager.configureRewindEnergy({ capacity: 0.1, rechargeDelay: 0 });
+    recordFrames(20);
+    manager.toggleRewind(true);
+    manager.update(2000, 200);
+    expect(manager.isRewinding).toBe(false);
+
+    // Recharge a little, but the lock holds while R is still held
+    manager.update(3000, 50);
+    expect(manager.rewindEnergy).toBeGreaterThan(0);
+    manager.toggleRewind(true);
+    expect(manager.isRewinding).toBe(false);
+
+    manager.releaseRewindLock();
+    manager.toggleRewind(true);
+    expect(manager.isRewinding).toBe(true);
+  });
+
+  test('recharges only after the recharge delay and never above capacity', () => {
+    manager.configureRewindEnergy({ capacity: 1, rechargeRate: 1, rechargeDelay: 500 });
+    recordFrames(10);
+    manager.toggleRewind(true);
+    manager.update(1500, 400);
+    scene.time.now = 1600;
+    manager.toggleRewind(false);
+    expect(manager.rewindEnergy).toBe(600);
+
+    manager.update(1900, 100);
+    expect(manager.rewindEnergy).toBe(600);
+
+    manager.update(2200, 300);
+    expect(manager.rewindEnergy).toBe(900);
+
+    manager.update(2700, 500);
+    expect(manager.rewindEnergy).toBe(1000);
+  });
+
+  test('does not recharge while recording is paused', () => {
+    manager.configureRewindEnergy({ capacity: 1, rechargeDelay: 0 });
+    manager.rewindEnergy = 0;
+    manager.pauseRecording();
+    manager.update(5000, 100);
+    expect(manager.rewindEnergy).toBe(0);
+  });
+
+  test('addRewindEnergy clamps to capacity and ignores invalid amounts', () => {
+    manager.rewindEnergy = 0;
+    expect(manager.addRewindEnergy(1.5)).toBe(1500);
+    expect(manager.addRewindEnergy(-1)).toBe(0);
+    expect(manager.addRewindEnergy(100)).toBe(manager.rewindCapacity - 1500);
+    expect(manager.rewindEnergy).toBe(manager.rewindCapacity);
+  });
+});
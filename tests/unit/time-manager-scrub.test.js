@@ -0,0 +1,219 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+import UIScene from '../../client/src/scenes/UIScene.js';
+import InputManager from '../../client/src/systems/InputManager.js';
+
+describe('TimeManager rewind scrubbing', () => {
+  let scene;
+  let manager;
+  let target;
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    scene.events = { emit: jest.fn(), on: jest.fn(), off: jest.fn() };
+    target = {
+      x: 0,
+      getStateForRecording() { return { x: this.x }; },
+      setStateFromRecording(state) { this.x = state.x; }
+    };
+    manager = new TimeManager(scene);
+    manager.register(target);
+    for (let t = 1000; t <= 1500; t += 50) {
+      target.x = t;
+      manager.update(t, 50);
+    }
+  });
+
+  const startScrubAt = rewindMs => {
+    manager.toggleRewind(true);
+    manager.update(1550, rewindMs);
+    expect(manager.startScrubbing()).toBe(true);
+  };
+
+  test('scrubbing pauses playback until a direction is held', () => {
+    startScrubAt(100);
+    expect(scene.events.emit).toHaveBeenCalledWith('rewindScrubStarted', { timestamp: 1400 });
+
+    manager.update(1600, 200);
+    expect(manager.playbackTimestamp).toBe(1400);
+    expect(target.x).toBeCloseTo(1400);
+
+    manager.setScrubDirection(-1);
+    manager.update(1650, 75);
+    expect(manager.playbackTimestamp).toBe(1325);
+    expect(target.x).toBeCloseTo(1325);
+
+    manager.setScrubDirection(1);
+    manager.update(1700, 25);
+    expect(target.x).toBeCloseTo(1350);
+  });
+
+  test('scrubbing back spends energy and scrubbing forward refunds it', () => {
+    const full = manager.rewindEnergy;
+    startScrubAt(100);
+    expect(manager.rewindEnergy).toBe(full - 100);
+
+    manager.scrubBy(-200);
+    expect(manager.rewindEnergy).toBe(full - 300);
+    manager.scrubBy(1000);
+    expect(manager.playbackTimestamp).toBe(1500);
+    expect(manager.rewindEnergy).toBe(full);
+  });
+
+  test('scrubbing back stops at the oldest recorded frame', () => {
+    startScrubAt(50);
+    manager.scrubBy(-10000);
+    expect(manager.playbackTimestamp).toBe(1000);
+    expect(manager.isRewinding).toBe(true);
+  });
+
+  test('scrubbing back cannot spend more energy than was available at the start', () => {
+    manager.configureRewindEnergy({ capacity: 0.4 });
+    startScrubAt(50);
+    manager.scrubBy(-10000);
+    expect(manager.playbackTimestamp).toBe(1100);
+    expect(manager.rewindEnergy).toBe(0);
+    expect(manager.isRewinding).toBe(true);
+  });
+
+  test('stepScrub moves through recorded frames', () => {
+    startScrubAt(75);
+    expect(manager.playbackTimestamp).toBe(1425);
+
+    manager.stepScrub(-1);
+    expect(manager.playbackTimestamp).toBe(1400);
+    manager.stepScrub(-2);
+    expect(manager.playbackTimestamp).toBe(1300);
+    manager.stepScrub(1);
+    expect(manager.playbackTimestamp).toBe(1350);
+    expect(target.x).toBe(1350);
+  });
+
+  test('commitScrub ends the rewind at the chosen point and locks rewind until released', () => {
+    startScrubAt(100);
+    manager.scrubBy(-100);
+    expect(manager.commitScrub()).toBe(true);
+
+    expect(manager.isRewinding).toBe(false);
+    expect(manager.isScrubbing).toBe(false);
+    expect(manager.stateBuffer.last().timestamp).toBe(1300);
+    expect(scene.events.emit).toHaveBeenCalledWith('rewindScrubCommitted', { timestamp: 1300 });
+
+    manager.toggleRewind(true);
+    expect(manager.isRewinding).toBe(false);
+    manager.releaseRewindLock();
+    manager.toggleRewind(true);
+    expect(manager.isRewinding).toBe(true);
+  });
+
+  test('scrub controls do nothing outside scrub mode', () => {
+    expect(manager.startScrubbing()).toBe(false);
+    expect(manager.commitScrub()).toBe(false);
+    expect(manager.scrubBy(-100)).toBe(manager.playbackTimestamp);
+  });
+});
+
+describe('TimeManager timeline markers', () => {
+  let scene;
+  let manager;
+  let target;
+
+  beforeEach(() => {
+    scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    scene.events = { emit: jest.fn(), on: jest.fn(), off: jest.fn() };
+    target = { x: 0, getStateForRecording() { return { x: this.x }; }, setStateFromRecording(state) { this.x = state.x; } };
+    manager = new TimeManager(scene);
+    manager.register(target);
+  });
+
+  const record = (from, to) => {
+    for (let t = from; t <= to; t += 50) {
+      target.x = t;
+      manager.update(t, 50);
+    }
+  };
+
+  test('getTimeline reports the recorded range, playback point and markers', () => {
+    record(1000, 1200);
+    manager.addTimelineMarker('coin', 1100);
+    manager.addTimelineMarker('damage', 1150);
+    record(1250, 1500);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 100);
+    manager.addTimelineMarker('death', 1400);
+
+    const timeline = manager.getTimeline();
+    expect(timeline).toMatchObject({ start: 1000, end: 1500, playback: 1400, isScrubbing: false });
+    expect(timeline.markers.map(m => m.type)).toEqual(['coin', 'damage']);
+  });
+
+  test('markers in the abandoned future are dropped when the rewind ends', () => {
+    record(1000, 1500);
+    manager.addTimelineMarker('coin', 1200);
+    manager.addTimelineMarker('damage', 1450);
+
+    manager.toggleRewind(true);
+    manager.update(1550, 200);
+    manager.toggleRewind(false);
+
+    expect(manager.timelineMarkers.map(m => m.type)).toEqual(['coin']);
+  });
+
+  test('markers older than the buffer are pruned as recording continues', () => {
+    manager.setRewindHorizon(0.2);
+    record(1000, 1100);
+    manager.addTimelineMarker('coin', 1000);
+    record(1150, 1400);
+
+    expect(manager.timelineMarkers).toEqual([]);
+  });
+});
+
+describe('Rewind timeline UI and input', () => {
+  const createBar = () => ({ clear: jest.fn(), fillStyle: jest.fn(), fillRect: jest.fn() });
+
+  test('UIScene hides the timeline outside a rewind and draws markers and the playhead during one', () => {
+    const ui = {
+      rewindTimelineBounds: { x: 20, y: 90, width: 400, height: 10 },
+      rewindTimelineBar: createBar(),
+      rewindTimelineLabel: { setVisible: jest.fn(), setText: jest.fn() }
+    };
+
+    UIScene.prototype.updateRewindTimeline.call(ui, null);
+    expect(ui.rewindTimelineLabel.setVisible).toHaveBeenLastCalledWith(false);
+    expect(ui.rewindTimelineBar.fillRect).not.toHaveBeenCalled();
+
+    UIScene.prototype.updateRewindTimeline.call(ui, {
+      start: 1000, end: 2000, playback: 1500, earliest: 1000, isScrubbing: true,
+      markers: [{ type: 'death', timestamp: 1250 }]
+    });
+    expect(ui.rewindTimelineLabel.setVisible).toHaveBeenLastCalledWith(true);
+    expect(ui.rewindTimelineBar.fillStyle).toHaveBeenCalledWith(0xff3333, 1);
+    expect(ui.rewindTimelineBar.fillRect).toHaveBeenCalledWith(119, 87, 2, 16);
+    expect(ui.rewindTimelineBar.fillRect).toHaveBeenLastCalledWith(219, 85, 3, 20);
+    expect(ui.rewindTimelineLabel.setText).toHaveBeenCalledWith(expect.stringContaining('F: resume here'));
+  });
+
+  test('InputManager scrub getters work while other inputs are disabled', () => {
+    const keys = {};
+    const inputManager = new InputManager({
+      input: { keyboard: { addKey: jest.fn(code => { keys[code] = { isDown: false, justDown: false }; return keys[code]; }) } }
+    });
+    const JustDown = globalThis.Phaser.Input.Keyboard.JustDown;
+    globalThis.Phaser.Input.Keyboard.JustDown = key => !!key.justDown;
+    inputManager.inputsDisabled = true;
+
+    keys.F.justDown = true;
+    inputManager.left.isDown = true;
+    expect(inputManager.isScrubToggleJustPressed).toBe(true);
+    expect(inputManager.isScrubBackPressed).toBe(true);
+    expect(inputManager.isScrubForwardPressed).toBe(false);
+
+    globalThis.Phaser.Input.Keyboard.JustDown = JustDown;
+  });
+});
@@ -3,6 +3,7 @@ import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+import StateRingBuffer from '../../client/src/systems/StateRingBuffer.js';
 
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = dirname(__filename);
@@ -52,7 +53,7 @@ import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
     const manager = new TimeManager(sceneMock);
     expect(manager).toBeDefined();
     expect(manager.scene).toBe(sceneMock);
-    expect(manager.stateBuffer).toBeInstanceOf(Array);
+    expect(manager.stateBuffer).toBeInstanceOf(StateRingBuffer);
     expect(manager.isRewinding).toBe(false);
   });
 
@@ -67,7 +68,7 @@ import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
     manager.register(playerMock);
     manager.update(sceneMock.time.now, 16);
     expect(manager.stateBuffer.length).toBe(1);
-    const recordedState = manager.stateBuffer[0];
+    const recordedState = manager.stateBuffer.get(0);
     expect(recordedState.states[0].target).toBe(playerMock);
     expect(recordedState.states[0].state.x).toBe(playerMock.x);
   });
@@ -137,7 +138,7 @@ describe('Enemy State Recording and Rewind', () => {
   test('should record enemy health, position, velocity, and animation', () => {
     manager.register(enemyMock);
     manager.update(sceneMock.time.now, 16);
-    const recorded = manager.stateBuffer[0].states[0];
+    const recorded = manager.stateBuffer.get(0).states[0];
     expect(recorded.target).toBe(enemyMock);
     expect(recorded.state.x).toBe(enemyMock.x);
     expect(recorded.state.y).toBe(enemyMock.y);
@@ -166,7 +167,7 @@ describe('Enemy State Recording and Rewind', () => {
     });
     // Patch applyState to use setStateFromRecording
     manager.applyState = (target, s) => target.setStateFromRecording(s);
-    manager.applyFrame(manager.stateBuffer[0]);
+    manager.applyFrame(manager.stateBuffer.get(0));
     expect(enemyMock.x).toBe(111);
     expect(enemyMock.y).toBe(222);
     expect(enemyMock.body.velocity.x).toBe(7);
@@ -322,7 +323,7 @@ describe('Enemy Full Lifecycle Rewind', () => {
     // Diagnostic: print stateBuffer after both records
     console.log('[Test] stateBuffer after records:', JSON.stringify(manager.stateBuffer, null, 2));
     // Step 4: Rewind to alive state (first frame)
-    const firstFrame = manager.stateBuffer[0];
+    const firstFrame = manager.stateBuffer.get(0);
     console.log('[Test] Before rewind: health:', enemyMock.health, 'active:', enemyMock.active, 'visible:', enemyMock.visible, 'body.enable:', enemyMock.body.enable);
     manager.applyFrame(firstFrame);
     console.log('[Test] After rewind: health:', enemyMock.health, 'active:', enemyMock.active, 'visible:', enemyMock.visible, 'body.enable:', enemyMock.body.enable);
@@ -391,7 +392,7 @@ describe('Enemy Reactivation on Rewind', () => {
     // Diagnostic: print stateBuffer
     console.log('[Test] stateBuffer:', JSON.stringify(manager.stateBuffer, null, 2));
     // Rewind to alive state (first frame)
-    const firstFrame = manager.stateBuffer[0];
+    const firstFrame = manager.stateBuffer.get(0);
     manager.applyFrame(firstFrame);
     // Assert reactivation
     expect(enemyMock.health).toBe(50);
@@ -462,7 +463,7 @@ describe('TimeManager pauseRecording/resumeRecording', () => {
     manager.pauseRecording();
     const bufferBefore = [...manager.stateBuffer];
     manager.update(scene.time.now + 100, 16);
-    expect(manager.stateBuffer).toEqual(bufferBefore);
+    expect([...manager.stateBuffer]).toEqual(bufferBefore);
   });
 
   test('no new states are added while paused', () => {
@@ -494,7 +495,7 @@ describe('TimeManager Constructor Tests', () => {
     const scene = createPhaserSceneMock('TestScene');
     const manager = new TimeManager(scene);
     
-    expect(manager.stateBuffer).toBeInstanceOf(Array);
+    expect(manager.stateBuffer).toBeInstanceOf(StateRingBuffer);
     expect(manager.stateBuffer.length).toBe(0);
     expect(manager.isRewinding).toBe(false);
     expect(manager.managedObjects).toBeInstanceOf(Set);
@@ -610,8 +611,8 @@ describe('TimeManager handleRewind Method Tests', () => {
     manager.handleRewind(0); // No additional rewind, just process current position
     
     expect(interpolateFrameSpy).toHaveBeenCalledWith(
-      manager.stateBuffer[1], // frameA (future frame)
-      manager.stateBuffer[0], // frameB (past frame)
+      manager.stateBuffer.get(1), // frameA (future frame)
+      manager.stateBuffer.get(0), // frameB (past frame)
       0.5 // t should be 0.5 for midpoint
     );
   });
@@ -726,7 +727,7 @@ describe('TimeManager handleRecord Method Tests', () => {
     manager.register(objectWithCustomState);
     manager.handleRecord(100);
     expect(manager.stateBuffer.length).toBe(1);
-    const frame = manager.stateBuffer[0];
+    const frame = manager.stateBuffer.get(0);
     expect(frame.states[0].target).toBe(objectWithCustomState);
     expect(objectWithCustomState.getStateForRecording).toHaveBeenCalled();
     expect(frame.states[0].state).toEqual(expect.objectContaining({ x: 10, y: 20, velocityX: 1, velocityY: 2 }));
@@ -736,7 +737,7 @@ describe('TimeManager handleRecord Method Tests', () => {
     manager.register(objectWithDefaultState);
     manager.handleRecord(100);
     expect(manager.stateBuffer.length).toBe(1);
-    const frame = manager.stateBuffer[0];
+    const frame = manager.stateBuffer.get(0);
     expect(frame.states[0].target).toBe(objectWithDefaultState);
     expect(frame.states[0].state).toEqual(expect.objectContaining({
       x: 30,
@@ -2197,7 +2198,7 @@ describe('TimeManager Edge Cases and Error Handling', () => {
       
       // Should not cause memory leaks
       expect(originalBuffer.length).toBe(1);
-      expect(originalBuffer[0].states[0].target).toBe(playerMock);
+      expect(originalBuffer.get(0).states[0].target).toBe(playerMock);
     });
   });
 
@@ -2296,7 +2297,7 @@ describe('TimeManager Edge Cases and Error Handling', () => {
       
       expect(() => manager.update(1000, 50)).not.toThrow();
       expect(manager.stateBuffer.length).toBe(1);
-      expect(manager.stateBuffer[0].states.length).toBe(100);
+      expect(manager.stateBuffer.get(0).states.length).toBe(100);
     });
 
     test('should handle rapid state changes', () => {
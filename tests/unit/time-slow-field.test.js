@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import TimeSlowField from '../../client/src/entities/TimeSlowField.js';
+import { Enemy } from '../../client/src/entities/Enemy.js';
+import MovingPlatform from '../../client/src/entities/MovingPlatform.js';
+import InputManager from '../../client/src/systems/InputManager.js';
+
+const createGraphics = () => ({
+  setPosition: jest.fn().mockReturnThis(),
+  lineStyle: jest.fn().mockReturnThis(),
+  strokeCircle: jest.fn().mockReturnThis(),
+  fillStyle: jest.fn().mockReturnThis(),
+  fillCircle: jest.fn().mockReturnThis(),
+  destroy: jest.fn()
+});
+
+const createTarget = (x, y = 0) => ({ x, y, active: true, timeScale: 1, setTimeScale: jest.fn(function(scale) { this.timeScale = scale; }) });
+
+describe('TimeSlowField', () => {
+  let scene;
+  let field;
+  let enemies;
+  let platforms;
+  let hazards;
+  let gsapLib;
+
+  beforeEach(() => {
+    enemies = [createTarget(50), createTarget(500)];
+    platforms = [createTarget(0, 80), { x: 10, y: 0 }];
+    hazards = [createTarget(-60), { x: 20, y: 0, hazard: { type: 'spikes' } }];
+    scene = {
+      add: { existing: jest.fn(), graphics: jest.fn(createGraphics) },
+      physics: { add: { existing: jest.fn() } },
+      time: { now: 10000 },
+      events: { emit: jest.fn() },
+      enemies: { getChildren: () => enemies },
+      platforms: { getChildren: () => platforms },
+      hazards: { getChildren: () => hazards }
+    };
+    gsapLib = { to: jest.fn(() => ({ kill: jest.fn() })) };
+    field = new TimeSlowField(scene, 0, 0, { cooldown: 6000, duration: 4000, range: 100, slowFactor: 0.5 }, gsapLib);
+  });
+
+  test('activation slows targets in range and starts the cooldown', () => {
+    expect(field.canActivate()).toBe(true);
+    expect(field.activate()).toBe(true);
+
+    expect(field.isSlowing).toBe(true);
+    expect(enemies[0].timeScale).toBe(0.5);
+    expect(platforms[0].timeScale).toBe(0.5);
+    expect(enemies[1].setTimeScale).not.toHaveBeenCalled();
+    expect(scene.add.graphics).toHaveBeenCalled();
+    expect(scene.events.emit).toHaveBeenCalledWith('timeSlowStarted', field);
+
+    scene.time.now += 1000;
+    expect(field.activate()).toBe(false);
+    expect(field.getCooldownStatus().remaining).toBe(5000);
+  });
+
+  test('moving saws in the hazards group are slowed and static hazards are skipped', () => {
+    field.activate();
+
+    expect(hazards[0].timeScale).toBe(0.5);
+    expect(field.getTargets()).not.toContain(hazards[1]);
+
+    field.expire();
+    expect(hazards[0].timeScale).toBe(1);
+  });
+
+  test('targets leaving the field return to normal speed', () => {
+    field.activate();
+    field.x = 400;
+    field.update(scene.time.now + 100, 16);
+
+    expect(enemies[0].timeScale).toBe(1);
+    expect(enemies[1].timeScale).toBe(0.5);
+  });
+
+  test('the field expires after its duration and releases every target', () => {
+    field.activate();
+    field.update(scene.time.now + 4000, 16);
+
+    expect(field.isSlowing).toBe(false);
+    expect(enemies[0].timeScale).toBe(1);
+    expect(platforms[0].timeScale).toBe(1);
+    expect(field.bubbleGraphics).toBeNull();
+    expect(scene.events.emit).toHaveBeenCalledWith('timeSlowEnded', field);
+  });
+
+  test('records lifetime and cooldown relative to the scene clock', () => {
+    field.activate();
+    scene.time.now += 1500;
+    const state = field.getStateForRecording();
+    expect(state.isSlowing).toBe(true);
+    expect(state.remaining).toBe(2500);
+    expect(state.sinceActivation).toBe(1500);
+
+    // The scene clock keeps running while the timeline is rewound
+    scene.time.now += 3000;
+    field.setStateFromRecording(state);
+    expect(field.isSlowing).toBe(true);
+    expect(field.activeUntil).toBe(scene.time.now + 2500);
+    expect(field.getCooldownStatus().remaining).toBe(4500);
+  });
+
+  test('restoring a snapshot from before activation drops the field and refunds the cooldown', () => {
+    const before = field.getStateForRecording();
+    field.activate();
+
+    field.setStateFromRecording(before);
+    expect(field.isSlowing).toBe(false);
+    expect(enemies[0].timeScale).toBe(1);
+    expect(field.canActivate()).toBe(true);
+  });
+});
+
+describe('Time scale targets', () => {
+  const scene = () => ({
+    add: { existing: jest.fn() },
+    physics: { add: { existing: jest.fn() } },
+    time: { now: 1000 }
+  });
+
+  test('Enemy scales its movement velocity and state machine delta', () => {
+    const enemy = new Enemy(scene(), 0, 0, 'enemies');
+    enemy.body.setVelocity = jest.fn();
+    enemy.body.velocity = { x: 0, y: 30 };
+    enemy.speed = 100;
+
+    enemy.setTimeScale(0.25);
+    enemy.move();
+    expect(enemy.body.setVelocity).toHaveBeenLastCalledWith(25, 30);
+
+    enemy.stateMachine.update = jest.fn();
+    enemy.update(2000, 16);
+    expect(enemy.stateMachine.update).toHaveBeenCalledWith(2000, 4);
+
+    enemy.setTimeScale('fast');
+    expect(enemy.timeScale).toBe(1);
+  });
+
+  test('MovingPlatform re-aims at its target with the scaled speed', () => {
+    const platform = new MovingPlatform(scene(), 100, 200, 'platform-texture', { speed: 100, startX: 100, startY: 200, endX: 300, endY: 200 });
+    platform.body.setVelocity = jest.fn();
+    platform.body.velocity = { x: 100, y: 0 };
+    platform.isMoving = true;
+    platform.moveToTarget(300, 200);
+    expect(platform.body.setVelocity).toHaveBeenLastCalledWith(100, 0);
+
+    platform.setTimeScale(0.5);
+    expect(platform.body.setVelocity).toHaveBeenLastCalledWith(50, 0);
+    expect(platform.getStateForRecording()).not.toHaveProperty('timeScale');
+  });
+
+  test('InputManager binds the time-slow field to Q', () => {
+    const keys = {};
+    const inputManager = new InputManager({
+      input: { keyboard: { addKey: jest.fn(code => { keys[code] = { isDown: false, justDown: false }; return keys[code]; }) } }
+    });
+    const JustDown = globalThis.Phaser.Input.Keyboard.JustDown;
+    globalThis.Phaser.Input.Keyboard.JustDown = key => !!key.justDown;
+
+    keys.Q.justDown = true;
+    expect(inputManager.isTimeSlowJustPressed).toBe(true);
+    inputManager.inputsDisabled = true;
+    expect(inputManager.isTimeSlowJustPressed).toBe(false);
+
+    globalThis.Phaser.Input.Keyboard.JustDown = JustDown;
+  });
+});
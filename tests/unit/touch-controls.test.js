@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import TouchControls from '../../client/src/ui/TouchControls.js';
+import TouchInput from '../../client/src/systems/TouchInput.js';
+import InputManager from '../../client/src/systems/InputManager.js';
+import { GameConfig } from '../../client/src/config/GameConfig.js';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: jest.fn(key => (items.has(key) ? items.get(key) : null)),
+    setItem: jest.fn((key, value) => items.set(key, String(value)))
+  };
+};
+
+const createRegistry = () => {
+  const data = new Map();
+  return {
+    has: key => data.has(key),
+    get: key => data.get(key),
+    set: (key, value) => data.set(key, value),
+    remove: key => data.delete(key)
+  };
+};
+
+const createScene = ({ touch = true, registry = createRegistry() } = {}) => ({
+  sys: { game: { device: { input: { touch } } } },
+  registry,
+  add: {
+    graphics: () => ({
+      clear: jest.fn(), fillStyle: jest.fn(), fillCircle: jest.fn(),
+      setScrollFactor: jest.fn(), setDepth: jest.fn(), destroy: jest.fn()
+    }),
+    text: () => ({ setOrigin: jest.fn(), setDepth: jest.fn(), setPosition: jest.fn(), setAlpha: jest.fn(), destroy: jest.fn() })
+  },
+  input: {
+    on: jest.fn(),
+    off: jest.fn(),
+    addPointer: jest.fn(),
+    keyboard: { addKey: jest.fn(() => ({ isDown: false })) }
+  }
+});
+
+const button = action => GameConfig.touch.buttons.find(entry => entry.action === action);
+const { joystick } = GameConfig.touch;
+
+describe('TouchControls', () => {
+  test('show automatically on touch devices only, unless forced', () => {
+    expect(TouchControls.shouldShow(createScene({ touch: true }), 'auto')).toBe(true);
+    expect(TouchControls.shouldShow(createScene({ touch: false }), 'auto')).toBe(false);
+    expect(TouchControls.shouldShow(createScene({ touch: false }), 'on')).toBe(true);
+    expect(TouchControls.shouldShow(createScene({ touch: true }), 'off')).toBe(false);
+
+    const desktop = new TouchControls(createScene({ touch: false }), GameConfig.touch, createStorage());
+    expect(desktop.create()).toBe(false);
+  });
+
+  test('track the joystick and buttons per pointer (multi-touch)', () => {
+    const scene = createScene();
+    const controls = new TouchControls(scene, GameConfig.touch, createStorage());
+    expect(controls.create()).toBe(true);
+    expect(scene.registry.get(TouchInput.REGISTRY_KEY)).toBe(controls);
+    expect(scene.input.addPointer).toHaveBeenCalled();
+
+    controls.handlePointerDown({ id: 1, x: joystick.x - joystick.radius, y: joystick.y });
+    controls.handlePointerDown({ id: 2, x: button('up').x, y: button('up').y });
+    expect(controls.heldActions()).toEqual(['left', 'up']);
+
+    controls.handlePointerMove({ id: 1, x: joystick.x + joystick.radius * 0.1, y: joystick.y });
+    expect(controls.isActionDown('right')).toBe(false);
+    controls.handlePointerMove({ id: 1, x: joystick.x + joystick.radius * 2, y: joystick.y });
+    expect(controls.isActionDown('right')).toBe(true);
+
+    controls.handlePointerUp({ id: 1 });
+    expect(controls.heldActions()).toEqual(['up']);
+    controls.handlePointerUp({ id: 2 });
+    expect(controls.heldActions()).toEqual([]);
+
+    controls.destroy();
+    expect(scene.registry.get(TouchInput.REGISTRY_KEY)).toBeUndefined();
+  });
+
+  test('opacity and the mirrored layout are saved for the next session', () => {
+    const storage = createStorage();
+    const controls = new TouchControls(createScene(), GameConfig.touch, storage);
+    controls.create();
+
+    expect(controls.cycleOpacity()).toBe(0.75);
+    expect(controls.toggleLayout()).toBe('left');
+    const { stick } = controls.layout();
+    expect(stick.x).toBe(1280 - joystick.x);
+
+    expect(TouchControls.loadSettings(GameConfig.touch, storage)).toEqual({ mode: 'auto', opacity: 0.75, layout: 'left' });
+  });
+});
+
+describe('InputManager with touch controls', () => {
+  test('touch actions feed the same getters and ticks as keys', () => {
+    const scene = createScene();
+    const controls = new TouchControls(scene, GameConfig.touch, createStorage());
+    controls.create();
+    const inputManager = new InputManager(scene);
+
+    controls.handlePointerDown({ id: 1, x: joystick.x + joystick.radius, y: joystick.y });
+    expect(inputManager.isRightPressed).toBe(true);
+
+    controls.handlePointerDown({ id: 2, x: button('dash').x, y: button('dash').y });
+    expect(inputManager.isDashJustPressed).toBe(true);
+    expect(inputManager.isDashJustPressed).toBe(false);
+
+    controls.handlePointerDown({ id: 3, x: button('rewind').x, y: button('rewind').y });
+    const tick = inputManager.sampleTick();
+    expect(tick & InputManager.BUTTONS.rewind).toBe(InputManager.BUTTONS.rewind);
+    expect(tick & InputManager.BUTTONS.right).toBe(InputManager.BUTTONS.right);
+  });
+
+  test('actions held when a reader is created are not presses', () => {
+    const scene = createScene();
+    const controls = new TouchControls(scene, GameConfig.touch, createStorage());
+    controls.create();
+    controls.handlePointerDown({ id: 1, x: button('pause').x, y: button('pause').y });
+
+    const touch = new TouchInput(scene);
+    expect(touch.justPressed('pause')).toBe(false);
+    controls.handlePointerUp({ id: 1 });
+    expect(touch.justReleased('pause')).toBe(true);
+  });
+});
@@ -0,0 +1,231 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import Trigger from '../../client/src/entities/Trigger.js';
+import TriggerTarget from '../../client/src/entities/TriggerTarget.js';
+import LockBlock from '../../client/src/entities/LockBlock.js';
+import Enemy from '../../client/src/entities/Enemy.js';
+import TriggerSystem from '../../client/src/systems/TriggerSystem.js';
+import TimeManager from '../../client/src/systems/TimeManager.js';
+import { SceneFactory } from '../../client/src/systems/SceneFactory.js';
+import { createPhaserSceneMock } from '../mocks/phaserSceneMock.js';
+
+const createSprite = (x = 0, y = 0, frame = null) => ({
+  x, y, frame,
+  body: { x, y, width: 64, height: 64, enable: true, setAllowGravity: jest.fn(), setImmovable: jest.fn(), setSize: jest.fn(), setOffset: jest.fn() },
+  setOrigin: jest.fn(),
+  setScale: jest.fn(),
+  setTint: jest.fn(),
+  setAlpha: jest.fn(),
+  setVisible: jest.fn(function(visible) { this.visible = visible; }),
+  setActive: jest.fn(function(active) { this.active = active; }),
+  setFrame: jest.fn(function(f) { this.frame = f; })
+});
+
+const createGroup = () => ({ create: jest.fn((x, y, texture, frame) => createSprite(x, y, frame)) });
+
+const createDoor = () => {
+  const tiles = [createSprite(), createSprite()];
+  tiles[0].openFrame = 'door_open';
+  tiles[1].openFrame = 'door_open_top';
+  return new LockBlock(tiles, null, 'door');
+};
+
+const createScene = () => ({
+  player: { body: { x: 1000, y: 1000, width: 40, height: 60, enable: true }, inputManager: { isUpPressed: false } },
+  activeEchoes: [],
+  enemies: { getChildren: () => [] },
+  registry: { get: jest.fn(() => 0) },
+  timeManager: { isRewinding: false },
+  audioManager: { playSfx: jest.fn() },
+  events: { emit: jest.fn() }
+});
+
+describe('SceneFactory triggers and targets', () => {
+  test('wires triggers to doors and moving platforms by id', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const factory = new SceneFactory({});
+    factory.loadConfiguration({
+      platforms: [],
+      doors: [{ id: 'gate', x: 128, y: 128 }],
+      targets: [
+        { id: 'open-gate', type: 'door', door: 'gate' },
+        { id: 'bridge', type: 'blocks', tiles: [{ x: 0, y: 0 }, { x: 64, y: 0 }] },
+        { id: 'lift', type: 'platform', platform: 'missing' }
+      ],
+      triggers: [
+        { id: 'plate', type: 'switch', x: 0, y: 192, color: 'red', targets: ['open-gate'] },
+        { id: 'handle', type: 'lever', x: 64, y: 192, targets: ['bridge', 'nowhere'] },
+        { id: 'rich', type: 'coins', count: 3, targets: ['bridge'] }
+      ]
+    });
+
+    const [door] = factory.createLocksFromConfig(createGroup());
+    expect(door.color).toBeNull();
+    expect(door.sprites[0].setTint).not.toHaveBeenCalled();
+
+    const blocksGroup = createGroup();
+    const { triggers, targets } = factory.createTriggersFromConfig(createGroup(), blocksGroup);
+    expect(targets.map(target => target.id)).toEqual(['open-gate', 'bridge']);
+    expect(targets[0].door).toBe(door);
+    expect(blocksGroup.create.mock.calls.map(call => call[3])).toEqual(['block_exclamation', 'block_exclamation']);
+    expect(targets[1].blocks[0].body.enable).toBe(false);
+
+    expect(triggers.map(trigger => trigger.kind)).toEqual(['switch', 'lever', 'coins']);
+    expect(triggers[0].sprite.frame).toBe('switch_red');
+    expect(triggers[1].sprite.activeFrame).toBe('lever_right');
+    expect(warn).toHaveBeenCalledWith("[SceneFactory] Target 'lift' refers to unknown id:", 'missing');
+    expect(warn).toHaveBeenCalledWith("[SceneFactory] Trigger 'handle' refers to unknown target:", 'nowhere');
+    warn.mockRestore();
+  });
+});
+
+describe('TriggerSystem', () => {
+  test('a time echo holds a switch down and the door closes when it leaves', () => {
+    const scene = createScene();
+    const door = createDoor();
+    const plate = new Trigger({ id: 'plate', type: 'switch', targets: ['gate'] }, { sprite: createSprite(0, 0, 'switch_blue') });
+    plate.sprite.idleFrame = 'switch_blue';
+    plate.sprite.activeFrame = 'switch_blue_pressed';
+    const system = new TriggerSystem(scene, [plate], [new TriggerTarget({ id: 'gate', type: 'door' }, { door })]);
+
+    const echo = { isActive: true, sprite: { body: { x: 10, y: 10, width: 40, height: 60, enable: true } } };
+    scene.activeEchoes.push(echo);
+    system.update();
+    expect(plate.sprite.frame).toBe('switch_blue_pressed');
+    expect(door.isUnlocked).toBe(true);
+    expect(scene.audioManager.playSfx).toHaveBeenCalledWith('switch');
+    expect(scene.events.emit).toHaveBeenCalledWith('targetChanged', { id: 'gate', isActive: true });
+
+    echo.isActive = false;
+    system.update();
+    expect(door.isUnlocked).toBe(false);
+    expect(plate.sprite.frame).toBe('switch_blue');
+  });
+
+  test('a lever flips once per up press and starts a platform', () => {
+    const scene = createScene();
+    scene.player.body.x = 0;
+    scene.player.body.y = 0;
+    const platform = { startMovement: jest.fn(), stopMovement: jest.fn() };
+    const lever = new Trigger({ id: 'handle', type: 'lever', targets: ['lift'] }, { sprite: createSprite() });
+    const system = new TriggerSystem(scene, [lever], [new TriggerTarget({ id: 'lift', type: 'platform' }, { platform })]);
+
+    scene.player.inputManager.isUpPressed = true;
+    system.update();
+    system.update();
+    expect(lever.isActive).toBe(true);
+    expect(platform.startMovement).toHaveBeenCalledTimes(1);
+
+    scene.player.inputManager.isUpPressed = false;
+    system.update();
+    scene.player.inputManager.isUpPressed = true;
+    system.update();
+    expect(lever.isActive).toBe(false);
+    expect(platform.stopMovement).toHaveBeenCalledTimes(1);
+  });
+
+  test('enough coins spawn dormant enemies once; a latched area stays active', () => {
+    const scene = createScene();
+    const enemy = createSprite();
+    const spawn = new TriggerTarget({ id: 'ambush', type: 'spawn' }, { enemies: [enemy] });
+    expect(enemy.body.enable).toBe(false);
+    expect(enemy.visible).toBe(false);
+
+    const coins = new Trigger({ id: 'rich', type: 'coins', count: 2, targets: ['ambush'] });
+    const area = new Trigger({ id: 'room', type: 'area', latch: true, targets: [] }, { area: { x: 0, y: 0, width: 100, height: 100 } });
+    const system = new TriggerSystem(scene, [coins, area], [spawn]);
+
+    scene.registry.get.mockReturnValue(2);
+    scene.player.body.x = 50;
+    scene.player.body.y = 50;
+    system.update();
+    expect(enemy.body.enable).toBe(true);
+    expect(enemy.visible).toBe(true);
+
+    // The enemy dies; losing and regaining the threshold does not revive it
+    enemy.body.enable = false;
+    scene.registry.get.mockReturnValue(0);
+    scene.player.body.x = 500;
+    system.update();
+    scene.registry.get.mockReturnValue(2);
+    system.update();
+    expect(enemy.body.enable).toBe(false);
+    expect(area.isActive).toBe(true);
+  });
+
+  test('nothing is evaluated while rewinding', () => {
+    const scene = createScene();
+    scene.timeManager.isRewinding = true;
+    const coins = new Trigger({ id: 'free', type: 'coins', count: 0, targets: [] });
+    new TriggerSystem(scene, [coins], []).update();
+    expect(coins.isActive).toBe(false);
+  });
+});
+
+describe('Rewinding triggers and targets', () => {
+  test('rewinding past a switch press closes the door and lifts the switch', () => {
+    const scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    const manager = new TimeManager(scene);
+    const door = createDoor();
+    const plate = new Trigger({ id: 'plate', type: 'switch', targets: ['gate'] }, { sprite: createSprite(0, 0, 'switch_blue') });
+    plate.sprite.idleFrame = 'switch_blue';
+    plate.sprite.activeFrame = 'switch_blue_pressed';
+    const bridge = new TriggerTarget({ id: 'gate', type: 'blocks' }, { blocks: [createSprite()] });
+    const gate = new TriggerTarget({ id: 'gate', type: 'door' }, { door });
+    [door, plate, bridge, gate].forEach(object => manager.register(object));
+
+    for (let t = 0; t < 2000; t += 50) {
+      if (t === 1000) {
+        plate.setActive(true);
+        gate.setActive(true);
+        bridge.setActive(true);
+      }
+      manager.update(t, 50);
+    }
+    expect(door.isUnlocked).toBe(true);
+    expect(bridge.blocks[0].body.enable).toBe(true);
+
+    manager.toggleRewind(true);
+    manager.update(2000, 1500);
+    expect(plate.isActive).toBe(false);
+    expect(plate.sprite.frame).toBe('switch_blue');
+    expect(gate.isActive).toBe(false);
+    expect(door.isUnlocked).toBe(false);
+    expect(bridge.blocks[0].body.enable).toBe(false);
+  });
+
+  test('rewinding keeps ambush enemies asleep until their spawn has fired', () => {
+    const scene = createPhaserSceneMock('GameScene');
+    scene.time = { now: 0 };
+    const manager = new TimeManager(scene);
+    // Enemy's own recording, which wakes any enemy with health left
+    const sprite = createSprite();
+    const enemy = Object.assign(Object.create(Enemy.prototype), sprite, {
+      body: { ...sprite.body, velocity: { x: 0, y: 0 } },
+      health: 100
+    });
+    const spawn = new TriggerTarget({ id: 'ambush', type: 'spawn' }, { enemies: [enemy] });
+    // GameScene registers enemies before trigger targets
+    [enemy, spawn].forEach(object => manager.register(object));
+    const isAwake = () => [enemy.active, enemy.visible, enemy.body.enable];
+
+    for (let t = 0; t < 2000; t += 50) manager.update(t, 50);
+    manager.toggleRewind(true);
+    manager.update(2000, 500);
+    expect(isAwake()).toEqual([false, false, false]);
+    manager.toggleRewind(false);
+
+    for (let t = 2000; t < 4000; t += 50) {
+      if (t === 3000) spawn.setActive(true);
+      manager.update(t, 50);
+    }
+    expect(isAwake()).toEqual([true, true, true]);
+
+    // Back past the spawn: not fired, and the enemy is dormant again
+    manager.toggleRewind(true);
+    manager.update(4000, 1500);
+    expect(spawn.hasFired).toBe(false);
+    expect(isAwake()).toEqual([false, false, false]);
+  });
+});
@@ -217,8 +217,8 @@ describe('UIScene', () => {
 
     scene.create();
 
-    // Verify background bar was created (3 calls total: health background + foreground + map overlay)
-    expect(scene.add.graphics).toHaveBeenCalledTimes(3);
+    // Verify background bar was created (6 calls total: health background + foreground + map overlay + rewind meter + breath meter + rewind timeline)
+    expect(scene.add.graphics).toHaveBeenCalledTimes(6);
     expect(mockBackgroundGraphics.fillStyle).toHaveBeenCalledWith(0xff0000, 1); // Red background
     expect(mockBackgroundGraphics.fillRect).toHaveBeenCalledWith(20, 20, 200, 20);
     
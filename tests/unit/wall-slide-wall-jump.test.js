@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import '../mocks/phaserMock.js';
+import { createPlayerMock } from '../mocks/playerMock.js';
+import WallSlideState from '../../client/src/entities/states/WallSlideState.js';
+import WallJumpState from '../../client/src/entities/states/WallJumpState.js';
+import FallState from '../../client/src/entities/states/FallState.js';
+import Player from '../../client/src/entities/Player.js';
+import { GameConfig, LEVEL_SCALE } from '../../client/src/config/GameConfig.js';
+
+const createPlayer = () => createPlayerMock({
+  body: { velocity: { x: 0, y: 400 }, blocked: { left: false, right: true } }
+});
+
+describe('Wall slide and wall jump', () => {
+  test('falling against a wall starts a slide, unless pressing away', () => {
+    const player = createPlayer();
+    new FallState(player).execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('wallSlide');
+
+    const away = createPlayer();
+    away.inputManager.isLeftPressed = true;
+    new FallState(away).execute();
+    expect(away.stateMachine.setState).not.toHaveBeenCalled();
+  });
+
+  test('sliding caps the descent and lets go when pressing away', () => {
+    const player = createPlayer();
+    const state = new WallSlideState(player);
+    state.enter();
+    expect(player.wallSide).toBe(1);
+    expect(player.flipX).toBe(true);
+    expect(player.anims.play).toHaveBeenCalledWith('player-wall-slide', true);
+
+    state.execute();
+    expect(player.body.velocity.y).toBe(GameConfig.wall.slideSpeed * LEVEL_SCALE);
+    expect(player.body.velocity.x).toBe(player.speed);
+
+    player.inputManager.isLeftPressed = true;
+    state.execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('fall');
+  });
+
+  test('a wall jump pushes away from the wall and locks horizontal input briefly', () => {
+    const player = createPlayer();
+    player.wallSide = 1;
+    const state = new WallJumpState(player);
+    state.enter();
+
+    expect(player.body.velocity.x).toBe(-GameConfig.wall.jumpVelocityX * LEVEL_SCALE);
+    expect(player.body.velocity.y).toBe(-GameConfig.wall.jumpVelocityY * LEVEL_SCALE);
+    expect(player.wallJumpLockUntil).toBe(1000 + GameConfig.wall.inputLockout);
+
+    player.inputManager.isRightPressed = true;
+    state.execute();
+    expect(player.body.velocity.x).toBe(-GameConfig.wall.jumpVelocityX * LEVEL_SCALE);
+
+    player.scene.time.now += GameConfig.wall.inputLockout;
+    state.execute();
+    expect(player.body.velocity.x).toBe(player.speed);
+  });
+
+  test('jumping from a slide enters the wall jump state', () => {
+    const player = createPlayer();
+    const state = new WallSlideState(player);
+    state.enter();
+    player.jumpBufferedUntil = 1000 + GameConfig.jump.bufferTime;
+    state.execute();
+    expect(player.stateMachine.setState).toHaveBeenCalledWith('wallJump');
+  });
+});
+
+describe('Player wall state recording', () => {
+  test('rewind restores a wall state without re-entering it', () => {
+    const slide = { enter: jest.fn() };
+    const fall = { enter: jest.fn() };
+    const player = {
+      body: { velocity: { x: 0, y: 0 } },
+      stateMachine: {
+        states: new Map([['wallSlide', slide], ['fall', fall]]),
+        currentState: null,
+        currentStateName: 'idle'
+      }
+    };
+    const recorded = {
+      x: 10, y: 20, velocityX: 0, velocityY: 75, animation: null, isAlive: true, isVisible: true,
+      health: 100, isInvulnerable: false, invulnerabilityTimer: 0,
+      stateName: 'wallSlide', wallSide: -1, wallJumpLockRemaining: 0
+    };
+
+    Player.prototype.setStateFromRecording.call(player, recorded);
+    expect(player.stateMachine.currentState).toBe(slide);
+    expect(player.stateMachine.currentStateName).toBe('wallSlide');
+    expect(player.wallSide).toBe(-1);
+    expect(slide.enter).not.toHaveBeenCalled();
+
+    Player.prototype.setStateFromRecording.call(player, { ...recorded, stateName: 'jump', wallSide: 0 });
+    expect(player.stateMachine.currentStateName).toBe('fall');
+  });
+
+  test('a rewind restores the time left on the lockout, not an already expired deadline', () => {
+    const player = createPlayer();
+    player.x = 0;
+    player.y = 0;
+    player.wallJumpLockUntil = 1000 + 150;
+    const recorded = Player.prototype.getStateForRecording.call(player);
+    expect(recorded.wallJumpLockRemaining).toBe(150);
+
+    // The world clock moved on while the timeline was rewound
+    player.scene.time.now = 5000;
+    Player.prototype.setStateFromRecording.call(player, recorded);
+    expect(player.wallJumpLockUntil).toBe(5150);
+    expect(player.isWallJumpLocked()).toBe(true);
+  });
+});